@@ -1,7 +1,6 @@
 const express = require('express');
 const cors = require('cors');
 const { 
-  Client, 
   PrivateKey, 
   AccountId,
   TokenCreateTransaction,
@@ -9,979 +8,4680 @@ const {
   TokenSupplyType,
   TokenMintTransaction,
   TokenBurnTransaction,
-  TokenInfoQuery,
   TransferTransaction,
   TokenAssociateTransaction,
-  AccountBalanceQuery
+  TokenFreezeTransaction,
+  TokenUnfreezeTransaction,
+  TokenGrantKycTransaction,
+  TokenRevokeKycTransaction,
+  TokenPauseTransaction,
+  TokenUnpauseTransaction,
+  TokenUpdateTransaction,
+  TokenDeleteTransaction,
+  TokenWipeTransaction,
+  Hbar,
+  HbarUnit
 } = require('@hashgraph/sdk');
 require('dotenv').config();
+const {
+  ConfigurationError,
+  getLedger,
+  loadLedgerConfiguration,
+  listOperatorProfiles
+} = require('./lib/ledger');
+const { selectsOperatorProfile, getTokenNetwork, getTokenProfileName } = require('./lib/operatorProfile');
+const { configureMirror, getMirrorClient } = require('./lib/mirror');
+const TokenReader = require('./lib/tokenReader');
+const {
+  DEFAULT_UNIT,
+  DEFAULT_DECIMALS,
+  UnitError,
+  normalizeUnit,
+  validateDecimals,
+  toSmallestUnits,
+  formatSmallestUnits,
+  fromSmallestUnits,
+  toBigInt,
+  toLong
+} = require('./lib/units');
+const { getTokenRepository, getAlertRepository, getBatchRepository, getMarketRepository } = require('./lib/store');
+const { rebuildFromLedger } = require('./lib/store/rebuild');
+const {
+  prepareTransaction,
+  getPreparedTransaction,
+  getPreparedContext,
+  openSignedTransaction,
+  markPreparedTransaction
+} = require('./lib/preparedTransactions');
+const {
+  createLot,
+  planLotDraws,
+  applyLotDraws,
+  getLot,
+  listLots,
+  verifyLot
+} = require('./lib/lots');
+const { recordEvent, parseEventFilters, queryEvents } = require('./lib/history');
+const { streamEvents } = require('./lib/eventStream');
+const {
+  createWebhook,
+  listWebhooks,
+  deleteWebhook,
+  listDeliveries,
+  startWebhookDispatcher
+} = require('./lib/webhooks');
+const {
+  normalizeStockLevels,
+  checkStockLevels,
+  listAlerts,
+  acknowledgeAlert
+} = require('./lib/stockAlerts');
+const { idempotent } = require('./lib/idempotency');
+const {
+  parseCustomFees,
+  describeCustomFees,
+  estimateCustomFees,
+  readChargedFees,
+  describeCharges
+} = require('./lib/customFees');
+const { loadAuthConfiguration, isAuthRequired, authenticates } = require('./lib/auth');
+const {
+  getAccountRoles,
+  listTokenRoles,
+  grantRole,
+  revokeRole,
+  authorizes
+} = require('./lib/permissions');
+const { ProductSpecError, readImportRows } = require('./lib/productImport');
+const { mergeRecipients, planDistribution } = require('./lib/distribution');
+const {
+  draftListing,
+  draftOrder,
+  savePending,
+  openEntry,
+  findMatch,
+  countCrossing,
+  applyFill,
+  escrowRemainder,
+  closeEntry,
+  getListing,
+  getOrder,
+  getCancellableListing,
+  getCancellableOrder,
+  hasExpired,
+  findExpired,
+  listListings,
+  listOrders,
+  getOrderBook,
+  withMarketLock
+} = require('./lib/marketplace');
+const {
+  loadReconciliationSchedule,
+  selectTokenIds,
+  reconcile,
+  listReconciliations,
+  getReconciliation,
+  takeSnapshot,
+  getSnapshot,
+  viewSnapshot,
+  listSnapshots,
+  compareSnapshots
+} = require('./lib/reconciliation');
+const {
+  loadFeeConfiguration,
+  maxTransactionFee,
+  estimateFees,
+  checksOperatorFunds,
+  attributesFees,
+  startFeeRecorder,
+  reportFees
+} = require('./lib/fees');
+const {
+  JobError,
+  defineJob,
+  enqueueJob,
+  runJob,
+  summarizeJob,
+  getJob,
+  listJobs,
+  retryJob,
+  startJobRunner
+} = require('./lib/jobs');
+const { loadAuditConfiguration, startAuditTrail, listAuditTrail, verifyAuditTrail } = require('./lib/auditTrail');
+const {
+  checkProductMetadata,
+  describeSchemas,
+  metadataAnchor,
+  listMetadataVersions,
+  getMetadataVersion,
+  diffMetadataVersions,
+  anchorSkipReason,
+  anchorMetadata,
+  recordCreationAnchor,
+  checkMetadataAnchor
+} = require('./lib/productMetadata');
+const {
+  loadWriteOffSchedule,
+  readBatch,
+  recordBatch,
+  planBatchDraws,
+  splitBatchDraws,
+  applyBatchDraws,
+  getBatch,
+  listBatches,
+  reportExpiredStock,
+  writeOffExpiredStock
+} = require('./lib/batches');
+const { ApiError, ledgerStatus, toApiError, isRequestError, sendError, usesErrorEnvelope, handlesErrors } = require('./lib/errors');
+const { describeProblems, validateBody, validates } = require('./lib/validation');
+const requestSchemas = require('./lib/requestSchemas');
+
+let reconciliationSchedule = null;
+let writeOffSchedule = null;
+try {
+  loadLedgerConfiguration();
+  loadAuthConfiguration();
+  loadFeeConfiguration();
+  loadAuditConfiguration();
+  reconciliationSchedule = loadReconciliationSchedule();
+  writeOffSchedule = loadWriteOffSchedule();
+} catch (error) {
+  if (!(error instanceof ConfigurationError)) {
+    throw error;
+  }
+  console.error(`Invalid configuration: ${error.message}`);
+  process.exit(1);
+}
 
 const app = express();
 const PORT = process.env.PORT || 3003;
 
-app.use(express.json());
-app.use(cors());
+app.use(usesErrorEnvelope());
+app.use(express.json());
+app.use(cors());
+app.use(authenticates());
+app.use(selectsOperatorProfile());
+app.use(attributesFees());
+
+const tokenRepository = getTokenRepository();
+
+// Admin and supply keys are always set; these are opt-in at creation time.
+const OPTIONAL_TOKEN_KEYS = ['freeze', 'kyc', 'pause', 'wipe'];
+
+const ALL_TOKENS_REFRESH_CONCURRENCY = 8;
+
+const MARKET_EXPIRY_INTERVAL_MS = 60 * 1000;
+
+function getCurrentTimestamp() {
+  return new Date().toISOString();
+}
+
+// Uses the request's operator profile unless one is named.
+function getClient(profileName) {
+  const ledger = getLedger(profileName);
+  
+  return {
+    client: ledger.client,
+    ledger,
+    reader: new TokenReader({ ledger, mirror: getMirrorClient(ledger) }),
+    operatorPrivateKey: ledger.operatorPrivateKey,
+    operatorPublicKey: ledger.operatorPrivateKey.publicKey, 
+    operatorAccountId: ledger.operatorAccountId
+  };
+}
+
+// Pass `consensus: true` right after submitting a transaction; the mirror
+// node may not have seen it yet.
+async function updateTokenBalances(tokenId, { consensus = false } = {}) {
+  try {
+    const { ledger, reader } = getClient(getTokenProfileName(tokenId));
+    const source = consensus ? new TokenReader({ ledger }) : reader;
+    
+    const tokenInfo = await source.getTokenInfo(tokenId);
+    const decimals = tokenInfo.decimals;
+    const balances = await source.getTokenBalances(tokenId, Object.keys(tokenRepository.getBalances(tokenId)));
+    
+    const balanceUnits = {};
+    for (const [accountId, units] of balances) {
+      balanceUnits[accountId] = toBigInt(units);
+    }
+    
+    return tokenRepository.setBalanceUnits(tokenId, balanceUnits, decimals);
+  } catch (error) {
+    console.error(`Failed to update token balances for ${tokenId}: ${error.message}`);
+    return null;
+  }
+}
+
+// The unit and precision a token counts in. Decimals come from the ledger;
+// the unit is only known to this service and is KG for tokens created
+// before units were configurable.
+function getTokenUnit(tokenId, tokenInfo) {
+  const ownership = tokenRepository.getOwnership(tokenId);
+  return {
+    unit: (ownership && ownership.unit) || DEFAULT_UNIT,
+    decimals: tokenInfo.decimals
+  };
+}
+
+/**
+ * Reads an amount from a request body as smallest token units: `field` in
+ * the request's `unit` (the token's own unit if omitted), or the original
+ * `<field>Kg` in kilograms. Returns null when neither is present.
+ */
+function readAmount(body, field, tokenUnit, fromUnit = body.unit) {
+  let value = body[field];
+  let unit = fromUnit || tokenUnit.unit;
+  if (value === undefined) {
+    value = body[`${field}Kg`];
+    unit = 'KG';
+  }
+  if (value === undefined) {
+    return null;
+  }
+  
+  const units = toSmallestUnits(value, { fromUnit: unit, toUnit: tokenUnit.unit, decimals: tokenUnit.decimals });
+  return { units, amount: fromSmallestUnits(units, tokenUnit.decimals) };
+}
+
+// Amounts in responses and records are in the token's unit; tokens counted
+// in kilograms also keep the original `<name>Kg` fields.
+function amountFields(tokenUnit, fields) {
+  const result = { unit: tokenUnit.unit, ...fields };
+  if (tokenUnit.unit === 'KG') {
+    for (const [name, value] of Object.entries(fields)) {
+      result[`${name}Kg`] = value;
+    }
+  }
+  return result;
+}
+
+// Cached balances as numbers, plus the exact decimal strings for holdings
+// too large for a JSON number to keep every digit of.
+function balanceFields(tokenId) {
+  return {
+    balances: tokenRepository.getBalances(tokenId),
+    balancesExact: tokenRepository.getBalances(tokenId, { exact: true })
+  };
+}
+
+// The memo is what rebuilds the local store from the ledger, so it carries
+// the unit whenever it is not the original KG.
+function buildTokenMemo(productName, ownerAccountId, unit) {
+  const memo = `${productName} | Owner: ${ownerAccountId}`;
+  return unit && unit !== DEFAULT_UNIT ? `${memo} | Unit: ${unit}` : memo;
+}
+
+// The amount a failed request asked for, as given, for its history event.
+function requestedAmountFields(body) {
+  if (body.amount !== undefined) {
+    return { amount: body.amount, unit: body.unit || null };
+  }
+  return { amount: body.amountKg !== undefined ? body.amountKg : null, unit: 'KG' };
+}
+
+async function runStockLevelCheck(tokenId) {
+  const metadata = tokenRepository.getMetadata(tokenId);
+  if (!metadata || !metadata.stockLevels) {
+    return [];
+  }
+  
+  try {
+    const { ledger } = getClient(getTokenProfileName(tokenId));
+    return await checkStockLevels({ ledger, tokenId, stockLevels: metadata.stockLevels });
+  } catch (error) {
+    console.warn(`Could not check stock levels for token ${tokenId}: ${error.message}`);
+    return [];
+  }
+}
+
+// Checks a token's stock levels once a request that may have moved its
+// stock has succeeded. Routes that only learn the token while handling the
+// request leave it in res.locals.stockTokenId.
+function checksStockLevels() {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      const tokenId = res.locals.stockTokenId || req.body.tokenId;
+      if (res.statusCode < 300 && tokenId) {
+        runStockLevelCheck(tokenId);
+      }
+    });
+    next();
+  };
+}
+
+// Token admin actions are taken for the requester, who needs the owner role.
+function administers() {
+  return authorizes('administer', { accountField: 'requesterAccountId' });
+}
+
+function isFiniteSupply(tokenInfo) {
+  return Boolean(tokenInfo.supplyType) &&
+    tokenInfo.supplyType.toString() === TokenSupplyType.Finite.toString();
+}
+
+function getEnabledKeys(ownership) {
+  return (ownership && ownership.enabledKeys) || ['admin', 'supply'];
+}
+
+function recordAccountStatus(tokenId, accountId, status) {
+  const ownership = tokenRepository.getOwnership(tokenId);
+  if (!ownership) {
+    return null;
+  }
+  
+  const accountStatus = ownership.accountStatus || {};
+  return tokenRepository.saveOwnership(tokenId, {
+    ...ownership,
+    accountStatus: {
+      ...accountStatus,
+      [accountId]: {
+        ...accountStatus[accountId],
+        ...status,
+        updatedAt: getCurrentTimestamp()
+      }
+    }
+  });
+}
+
+// A new association holds nothing yet; one that already existed keeps the
+// balance it has.
+function cacheAssociation(tokenId, accountId) {
+  if (tokenRepository.getBalanceUnits(tokenId, accountId) === undefined) {
+    tokenRepository.setBalanceUnits(tokenId, { [accountId]: 0n });
+  }
+}
+
+// Tokens with a KYC key cannot move to an account until KYC is granted, so
+// the owner is approved before the service hands over their stock.
+async function grantKycIfRequired(tokenId, accountId) {
+  if (!getEnabledKeys(tokenRepository.getOwnership(tokenId)).includes('kyc')) {
+    return false;
+  }
+  
+  const { client, ledger, operatorPrivateKey } = getClient();
+  const kycTx = await new TokenGrantKycTransaction()
+    .setTokenId(tokenId)
+    .setAccountId(accountId)
+    .setMaxTransactionFee(maxTransactionFee('admin'))
+    .freezeWith(client)
+    .sign(operatorPrivateKey);
+  await ledger.execute(kycTx);
+  
+  recordAccountStatus(tokenId, accountId, { kycGranted: true });
+  return true;
+}
+
+function calculateSalePrice(pricePerUnitHbar, amount, decimals) {
+  const unitPriceTinybars = BigInt(new Hbar(pricePerUnitHbar).toTinybars().toString());
+  const scaledTotal = unitPriceTinybars * toBigInt(amount);
+  const scale = 10n ** BigInt(decimals);
+  
+  if (scaledTotal % scale !== 0n) {
+    return null;
+  }
+  
+  const totalTinybars = scaledTotal / scale;
+  return {
+    pricePerUnitHbar: Number(pricePerUnitHbar),
+    totalTinybars,
+    totalPriceHbar: Hbar.fromTinybars(totalTinybars.toString()).to(HbarUnit.Hbar).toNumber()
+  };
+}
+
+// Tokens and HBAR move in one TransferTransaction so the buyer's payment and
+// the seller's stock settle together or not at all.
+function buildSaleTransfer({ tokenId, sellerAccount, buyerAccount, amount, price }) {
+  const transferTx = new TransferTransaction()
+    .addTokenTransfer(tokenId, sellerAccount, toLong(-toBigInt(amount)))
+    .addTokenTransfer(tokenId, buyerAccount, toLong(amount));
+  
+  if (price && price.totalTinybars > 0n) {
+    transferTx
+      .addHbarTransfer(buyerAccount, Hbar.fromTinybars((-price.totalTinybars).toString()))
+      .addHbarTransfer(sellerAccount, Hbar.fromTinybars(price.totalTinybars.toString()));
+  }
+  
+  return transferTx;
+}
+
+// Price fields for responses and records; null when the sale was unpriced.
+function priceFields(tokenUnit, price) {
+  const fields = {
+    pricePerUnitHbar: price ? price.pricePerUnitHbar : null,
+    totalPriceHbar: price ? price.totalPriceHbar : null
+  };
+  if (tokenUnit.unit === 'KG') {
+    fields.pricePerKgHbar = fields.pricePerUnitHbar;
+  }
+  return fields;
+}
+
+function feesPaidInToken(charges, tokenId, accountId) {
+  return charges
+    .filter((charge) => charge.tokenId === tokenId && charge.payerAccountIds.includes(accountId))
+    .reduce((sum, charge) => sum + charge.amountUnits, 0n);
+}
+
+// How a sale's custom fees change what each side sends and receives, for
+// the breakdown shown before signing and the one reported afterwards.
+function saleFeeFields({ tokenId, tokenUnit, amountUnits, sellerAccountId, buyerAccountId, charges }) {
+  const units = toBigInt(amountUnits);
+  const sellerFeesTinybars = charges
+    .filter((charge) => !charge.tokenId && charge.payerAccountIds.includes(sellerAccountId))
+    .reduce((sum, charge) => sum + charge.amountUnits, 0n);
+  
+  return {
+    charges: describeCharges(charges, { tokenId, tokenUnit }),
+    ...amountFields(tokenUnit, {
+      sellerSends: fromSmallestUnits(units + feesPaidInToken(charges, tokenId, sellerAccountId), tokenUnit.decimals),
+      buyerReceives: fromSmallestUnits(units - feesPaidInToken(charges, tokenId, buyerAccountId), tokenUnit.decimals)
+    }),
+    sellerFeesHbar: Hbar.fromTinybars(sellerFeesTinybars.toString()).to(HbarUnit.Hbar).toNumber()
+  };
+}
+
+// The custom fees charged by a sale that has gone through. A failed record
+// query leaves them unknown rather than failing the settled sale.
+async function readSaleFees(ledger, tokenInfo, transactionId) {
+  if (!tokenInfo.customFees || tokenInfo.customFees.length === 0) {
+    return [];
+  }
+  try {
+    return readChargedFees(await ledger.getTransactionRecord(transactionId));
+  } catch (error) {
+    console.warn(`Could not read the custom fees charged by ${transactionId}: ${error.message}`);
+    return null;
+  }
+}
+
+// Applies token transfers of `units` to the cached balances. Custom fees
+// paid in the token move stock from the paying side to the fee collector
+// in the same transaction.
+function cacheTransfers({ tokenId, decimals, transfers, charges }) {
+  const deltas = new Map();
+  const adjust = (accountId, units) => deltas.set(accountId, (deltas.get(accountId) || 0n) + units);
+  for (const { fromAccountId, toAccountId, units } of transfers) {
+    adjust(fromAccountId, -units);
+    adjust(toAccountId, units);
+  }
+  for (const charge of charges || []) {
+    if (charge.tokenId === tokenId) {
+      adjust(charge.payerAccountIds[0], -charge.amountUnits);
+      adjust(charge.collectorAccountId, charge.amountUnits);
+    }
+  }
+  return tokenRepository.adjustBalanceUnits(tokenId, Object.fromEntries(deltas), decimals);
+}
+
+function cacheTransfer({ tokenId, decimals, fromAccountId, toAccountId, units, charges }) {
+  return cacheTransfers({ tokenId, decimals, transfers: [{ fromAccountId, toAccountId, units }], charges });
+}
+
+// Records one transfer of a distribution: cached balances, and a TRANSFER
+// event for each recipient.
+function recordDistribution({ distributionId, tokenId, tokenUnit, senderAccountId, recipients, transactionId, charges }) {
+  const balances = cacheTransfers({
+    tokenId,
+    decimals: tokenUnit.decimals,
+    transfers: recipients.map(({ accountId, units }) => ({ fromAccountId: senderAccountId, toAccountId: accountId, units })),
+    charges
+  });
+  
+  for (const { accountId, units, batches } of recipients) {
+    applyBatchDraws({ draws: batches, fromAccountId: senderAccountId, toAccountId: accountId, type: 'DISTRIBUTION', transactionId });
+    recordEvent({
+      type: 'TRANSFER',
+      tokenId,
+      actorAccountId: senderAccountId,
+      counterparties: [
+        { accountId: senderAccountId, role: 'sender' },
+        { accountId, role: 'receiver' }
+      ],
+      amount: fromSmallestUnits(units, tokenUnit.decimals),
+      unit: tokenUnit.unit,
+      transactionId,
+      details: { reason: 'distribution', distributionId }
+    });
+  }
+  return balances;
+}
+
+// Marketplace fills deliver from the escrow account (`senderAccountId`)
+// rather than from the seller, and note the listing and order (`market`).
+function recordSale({ tokenId, tokenInfo, amountUnits, sellerAccountId, senderAccountId = sellerAccountId, buyerAccountId, price, lots, batches = null, transactionId, charges, market = null }) {
+  const tokenUnit = getTokenUnit(tokenId, tokenInfo);
+  const units = toBigInt(amountUnits);
+  const amount = fromSmallestUnits(units, tokenUnit.decimals);
+  const fees = charges && charges.length > 0
+    ? saleFeeFields({ tokenId, tokenUnit, amountUnits, sellerAccountId: senderAccountId, buyerAccountId, charges })
+    : null;
+  
+  // Update cached balances for UI (optional)
+  const balances = cacheTransfer({
+    tokenId,
+    decimals: tokenUnit.decimals,
+    fromAccountId: senderAccountId,
+    toAccountId: buyerAccountId,
+    units,
+    charges
+  });
+
+  // Optionally, update ownership if all tokens transferred
+  const totalSupply = fromSmallestUnits(tokenInfo.totalSupply, tokenUnit.decimals);
+  if (balances[sellerAccountId] === 0 && balances[buyerAccountId] === totalSupply) {
+    tokenRepository.saveOwnership(tokenId, {
+      ...tokenRepository.getOwnership(tokenId),
+      ownerAccountId: buyerAccountId,
+      previousOwnerAccountId: sellerAccountId,
+      lastTransferredAt: getCurrentTimestamp()
+    });
+  }
+  
+  if (lots) {
+    applyLotDraws({ draws: lots, sellerAccountId, buyerAccountId, transactionId });
+  }
+  if (batches) {
+    applyBatchDraws({ draws: batches.batches, fromAccountId: senderAccountId, toAccountId: buyerAccountId, type: 'SALE', transactionId });
+  }
+  
+  tokenRepository.addSale(tokenId, {
+    transactionId,
+    sellerAccountId,
+    buyerAccountId,
+    ...amountFields(tokenUnit, { amount }),
+    ...priceFields(tokenUnit, price),
+    lots: lots || null,
+    batches,
+    feesCharged: fees,
+    market,
+    soldAt: getCurrentTimestamp()
+  });
+  
+  recordEvent({
+    type: 'SELL',
+    tokenId,
+    actorAccountId: sellerAccountId,
+    counterparties: [
+      { accountId: sellerAccountId, role: 'seller' },
+      { accountId: buyerAccountId, role: 'buyer' },
+      ...(senderAccountId !== sellerAccountId ? [{ accountId: senderAccountId, role: 'escrow' }] : [])
+    ],
+    amount,
+    unit: tokenUnit.unit,
+    transactionId,
+    details: {
+      ...priceFields(tokenUnit, price),
+      lots: lots || null,
+      batches,
+      feesCharged: fees,
+      market
+    }
+  });
+
+  return { balances, feesCharged: fees };
+}
+
+// Stock is always created or minted into the operator treasury and then
+// handed to the owner in a separate transfer, which can fail on its own.
+function recordStockHandover({ tokenId, treasuryAccountId, ownerAccountId, amount, unit, transactionId, error, reason }) {
+  recordEvent({
+    type: 'TRANSFER',
+    tokenId,
+    actorAccountId: treasuryAccountId,
+    counterparties: [
+      { accountId: treasuryAccountId, role: 'sender' },
+      { accountId: ownerAccountId, role: 'receiver' }
+    ],
+    amount,
+    unit,
+    transactionId,
+    status: error ? 'FAILED' : 'SUCCESS',
+    error: error ? error.message : null,
+    details: { reason }
+  });
+}
+
+/**
+ * Reads and checks what a create request asks for without touching the
+ * ledger, so a bulk import can check every row before creating any.
+ */
+function readProductSpec(body) {
+  const { productName, creatorAccountId, keys = {}, metadata = {} } = body;
+  
+  const tokenUnit = {
+    unit: normalizeUnit(body.unit || DEFAULT_UNIT),
+    decimals: validateDecimals(body.decimals !== undefined ? body.decimals : DEFAULT_DECIMALS)
+  };
+  const initialStock = readAmount(body, 'initialStock', tokenUnit, tokenUnit.unit);
+  const maxStock = readAmount(body, 'maxStock', tokenUnit, tokenUnit.unit);
+  
+  if (!productName || !initialStock) {
+    throw new ProductSpecError('Missing required parameters: productName, initialStock (or initialStockKg)');
+  }
+  if (initialStock.units < 0n) {
+    throw new ProductSpecError('Initial stock cannot be negative');
+  }
+  if (maxStock && !(maxStock.units > 0n && maxStock.units >= initialStock.units)) {
+    throw new ProductSpecError('Maximum stock must be positive and at least the initial stock', 
+      amountFields(tokenUnit, { initialStock: initialStock.amount, maxStock: maxStock.amount }));
+  }
+  
+  const unknownKeys = Object.keys(keys).filter((key) => !OPTIONAL_TOKEN_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    throw new ProductSpecError(`Unknown token keys: ${unknownKeys.join(', ')}. Supported keys: ${OPTIONAL_TOKEN_KEYS.join(', ')}`);
+  }
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new ProductSpecError('Metadata must be an object');
+  }
+  const metadataProblems = checkProductMetadata(metadata);
+  if (metadataProblems.length > 0) {
+    throw new ProductSpecError(describeProblems(metadataProblems), {
+      fields: metadataProblems.map(({ field, error }) => ({ field, error }))
+    });
+  }
+  
+  const { operatorAccountId } = getClient();
+  let ownerAccountId = operatorAccountId;
+  if (creatorAccountId) {
+    try {
+      ownerAccountId = AccountId.fromString(creatorAccountId);
+    } catch (error) {
+      throw new ProductSpecError(`Invalid creator account ID ${creatorAccountId}`);
+    }
+  }
+  
+  return {
+    productName,
+    tokenUnit,
+    initialStock,
+    maxStock,
+    optionalKeys: OPTIONAL_TOKEN_KEYS.filter((key) => keys[key]),
+    metadata,
+    customFees: parseCustomFees(body.customFees, {
+      tokenUnit,
+      defaultCollectorAccountId: operatorAccountId.toString()
+    }),
+    ownerAccountId,
+    batch: readBatch(null, body)
+  };
+}
+
+// Creates and records a product stock token. The operator is treasury,
+// admin and supply key, so the initial stock starts out with the operator,
+// as the token's first batch. A job passes its own `execute` to submit the
+// create through.
+async function createStockToken({ productName, tokenUnit, initialStock, maxStock, optionalKeys, metadata, customFees, ownerAccountId, batch }, { execute } = {}) {
+  const { client, ledger, operatorPrivateKey, operatorPublicKey, operatorAccountId } = getClient();
+  const submit = execute || ((transaction) => ledger.execute(transaction));
+  
+  const timestamp = new Date().toISOString().replace(/[^0-9]/g, '').slice(0, 14);
+  
+  const tokenName = `${productName} Stock Token`;
+  
+
+  const symbol = `${productName.substring(0, 4).toUpperCase()}-${timestamp.slice(-4)}`;
+  
+
+  const decimals = tokenUnit.decimals;
+  const initialSupply = toLong(initialStock.units);
+  
+
+  const shortMemo = buildTokenMemo(productName, ownerAccountId.toString(), tokenUnit.unit);
+  
+  // The first metadata version is fixed up front so the create itself
+  // anchors its hash.
+  const initialMetadata = {
+    productName,
+    type: 'PRODUCT_STOCK',
+    unit: tokenUnit.unit,
+    ownerAccountId: ownerAccountId.toString(),
+    createdAt: getCurrentTimestamp(),
+    ...metadata
+  };
+  
+  let transaction = new TokenCreateTransaction()
+    .setTokenName(tokenName)
+    .setTokenSymbol(symbol)
+    .setDecimals(decimals) 
+    .setInitialSupply(initialSupply)
+    .setTreasuryAccountId(operatorAccountId) 
+    .setAdminKey(operatorPublicKey) 
+    .setSupplyKey(operatorPublicKey) 
+    .setTokenType(TokenType.FungibleCommon)
+    .setTokenMemo(shortMemo)
+    .setMetadata(metadataAnchor(initialMetadata));
+  
+  if (maxStock) {
+    transaction
+      .setSupplyType(TokenSupplyType.Finite)
+      .setMaxSupply(toLong(maxStock.units));
+  } else {
+    transaction.setSupplyType(TokenSupplyType.Infinite);
+  }
+  
+  if (optionalKeys.includes('freeze')) {
+    transaction.setFreezeKey(operatorPublicKey).setFreezeDefault(false);
+  }
+  if (optionalKeys.includes('kyc')) {
+    transaction.setKycKey(operatorPublicKey);
+  }
+  if (optionalKeys.includes('pause')) {
+    transaction.setPauseKey(operatorPublicKey);
+  }
+  if (optionalKeys.includes('wipe')) {
+    transaction.setWipeKey(operatorPublicKey);
+  }
+  if (customFees.length > 0) {
+    transaction.setCustomFees(customFees);
+  }
+  transaction = transaction.setMaxTransactionFee(maxTransactionFee('create')).freezeWith(client);
+
+  const signTx = await transaction.sign(operatorPrivateKey);
+  const { transactionId: createTransactionId, receipt } = await submit(signTx);
+  const tokenId = receipt.tokenId.toString();
+  const feeFields = { customFees: describeCustomFees(customFees, { tokenId, tokenUnit }) };
+  const handsOver = ownerAccountId.toString() !== operatorAccountId.toString() && initialStock.units > 0n;
+  tokenRepository.saveOwnership(tokenId, {
+    ownerAccountId: ownerAccountId.toString(),
+    createdAt: getCurrentTimestamp(),
+    productName,
+    enabledKeys: ['admin', 'supply', ...optionalKeys],
+    unit: tokenUnit.unit,
+    maxStock: maxStock ? maxStock.amount : null,
+    network: ledger.network,
+    operatorProfile: ledger.profile,
+    // What the treasury holds for the owner until the owner associates the
+    // token and it is transferred.
+    pendingHandover: handsOver ? {
+      initialSupply: initialStock.units.toString(),
+      initialStock: initialStock.amount,
+      unit: tokenUnit.unit,
+      decimals,
+      batchId: batch.batchId
+    } : null
+  });
+  
+  const tokenMetadata = tokenRepository.saveMetadata(tokenId, initialMetadata, {
+    authorAccountId: ownerAccountId.toString(),
+    reason: 'CREATE'
+  });
+  recordCreationAnchor(tokenId, createTransactionId);
+  
+  tokenRepository.setBalanceUnits(tokenId, { [operatorAccountId.toString()]: initialStock.units }, tokenUnit.decimals);
+  const recorded = initialStock.units > 0n ? recordBatch({
+    batch,
+    tokenId,
+    units: initialStock.units,
+    unit: tokenUnit.unit,
+    decimals,
+    holderAccountId: operatorAccountId.toString(),
+    transactionId: createTransactionId
+  }) : null;
+  
+  recordEvent({
+    type: 'CREATE',
+    tokenId,
+    actorAccountId: ownerAccountId.toString(),
+    counterparties: [{ accountId: operatorAccountId.toString(), role: 'treasury' }],
+    amount: initialStock.amount,
+    unit: tokenUnit.unit,
+    transactionId: createTransactionId,
+    details: {
+      productName,
+      tokenSymbol: symbol,
+      decimals,
+      maxStock: maxStock ? maxStock.amount : null,
+      enabledKeys: ['admin', 'supply', ...optionalKeys],
+      ...feeFields,
+      ...(recorded ? {
+        batch: {
+          batchId: recorded.batchId,
+          batchNumber: recorded.batchNumber,
+          productionDate: recorded.productionDate,
+          expiryDate: recorded.expiryDate
+        }
+      } : {})
+    }
+  });
+  
+  return {
+    tokenId,
+    tokenName,
+    symbol,
+    batch: recorded,
+    stockFields: {
+      ...amountFields(tokenUnit, {
+        initialStock: initialStock.amount,
+        maxStock: maxStock ? maxStock.amount : null
+      }),
+      decimals
+    },
+    feeFields,
+    tokenMetadata
+  };
+}
+
+// The association an owner other than the operator signs before the
+// initial stock the treasury holds for it can be transferred to it.
+function prepareStockHandover({ client, tokenId }) {
+  const { productName, ownerAccountId, pendingHandover } = tokenRepository.getOwnership(tokenId);
+  return prepareTransaction({
+    transaction: new TokenAssociateTransaction()
+      .setAccountId(ownerAccountId)
+      .setTokenIds([tokenId]),
+    client,
+    kind: 'create-associate',
+    description: `Associate new token ${tokenId} with account ${ownerAccountId} so the initial stock can be transferred to it`,
+    requiredSigners: [ownerAccountId],
+    context: {
+      tokenId,
+      productName,
+      ownerAccountId,
+      ...pendingHandover
+    }
+  });
+}
+
+// Once the initial stock has reached its owner there is nothing left to
+// hand over.
+function completeStockHandover(tokenId) {
+  tokenRepository.saveOwnership(tokenId, { ...tokenRepository.getOwnership(tokenId), pendingHandover: null });
+}
+
+// Multi-step work runs as a job: the response waits for it unless the
+// request sends `Prefer: respond-async`, which gets a 202 with the job ID.
+function respondsAsync(req) {
+  return /\brespond-async\b/.test(req.get('Prefer') || '');
+}
+
+function sendJobAccepted(res, job, message) {
+  return res.status(202)
+    .set('Preference-Applied', 'respond-async')
+    .set('Location', `/api/jobs/status?jobId=${job.jobId}`)
+    .json({
+      success: true,
+      job: summarizeJob(job),
+      message: `${message} Follow job ${job.jobId} at /api/jobs/status or through JOB events.`
+    });
+}
+
+// The error that stopped a job, including one stopped by an earlier
+// process, for sendError.
+function jobError(job, error) {
+  return error || new JobError(job.error.message, 500, job.error.code);
+}
+
+function handoverStatusMessage(job) {
+  return job.status === 'PENDING'
+    ? ` Job ${job.jobId} retries the transfer at ${job.nextAttemptAt}.`
+    : ` Job ${job.jobId} can be re-driven through /api/jobs/retry.`;
+}
+
+defineJob('create-token', {
+  steps: {
+    create: async ({ body, batch }, { execute }) => {
+      const spec = readProductSpec(body);
+      // Jobs queued before initial stock was kept as a batch read it afresh.
+      const created = await createStockToken({ ...spec, batch: batch || spec.batch }, { execute });
+      return { tokenId: created.tokenId, created };
+    },
+    
+    associate: async ({ tokenId, ownerAccountId }, { execute, secrets }) => {
+      if (!secrets.ownerPrivateKey) {
+        throw new JobError(`The private key for account ${ownerAccountId} is needed to associate token ${tokenId}; re-drive the job with it`, 409, 'SIGNATURE_REQUIRED');
+      }
+      const { client } = getClient();
+      const associateTx = await new TokenAssociateTransaction()
+        .setAccountId(ownerAccountId)
+        .setTokenIds([tokenId])
+        .setMaxTransactionFee(maxTransactionFee('associate'))
+        .freezeWith(client)
+        .sign(PrivateKey.fromString(secrets.ownerPrivateKey));
+      
+      try {
+        const { transactionId } = await execute(associateTx);
+        recordEvent({ type: 'ASSOCIATE', tokenId, actorAccountId: ownerAccountId, transactionId });
+        return { alreadyAssociated: false };
+      } catch (error) {
+        if (ledgerStatus(error) === 'TOKEN_ALREADY_ASSOCIATED_TO_ACCOUNT') {
+          return { alreadyAssociated: true };
+        }
+        throw error;
+      }
+    },
+    
+    'grant-kyc': async ({ tokenId, ownerAccountId }) => {
+      await grantKycIfRequired(tokenId, ownerAccountId);
+      return {};
+    },
+    
+    transfer: async ({ tokenId, ownerAccountId, initialSupply, initialStock, unit, decimals, created }, { execute }) => {
+      const { client, operatorPrivateKey, operatorAccountId } = getClient();
+      const transferTx = await new TransferTransaction()
+        .addTokenTransfer(tokenId, operatorAccountId, toLong(initialSupply).negate())
+        .addTokenTransfer(tokenId, ownerAccountId, toLong(initialSupply))
+        .setMaxTransactionFee(maxTransactionFee('transfer'))
+        .freezeWith(client)
+        .sign(operatorPrivateKey);
+      
+      const { transactionId } = await execute(transferTx);
+      recordStockHandover({
+        tokenId,
+        treasuryAccountId: operatorAccountId.toString(),
+        ownerAccountId,
+        amount: initialStock,
+        unit,
+        transactionId,
+        reason: 'initial stock'
+      });
+      if (created.batch) {
+        applyBatchDraws({
+          draws: [{ batchId: created.batch.batchId, amount: initialStock }],
+          fromAccountId: operatorAccountId.toString(),
+          toAccountId: ownerAccountId,
+          type: 'HANDOVER',
+          transactionId
+        });
+      }
+      tokenRepository.setBalanceUnits(tokenId, {
+        [operatorAccountId.toString()]: 0n,
+        [ownerAccountId]: toBigInt(initialSupply)
+      }, decimals);
+      completeStockHandover(tokenId);
+      return {};
+    }
+  },
+  
+  onFailure: ({ body, tokenId, ownerAccountId, initialStock, unit }, step, error) => {
+    if (step === 'create') {
+      recordEvent({
+        type: 'CREATE',
+        actorAccountId: body.creatorAccountId || null,
+        status: 'FAILED',
+        error: error.message,
+        details: { productName: body.productName }
+      });
+      return;
+    }
+    recordStockHandover({
+      tokenId,
+      treasuryAccountId: getClient().operatorAccountId.toString(),
+      ownerAccountId,
+      amount: initialStock,
+      unit,
+      error,
+      reason: 'initial stock'
+    });
+  }
+});
+
+// The response to a create from the state its job stopped in.
+function sendCreateResult(res, job, error) {
+  if (job.steps[0].status !== 'SUCCEEDED') {
+    if (job.status === 'PENDING') {
+      return sendJobAccepted(res, job, `Token for ${job.context.productName} could not be created yet: ${job.error.message}.`);
+    }
+    return sendError(res, jobError(job, error), 'Failed to create token');
+  }
+  
+  const { created, productName, ownerAccountId, alreadyAssociated } = job.context;
+  const { operatorAccountId } = getClient();
+  const body = {
+    success: true,
+    tokenId: created.tokenId,
+    tokenName: created.tokenName,
+    tokenSymbol: created.symbol,
+    ...created.stockFields,
+    ...created.feeFields,
+    ownerAccountId,
+    tokensTransferred: false,
+    ...balanceFields(created.tokenId),
+    batch: created.batch ? getBatch(created.batch.batchId) : undefined,
+    metadata: created.tokenMetadata,
+    job: summarizeJob(job)
+  };
+  
+  if (job.steps.length === 1) {
+    return res.status(201).json({
+      ...body,
+      message: ownerAccountId !== operatorAccountId.toString()
+        ? `Token for ${productName} created successfully. Owner should associate token ${created.tokenId} with their account to receive tokens.`
+        : `Token for ${productName} created successfully and owned by treasury account.`
+    });
+  }
+  if (job.status === 'SUCCEEDED') {
+    return res.status(201).json({
+      ...body,
+      tokensTransferred: true,
+      message: `Token for ${productName} created successfully and transferred to account ${ownerAccountId}${alreadyAssociated ? ' (already associated)' : ''}`
+    });
+  }
+  
+  console.error("Token created but transfer failed:", error);
+  return res.status(201).json({
+    ...body,
+    error: `Token created but could not transfer to owner: ${job.error.message}`,
+    message: `Token for ${productName} created successfully but remains with treasury account.${handoverStatusMessage(job)}`
+  });
+}
+
+// A create hands the stock over in the same job only when it has the
+// owner's key: the association, a KYC grant if the token has a KYC key,
+// then the transfer. A prepared handover is paid for when it is submitted.
+function createOperations(req) {
+  const { creatorAccountId, creatorPrivateKey, mode, keys = {} } = req.body;
+  const handsOver = Boolean(creatorAccountId) && creatorAccountId !== getClient().operatorAccountId.toString();
+  if (!handsOver || !creatorPrivateKey || mode === 'prepare') {
+    return ['create'];
+  }
+  return ['create', 'associate', ...(keys.kyc ? ['admin'] : []), 'transfer'];
+}
+
+app.post('/api/tokens/create', authorizes('create', { accountField: 'creatorAccountId' }), validates(requestSchemas.createToken), checksOperatorFunds(createOperations), idempotent(), async (req, res) => {
+  try {
+    const { creatorPrivateKey, mode, ...body } = req.body;
+    
+    const spec = readProductSpec(req.body);
+    const { productName, tokenUnit, initialStock, ownerAccountId } = spec;
+    
+    if (creatorPrivateKey) {
+      try {
+        PrivateKey.fromString(creatorPrivateKey);
+      } catch (err) {
+        return res.status(400).json({ 
+          error: 'Invalid creator private key format',
+          details: err.message
+        });
+      }
+    }
+
+    const { client, ledger, operatorAccountId } = getClient();
+    const handsOver = ownerAccountId.toString() !== operatorAccountId.toString();
+    
+    if (mode === 'prepare' && handsOver) {
+      const { tokenId, tokenName, symbol, stockFields, feeFields, tokenMetadata, batch } = await createStockToken(spec);
+      const prepared = prepareStockHandover({ client, tokenId });
+      
+      return res.status(201).json({
+        success: true,
+        tokenId,
+        tokenName,
+        tokenSymbol: symbol,
+        ...stockFields,
+        ...feeFields,
+        ownerAccountId: ownerAccountId.toString(),
+        tokensTransferred: false,
+        ...balanceFields(tokenId),
+        batch: batch || undefined,
+        metadata: tokenMetadata,
+        prepared,
+        message: `Token for ${productName} created successfully. Sign the prepared association with the key for account ${ownerAccountId} and submit it to /api/transactions/submit to receive the initial stock.`
+      });
+    }
+    
+    const job = enqueueJob({
+      type: 'create-token',
+      steps: ['create', ...(handsOver && creatorPrivateKey ? ['associate', 'grant-kyc', 'transfer'] : [])],
+      context: {
+        body,
+        productName,
+        ownerAccountId: ownerAccountId.toString(),
+        initialSupply: initialStock.units.toString(),
+        initialStock: initialStock.amount,
+        unit: tokenUnit.unit,
+        decimals: tokenUnit.decimals,
+        batch: spec.batch
+      },
+      secrets: { ownerPrivateKey: creatorPrivateKey },
+      accountId: body.creatorAccountId || null,
+      profile: ledger.profile
+    });
+    
+    if (respondsAsync(req)) {
+      runJob(job.jobId);
+      return sendJobAccepted(res, job, `Creating a token for ${productName}.`);
+    }
+    const { job: finished, error } = await runJob(job.jobId);
+    sendCreateResult(res, finished, error);
+    
+  } catch (error) {
+    if (!isRequestError(error)) {
+      recordEvent({
+        type: 'CREATE',
+        actorAccountId: req.body.creatorAccountId || null,
+        status: 'FAILED',
+        error: error.message,
+        details: { productName: req.body.productName }
+      });
+    }
+    sendError(res, error, 'Failed to create token');
+  }
+});
+
+// Each row of an import is created in a step of its own, so a long import
+// can be followed, resumes where it stopped and is not submitted twice. A
+// row the ledger refuses is reported and the import goes on; one that
+// fails for a reason a retry can fix holds the import until it is retried.
+defineJob('import-products', {
+  steps: {
+    create: async ({ rows }, { execute }) => {
+      const index = rows.findIndex((entry) => entry.success === undefined);
+      const { row, body, batch } = rows[index];
+      const ownerAccountId = body.creatorAccountId || getClient().operatorAccountId.toString();
+      let result;
+      try {
+        const { tokenId, tokenName, symbol, stockFields, feeFields } = await createStockToken({ ...readProductSpec(body), batch }, { execute });
+        result = {
+          success: true,
+          tokenId,
+          tokenName,
+          tokenSymbol: symbol,
+          ...stockFields,
+          ...feeFields,
+          ownerAccountId,
+          handoverPending: Boolean(tokenRepository.getOwnership(tokenId).pendingHandover)
+        };
+      } catch (error) {
+        if (toApiError(error).statusCode >= 500) {
+          throw error;
+        }
+        console.error(`Error importing row ${row} (${body.productName}):`, error);
+        recordImportFailure(rows[index], error);
+        result = { success: false, ownerAccountId, error: error.message };
+      }
+      return { rows: rows.map((entry, entryIndex) => (entryIndex === index ? { ...entry, ...result } : entry)) };
+    }
+  },
+  
+  onFailure: ({ rows }, step, error) => {
+    recordImportFailure(rows.find((entry) => entry.success === undefined), error);
+  }
+});
+
+function recordImportFailure({ row, body }, error) {
+  recordEvent({
+    type: 'CREATE',
+    actorAccountId: body.creatorAccountId || getClient().operatorAccountId.toString(),
+    status: 'FAILED',
+    error: error.message,
+    details: { productName: body.productName, importRow: row }
+  });
+}
+
+// The response to an import from the rows its job has got through.
+function sendImportResult(res, job, error) {
+  const results = job.context.rows.map(({ body, batch, ...result }) => result);
+  const done = results.filter((result) => result.success !== undefined);
+  if (job.status === 'PENDING') {
+    return sendJobAccepted(res, job, `Imported ${done.length} of ${results.length} products so far; the next could not be created yet: ${job.error.message}.`);
+  }
+  if (job.status === 'FAILED') {
+    console.error("Error importing products:", error);
+  }
+  
+  const imported = done.filter((result) => result.success).length;
+  const awaitingOwners = done.filter((result) => result.handoverPending).length;
+  const unfinished = results.length - done.length;
+  res.status(imported > 0 ? 201 : 500).json({
+    success: imported === results.length,
+    imported,
+    failed: done.length - imported,
+    unfinished,
+    results,
+    job: summarizeJob(job),
+    message: [
+      `Created ${imported} of ${results.length} product tokens`,
+      unfinished > 0 && `${unfinished} were not attempted after ${job.error.message}; job ${job.jobId} can be re-driven through /api/jobs/retry`,
+      awaitingOwners > 0 && `${awaitingOwners} owner${awaitingOwners === 1 ? '' : 's'} must prepare the handover of their initial stock at /api/tokens/handover/prepare, sign it and submit it to /api/transactions/submit`
+    ].filter(Boolean).join('; ')
+  });
+}
+
+// Every row is a create of its own.
+function importOperations(req) {
+  return readImportRows(req.body).map(() => 'create');
+}
+
+// Bulk creation takes no private keys: owners other than the operator
+// prepare the association that hands over their stock once the import is
+// done, as a create in "prepare" mode does.
+app.post('/api/tokens/import', express.text({ type: 'text/csv', limit: '2mb' }), authorizes('create'), checksOperatorFunds(importOperations), idempotent(), async (req, res) => {
+  try {
+    const rows = readImportRows(req.body);
+    const caller = req.caller;
+    
+    const checked = rows.map((product, index) => {
+      const row = index + 1;
+      if (product.error) {
+        return { row, error: product.error };
+      }
+      const body = caller && !product.creatorAccountId ? { ...product, creatorAccountId: caller.accountId } : product;
+      if (caller && !caller.admin && body.creatorAccountId !== caller.accountId) {
+        return {
+          row,
+          productName: product.productName,
+          error: `creatorAccountId ${body.creatorAccountId} does not match the authenticated account ${caller.accountId}`
+        };
+      }
+      const problems = validateBody(body, requestSchemas.createToken);
+      if (problems.length > 0) {
+        return { row, productName: product.productName, error: describeProblems(problems) };
+      }
+      try {
+        return { row, productName: product.productName, body, batch: readProductSpec(body).batch };
+      } catch (error) {
+        if (!isRequestError(error)) {
+          throw error;
+        }
+        return { row, productName: product.productName, error: error.message };
+      }
+    });
+    
+    const invalid = checked.filter((entry) => entry.error);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `${invalid.length} of ${rows.length} rows are invalid; nothing was imported`,
+        code: 'VALIDATION_FAILED',
+        rows: invalid
+      });
+    }
+    
+    const job = enqueueJob({
+      type: 'import-products',
+      steps: checked.map(() => 'create'),
+      context: { rows: checked },
+      accountId: caller ? caller.accountId : null,
+      profile: getClient().ledger.profile
+    });
+    
+    if (respondsAsync(req)) {
+      runJob(job.jobId);
+      return sendJobAccepted(res, job, `Importing ${checked.length} products.`);
+    }
+    const { job: finished, error } = await runJob(job.jobId);
+    sendImportResult(res, finished, error);
+  } catch (error) {
+    sendError(res, error, 'Failed to import products');
+  }
+});
+
+// Prepares the association that hands an owner the initial stock the
+// treasury still holds for it, again if an earlier one expired unsigned.
+app.post('/api/tokens/handover/prepare', authorizes('associate', { accountField: 'ownerAccountId' }), validates(requestSchemas.prepareHandover), async (req, res) => {
+  try {
+    const { tokenId, ownerAccountId } = req.body;
+    
+    const ownership = tokenRepository.getOwnership(tokenId);
+    if (!ownership) {
+      return res.status(404).json({ 
+        error: `No ownership record found for token ID ${tokenId}` 
+      });
+    }
+    if (ownerAccountId && ownerAccountId !== ownership.ownerAccountId) {
+      return res.status(403).json({
+        error: `Account ${ownerAccountId} does not own token ${tokenId}`
+      });
+    }
+    if (!ownership.pendingHandover) {
+      return res.status(409).json({
+        error: `Token ${tokenId} has no initial stock waiting to be handed over to account ${ownership.ownerAccountId}`,
+        code: 'CONFLICT'
+      });
+    }
+    
+    const { client } = getClient();
+    const prepared = prepareStockHandover({ client, tokenId });
+    res.status(200).json({
+      success: true,
+      tokenId,
+      ownerAccountId: ownership.ownerAccountId,
+      ...amountFields({ unit: ownership.pendingHandover.unit }, { initialStock: ownership.pendingHandover.initialStock }),
+      prepared,
+      message: `Sign the prepared association with the key for account ${ownership.ownerAccountId} and submit it to /api/transactions/submit to receive the initial stock`
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to prepare stock handover');
+  }
+});
+
+app.post('/api/tokens/associate', authorizes('associate', { accountField: 'accountId' }), validates(requestSchemas.associateToken), checksOperatorFunds(['associate']), async (req, res) => {
+  try {
+    const { tokenId, accountId, privateKey, mode } = req.body;
+    
+    if (!privateKey && mode !== 'prepare') {
+      return res.status(400).json({ 
+        error: 'Either a private key or mode "prepare" is required' 
+      });
+    }
+    
+    const { client, ledger } = getClient();
+    
+    if (mode === 'prepare') {
+      const prepared = prepareTransaction({
+        transaction: new TokenAssociateTransaction()
+          .setAccountId(AccountId.fromString(accountId))
+          .setTokenIds([tokenId]),
+        client,
+        kind: 'associate',
+        description: `Associate token ${tokenId} with account ${accountId}`,
+        requiredSigners: [accountId],
+        context: { tokenId, accountId }
+      });
+      
+      return res.status(200).json({
+        success: true,
+        tokenId,
+        accountId,
+        prepared,
+        message: `Sign the prepared transaction with the key for account ${accountId} and submit it to /api/transactions/submit`
+      });
+    }
+    
+    try {
+      const key = PrivateKey.fromString(privateKey);
+      const account = AccountId.fromString(accountId);
+      
+      const transaction = await new TokenAssociateTransaction()
+        .setAccountId(account)
+        .setTokenIds([tokenId])
+        .setMaxTransactionFee(maxTransactionFee('associate'))
+        .freezeWith(client)
+        .sign(key);
+        
+      const { transactionId } = await ledger.execute(transaction);
+      
+      cacheAssociation(tokenId, accountId);
+      recordEvent({ type: 'ASSOCIATE', tokenId, actorAccountId: accountId, transactionId });
+      
+      res.status(200).json({
+        success: true,
+        tokenId,
+        accountId,
+        message: `Token ${tokenId} successfully associated with account ${accountId}`
+      });
+    } catch (error) {
+      if (ledgerStatus(error) === 'TOKEN_ALREADY_ASSOCIATED_TO_ACCOUNT') {
+        cacheAssociation(tokenId, accountId);
+        recordEvent({
+          type: 'ASSOCIATE',
+          tokenId,
+          actorAccountId: accountId,
+          transactionId: error.transactionId,
+          details: { alreadyAssociated: true }
+        });
+        
+        return res.status(200).json({
+          success: true,
+          tokenId,
+          accountId,
+          message: `Token ${tokenId} was already associated with account ${accountId}`
+        });
+      }
+      
+      throw error;
+    }
+    
+  } catch (error) {
+    recordEvent({
+      type: 'ASSOCIATE',
+      tokenId: req.body.tokenId,
+      actorAccountId: req.body.accountId,
+      transactionId: error.transactionId,
+      status: 'FAILED',
+      error: error.message
+    });
+    sendError(res, error, 'Failed to associate token');
+  }
+});
+
+defineJob('mint-stock', {
+  steps: {
+    mint: async ({ tokenId, accountId, amountUnits, amount, unit, decimals, batch }, { execute }) => {
+      const { client, operatorPrivateKey, operatorAccountId } = getClient();
+      const mintTx = await new TokenMintTransaction()
+        .setTokenId(tokenId)
+        .setAmount(toLong(amountUnits))
+        .setMaxTransactionFee(maxTransactionFee('mint'))
+        .freezeWith(client)
+        .sign(operatorPrivateKey);
+      
+      const { transactionId } = await execute(mintTx);
+      // Jobs queued before batches were kept mint without one.
+      const recorded = batch ? recordBatch({
+        batch,
+        tokenId,
+        units: amountUnits,
+        unit,
+        decimals,
+        holderAccountId: operatorAccountId.toString(),
+        transactionId
+      }) : null;
+      recordEvent({
+        type: 'MINT',
+        tokenId,
+        actorAccountId: accountId || null,
+        counterparties: [{ accountId: operatorAccountId.toString(), role: 'treasury' }],
+        amount,
+        unit,
+        transactionId,
+        details: recorded ? {
+          batch: {
+            batchId: recorded.batchId,
+            batchNumber: recorded.batchNumber,
+            productionDate: recorded.productionDate,
+            expiryDate: recorded.expiryDate
+          }
+        } : {}
+      });
+      
+      tokenRepository.adjustBalanceUnits(tokenId, { [operatorAccountId.toString()]: amountUnits }, decimals);
+      return { mintTransactionId: transactionId.toString() };
+    },
+    
+    transfer: async ({ tokenId, ownerAccountId, amountUnits, amount, unit, decimals, batch }, { execute }) => {
+      const { client, operatorPrivateKey, operatorAccountId } = getClient();
+      const transferTx = await new TransferTransaction()
+        .addTokenTransfer(tokenId, operatorAccountId, toLong(amountUnits).negate())
+        .addTokenTransfer(tokenId, ownerAccountId, toLong(amountUnits))
+        .setMaxTransactionFee(maxTransactionFee('transfer'))
+        .freezeWith(client)
+        .sign(operatorPrivateKey);
+      
+      const { transactionId } = await execute(transferTx);
+      recordStockHandover({
+        tokenId,
+        treasuryAccountId: operatorAccountId.toString(),
+        ownerAccountId,
+        amount,
+        unit,
+        transactionId,
+        reason: 'minted stock'
+      });
+      if (batch) {
+        applyBatchDraws({
+          draws: [{ batchId: batch.batchId, amount }],
+          fromAccountId: operatorAccountId.toString(),
+          toAccountId: ownerAccountId,
+          type: 'HANDOVER',
+          transactionId
+        });
+      }
+      cacheTransfer({ tokenId, decimals, fromAccountId: operatorAccountId.toString(), toAccountId: ownerAccountId, units: BigInt(amountUnits) });
+      return {};
+    }
+  },
+  
+  onFailure: ({ tokenId, accountId, ownerAccountId, amount, unit }, step, error) => {
+    if (step === 'mint') {
+      recordEvent({
+        type: 'MINT',
+        tokenId,
+        actorAccountId: accountId || null,
+        amount,
+        unit,
+        transactionId: error.transactionId,
+        status: 'FAILED',
+        error: error.message
+      });
+      return;
+    }
+    recordStockHandover({
+      tokenId,
+      treasuryAccountId: getClient().operatorAccountId.toString(),
+      ownerAccountId,
+      amount,
+      unit,
+      error,
+      reason: 'minted stock'
+    });
+  },
+  
+  // Stock moves when the steps run, which for an async, retried or
+  // re-driven mint is after its request has been answered.
+  afterSteps: ({ tokenId }) => runStockLevelCheck(tokenId)
+});
+
+// The response to a mint from the state its job stopped in.
+function sendMintResult(res, job, error) {
+  const { tokenId, ownerAccountId, amount, unit, decimals, mintTransactionId, batch } = job.context;
+  if (job.steps[0].status !== 'SUCCEEDED') {
+    if (job.status === 'PENDING') {
+      return sendJobAccepted(res, job, `Stock for token ${tokenId} could not be minted yet: ${job.error.message}.`);
+    }
+    return sendError(res, jobError(job, error), 'Failed to add stock');
+  }
+  
+  const body = {
+    success: true,
+    tokenId,
+    ...amountFields({ unit, decimals }, { addedStock: amount }),
+    ownerAccountId: ownerAccountId || 'unknown',
+    tokensTransferred: false,
+    ...balanceFields(tokenId),
+    batch: batch ? getBatch(batch.batchId) : undefined,
+    transactionId: mintTransactionId,
+    job: summarizeJob(job)
+  };
+  
+  if (job.steps.length === 1) {
+    return res.status(200).json({ ...body, message: `Successfully added ${amount} ${unit} to stock` });
+  }
+  if (job.status === 'SUCCEEDED') {
+    return res.status(200).json({
+      ...body,
+      tokensTransferred: true,
+      message: `Successfully added ${amount} ${unit} to stock and transferred to owner`
+    });
+  }
+  if (job.error.hederaStatus === 'TOKEN_NOT_ASSOCIATED_TO_ACCOUNT') {
+    return res.status(200).json({
+      ...body,
+      message: `Successfully added ${amount} ${unit} to stock. The token is currently held by the treasury account. Owner must associate token ${tokenId} with their account ${ownerAccountId} to receive tokens.${handoverStatusMessage(job)}`
+    });
+  }
+  console.error("Stock minted but transfer failed:", error);
+  return res.status(200).json({
+    ...body,
+    error: `Stock minted but could not transfer to owner: ${job.error.message}`,
+    message: `Successfully added ${amount} ${unit} to stock, which remains with the treasury account.${handoverStatusMessage(job)}`
+  });
+}
+
+app.post('/api/tokens/mint', authorizes('mint', { accountField: 'accountId' }), validates(requestSchemas.mintStock), checksOperatorFunds(['mint', 'transfer']), idempotent(), async (req, res) => {
+  try {
+    const { 
+      tokenId, 
+      accountId
+    } = req.body;
+    
+    const { ledger, operatorAccountId } = getClient();
+    const ownership = tokenRepository.getOwnership(tokenId);
+
+    const tokenInfo = await ledger.getTokenInfo(tokenId);
+      
+    const tokenUnit = getTokenUnit(tokenId, tokenInfo);
+    const requested = readAmount(req.body, 'amount', tokenUnit);
+    if (requested.units <= 0n) {
+      return res.status(400).json({ error: 'Amount must be positive' });
+    }
+    const amount = toLong(requested.units);
+    const amountInUnit = requested.amount;
+    
+    if (isFiniteSupply(tokenInfo)) {
+      const remainingSupply = tokenInfo.maxSupply.subtract(tokenInfo.totalSupply);
+      if (remainingSupply.lessThan(amount)) {
+        return sendError(res, new ApiError('Maximum supply exceeded', 409, 'MAX_SUPPLY_EXCEEDED', amountFields(tokenUnit, {
+          requestedStock: amountInUnit,
+          currentSupply: fromSmallestUnits(tokenInfo.totalSupply, tokenUnit.decimals),
+          maxSupply: fromSmallestUnits(tokenInfo.maxSupply, tokenUnit.decimals),
+          remainingSupply: fromSmallestUnits(remainingSupply, tokenUnit.decimals)
+        })));
+      }
+    }
+    
+    const batch = readBatch(tokenId, req.body);
+    const handsOver = Boolean(ownership) && ownership.ownerAccountId !== operatorAccountId.toString();
+    const job = enqueueJob({
+      type: 'mint-stock',
+      steps: ['mint', ...(handsOver ? ['transfer'] : [])],
+      context: {
+        tokenId,
+        accountId: accountId || null,
+        ownerAccountId: ownership ? ownership.ownerAccountId : null,
+        amountUnits: requested.units.toString(),
+        amount: amountInUnit,
+        unit: tokenUnit.unit,
+        decimals: tokenUnit.decimals,
+        batch
+      },
+      accountId: accountId || null,
+      tokenId,
+      profile: ledger.profile
+    });
+    
+    if (respondsAsync(req)) {
+      runJob(job.jobId);
+      return sendJobAccepted(res, job, `Adding ${amountInUnit} ${tokenUnit.unit} to the stock of token ${tokenId}.`);
+    }
+    const { job: finished, error } = await runJob(job.jobId);
+    sendMintResult(res, finished, error);
+    
+  } catch (error) {
+    if (!isRequestError(error)) {
+      recordEvent({
+        type: 'MINT',
+        tokenId: req.body.tokenId,
+        actorAccountId: req.body.accountId || null,
+        ...requestedAmountFields(req.body),
+        transactionId: error.transactionId,
+        status: 'FAILED',
+        error: error.message
+      });
+    }
+    sendError(res, error, 'Failed to add stock');
+  }
+});
+
+app.post('/api/tokens/burn', authorizes('burn', { accountField: 'accountId' }), validates(requestSchemas.changeSupply), checksOperatorFunds(['burn']), idempotent(), checksStockLevels(), async (req, res) => {
+  try {
+    const { 
+      tokenId, 
+      accountId
+    } = req.body;
+    
+    const ownership = tokenRepository.getOwnership(tokenId);
+    
+    const { client, ledger, operatorPrivateKey, operatorAccountId } = getClient();
+
+    const tokenInfo = await ledger.getTokenInfo(tokenId);
+      
+    const tokenUnit = getTokenUnit(tokenId, tokenInfo);
+    const requested = readAmount(req.body, 'amount', tokenUnit);
+    if (requested.units <= 0n) {
+      return res.status(400).json({ error: 'Amount must be positive' });
+    }
+    const amount = toLong(requested.units);
+    const amountInUnit = requested.amount;
+    
+    // Burns always come out of the treasury, whoever owns the product.
+    const treasuryAccountId = tokenInfo.treasuryAccountId.toString();
+    const treasuryBalance = await ledger.getAccountBalance(treasuryAccountId);
+    const burnableUnits = toBigInt(treasuryBalance.tokens.get(tokenId) || 0);
+    if (burnableUnits < requested.units) {
+      return res.status(409).json({ 
+        success: false,
+        error: 'Insufficient stock',
+        code: 'INSUFFICIENT_TOKEN_BALANCE',
+        requestedReduction: amountInUnit,
+        ...amountFields(tokenUnit, { availableStock: fromSmallestUnits(burnableUnits, tokenUnit.decimals) })
+      });
+    }
+    
+    const batches = planBatchDraws({
+      tokenId,
+      accountId: treasuryAccountId,
+      amountUnits: requested.units,
+      balanceUnits: burnableUnits,
+      tokenUnit,
+      allowExpired: true
+    });
+    
+    const burnTx = await new TokenBurnTransaction()
+      .setTokenId(tokenId)
+      .setAmount(amount)
+      .setMaxTransactionFee(maxTransactionFee('burn'))
+      .freezeWith(client)
+      .sign(operatorPrivateKey);
+      
+    const burnTxSubmit = await ledger.execute(burnTx);
+    applyBatchDraws({ draws: batches.batches, fromAccountId: treasuryAccountId, type: 'BURN', transactionId: burnTxSubmit.transactionId });
+    recordEvent({
+      type: 'BURN',
+      tokenId,
+      actorAccountId: accountId || null,
+      counterparties: [{ accountId: operatorAccountId.toString(), role: 'treasury' }],
+      amount: amountInUnit,
+      unit: tokenUnit.unit,
+      transactionId: burnTxSubmit.transactionId,
+      details: { batches }
+    });
+
+    if (tokenRepository.getBalanceUnits(tokenId, treasuryAccountId) !== undefined) {
+      tokenRepository.adjustBalanceUnits(tokenId, { [treasuryAccountId]: -requested.units }, tokenUnit.decimals);
+    }
+    
+    await updateTokenBalances(tokenId, { consensus: true });
+    
+    res.status(200).json({
+      success: true,
+      tokenId,
+      ...amountFields(tokenUnit, { reducedStock: amountInUnit }),
+      ownerAccountId: ownership?.ownerAccountId || 'unknown',
+      ...balanceFields(tokenId),
+      batches: batches.batches,
+      unbatchedStock: batches.unbatched,
+      transactionId: burnTxSubmit.transactionId.toString(),
+      message: `Successfully reduced stock by ${amountInUnit} ${tokenUnit.unit}`
+    });
+    
+  } catch (error) {
+    if (!isRequestError(error)) {
+      recordEvent({
+        type: 'BURN',
+        tokenId: req.body.tokenId,
+        actorAccountId: req.body.accountId || null,
+        ...requestedAmountFields(req.body),
+        transactionId: error.transactionId,
+        status: 'FAILED',
+        error: error.message
+      });
+    }
+    sendError(res, error, 'Failed to reduce stock');
+  }
+});
+
+app.post('/api/tokens/sell', authorizes('sell', { accountField: 'sellerAccountId' }), validates(requestSchemas.sellStock), checksOperatorFunds(['associate', 'transfer']), idempotent(), checksStockLevels(), async (req, res) => {
+  try {
+    const { 
+      tokenId,
+      sellerAccountId, 
+      sellerPrivateKey,
+      buyerAccountId,
+      buyerPrivateKey,
+      pricePerKgHbar,
+      lots,
+      mode
+    } = req.body;
+    const pricePerUnitHbar = req.body.pricePerUnitHbar !== undefined ? req.body.pricePerUnitHbar : pricePerKgHbar;
+    
+    // The seller always signs for the stock it sends, and the buyer for the
+    // HBAR it pays, so a sale is only submitted with both keys it needs.
+    if (!sellerPrivateKey && mode !== 'prepare') {
+      return sendError(res, new ApiError('Seller private key, or mode "prepare", is required', 400));
+    }
+    if (pricePerUnitHbar !== undefined && !buyerPrivateKey && mode !== 'prepare') {
+      return sendError(res, new ApiError('Buyer private key is required to pay for the sale', 400));
+    }
+    if (pricePerUnitHbar !== undefined && !(Number(pricePerUnitHbar) > 0)) {
+      return sendError(res, new ApiError('Price per unit must be a positive amount of HBAR', 400));
+    }
+
+    const { client, ledger } = getClient();
+
+    // Get decimals info
+    const tokenInfo = await ledger.getTokenInfo(tokenId);
+    const tokenUnit = getTokenUnit(tokenId, tokenInfo);
+    const decimals = tokenUnit.decimals;
+    const requested = readAmount(req.body, 'amount', tokenUnit);
+    if (requested.units <= 0n) {
+      return sendError(res, new ApiError('Amount must be positive', 400));
+    }
+    if (req.body.pricePerUnitHbar === undefined && pricePerKgHbar !== undefined && tokenUnit.unit !== 'KG') {
+      return sendError(res, new ApiError(`Token ${tokenId} is counted in ${tokenUnit.unit}; give the price as pricePerUnitHbar`, 400));
+    }
+    const amount = toLong(requested.units);
+    const amountInUnit = requested.amount;
+
+    const sellerAccount = AccountId.fromString(sellerAccountId);
+    const buyerAccount = AccountId.fromString(buyerAccountId);
+
+    let lotDraws = null;
+    if (lots !== undefined) {
+      lotDraws = planLotDraws({ tokenId, sellerAccountId, amountUnits: requested.units, lots });
+    }
+
+    let price = null;
+    if (pricePerUnitHbar !== undefined) {
+      price = calculateSalePrice(pricePerUnitHbar, amount, decimals);
+      if (!price) {
+        return sendError(res, new ApiError('Total price must be a whole number of tinybars', 400, 'INVALID_REQUEST', {
+          pricePerUnitHbar,
+          ...amountFields(tokenUnit, { amount: amountInUnit })
+        }));
+      }
+    }
+
+    let sellerKey = null;
+    let buyerKey = null;
+
+    if (sellerPrivateKey) {
+      try {
+        sellerKey = PrivateKey.fromString(sellerPrivateKey);
+      } catch (err) {
+        return sendError(res, new ApiError('Invalid seller private key format', 400, 'INVALID_REQUEST', { details: err.message }));
+      }
+    }
+    if (buyerPrivateKey) {
+      try {
+        buyerKey = PrivateKey.fromString(buyerPrivateKey);
+      } catch (err) {
+        return sendError(res, new ApiError('Invalid buyer private key format', 400, 'INVALID_REQUEST', { details: err.message }));
+      }
+    }
+
+    const estimatedCharges = estimateCustomFees(tokenInfo.customFees, {
+      tokenId,
+      amountUnits: requested.units,
+      senderAccountId: sellerAccountId,
+      receiverAccountId: buyerAccountId,
+      treasuryAccountId: tokenInfo.treasuryAccountId.toString()
+    });
+    const fees = estimatedCharges.length > 0
+      ? saleFeeFields({ tokenId, tokenUnit, amountUnits: requested.units, sellerAccountId, buyerAccountId, charges: estimatedCharges })
+      : null;
+
+    // Always check LIVE seller balance from Hedera!
+    const sellerBalanceQuery = await ledger.getAccountBalance(sellerAccountId);
+    const sellerLiveUnits = toBigInt(sellerBalanceQuery.tokens.get(tokenId) || 0);
+    const sellerLiveBalance = fromSmallestUnits(sellerLiveUnits, decimals);
+    if (sellerLiveUnits < requested.units + feesPaidInToken(estimatedCharges, tokenId, sellerAccountId)) {
+      return sendError(res, new ApiError(
+        fees ? 'Seller has insufficient balance to cover the sale and its custom fees' : 'Seller has insufficient balance',
+        409,
+        'INSUFFICIENT_TOKEN_BALANCE',
+        { ...amountFields(tokenUnit, { sellerLiveBalance }), fees: fees || undefined }
+      ));
+    }
+
+    const batches = planBatchDraws({
+      tokenId,
+      accountId: sellerAccountId,
+      amountUnits: requested.units,
+      balanceUnits: sellerLiveUnits,
+      tokenUnit
+    });
+
+    // Optionally, update the cached balance for seller
+    tokenRepository.setBalanceUnits(tokenId, { [sellerAccountId]: sellerLiveUnits }, decimals);
+
+    // Ensure buyer has an entry in our cache (optional, but safe)
+    if (!tokenRepository.getBalanceUnits(tokenId, buyerAccountId, decimals)) {
+      // Also fetch live buyer balance for accuracy
+      const buyerBalanceQuery = await ledger.getAccountBalance(buyerAccountId);
+      const buyerLiveUnits = toBigInt(buyerBalanceQuery.tokens.get(tokenId) || 0);
+      tokenRepository.setBalanceUnits(tokenId, { [buyerAccountId]: buyerLiveUnits }, decimals);
+    }
+
+    if (price) {
+      const buyerBalance = await ledger.getAccountBalance(buyerAccount);
+      const buyerLiveBalanceTinybars = BigInt(buyerBalance.hbars.toTinybars().toString());
+      if (buyerLiveBalanceTinybars < price.totalTinybars) {
+        return sendError(res, new ApiError('Buyer has insufficient HBAR balance', 409, 'INSUFFICIENT_ACCOUNT_BALANCE', {
+          buyerLiveBalanceHbar: buyerBalance.hbars.to(HbarUnit.Hbar).toNumber(),
+          totalPriceHbar: price.totalPriceHbar
+        }));
+      }
+    }
+
+    if (mode === 'prepare') {
+      const buyerBalance = await ledger.getAccountBalance(buyerAccount);
+      if (!buyerBalance.tokens.has(tokenId)) {
+        return sendError(res, new ApiError(
+          `Buyer account ${buyerAccountId} must be associated with token ${tokenId} first; prepare the association through /api/tokens/associate`,
+          409,
+          'TOKEN_NOT_ASSOCIATED_TO_ACCOUNT'
+        ));
+      }
+      
+      const requiredSigners = price ? [sellerAccountId, buyerAccountId] : [sellerAccountId];
+      const prepared = prepareTransaction({
+        transaction: buildSaleTransfer({ tokenId, sellerAccount, buyerAccount, amount, price }),
+        client,
+        kind: 'sell',
+        description: [
+          price
+            ? `Transfer ${amountInUnit} ${tokenUnit.unit} of token ${tokenId} from ${sellerAccountId} to ${buyerAccountId} for ${price.totalPriceHbar} HBAR`
+            : `Transfer ${amountInUnit} ${tokenUnit.unit} of token ${tokenId} from ${sellerAccountId} to ${buyerAccountId}`,
+          fees && `custom fees apply: the seller sends ${fees.sellerSends} ${tokenUnit.unit}${fees.sellerFeesHbar > 0 ? ` and ${fees.sellerFeesHbar} HBAR` : ''}, the buyer receives ${fees.buyerReceives} ${tokenUnit.unit}`
+        ].filter(Boolean).join('; '),
+        requiredSigners,
+        context: {
+          tokenId,
+          amountUnits: requested.units.toString(),
+          amount: amountInUnit,
+          unit: tokenUnit.unit,
+          sellerAccountId,
+          buyerAccountId,
+          price: price && { pricePerUnitHbar: price.pricePerUnitHbar, totalPriceHbar: price.totalPriceHbar },
+          lots: lotDraws,
+          batches,
+          fees
+        }
+      });
+      
+      return res.status(200).json({
+        success: true,
+        tokenId,
+        ...amountFields(tokenUnit, { amount: amountInUnit }),
+        fromAccount: sellerAccountId,
+        toAccount: buyerAccountId,
+        ...(price ? priceFields(tokenUnit, price) : {}),
+        lots: lotDraws || undefined,
+        batches: batches.batches,
+        unbatchedStock: batches.unbatched,
+        fees: fees || undefined,
+        prepared,
+        message: `Sign the prepared transfer with the keys for ${requiredSigners.join(' and ')} and submit it to /api/transactions/submit${fees ? '. Custom fees apply; see fees for the breakdown' : ''}`
+      });
+    }
+
+    // Ensure buyer is associated with the token
+    let needsAssociation = true;
+    if (buyerKey) {
+      try {
+        const accountInfo = await ledger.getAccountBalance(buyerAccount);
+        if (accountInfo.tokens && accountInfo.tokens.has(tokenId)) {
+          needsAssociation = false;
+        }
+      } catch (error) {
+        console.warn(`Could not check if token ${tokenId} is associated with account ${buyerAccountId}: ${error.message}`);
+      }
+      if (needsAssociation) {
+        try {
+          const associateTx = await new TokenAssociateTransaction()
+            .setAccountId(buyerAccount)
+            .setTokenIds([tokenId])
+            .setMaxTransactionFee(maxTransactionFee('associate'))
+            .freezeWith(client)
+            .sign(buyerKey);
+          await ledger.execute(associateTx);
+        } catch (associateError) {
+          if (ledgerStatus(associateError) !== 'TOKEN_ALREADY_ASSOCIATED_TO_ACCOUNT') {
+            throw associateError;
+          }
+        }
+      }
+    }
+
+    // Build and sign transfer transaction
+    let transferTx = buildSaleTransfer({ tokenId, sellerAccount, buyerAccount, amount, price });
+
+    let frozenTx = await transferTx.setMaxTransactionFee(maxTransactionFee('transfer')).freezeWith(client);
+    frozenTx = await frozenTx.sign(sellerKey);
+    if (buyerKey) {
+      frozenTx = await frozenTx.sign(buyerKey);
+    }
+    const txSubmit = await ledger.execute(frozenTx);
+    const transactionId = txSubmit.transactionId.toString();
+
+    const { balances, feesCharged } = recordSale({
+      tokenId,
+      tokenInfo,
+      amountUnits: requested.units,
+      sellerAccountId,
+      buyerAccountId,
+      price,
+      lots: lotDraws,
+      batches,
+      transactionId,
+      charges: await readSaleFees(ledger, tokenInfo, transactionId)
+    });
+    
+    res.status(200).json({
+      success: true,
+      tokenId,
+      ...amountFields(tokenUnit, { amount: amountInUnit }),
+      fromAccount: sellerAccountId,
+      toAccount: buyerAccountId,
+      ...(price ? priceFields(tokenUnit, price) : {}),
+      lots: lotDraws || undefined,
+      batches: batches.batches,
+      unbatchedStock: batches.unbatched,
+      feesCharged: feesCharged || undefined,
+      balances,
+      transactionId,
+      message: price
+        ? `Successfully transferred ${amountInUnit} ${tokenUnit.unit} to account ${buyerAccountId} for ${price.totalPriceHbar} HBAR`
+        : `Successfully transferred ${amountInUnit} ${tokenUnit.unit} to account ${buyerAccountId}`
+    });
+  } catch (error) {
+    if (!isRequestError(error)) {
+      recordEvent({
+        type: 'SELL',
+        tokenId: req.body.tokenId,
+        actorAccountId: req.body.sellerAccountId,
+        counterparties: [
+          { accountId: req.body.sellerAccountId, role: 'seller' },
+          { accountId: req.body.buyerAccountId, role: 'buyer' }
+        ],
+        ...requestedAmountFields(req.body),
+        transactionId: error.transactionId,
+        status: 'FAILED',
+        error: error.message
+      });
+    }
+    sendError(res, error, 'Failed to sell stock');
+  }
+});
+
+app.post('/api/tokens/distribute', authorizes('sell', { accountField: 'senderAccountId' }), validates(requestSchemas.distributeStock), checksOperatorFunds(['transfer']), idempotent(), checksStockLevels(), async (req, res) => {
+  try {
+    const { tokenId, senderAccountId, senderPrivateKey, recipients, mode } = req.body;
+    
+    if (!senderPrivateKey && mode !== 'prepare') {
+      return res.status(400).json({
+        error: 'Either the sender private key or mode "prepare" is required'
+      });
+    }
+    
+    let senderKey = null;
+    if (senderPrivateKey) {
+      try {
+        senderKey = PrivateKey.fromString(senderPrivateKey);
+      } catch (err) {
+        return res.status(400).json({
+          error: 'Invalid sender private key format',
+          details: err.message
+        });
+      }
+    }
+    
+    const { client, ledger } = getClient();
+    const tokenInfo = await ledger.getTokenInfo(tokenId);
+    const tokenUnit = getTokenUnit(tokenId, tokenInfo);
+    const merged = mergeRecipients(recipients, {
+      senderAccountId,
+      readUnits: (recipient) => {
+        const requested = readAmount(recipient, 'amount', tokenUnit, recipient.unit || req.body.unit);
+        return requested && requested.units;
+      }
+    });
+    const totalUnits = merged.reduce((sum, recipient) => sum + recipient.units, 0n);
+    const describeRecipients = (entries) => entries.map(({ accountId, units }) => ({
+      accountId,
+      ...amountFields(tokenUnit, { amount: fromSmallestUnits(units, tokenUnit.decimals) })
+    }));
+    
+    const unassociated = [];
+    for (const { accountId } of merged) {
+      const balance = await ledger.getAccountBalance(accountId);
+      if (!balance.tokens.has(tokenId)) {
+        unassociated.push(accountId);
+      }
+    }
+    if (unassociated.length > 0) {
+      return res.status(409).json({
+        error: `${unassociated.length} recipients are not associated with token ${tokenId}; they must associate it through /api/tokens/associate first`,
+        code: 'TOKEN_NOT_ASSOCIATED_TO_ACCOUNT',
+        unassociatedAccountIds: unassociated
+      });
+    }
+    
+    const treasuryAccountId = tokenInfo.treasuryAccountId.toString();
+    const feeUnits = merged.reduce((sum, { accountId, units }) => sum + feesPaidInToken(estimateCustomFees(tokenInfo.customFees, {
+      tokenId,
+      amountUnits: units,
+      senderAccountId,
+      receiverAccountId: accountId,
+      treasuryAccountId
+    }), tokenId, senderAccountId), 0n);
+    const senderBalance = await ledger.getAccountBalance(senderAccountId);
+    const senderLiveUnits = toBigInt(senderBalance.tokens.get(tokenId) || 0);
+    if (senderLiveUnits < totalUnits + feeUnits) {
+      return res.status(409).json({
+        error: feeUnits > 0n ? 'Sender has insufficient balance to cover the distribution and its custom fees' : 'Sender has insufficient balance',
+        code: 'INSUFFICIENT_TOKEN_BALANCE',
+        ...amountFields(tokenUnit, {
+          senderLiveBalance: fromSmallestUnits(senderLiveUnits, tokenUnit.decimals),
+          totalAmount: fromSmallestUnits(totalUnits, tokenUnit.decimals),
+          ...(feeUnits > 0n ? { customFees: fromSmallestUnits(feeUnits, tokenUnit.decimals) } : {})
+        })
+      });
+    }
+    
+    const { distributionId, batches } = planDistribution(merged);
+    // The sender's batch stock goes to the recipients in the order they
+    // are paid.
+    let undrawn = planBatchDraws({
+      tokenId,
+      accountId: senderAccountId,
+      amountUnits: totalUnits,
+      balanceUnits: senderLiveUnits,
+      tokenUnit,
+      allowExpired: true
+    });
+    for (const recipient of batches.flatMap((batch) => batch.recipients)) {
+      const { part, rest } = splitBatchDraws(undrawn, recipient.units, tokenUnit);
+      recipient.batches = part.batches;
+      undrawn = rest;
+    }
+    const buildBatchTransfer = (batch) => batch.recipients.reduce(
+      (transfer, { accountId, units }) => transfer.addTokenTransfer(tokenId, accountId, toLong(units)),
+      new TransferTransaction().addTokenTransfer(tokenId, senderAccountId, toLong(-batch.units))
+    );
+    const summary = {
+      distributionId,
+      tokenId,
+      fromAccount: senderAccountId,
+      ...amountFields(tokenUnit, { totalAmount: fromSmallestUnits(totalUnits, tokenUnit.decimals) }),
+      recipientCount: merged.length
+    };
+    
+    if (mode === 'prepare') {
+      const prepared = batches.map((batch, index) => prepareTransaction({
+        transaction: buildBatchTransfer(batch),
+        client,
+        kind: 'distribute',
+        description: `Transfer ${fromSmallestUnits(batch.units, tokenUnit.decimals)} ${tokenUnit.unit} of token ${tokenId} from ${senderAccountId} to ${batch.recipients.length} accounts (transfer ${index + 1} of ${batches.length} of distribution ${distributionId})`,
+        requiredSigners: [senderAccountId],
+        context: {
+          distributionId,
+          batch: index + 1,
+          tokenId,
+          senderAccountId,
+          recipients: batch.recipients.map(({ accountId, units, batches: draws }) => ({ accountId, units: units.toString(), batches: draws })),
+          amount: fromSmallestUnits(batch.units, tokenUnit.decimals),
+          unit: tokenUnit.unit
+        }
+      }));
+      
+      return res.status(200).json({
+        success: true,
+        ...summary,
+        prepared,
+        message: `Sign each of the ${prepared.length} prepared transfers with the key for ${senderAccountId} and submit them to /api/transactions/submit`
+      });
+    }
+    
+    // A failed transfer does not stop the rest; its recipients are reported
+    // as unpaid so they can be sent again.
+    const transfers = [];
+    for (const [index, batch] of batches.entries()) {
+      const result = { batch: index + 1, recipients: describeRecipients(batch.recipients) };
+      try {
+        const signedTx = await buildBatchTransfer(batch).setMaxTransactionFee(maxTransactionFee('transfer')).freezeWith(client).sign(senderKey);
+        const transactionId = (await ledger.execute(signedTx)).transactionId.toString();
+        recordDistribution({
+          distributionId,
+          tokenId,
+          tokenUnit,
+          senderAccountId,
+          recipients: batch.recipients,
+          transactionId,
+          charges: await readSaleFees(ledger, tokenInfo, transactionId)
+        });
+        transfers.push({ ...result, success: true, transactionId });
+      } catch (error) {
+        console.error(`Error in transfer ${index + 1} of distribution ${distributionId}:`, error);
+        recordEvent({
+          type: 'TRANSFER',
+          tokenId,
+          actorAccountId: senderAccountId,
+          counterparties: batch.recipients.map(({ accountId }) => ({ accountId, role: 'receiver' })),
+          amount: fromSmallestUnits(batch.units, tokenUnit.decimals),
+          unit: tokenUnit.unit,
+          transactionId: error.transactionId,
+          status: 'FAILED',
+          error: error.message,
+          details: { reason: 'distribution', distributionId, batch: index + 1 }
+        });
+        transfers.push({ ...result, success: false, error: error.message });
+      }
+    }
+    
+    const failed = transfers.filter((transfer) => !transfer.success);
+    const paid = merged.length - failed.reduce((count, transfer) => count + transfer.recipients.length, 0);
+    res.status(failed.length === transfers.length ? 500 : 200).json({
+      success: failed.length === 0,
+      ...summary,
+      transfers,
+      ...balanceFields(tokenId),
+      message: `Distributed token ${tokenId} to ${paid} of ${merged.length} accounts in ${transfers.length - failed.length} of ${transfers.length} transfers`
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to distribute stock');
+  }
+});
+
+app.get('/api/tokens/ownership', async (req, res) => {
+  try {
+    const { tokenId } = req.query;
+    
+    if (!tokenId) {
+      return res.status(400).json({
+        error: 'Token ID is required as a query parameter'
+      });
+    }
+    
+    const ownership = tokenRepository.getOwnership(tokenId);
+    
+    if (!ownership) {
+      return res.status(404).json({ 
+        error: `No ownership record found for token ID ${tokenId}` 
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      tokenId,
+      ownership,
+      timestamp: getCurrentTimestamp()
+    });
+    
+  } catch (error) {
+    sendError(res, error, 'Failed to check token ownership');
+  }
+});
+
+app.get('/api/tokens/roles', authorizes('read-history'), async (req, res) => {
+  try {
+    const { tokenId } = req.query;
+    
+    if (!tokenId) {
+      return res.status(400).json({
+        error: 'Token ID is required as a query parameter'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      tokenId,
+      roles: listTokenRoles(tokenId),
+      timestamp: getCurrentTimestamp()
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to list token roles');
+  }
+});
+
+async function handleRoleChange(req, res, grant) {
+  try {
+    const { tokenId, accountId, role, requesterAccountId } = req.body;
+    
+    const change = { tokenId, accountId, role, actorAccountId: requesterAccountId || null };
+    const roles = grant ? grantRole(change) : revokeRole(change);
+    
+    res.status(200).json({
+      success: true,
+      tokenId,
+      accountId,
+      roles,
+      message: `${String(role).toUpperCase()} ${grant ? 'granted to' : 'revoked from'} ${accountId} on token ${tokenId}`,
+      timestamp: getCurrentTimestamp()
+    });
+  } catch (error) {
+    sendError(res, error, `Failed to ${grant ? 'grant' : 'revoke'} token role`);
+  }
+}
+
+app.post('/api/tokens/roles/grant', authorizes('manage-roles', { accountField: 'requesterAccountId' }), validates(requestSchemas.changeRole), (req, res) => handleRoleChange(req, res, true));
+
+app.post('/api/tokens/roles/revoke', authorizes('manage-roles', { accountField: 'requesterAccountId' }), validates(requestSchemas.changeRole), (req, res) => handleRoleChange(req, res, false));
+
+app.get('/api/tokens/sales', authorizes('read-history'), async (req, res) => {
+  try {
+    const { tokenId } = req.query;
+    
+    if (!tokenId) {
+      return res.status(400).json({
+        error: 'Token ID is required as a query parameter'
+      });
+    }
+    
+    const sales = tokenRepository.getSales(tokenId);
+    
+    res.status(200).json({
+      success: true,
+      tokenId,
+      salesCount: sales.length,
+      sales,
+      timestamp: getCurrentTimestamp()
+    });
+    
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch token sales');
+  }
+});
+
+app.get('/api/tokens/history', authorizes('read-history'), async (req, res) => {
+  try {
+    const { tokenId, accountId } = req.query;
+    
+    if (!tokenId) {
+      return res.status(400).json({
+        error: 'Token ID is required as a query parameter'
+      });
+    }
+    
+    const page = queryEvents({ tokenId, accountId }, req.query);
+    
+    res.status(200).json({
+      success: true,
+      tokenId,
+      ...page,
+      timestamp: getCurrentTimestamp()
+    });
+    
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch token history');
+  }
+});
+
+app.get('/api/tokens/audit', authorizes('read-history'), async (req, res) => {
+  try {
+    const { tokenId } = req.query;
+    
+    if (!tokenId) {
+      return res.status(400).json({ error: 'Token ID is required as a query parameter' });
+    }
+    
+    res.status(200).json({
+      success: true,
+      ...listAuditTrail(tokenId),
+      timestamp: getCurrentTimestamp()
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch audit trail');
+  }
+});
+
+app.get('/api/tokens/audit/verify', authorizes('read-history'), async (req, res) => {
+  try {
+    const { tokenId } = req.query;
+    
+    if (!tokenId) {
+      return res.status(400).json({ error: 'Token ID is required as a query parameter' });
+    }
+    
+    const result = await verifyAuditTrail(tokenId);
+    res.status(200).json({
+      success: true,
+      ...result,
+      message: result.verified
+        ? `History and metadata of token ${tokenId} match its audit topic`
+        : result.problems.length > 0
+          ? `Token ${tokenId} could not be verified against its audit topic: ${result.problems.length} problem(s) found`
+          : `Nothing has been published to the audit topic for token ${tokenId} yet`,
+      timestamp: getCurrentTimestamp()
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to verify audit trail');
+  }
+});
+
+app.get('/api/accounts/history', authorizes('read-account', { accountField: 'accountId' }), async (req, res) => {
+  try {
+    const { accountId, tokenId } = req.query;
+    
+    if (!accountId) {
+      return res.status(400).json({
+        error: 'Account ID is required as a query parameter'
+      });
+    }
+    
+    const page = queryEvents({ tokenId, accountId }, req.query);
+    
+    res.status(200).json({
+      success: true,
+      accountId,
+      ...page,
+      timestamp: getCurrentTimestamp()
+    });
+    
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch account history');
+  }
+});
+
+app.get('/api/events/stream', authorizes('read-history'), (req, res) => {
+  let filters;
+  try {
+    filters = parseEventFilters(req.query);
+  } catch (error) {
+    return sendError(res, error, 'Failed to open event stream');
+  }
+  
+  streamEvents(req, res, filters);
+});
+
+app.post('/api/webhooks/create', authorizes('manage-service'), validates(requestSchemas.createWebhook), async (req, res) => {
+  try {
+    const { url, description, tokenId, accountId, types, statuses, secret } = req.body;
+    
+    const webhook = createWebhook({ url, description, tokenId, accountId, types, statuses, secret });
+    
+    res.status(201).json({
+      success: true,
+      webhook,
+      message: `Webhook ${webhook.webhookId} registered; keep the secret to verify delivery signatures, it is not shown again`
+    });
+    
+  } catch (error) {
+    sendError(res, error, 'Failed to create webhook');
+  }
+});
+
+app.get('/api/webhooks', authorizes('manage-service'), async (req, res) => {
+  try {
+    const webhooks = listWebhooks();
+    
+    res.status(200).json({
+      success: true,
+      webhookCount: webhooks.length,
+      webhooks,
+      timestamp: getCurrentTimestamp()
+    });
+    
+  } catch (error) {
+    sendError(res, error, 'Failed to list webhooks');
+  }
+});
+
+app.post('/api/webhooks/delete', authorizes('manage-service'), validates(requestSchemas.deleteWebhook), async (req, res) => {
+  try {
+    const { webhookId } = req.body;
+    
+    const webhook = deleteWebhook(webhookId);
+    
+    res.status(200).json({
+      success: true,
+      webhook,
+      message: `Webhook ${webhookId} deleted; its pending deliveries are cancelled`
+    });
+    
+  } catch (error) {
+    sendError(res, error, 'Failed to delete webhook');
+  }
+});
+
+app.get('/api/webhooks/deliveries', authorizes('manage-service'), async (req, res) => {
+  try {
+    const { webhookId, status } = req.query;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : undefined;
+    
+    if (status && !['PENDING', 'DELIVERED', 'FAILED', 'CANCELLED'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be one of PENDING, DELIVERED, FAILED, CANCELLED' });
+    }
+    if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+      return res.status(400).json({ error: 'Limit must be a positive integer' });
+    }
+    
+    const deliveries = listDeliveries({ webhookId, status, limit });
+    
+    res.status(200).json({
+      success: true,
+      webhookId,
+      deliveryCount: deliveries.length,
+      deliveries,
+      timestamp: getCurrentTimestamp()
+    });
+    
+  } catch (error) {
+    sendError(res, error, 'Failed to list webhook deliveries');
+  }
+});
+
+app.get('/api/alerts', authorizes('read-history'), async (req, res) => {
+  try {
+    const { tokenId, accountId, status } = req.query;
+    
+    const alerts = listAlerts({ tokenId, accountId, status });
+    
+    res.status(200).json({
+      success: true,
+      tokenId,
+      accountId,
+      alertCount: alerts.length,
+      alerts,
+      timestamp: getCurrentTimestamp()
+    });
+    
+  } catch (error) {
+    sendError(res, error, 'Failed to list alerts');
+  }
+});
+
+app.post('/api/alerts/acknowledge', authorizes('manage-alerts', {
+  accountField: 'accountId',
+  resolveTokenId: (req) => {
+    const alert = getAlertRepository().get(req.body.alertId);
+    return alert && alert.tokenId;
+  }
+}), validates(requestSchemas.acknowledgeAlert), async (req, res) => {
+  try {
+    const { alertId, accountId } = req.body;
+    
+    const alert = acknowledgeAlert(alertId, accountId);
+    
+    res.status(200).json({
+      success: true,
+      alert,
+      message: `Alert ${alertId} acknowledged; it is resolved once stock recovers`
+    });
+    
+  } catch (error) {
+    sendError(res, error, 'Failed to acknowledge alert');
+  }
+});
+
+app.get('/api/tokens/owned', authorizes('read-account', { accountField: 'accountId' }), async (req, res) => {
+  try {
+    const { accountId } = req.query;
+    
+    if (!accountId) {
+      return res.status(400).json({
+        error: 'Account ID is required as a query parameter'
+      });
+    }
+    
+    const { reader } = getClient();
+    
+    // A read only: ownership and metadata of product tokens are restored by
+    // the rebuild from the ledger at startup, and tokens this service does
+    // not know are listed without them.
+    const tokenRelationships = await reader.getAccountTokens(accountId);
+    const ownedTokens = {};
+    
+    for (const [tokenId, tokenInfo] of tokenRelationships.entries()) {
+      try {
+        const stock = fromSmallestUnits(tokenInfo.balance, tokenInfo.decimals);
+        
+        ownedTokens[tokenId] = {
+          tokenId,
+          tokenName: tokenInfo.name,
+          tokenSymbol: tokenInfo.symbol,
+          ...amountFields(getTokenUnit(tokenId, tokenInfo), { currentStock: stock }),
+          metadata: tokenRepository.getMetadata(tokenId),
+          ownership: tokenRepository.getOwnership(tokenId)
+        };
+      } catch (tokenError) {
+        console.warn(`Could not fetch info for token ${tokenId}:`, tokenError.message);
+      }
+    }
+    
+    res.status(200).json({
+      success: true,
+      accountId,
+      tokenCount: Object.keys(ownedTokens).length,
+      tokens: ownedTokens,
+      timestamp: getCurrentTimestamp()
+    });
+    
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch owned tokens');
+  }
+});
+app.get('/api/tokens/info', async (req, res) => {
+  try {
+    const { tokenId } = req.query;
+    
+    if (!tokenId) {
+      return res.status(400).json({ error: 'Token ID is required as a query parameter' });
+    }
+    
+    const { reader } = getClient();
+
+    const tokenInfo = await reader.getTokenInfo(tokenId);
+      
+    const tokenUnit = getTokenUnit(tokenId, tokenInfo);
+    
+    const metadata = tokenRepository.getMetadata(tokenId) || {};
+    
+    const ownershipInfo = tokenRepository.getOwnership(tokenId) || { 
+      ownerAccountId: metadata.ownerAccountId || 'unknown' 
+    };
+    
+    const updated = await updateTokenBalances(tokenId);
+    
+    res.status(200).json({
+      success: true,
+      tokenId,
+      tokenName: tokenInfo.name,
+      tokenSymbol: tokenInfo.symbol,
+      unit: tokenUnit.unit,
+      decimals: tokenUnit.decimals,
+      totalSupply: fromSmallestUnits(tokenInfo.totalSupply, tokenUnit.decimals),
+      totalSupplyExact: formatSmallestUnits(tokenInfo.totalSupply, tokenUnit.decimals),
+      supplyType: isFiniteSupply(tokenInfo) ? 'FINITE' : 'INFINITE',
+      maxSupply: isFiniteSupply(tokenInfo) ? fromSmallestUnits(tokenInfo.maxSupply, tokenUnit.decimals) : null,
+      maxSupplyExact: isFiniteSupply(tokenInfo) ? formatSmallestUnits(tokenInfo.maxSupply, tokenUnit.decimals) : null,
+      ...(updated ? balanceFields(tokenId) : { balances: {}, balancesExact: {} }),
+      ownerAccountId: ownershipInfo.ownerAccountId,
+      memo: tokenInfo.tokenMemo,
+      enabledKeys: getEnabledKeys(ownershipInfo),
+      customFees: describeCustomFees(tokenInfo.customFees, { tokenId, tokenUnit }),
+      paused: tokenInfo.pauseStatus === true,
+      deleted: tokenInfo.isDeleted,
+      metadata: metadata,
+      timestamp: getCurrentTimestamp()
+    });
+    
+  } catch (error) {
+    sendError(res, error, 'Failed to check token info');
+  }
+});
+
+// `operations` plus the metadata anchor, which is only submitted when the
+// token is left in a state it can be updated in. `changes` are the
+// ownership fields the request itself sets.
+function anchoredOperations(operations, changes = {}) {
+  return (req) => {
+    const ownership = tokenRepository.getOwnership(req.body.tokenId);
+    return anchorSkipReason(ownership && { ...ownership, ...changes }) ? operations : [...operations, 'admin'];
+  };
+}
+
+app.post('/api/tokens/metadata', authorizes('edit-metadata', { accountField: 'accountId' }), validates(requestSchemas.updateMetadata), checksOperatorFunds(anchoredOperations([])), checksStockLevels(), async (req, res) => {
+  try {
+    const { tokenId, accountId } = req.body;
+    let { metadata } = req.body;
+    
+    if (metadata.stockLevels !== undefined) {
+      const { ledger } = getClient();
+      const tokenInfo = await ledger.getTokenInfo(tokenId);
+      metadata = {
+        ...metadata,
+        stockLevels: normalizeStockLevels(metadata.stockLevels, getTokenUnit(tokenId, tokenInfo))
+      };
+    }
+    
+    const existingMetadata = tokenRepository.getMetadata(tokenId);
+    const { ledger } = getClient();
+    
+    if (!existingMetadata && !tokenRepository.getOwnership(tokenId)) {
+      try {
+        await ledger.getTokenInfo(tokenId);
+      } catch (error) {
+        return res.status(404).json({ error: `Token ${tokenId} not found` });
+      }
+    }
+    
+    // The whole record has to fit its product type's schema, so a change
+    // of productType is checked against what is already there.
+    const merged = existingMetadata
+      ? { ...existingMetadata, ...metadata, updatedAt: getCurrentTimestamp() }
+      : metadata;
+    const problems = checkProductMetadata(merged);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        error: describeProblems(problems),
+        code: 'VALIDATION_FAILED',
+        fields: problems.map(({ field, error }) => ({ field, error }))
+      });
+    }
+    
+    const updatedMetadata = tokenRepository.saveMetadata(tokenId, merged, {
+      authorAccountId: accountId || null,
+      reason: 'UPDATE'
+    });
+    const version = await anchorMetadata(ledger, tokenId);
+    
+    recordEvent({
+      type: 'METADATA',
+      tokenId,
+      actorAccountId: accountId || null,
+      details: { changedFields: Object.keys(metadata), version: version.version, anchor: version.anchor.status }
+    });
+    
+    res.status(200).json({
+      success: true,
+      tokenId,
+      metadata: updatedMetadata,
+      version: version.version,
+      hash: version.hash,
+      anchor: version.anchor,
+      message: version.anchor.status === 'ANCHORED'
+        ? `Metadata for token ${tokenId} updated to version ${version.version} and its hash anchored on the ledger`
+        : `Metadata for token ${tokenId} updated to version ${version.version}; its hash was not anchored: ${version.anchor.reason || version.anchor.error.message}`,
+      timestamp: getCurrentTimestamp()
+    });
+    
+  } catch (error) {
+    if (!isRequestError(error)) {
+      recordEvent({
+        type: 'METADATA',
+        tokenId: req.body.tokenId,
+        actorAccountId: req.body.accountId || null,
+        status: 'FAILED',
+        error: error.message
+      });
+    }
+    sendError(res, error, 'Failed to update token metadata');
+  }
+});
+
+app.get('/api/tokens/metadata/schemas', (req, res) => {
+  res.status(200).json({
+    success: true,
+    schemas: describeSchemas(),
+    timestamp: getCurrentTimestamp()
+  });
+});
+
+app.get('/api/tokens/metadata/versions', authorizes('read-history'), async (req, res) => {
+  try {
+    const { tokenId, version } = req.query;
+    
+    if (!tokenId) {
+      return res.status(400).json({ error: 'Token ID is required as a query parameter' });
+    }
+    
+    if (version !== undefined) {
+      return res.status(200).json({
+        success: true,
+        tokenId,
+        ...getMetadataVersion(tokenId, version),
+        timestamp: getCurrentTimestamp()
+      });
+    }
+    
+    const versions = listMetadataVersions(tokenId);
+    res.status(200).json({
+      success: true,
+      tokenId,
+      currentVersion: versions[versions.length - 1].version,
+      versions,
+      timestamp: getCurrentTimestamp()
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch metadata versions');
+  }
+});
+
+app.get('/api/tokens/metadata/diff', authorizes('read-history'), async (req, res) => {
+  try {
+    const { tokenId, from, to } = req.query;
+    
+    if (!tokenId) {
+      return res.status(400).json({ error: 'Token ID is required as a query parameter' });
+    }
+    
+    res.status(200).json({
+      success: true,
+      ...diffMetadataVersions(tokenId, { from, to }),
+      timestamp: getCurrentTimestamp()
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to compare metadata versions');
+  }
+});
+
+app.get('/api/tokens/metadata/anchor', authorizes('read-history'), async (req, res) => {
+  try {
+    const { tokenId } = req.query;
+    
+    if (!tokenId) {
+      return res.status(400).json({ error: 'Token ID is required as a query parameter' });
+    }
+    
+    const { reader } = getClient();
+    const result = checkMetadataAnchor(tokenId, await reader.getTokenInfo(tokenId));
+    res.status(200).json({
+      success: true,
+      ...result,
+      message: result.matches
+        ? `The ledger holds the hash of metadata version ${result.currentVersion} of token ${tokenId}`
+        : result.anchoredVersion
+          ? `The ledger holds the hash of metadata version ${result.anchoredVersion} of token ${tokenId}, not of the current version ${result.currentVersion}`
+          : `The hash on the ledger does not match any metadata version of token ${tokenId}`,
+      timestamp: getCurrentTimestamp()
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to check metadata anchor');
+  }
+});
+
+// Anchors the current version again, e.g. after an earlier anchor failed or
+// was skipped while the token was paused.
+app.post('/api/tokens/metadata/anchor', authorizes('edit-metadata', { accountField: 'accountId' }), validates(requestSchemas.anchorMetadata), checksOperatorFunds(anchoredOperations([])), async (req, res) => {
+  try {
+    const { tokenId } = req.body;
+    const { ledger } = getClient();
+    
+    const version = await anchorMetadata(ledger, tokenId);
+    if (version.anchor.status !== 'ANCHORED') {
+      return res.status(version.anchor.status === 'SKIPPED' ? 409 : 502).json({
+        error: version.anchor.reason || version.anchor.error.message,
+        code: version.anchor.status === 'SKIPPED' ? 'CONFLICT' : version.anchor.error.code,
+        tokenId,
+        version: version.version,
+        anchor: version.anchor
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      tokenId,
+      version: version.version,
+      hash: version.hash,
+      anchor: version.anchor,
+      message: `Hash of metadata version ${version.version} of token ${tokenId} anchored on the ledger`,
+      timestamp: getCurrentTimestamp()
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to anchor token metadata');
+  }
+});
+
+async function handleTokenAdmin(req, res, { action, verb, requiredKey, validate, build, apply, message }) {
+  try {
+    const { tokenId, accountId, requesterAccountId } = req.body;
+    
+    const ownership = tokenRepository.getOwnership(tokenId);
+    if (!ownership) {
+      return res.status(404).json({ 
+        error: `No ownership record found for token ID ${tokenId}` 
+      });
+    }
+    if (!getEnabledKeys(ownership).includes(requiredKey)) {
+      return res.status(409).json({ 
+        error: `Token ${tokenId} was created without a ${requiredKey} key, so the owner cannot ${verb} it`,
+        code: requiredKey === 'admin' ? 'TOKEN_IS_IMMUTABLE' : `TOKEN_HAS_NO_${requiredKey.toUpperCase()}_KEY`
+      });
+    }
+    
+    const validationError = validate ? validate(req.body, { ownership }) : null;
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const { client, ledger, operatorPrivateKey } = getClient();
+    // Shared by build, apply and message; actions that move stock set
+    // `amount` ({ amount, unit }) on it for the history event. Apply also
+    // finds the `transactionId` on it.
+    const context = { ledger, ownership, amount: null };
+    
+    const transaction = await (await build(req.body, context))
+      .setMaxTransactionFee(maxTransactionFee('admin'))
+      .freezeWith(client)
+      .sign(operatorPrivateKey);
+    const { transactionId } = await ledger.execute(transaction);
+    context.transactionId = transactionId;
+    
+    const details = apply ? await apply(req.body, context) : {};
+    recordEvent({
+      type: 'ADMIN',
+      tokenId,
+      actorAccountId: requesterAccountId,
+      counterparties: accountId ? [{ accountId, role: 'target' }] : [],
+      amount: context.amount ? context.amount.amount : null,
+      unit: context.amount ? context.amount.unit : null,
+      transactionId,
+      details: { action }
+    });
+    
+    res.status(200).json({
+      success: true,
+      tokenId,
+      action,
+      ...details,
+      transactionId: transactionId.toString(),
+      message: message(req.body, context),
+      timestamp: getCurrentTimestamp()
+    });
+    
+  } catch (error) {
+    if (!isRequestError(error)) {
+      recordEvent({
+        type: 'ADMIN',
+        tokenId: req.body.tokenId,
+        actorAccountId: req.body.requesterAccountId,
+        counterparties: req.body.accountId ? [{ accountId: req.body.accountId, role: 'target' }] : [],
+        transactionId: error.transactionId,
+        status: 'FAILED',
+        error: error.message,
+        details: { action }
+      });
+    }
+    sendError(res, error, `Failed to ${verb} token`);
+  }
+}
+
+// Saves an admin action's changes as a new metadata version and anchors
+// it, unless the action left the token paused or deleted.
+async function updateTokenRecords(tokenId, { ownership = {}, metadata = {} }, { ledger, requesterAccountId }) {
+  const updatedAt = getCurrentTimestamp();
+  
+  const records = {
+    ownership: tokenRepository.saveOwnership(tokenId, {
+      ...tokenRepository.getOwnership(tokenId),
+      ...ownership
+    }),
+    metadata: tokenRepository.saveMetadata(tokenId, {
+      ...tokenRepository.getMetadata(tokenId),
+      ...metadata,
+      updatedAt
+    }, { authorAccountId: requesterAccountId, reason: 'ADMIN' })
+  };
+  const { version, anchor } = await anchorMetadata(ledger, tokenId);
+  return { ...records, metadataVersion: version, anchor };
+}
+
+app.post('/api/tokens/admin/freeze', administers(), validates(requestSchemas.accountAdmin), checksOperatorFunds(['admin']), (req, res) => handleTokenAdmin(req, res, {
+  action: 'freeze',
+  verb: 'freeze accounts for',
+  requiredKey: 'freeze',
+  build: ({ tokenId, accountId }) => new TokenFreezeTransaction()
+    .setTokenId(tokenId)
+    .setAccountId(accountId),
+  apply: ({ tokenId, accountId }) => ({
+    ownership: recordAccountStatus(tokenId, accountId, { frozen: true })
+  }),
+  message: ({ tokenId, accountId }) => `Account ${accountId} is now frozen for token ${tokenId}`
+}));
+
+app.post('/api/tokens/admin/unfreeze', administers(), validates(requestSchemas.accountAdmin), checksOperatorFunds(['admin']), (req, res) => handleTokenAdmin(req, res, {
+  action: 'unfreeze',
+  verb: 'unfreeze accounts for',
+  requiredKey: 'freeze',
+  build: ({ tokenId, accountId }) => new TokenUnfreezeTransaction()
+    .setTokenId(tokenId)
+    .setAccountId(accountId),
+  apply: ({ tokenId, accountId }) => ({
+    ownership: recordAccountStatus(tokenId, accountId, { frozen: false })
+  }),
+  message: ({ tokenId, accountId }) => `Account ${accountId} is no longer frozen for token ${tokenId}`
+}));
+
+app.post('/api/tokens/admin/kyc/grant', administers(), validates(requestSchemas.accountAdmin), checksOperatorFunds(['admin']), (req, res) => handleTokenAdmin(req, res, {
+  action: 'grant-kyc',
+  verb: 'grant KYC for',
+  requiredKey: 'kyc',
+  build: ({ tokenId, accountId }) => new TokenGrantKycTransaction()
+    .setTokenId(tokenId)
+    .setAccountId(accountId),
+  apply: ({ tokenId, accountId }) => ({
+    ownership: recordAccountStatus(tokenId, accountId, { kycGranted: true })
+  }),
+  message: ({ tokenId, accountId }) => `KYC granted to account ${accountId} for token ${tokenId}`
+}));
+
+app.post('/api/tokens/admin/kyc/revoke', administers(), validates(requestSchemas.accountAdmin), checksOperatorFunds(['admin']), (req, res) => handleTokenAdmin(req, res, {
+  action: 'revoke-kyc',
+  verb: 'revoke KYC for',
+  requiredKey: 'kyc',
+  build: ({ tokenId, accountId }) => new TokenRevokeKycTransaction()
+    .setTokenId(tokenId)
+    .setAccountId(accountId),
+  apply: ({ tokenId, accountId }) => ({
+    ownership: recordAccountStatus(tokenId, accountId, { kycGranted: false })
+  }),
+  message: ({ tokenId, accountId }) => `KYC revoked from account ${accountId} for token ${tokenId}`
+}));
+
+app.post('/api/tokens/admin/pause', administers(), validates(requestSchemas.tokenAdmin), checksOperatorFunds(anchoredOperations(['admin'], { paused: true })), (req, res) => handleTokenAdmin(req, res, {
+  action: 'pause',
+  verb: 'pause',
+  requiredKey: 'pause',
+  build: ({ tokenId }) => new TokenPauseTransaction().setTokenId(tokenId),
+  apply: ({ tokenId, requesterAccountId }, { ledger }) => updateTokenRecords(tokenId, {
+    ownership: { paused: true, pausedAt: getCurrentTimestamp() },
+    metadata: { status: 'PAUSED' }
+  }, { ledger, requesterAccountId }),
+  message: ({ tokenId }) => `Token ${tokenId} is paused`
+}));
+
+app.post('/api/tokens/admin/unpause', administers(), validates(requestSchemas.tokenAdmin), checksOperatorFunds(anchoredOperations(['admin'], { paused: false })), (req, res) => handleTokenAdmin(req, res, {
+  action: 'unpause',
+  verb: 'unpause',
+  requiredKey: 'pause',
+  build: ({ tokenId }) => new TokenUnpauseTransaction().setTokenId(tokenId),
+  apply: ({ tokenId, requesterAccountId }, { ledger }) => updateTokenRecords(tokenId, {
+    ownership: { paused: false, pausedAt: null },
+    metadata: { status: 'ACTIVE' }
+  }, { ledger, requesterAccountId }),
+  message: ({ tokenId }) => `Token ${tokenId} is no longer paused`
+}));
+
+app.post('/api/tokens/admin/update', administers(), validates(requestSchemas.updateToken), checksOperatorFunds(anchoredOperations(['admin'])), (req, res) => handleTokenAdmin(req, res, {
+  action: 'update',
+  verb: 'update',
+  requiredKey: 'admin',
+  validate: ({ productName, tokenMemo }, { ownership }) => {
+    if (!productName && tokenMemo === undefined) {
+      return 'Either productName or tokenMemo is required';
+    }
+    if (tokenMemo !== undefined && Buffer.byteLength(tokenMemo) > 100) {
+      return 'Token memo must be at most 100 bytes';
+    }
+    if (Buffer.byteLength(buildTokenMemo(productName || ownership.productName, ownership.ownerAccountId, ownership.unit)) > 100) {
+      return 'Product name is too long for the token memo, which must be at most 100 bytes';
+    }
+    return null;
+  },
+  // The ledger memo is what the startup rebuild reads the owner from, so it
+  // is always written in that format; a free-form memo is kept in metadata.
+  build: ({ tokenId, productName }, { ownership }) => {
+    const transaction = new TokenUpdateTransaction()
+      .setTokenId(tokenId)
+      .setTokenMemo(buildTokenMemo(productName || ownership.productName, ownership.ownerAccountId, ownership.unit));
+    
+    if (productName) {
+      transaction.setTokenName(`${productName} Stock Token`);
+    }
+    return transaction;
+  },
+  apply: async ({ tokenId, productName, tokenMemo, requesterAccountId }, { ledger }) => {
+    const changes = productName ? { productName } : {};
+    const records = await updateTokenRecords(tokenId, {
+      ownership: changes,
+      metadata: tokenMemo !== undefined ? { ...changes, tokenMemo } : changes
+    }, { ledger, requesterAccountId });
+    return {
+      tokenName: productName ? `${productName} Stock Token` : undefined,
+      ...records
+    };
+  },
+  message: ({ tokenId }) => `Token ${tokenId} updated successfully`
+}));
+
+app.post('/api/tokens/admin/delete', administers(), validates(requestSchemas.tokenAdmin), checksOperatorFunds(anchoredOperations(['admin'], { deleted: true })), (req, res) => handleTokenAdmin(req, res, {
+  action: 'delete',
+  verb: 'delete',
+  requiredKey: 'admin',
+  build: ({ tokenId }) => new TokenDeleteTransaction().setTokenId(tokenId),
+  apply: ({ tokenId, requesterAccountId }, { ledger }) => updateTokenRecords(tokenId, {
+    ownership: { deleted: true, deletedAt: getCurrentTimestamp() },
+    metadata: { status: 'DELETED' }
+  }, { ledger, requesterAccountId }),
+  message: ({ tokenId }) => `Token ${tokenId} deleted; its product is discontinued`
+}));
 
-const tokenOwnership = {};
-const tokenMetadata = {}; 
-const tokenBalances = {};  
+app.post('/api/tokens/admin/wipe', administers(), validates(requestSchemas.wipeStock), checksOperatorFunds(['admin']), checksStockLevels(), (req, res) => handleTokenAdmin(req, res, {
+  action: 'wipe',
+  verb: 'wipe stock for',
+  requiredKey: 'wipe',
+  validate: ({ amount, amountKg }) => (amount === undefined && amountKg === undefined)
+    ? 'A positive amount is required'
+    : null,
+  build: async (body, context) => {
+    const tokenInfo = await context.ledger.getTokenInfo(body.tokenId);
+    const tokenUnit = getTokenUnit(body.tokenId, tokenInfo);
+    const requested = readAmount(body, 'amount', tokenUnit);
+    if (requested.units <= 0n) {
+      throw new UnitError('A positive amount is required', { amount: requested.amount });
+    }
+    const balance = await context.ledger.getAccountBalance(body.accountId);
+    context.tokenUnit = tokenUnit;
+    context.units = requested.units;
+    context.amount = { amount: requested.amount, unit: tokenUnit.unit };
+    context.batches = planBatchDraws({
+      tokenId: body.tokenId,
+      accountId: body.accountId,
+      amountUnits: requested.units,
+      balanceUnits: toBigInt(balance.tokens.get(body.tokenId) || 0),
+      tokenUnit,
+      allowExpired: true
+    });
+    return new TokenWipeTransaction()
+      .setTokenId(body.tokenId)
+      .setAccountId(body.accountId)
+      .setAmount(toLong(requested.units));
+  },
+  apply: ({ tokenId, accountId }, { tokenUnit, units, amount, batches, transactionId }) => {
+    applyBatchDraws({ draws: batches.batches, fromAccountId: accountId, type: 'WIPE', transactionId });
+    tokenRepository.adjustBalanceUnits(tokenId, { [accountId]: -units }, tokenUnit.decimals);
+    return {
+      ...amountFields(tokenUnit, { wipedStock: amount.amount }),
+      ...balanceFields(tokenId),
+      batches: batches.batches,
+      unbatchedStock: batches.unbatched
+    };
+  },
+  message: ({ tokenId, accountId }, { amount }) => `Wiped ${amount.amount} ${amount.unit} of token ${tokenId} from account ${accountId}`
+}));
 
-function getCurrentTimestamp() {
-  return new Date().toISOString();
-}
+app.get('/api/tokens/exists', async (req, res) => {
+  try {
+    const { tokenId } = req.query;
+    
+    if (!tokenId) {
+      return res.status(400).json({ error: 'Token ID is required as a query parameter' });
+    }
+    
+    const { reader } = getClient();
 
-function getClient() {
-  const myAccountId = AccountId.fromString(process.env.MY_ACCOUNT_ID);
-  const myPrivateKey = PrivateKey.fromString(process.env.MY_PRIVATE_KEY);
+    try {
+      const tokenInfo = await reader.getTokenInfo(tokenId);
+        
+      res.status(200).json({
+        success: true,
+        tokenId,
+        exists: true,
+        tokenName: tokenInfo.name,
+        tokenSymbol: tokenInfo.symbol,
+        timestamp: getCurrentTimestamp()
+      });
+    } catch (error) {
+      res.status(200).json({
+        success: true,
+        tokenId,
+        exists: false,
+        error: error.message,
+        timestamp: getCurrentTimestamp()
+      });
+    }
+  } catch (error) {
+    sendError(res, error, 'Failed to check token existence');
+  }
+});
 
-  const client = Client.forTestnet(); 
-  client.setOperator(myAccountId, myPrivateKey);
-  
-  return {
-    client,
-    operatorPrivateKey: myPrivateKey,
-    operatorPublicKey: myPrivateKey.publicKey, 
-    operatorAccountId: myAccountId
-  };
+// Callers other than admins only see the tokens they hold a role on.
+function canListToken(caller, ownership) {
+  return !caller || caller.admin || getAccountRoles(ownership, caller.accountId).length > 0;
 }
 
-async function updateTokenBalances(tokenId) {
+app.get('/api/tokens/all', authorizes('read-account'), async (req, res) => {
   try {
-    const { client } = getClient();
+    const tokens = {};
+    const { ledger } = getClient();
+    const tokenIds = tokenRepository.listTokenIds()
+      .filter((tokenId) => getTokenNetwork(tokenRepository.getOwnership(tokenId)) === ledger.network)
+      .filter((tokenId) => canListToken(req.caller, tokenRepository.getOwnership(tokenId)));
     
-    if (!tokenBalances[tokenId]) {
-      tokenBalances[tokenId] = {};
+    // Refresh a few tokens at a time so a long list does not serialize
+    // every mirror node round trip.
+    for (let i = 0; i < tokenIds.length; i += ALL_TOKENS_REFRESH_CONCURRENCY) {
+      await Promise.all(tokenIds
+        .slice(i, i + ALL_TOKENS_REFRESH_CONCURRENCY)
+        .map((tokenId) => updateTokenBalances(tokenId)));
     }
     
-    for (const accountId of Object.keys(tokenBalances[tokenId])) {
-      try {
-        const balance = await new AccountBalanceQuery()
-          .setAccountId(accountId)
-          .execute(client);
-          
-        const tokenBalance = balance.tokens._map.get(tokenId);
-        if (tokenBalance) {
-          const tokenInfo = await new TokenInfoQuery()
-            .setTokenId(tokenId)
-            .execute(client);
-            
-          const decimals = tokenInfo.decimals;
-          const balanceInKg = tokenBalance.toNumber() / (10 ** decimals);
-          
-          tokenBalances[tokenId][accountId] = balanceInKg;
-        }
-      } catch (error) {
-        console.warn(`Could not get balance for account ${accountId}, token ${tokenId}: ${error.message}`);
-      }
+    for (const tokenId of tokenIds) {
+      tokens[tokenId] = {
+        ...tokenRepository.getOwnership(tokenId),
+        metadata: tokenRepository.getMetadata(tokenId) || {},
+        ...balanceFields(tokenId)
+      };
     }
     
-    return tokenBalances[tokenId];
+    res.status(200).json({
+      success: true,
+      network: ledger.network,
+      tokensCount: Object.keys(tokens).length,
+      tokens: tokens,
+      timestamp: getCurrentTimestamp()
+    });
   } catch (error) {
-    console.error(`Failed to update token balances for ${tokenId}: ${error.message}`);
-    return null;
+    sendError(res, error, 'Failed to fetch token list');
   }
-}
+});
 
-app.post('/api/tokens/create', async (req, res) => {
+app.post('/api/lots/create', authorizes('manage-lots', { accountField: 'requesterAccountId' }), validates(requestSchemas.createLot), checksOperatorFunds(['create', 'mint']), async (req, res) => {
   try {
-    const { 
-      productName, 
-      initialStockKg,
-      creatorAccountId,
-      creatorPrivateKey,
-      metadata = {} 
+    const {
+      stockTokenId,
+      requesterAccountId,
+      holderAccountId,
+      lotNumber,
+      origin,
+      harvestDate,
+      certificates = []
     } = req.body;
     
-    if (!productName || initialStockKg === undefined) {
-      return res.status(400).json({ error: 'Missing required parameters: productName, initialStockKg' });
+    const ownership = tokenRepository.getOwnership(stockTokenId);
+    if (!ownership) {
+      return res.status(404).json({ 
+        error: `No ownership record found for token ID ${stockTokenId}` 
+      });
     }
-
-    const { client, operatorPrivateKey, operatorPublicKey, operatorAccountId } = getClient();
     
-    const ownerAccountId = creatorAccountId ? AccountId.fromString(creatorAccountId) : operatorAccountId;
-    
-    let ownerPrivateKey = null;
-    if (creatorPrivateKey) {
-      try {
-        ownerPrivateKey = PrivateKey.fromString(creatorPrivateKey);
-      } catch (err) {
-        return res.status(400).json({ 
-          error: 'Invalid creator private key format',
-          details: err.message
-        });
-      }
+    const connection = getClient();
+    const stockTokenInfo = await connection.ledger.getTokenInfo(stockTokenId);
+    const tokenUnit = getTokenUnit(stockTokenId, stockTokenInfo);
+    const quantity = readAmount(req.body, 'quantity', tokenUnit);
+    if (quantity.units <= 0n) {
+      return res.status(400).json({ 
+        error: 'Stock token ID, requester account ID, lot number and positive quantity are required' 
+      });
     }
-
-    const timestamp = new Date().toISOString().replace(/[^0-9]/g, '').slice(0, 14);
     
-    const tokenName = `${productName} Stock Token`;
+    const lot = await createLot(connection, {
+      stockTokenId,
+      stockTokenInfo,
+      productName: ownership.productName,
+      unit: tokenUnit.unit,
+      holderAccountId: holderAccountId || ownership.ownerAccountId,
+      lotNumber,
+      origin: origin || null,
+      harvestDate: harvestDate || null,
+      certificates,
+      quantityUnits: quantity.units
+    });
     
-
-    const symbol = `${productName.substring(0, 4).toUpperCase()}-${timestamp.slice(-4)}`;
+    res.status(201).json({
+      success: true,
+      lot,
+      message: `Lot ${lotNumber} registered as ${lot.lotId} for token ${stockTokenId}`
+    });
     
+  } catch (error) {
+    sendError(res, error, 'Failed to create lot');
+  }
+});
 
-    const decimals = 2;
-    const initialSupply = initialStockKg * (10 ** decimals);
+app.get('/api/lots', async (req, res) => {
+  try {
+    const { stockTokenId, holderAccountId } = req.query;
     
-
-    const shortMemo = `${productName} | Owner: ${ownerAccountId.toString()}`;
+    if (!stockTokenId && !holderAccountId) {
+      return res.status(400).json({
+        error: 'Stock token ID or holder account ID is required as a query parameter'
+      });
+    }
+    
+    const lots = listLots({ stockTokenId, holderAccountId });
+    
+    res.status(200).json({
+      success: true,
+      stockTokenId,
+      holderAccountId,
+      lotCount: lots.length,
+      lots,
+      timestamp: getCurrentTimestamp()
+    });
     
-    let transaction = new TokenCreateTransaction()
-      .setTokenName(tokenName)
-      .setTokenSymbol(symbol)
-      .setDecimals(decimals) 
-      .setInitialSupply(initialSupply)
-      .setTreasuryAccountId(operatorAccountId) 
-      .setAdminKey(operatorPublicKey) 
-      .setSupplyKey(operatorPublicKey) 
-      .setSupplyType(TokenSupplyType.Infinite)
-      .setTokenType(TokenType.FungibleCommon)
-      .setTokenMemo(shortMemo) 
-      .freezeWith(client);
+  } catch (error) {
+    sendError(res, error, 'Failed to list lots');
+  }
+});
 
-    const signTx = await transaction.sign(operatorPrivateKey);
-    const txResponse = await signTx.execute(client);
-    const receipt = await txResponse.getReceipt(client);
-    const tokenId = receipt.tokenId.toString();
-    tokenOwnership[tokenId] = {
-      ownerAccountId: ownerAccountId.toString(),
-      createdAt: getCurrentTimestamp(),
-      productName
-    };
+app.get('/api/lots/trace', async (req, res) => {
+  try {
+    const { lotId } = req.query;
     
-    tokenMetadata[tokenId] = {
-      productName,
-      type: 'PRODUCT_STOCK',
-      unit: 'KG',
-      ownerAccountId: ownerAccountId.toString(),
-      createdAt: getCurrentTimestamp(),
-      ...metadata
-    };
+    if (!lotId) {
+      return res.status(400).json({
+        error: 'Lot ID is required as a query parameter'
+      });
+    }
     
-    if (!tokenBalances[tokenId]) {
-      tokenBalances[tokenId] = {};
+    const lot = getLot(lotId);
+    if (!lot) {
+      return res.status(404).json({ error: `No lot found with ID ${lotId}` });
     }
-    tokenBalances[tokenId][operatorAccountId.toString()] = initialStockKg;
     
-
-    if (creatorAccountId && 
-        creatorAccountId !== operatorAccountId.toString() && 
-        ownerPrivateKey) {
-      
-      try {
-        const associateTx = await new TokenAssociateTransaction()
-          .setAccountId(ownerAccountId)
-          .setTokenIds([tokenId])
-          .freezeWith(client)
-          .sign(ownerPrivateKey); 
-        
-        const associateSubmit = await associateTx.execute(client);
-        const associateReceipt = await associateSubmit.getReceipt(client);
-        
-        const transferTx = await new TransferTransaction()
-          .addTokenTransfer(tokenId, operatorAccountId, -initialSupply) 
-          .addTokenTransfer(tokenId, ownerAccountId, initialSupply) 
-          .freezeWith(client)
-          .sign(operatorPrivateKey);
-          
-        const transferSubmit = await transferTx.execute(client);
-        await transferSubmit.getReceipt(client);
-        
-        tokenBalances[tokenId][operatorAccountId.toString()] = 0;
-        tokenBalances[tokenId][ownerAccountId.toString()] = initialStockKg;
-          return res.status(201).json({
-          success: true,
-          tokenId,
-          tokenName,
-          tokenSymbol: symbol,
-          initialStockKg,
-          ownerAccountId: ownerAccountId.toString(),
-          balances: tokenBalances[tokenId],
-          tokensTransferred: true,
-          metadata: tokenMetadata[tokenId],
-          message: `Token for ${productName} created successfully and transferred to account ${ownerAccountId}`
-        });
-      } catch (transferError) {
-        if (transferError.toString().includes('TOKEN_ALREADY_ASSOCIATED_WITH_ACCOUNT')) {
-          try {
-            const transferTx = await new TransferTransaction()
-              .addTokenTransfer(tokenId, operatorAccountId, -initialSupply) 
-              .addTokenTransfer(tokenId, ownerAccountId, initialSupply) 
-              .freezeWith(client)
-              .sign(operatorPrivateKey);
-              
-            const transferSubmit = await transferTx.execute(client);
-            await transferSubmit.getReceipt(client);
-            
-            tokenBalances[tokenId][operatorAccountId.toString()] = 0;
-            tokenBalances[tokenId][ownerAccountId.toString()] = initialStockKg;
-            
-            return res.status(201).json({
-              success: true,
-              tokenId,
-              tokenName,
-              tokenSymbol: symbol,
-              initialStockKg,
-              ownerAccountId: ownerAccountId.toString(),
-              balances: tokenBalances[tokenId],
-              tokensTransferred: true,
-              metadata: tokenMetadata[tokenId],
-              message: `Token for ${productName} created successfully and transferred to account ${ownerAccountId} (already associated)`
-            });
-          } catch (secondTransferError) {
-            console.error("Token already associated but transfer failed:", secondTransferError);
-            return res.status(201).json({
-              success: true,
-              tokenId,
-              tokenName,
-              tokenSymbol: symbol,
-              initialStockKg,
-              ownerAccountId: ownerAccountId.toString(),
-              tokensTransferred: false,
-              metadata: tokenMetadata[tokenId],
-              error: `Token created but could not transfer to owner: ${secondTransferError.message}`,
-              message: `Token for ${productName} created successfully but remains with treasury account`
-            });
-          }
-        }
-        
-        console.error("Token created but transfer failed:", transferError);
-        return res.status(201).json({
-          success: true,
-          tokenId,
-          tokenName,
-          tokenSymbol: symbol,
-          initialStockKg,
-          ownerAccountId: ownerAccountId.toString(),
-          tokensTransferred: false,
-          metadata: tokenMetadata[tokenId],
-          error: `Token created but could not transfer to owner: ${transferError.message}`,
-          message: `Token for ${productName} created successfully but remains with treasury account`
-        });
-      }
+    const { ledger } = getClient();
+    let verification;
+    try {
+      verification = await verifyLot(ledger, lot);
+    } catch (error) {
+      console.warn(`Could not verify lot ${lotId} against the ledger: ${error.message}`);
+      verification = { verified: false, error: error.message };
     }
     
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      tokenId,
-      tokenName,
-      tokenSymbol: symbol,
-      initialStockKg,
-      ownerAccountId: ownerAccountId.toString(),
-      tokensTransferred: false,
-      balances: tokenBalances[tokenId],
-      metadata: tokenMetadata[tokenId],
-      message: ownerAccountId.toString() !== operatorAccountId.toString()
-        ? `Token for ${productName} created successfully. Owner should associate token ${tokenId} with their account to receive tokens.`
-        : `Token for ${productName} created successfully and owned by treasury account.`
+      lot,
+      product: tokenRepository.getMetadata(lot.stockTokenId),
+      verification,
+      timestamp: getCurrentTimestamp()
     });
     
   } catch (error) {
-    console.error("Error creating token:", error);
-    res.status(500).json({ 
-      success: false,
-      error: error.message || 'Failed to create token'
-    });
+    sendError(res, error, 'Failed to trace lot');
   }
 });
 
-app.post('/api/tokens/associate', async (req, res) => {
-  try {
-    const { tokenId, accountId, privateKey } = req.body;
+// Hands the buyer its stock from escrow, pays the seller the listing price
+// from the order's escrowed HBAR and returns the rest of what the buyer put
+// up for those units. Only the escrow account signs.
+function buildFillTransfer({ listing, order, units, paidTinybars, refundTinybars }) {
+  const transfer = new TransferTransaction()
+    .addTokenTransfer(listing.tokenId, listing.escrowAccountId, toLong(-units))
+    .addTokenTransfer(listing.tokenId, order.buyerAccountId, toLong(units))
+    .addHbarTransfer(order.escrowAccountId, Hbar.fromTinybars((-(paidTinybars + refundTinybars)).toString()))
+    .addHbarTransfer(listing.sellerAccountId, Hbar.fromTinybars(paidTinybars.toString()));
+  if (refundTinybars > 0n) {
+    transfer.addHbarTransfer(order.buyerAccountId, Hbar.fromTinybars(refundTinybars.toString()));
+  }
+  return transfer;
+}
+
+/**
+ * Settles every listing and order of a token that cross, best prices
+ * first, and returns the fills. A pair whose transfer fails stays on the
+ * book and is tried again the next time the book changes. Must run under
+ * the token's market lock.
+ */
+async function settleMarket(tokenId) {
+  const { client, ledger, operatorPrivateKey } = getClient(getTokenProfileName(tokenId));
+  const tokenInfo = await ledger.getTokenInfo(tokenId);
+  const fills = [];
+  const failed = new Set();
+  
+  for (let match = findMatch(tokenId, failed); match; match = findMatch(tokenId, failed)) {
+    const { listing, order, units } = match;
+    const market = { listingId: listing.listingId, orderId: order.orderId };
     
-    if (!tokenId || !accountId || !privateKey) {
-      return res.status(400).json({ 
-        error: 'Token ID, account ID and private key are required' 
+    let transactionId;
+    try {
+      const transferTx = await buildFillTransfer(match).setMaxTransactionFee(maxTransactionFee('transfer')).freezeWith(client).sign(operatorPrivateKey);
+      transactionId = (await ledger.execute(transferTx)).transactionId.toString();
+    } catch (error) {
+      console.error(`Could not settle listing ${listing.listingId} against order ${order.orderId}:`, error.message);
+      failed.add(`${listing.listingId}/${order.orderId}`);
+      recordEvent({
+        type: 'SELL',
+        tokenId,
+        actorAccountId: listing.sellerAccountId,
+        counterparties: [
+          { accountId: listing.sellerAccountId, role: 'seller' },
+          { accountId: order.buyerAccountId, role: 'buyer' },
+          { accountId: listing.escrowAccountId, role: 'escrow' }
+        ],
+        amount: fromSmallestUnits(units, listing.decimals),
+        unit: listing.unit,
+        transactionId: error.transactionId,
+        status: 'FAILED',
+        error: error.message,
+        details: { market }
       });
+      continue;
     }
     
-    const { client } = getClient();
+    const fill = applyFill({
+      ...match,
+      transactionId,
+      batches: listing.batches ? splitBatchDraws(listing.batches, units, listing) : null
+    });
+    recordSale({
+      tokenId,
+      tokenInfo,
+      amountUnits: units,
+      sellerAccountId: listing.sellerAccountId,
+      senderAccountId: listing.escrowAccountId,
+      buyerAccountId: order.buyerAccountId,
+      price: { pricePerUnitHbar: fill.pricePerUnitHbar, totalPriceHbar: fill.totalPriceHbar },
+      batches: fill.batches,
+      transactionId,
+      charges: await readSaleFees(ledger, tokenInfo, transactionId),
+      market
+    });
+    fills.push(fill);
+  }
+  return fills;
+}
+
+// Opens a listing once the seller's stock has reached escrow, less any
+// custom fees the deposit was charged, and settles what it matches.
+async function openListing(listing, { ledger, tokenInfo, amountUnits, transactionId }) {
+  const units = toBigInt(amountUnits);
+  const charges = await readSaleFees(ledger, tokenInfo, transactionId) || estimateCustomFees(tokenInfo.customFees, {
+    tokenId: listing.tokenId,
+    amountUnits: units,
+    senderAccountId: listing.sellerAccountId,
+    receiverAccountId: listing.escrowAccountId,
+    treasuryAccountId: tokenInfo.treasuryAccountId.toString()
+  });
+  cacheTransfer({
+    tokenId: listing.tokenId,
+    decimals: listing.decimals,
+    fromAccountId: listing.sellerAccountId,
+    toAccountId: listing.escrowAccountId,
+    units,
+    charges
+  });
+  const batches = listing.batches && {
+    batches: applyBatchDraws({
+      draws: listing.batches.batches,
+      fromAccountId: listing.sellerAccountId,
+      toAccountId: listing.escrowAccountId,
+      type: 'ESCROW',
+      transactionId
+    }),
+    unbatched: listing.batches.unbatched
+  };
+  
+  return withMarketLock(listing.tokenId, async () => {
+    openEntry({ ...listing, batches }, {
+      transactionId,
+      escrowedUnits: units - feesPaidInToken(charges, listing.tokenId, listing.escrowAccountId)
+    });
+    const fills = await settleMarket(listing.tokenId);
+    return { listing: getListing(listing.listingId), fills };
+  });
+}
+
+async function openOrder(order, { transactionId }) {
+  return withMarketLock(order.tokenId, async () => {
+    openEntry(order, { transactionId });
+    const fills = await settleMarket(order.tokenId);
+    return { order: getOrder(order.orderId), fills };
+  });
+}
+
+function describeFills(fills) {
+  return fills.length > 0 ? ` and filled ${fills.length} time${fills.length === 1 ? '' : 's'}` : '';
+}
+
+// Returns what a listing or order still holds in escrow to its owner and
+// closes it. Must run under the token's market lock.
+async function refundMarketEntry(entry, status) {
+  const remainder = escrowRemainder(entry);
+  let transactionId = null;
+  
+  if (remainder > 0n) {
+    const { client, ledger, operatorPrivateKey } = getClient(getTokenProfileName(entry.tokenId));
+    const refundTx = entry.listingId
+      ? new TransferTransaction()
+        .addTokenTransfer(entry.tokenId, entry.escrowAccountId, toLong(-remainder))
+        .addTokenTransfer(entry.tokenId, entry.sellerAccountId, toLong(remainder))
+      : new TransferTransaction()
+        .addHbarTransfer(entry.escrowAccountId, Hbar.fromTinybars((-remainder).toString()))
+        .addHbarTransfer(entry.buyerAccountId, Hbar.fromTinybars(remainder.toString()));
+    const signedTx = await refundTx.setMaxTransactionFee(maxTransactionFee('transfer')).freezeWith(client).sign(operatorPrivateKey);
+    transactionId = (await ledger.execute(signedTx)).transactionId.toString();
     
-    try {
-      const key = PrivateKey.fromString(privateKey);
-      const account = AccountId.fromString(accountId);
-      
-      const transaction = await new TokenAssociateTransaction()
-        .setAccountId(account)
-        .setTokenIds([tokenId])
-        .freezeWith(client)
-        .sign(key);
-        
-      const txResponse = await transaction.execute(client);
-      const receipt = await txResponse.getReceipt(client);
-      
-      if (!tokenBalances[tokenId]) {
-        tokenBalances[tokenId] = {};
+    if (entry.listingId) {
+      cacheTransfer({
+        tokenId: entry.tokenId,
+        decimals: entry.decimals,
+        fromAccountId: entry.escrowAccountId,
+        toAccountId: entry.sellerAccountId,
+        units: remainder
+      });
+      if (entry.batches) {
+        applyBatchDraws({
+          draws: entry.batches.batches,
+          fromAccountId: entry.escrowAccountId,
+          toAccountId: entry.sellerAccountId,
+          type: 'RETURN',
+          transactionId
+        });
       }
-      tokenBalances[tokenId][accountId] = 0;
-      
-      res.status(200).json({
-        success: true,
-        tokenId,
-        accountId,
-        message: `Token ${tokenId} successfully associated with account ${accountId}`
+    }
+  }
+  return closeEntry(entry, status, { transactionId });
+}
+
+// Closes listings and orders that ran out of time: pending ones simply
+// lapse, the rest hand back their escrow.
+async function expireMarketEntries() {
+  for (const { tokenId, listingId, orderId } of findExpired()) {
+    try {
+      await withMarketLock(tokenId, async () => {
+        const entry = listingId ? getListing(listingId) : getOrder(orderId);
+        if (!hasExpired(entry)) {
+          return;
+        }
+        if (entry.status === 'PENDING') {
+          closeEntry(entry, 'EXPIRED');
+        } else {
+          await refundMarketEntry(entry, 'EXPIRED');
+        }
       });
     } catch (error) {
-      if (error.toString().includes('TOKEN_ALREADY_ASSOCIATED_WITH_ACCOUNT')) {
-        if (!tokenBalances[tokenId]) {
-          tokenBalances[tokenId] = {};
-        }
-        tokenBalances[tokenId][accountId] = 0; 
-        
-        return res.status(200).json({
-          success: true,
-          tokenId,
-          accountId,
-          message: `Token ${tokenId} was already associated with account ${accountId}`
+      console.error(`Could not expire ${listingId ? `listing ${listingId}` : `order ${orderId}`}:`, error.message);
+    }
+  }
+}
+
+// Opening a listing or order settles it against each entry it crosses on
+// the other side of the book, one transfer per fill.
+function fillOperations(tokenId, crossing) {
+  return Array(countCrossing(tokenId, crossing)).fill('transfer');
+}
+
+const escrowSetups = new Map();
+
+/**
+ * The account the operator profile holds market escrow in, created on
+ * first use. It is keyed to the operator, so fills and refunds are signed
+ * as before, but what it holds is kept apart from the treasury stock and
+ * the HBAR that pays the profile's fees.
+ */
+async function ensureEscrowAccount(ledger) {
+  const repository = getMarketRepository();
+  const stored = repository.getEscrowAccount(ledger.profile);
+  if (stored && stored.network === ledger.network) {
+    return stored;
+  }
+  if (!escrowSetups.has(ledger.profile)) {
+    const setup = (async () => {
+      const { accountId, transactionId } = await ledger.createAccount({ publicKey: ledger.operatorPrivateKey.publicKey });
+      return repository.saveEscrowAccount(ledger.profile, {
+        accountId: accountId.toString(),
+        network: ledger.network,
+        tokenIds: [],
+        transactionId: transactionId.toString(),
+        createdAt: getCurrentTimestamp()
+      });
+    })().finally(() => escrowSetups.delete(ledger.profile));
+    escrowSetups.set(ledger.profile, setup);
+  }
+  return escrowSetups.get(ledger.profile);
+}
+
+// Listed stock can only reach escrow once the escrow account is associated
+// with the token, and KYC granted where the token asks for it.
+async function ensureEscrowAssociation(ledger, tokenId) {
+  const escrow = await ensureEscrowAccount(ledger);
+  if (escrow.tokenIds.includes(tokenId)) {
+    return escrow.accountId;
+  }
+  
+  try {
+    const associateTx = await new TokenAssociateTransaction()
+      .setAccountId(escrow.accountId)
+      .setTokenIds([tokenId])
+      .setMaxTransactionFee(maxTransactionFee('associate'))
+      .freezeWith(ledger.client)
+      .sign(ledger.operatorPrivateKey);
+    await ledger.execute(associateTx);
+  } catch (error) {
+    if (ledgerStatus(error) !== 'TOKEN_ALREADY_ASSOCIATED_TO_ACCOUNT') {
+      throw error;
+    }
+  }
+  cacheAssociation(tokenId, escrow.accountId);
+  await grantKycIfRequired(tokenId, escrow.accountId);
+  
+  const repository = getMarketRepository();
+  const current = repository.getEscrowAccount(ledger.profile);
+  if (!current.tokenIds.includes(tokenId)) {
+    repository.saveEscrowAccount(ledger.profile, { ...current, tokenIds: [...current.tokenIds, tokenId] });
+  }
+  return escrow.accountId;
+}
+
+// Setting up the escrow account and associating it with the token are
+// paid for up front, even when the deposit itself is only prepared.
+function escrowSetupOperations(tokenId, { associates }) {
+  const { ledger } = getClient();
+  const stored = getMarketRepository().getEscrowAccount(ledger.profile);
+  const escrow = stored && stored.network === ledger.network ? stored : null;
+  const operations = escrow ? [] : ['account'];
+  if (associates && !(escrow && escrow.tokenIds.includes(tokenId))) {
+    operations.push('associate');
+    if (getEnabledKeys(tokenRepository.getOwnership(tokenId)).includes('kyc')) {
+      operations.push('admin');
+    }
+  }
+  return operations;
+}
+
+// The escrow deposit and the fills it leads to. A prepared deposit is paid
+// for when it is submitted.
+function listingOperations(req) {
+  const { tokenId, sellerAccountId, pricePerUnitHbar, mode } = req.body;
+  const setup = escrowSetupOperations(tokenId, { associates: true });
+  return mode === 'prepare'
+    ? setup
+    : [...setup, 'transfer', ...fillOperations(tokenId, { side: 'listing', accountId: sellerAccountId, pricePerUnitHbar })];
+}
+
+function orderOperations(req) {
+  const { tokenId, buyerAccountId, maxPricePerUnitHbar, mode } = req.body;
+  const setup = escrowSetupOperations(tokenId, { associates: false });
+  return mode === 'prepare'
+    ? setup
+    : [...setup, 'transfer', ...fillOperations(tokenId, { side: 'order', accountId: buyerAccountId, pricePerUnitHbar: maxPricePerUnitHbar })];
+}
+
+app.post('/api/market/listings/create', authorizes('sell', { accountField: 'sellerAccountId' }), validates(requestSchemas.createListing), checksOperatorFunds(listingOperations), idempotent(), checksStockLevels(), async (req, res) => {
+  try {
+    const { tokenId, sellerAccountId, sellerPrivateKey, pricePerUnitHbar, expiresAt, mode } = req.body;
+    
+    if (!sellerPrivateKey && mode !== 'prepare') {
+      return res.status(400).json({
+        error: 'Either the seller private key or mode "prepare" is required to escrow the listed stock'
+      });
+    }
+    
+    let sellerKey = null;
+    if (sellerPrivateKey) {
+      try {
+        sellerKey = PrivateKey.fromString(sellerPrivateKey);
+      } catch (err) {
+        return res.status(400).json({
+          error: 'Invalid seller private key format',
+          details: err.message
         });
       }
+    }
+    
+    const { client, ledger } = getClient();
+    const tokenInfo = await ledger.getTokenInfo(tokenId);
+    const tokenUnit = getTokenUnit(tokenId, tokenInfo);
+    const requested = readAmount(req.body, 'quantity', tokenUnit);
+    const escrowAccountId = await ensureEscrowAssociation(ledger, tokenId);
+    const listing = draftListing({
+      tokenId,
+      sellerAccountId,
+      escrowAccountId,
+      tokenUnit,
+      quantityUnits: requested.units,
+      pricePerUnitHbar,
+      expiresAt
+    });
+    
+    const estimatedCharges = estimateCustomFees(tokenInfo.customFees, {
+      tokenId,
+      amountUnits: requested.units,
+      senderAccountId: sellerAccountId,
+      receiverAccountId: escrowAccountId,
+      treasuryAccountId: tokenInfo.treasuryAccountId.toString()
+    });
+    const fees = estimatedCharges.length > 0
+      ? saleFeeFields({ tokenId, tokenUnit, amountUnits: requested.units, sellerAccountId, buyerAccountId: escrowAccountId, charges: estimatedCharges })
+      : null;
+    
+    const sellerBalance = await ledger.getAccountBalance(sellerAccountId);
+    const sellerLiveUnits = toBigInt(sellerBalance.tokens.get(tokenId) || 0);
+    if (sellerLiveUnits < requested.units + feesPaidInToken(estimatedCharges, tokenId, sellerAccountId)) {
+      return res.status(409).json({
+        error: fees ? 'Seller has insufficient balance to escrow the listing and its custom fees' : 'Seller has insufficient balance to escrow the listing',
+        code: 'INSUFFICIENT_TOKEN_BALANCE',
+        ...amountFields(tokenUnit, { sellerLiveBalance: fromSmallestUnits(sellerLiveUnits, tokenUnit.decimals) }),
+        fees: fees || undefined
+      });
+    }
+    // The batches a listing escrows are the ones its fills deliver.
+    listing.batches = planBatchDraws({
+      tokenId,
+      accountId: sellerAccountId,
+      amountUnits: requested.units,
+      balanceUnits: sellerLiveUnits,
+      tokenUnit
+    });
+    
+    const depositTx = new TransferTransaction()
+      .addTokenTransfer(tokenId, sellerAccountId, toLong(-requested.units))
+      .addTokenTransfer(tokenId, escrowAccountId, toLong(requested.units));
+    
+    if (mode === 'prepare') {
+      const prepared = prepareTransaction({
+        transaction: depositTx,
+        client,
+        kind: 'market-listing',
+        description: [
+          `Escrow ${requested.amount} ${tokenUnit.unit} of token ${tokenId} from ${sellerAccountId} in ${escrowAccountId} for listing ${listing.listingId} at ${listing.pricePerUnitHbar} HBAR per ${tokenUnit.unit}`,
+          fees && `custom fees apply: the seller sends ${fees.sellerSends} ${tokenUnit.unit}${fees.sellerFeesHbar > 0 ? ` and ${fees.sellerFeesHbar} HBAR` : ''}, the escrow receives ${fees.buyerReceives} ${tokenUnit.unit}`
+        ].filter(Boolean).join('; '),
+        requiredSigners: [sellerAccountId],
+        context: {
+          listingId: listing.listingId,
+          tokenId,
+          amountUnits: requested.units.toString(),
+          amount: requested.amount,
+          unit: tokenUnit.unit,
+          sellerAccountId
+        }
+      });
       
-      throw error;
+      return res.status(201).json({
+        success: true,
+        listing: savePending(listing, prepared),
+        fees: fees || undefined,
+        prepared,
+        message: `Sign the prepared escrow transfer with the key for ${sellerAccountId} and submit it to /api/transactions/submit to open the listing`
+      });
     }
     
-  } catch (error) {
-    console.error("Error associating token:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to associate token'
+    const signedTx = await depositTx.setMaxTransactionFee(maxTransactionFee('transfer')).freezeWith(client).sign(sellerKey);
+    const transactionId = (await ledger.execute(signedTx)).transactionId.toString();
+    const { listing: opened, fills } = await openListing(listing, {
+      ledger,
+      tokenInfo,
+      amountUnits: requested.units,
+      transactionId
+    });
+    
+    res.status(201).json({
+      success: true,
+      listing: opened,
+      fills,
+      fees: fees || undefined,
+      transactionId,
+      message: `Listing ${opened.listingId} opened for ${opened.quantity} ${tokenUnit.unit} at ${opened.pricePerUnitHbar} HBAR per ${tokenUnit.unit}${describeFills(fills)}`
     });
+  } catch (error) {
+    if (!isRequestError(error)) {
+      recordEvent({
+        type: 'LISTING',
+        tokenId: req.body.tokenId,
+        actorAccountId: req.body.sellerAccountId,
+        amount: req.body.quantity === undefined ? null : req.body.quantity,
+        unit: req.body.unit || null,
+        transactionId: error.transactionId,
+        status: 'FAILED',
+        error: error.message,
+        details: { action: 'OPENED' }
+      });
+    }
+    sendError(res, error, 'Failed to create listing');
   }
 });
 
-app.post('/api/tokens/mint', async (req, res) => {
+app.post('/api/market/orders/create', authorizes('trade', { accountField: 'buyerAccountId' }), validates(requestSchemas.createOrder), checksOperatorFunds(orderOperations), idempotent(), checksStockLevels(), async (req, res) => {
   try {
-    const { 
-      tokenId, 
-      amountKg, 
-      accountId
-    } = req.body;
+    const { tokenId, buyerAccountId, buyerPrivateKey, maxPricePerUnitHbar, expiresAt, mode } = req.body;
     
-    if (!tokenId || amountKg === undefined || amountKg <= 0) {
-      return res.status(400).json({ error: 'Token ID and positive amount in kg are required' });
+    if (!buyerPrivateKey && mode !== 'prepare') {
+      return res.status(400).json({
+        error: 'Either the buyer private key or mode "prepare" is required to escrow the order payment'
+      });
     }
     
-    const { client, operatorPrivateKey, operatorAccountId } = getClient();
-
-    if (accountId && tokenOwnership[tokenId] && 
-        tokenOwnership[tokenId].ownerAccountId !== accountId) {
-      return res.status(403).json({ 
-        error: 'Unauthorized: Only the token owner can add stock' 
-      });
+    let buyerKey = null;
+    if (buyerPrivateKey) {
+      try {
+        buyerKey = PrivateKey.fromString(buyerPrivateKey);
+      } catch (err) {
+        return res.status(400).json({
+          error: 'Invalid buyer private key format',
+          details: err.message
+        });
+      }
     }
-
-    const tokenInfo = await new TokenInfoQuery()
-      .setTokenId(tokenId)
-      .execute(client);
-      
-    const decimals = tokenInfo.decimals;
-    const amount = amountKg * (10 ** decimals);
     
-    const mintTx = await new TokenMintTransaction()
-      .setTokenId(tokenId)
-      .setAmount(amount)
-      .freezeWith(client)
-      .sign(operatorPrivateKey);
-      
-    const mintTxSubmit = await mintTx.execute(client);
-    const mintRx = await mintTxSubmit.getReceipt(client);
+    const { client, ledger } = getClient();
+    const tokenInfo = await ledger.getTokenInfo(tokenId);
+    const tokenUnit = getTokenUnit(tokenId, tokenInfo);
+    const requested = readAmount(req.body, 'quantity', tokenUnit);
+    const { accountId: escrowAccountId } = await ensureEscrowAccount(ledger);
+    const order = draftOrder({
+      tokenId,
+      buyerAccountId,
+      escrowAccountId,
+      tokenUnit,
+      quantityUnits: requested.units,
+      maxPricePerUnitHbar,
+      expiresAt
+    });
     
-    if (!tokenBalances[tokenId]) {
-      tokenBalances[tokenId] = {};
+    // Fills are paid out of escrow, so the stock has to be deliverable and
+    // the payment has to be there before the order goes on the book.
+    const buyerBalance = await ledger.getAccountBalance(buyerAccountId);
+    if (!buyerBalance.tokens.has(tokenId)) {
+      return res.status(400).json({
+        error: `Buyer account ${buyerAccountId} must be associated with token ${tokenId} first; use /api/tokens/associate`
+      });
+    }
+    if (BigInt(buyerBalance.hbars.toTinybars().toString()) < BigInt(order.escrowTinybars)) {
+      return res.status(409).json({
+        error: 'Buyer has insufficient HBAR balance to escrow the order',
+        code: 'INSUFFICIENT_ACCOUNT_BALANCE',
+        buyerLiveBalanceHbar: buyerBalance.hbars.to(HbarUnit.Hbar).toNumber(),
+        escrowHbar: order.escrowHbar
+      });
     }
-    const treasuryBalance = tokenBalances[tokenId][operatorAccountId.toString()] || 0;
-    tokenBalances[tokenId][operatorAccountId.toString()] = treasuryBalance + amountKg;
     
-    if (tokenOwnership[tokenId] && 
-        tokenOwnership[tokenId].ownerAccountId !== operatorAccountId.toString()) {
-            
-      const ownerAccount = AccountId.fromString(tokenOwnership[tokenId].ownerAccountId);
-      
-      try {
-        const transferTx = await new TransferTransaction()
-          .addTokenTransfer(tokenId, operatorAccountId, -amount)
-          .addTokenTransfer(tokenId, ownerAccount, amount) 
-          .freezeWith(client)
-          .sign(operatorPrivateKey);
-          
-        const transferSubmit = await transferTx.execute(client);
-        await transferSubmit.getReceipt(client);
-        
-        if (!tokenBalances[tokenId][ownerAccount.toString()]) {
-          tokenBalances[tokenId][ownerAccount.toString()] = 0;
-        }
-        tokenBalances[tokenId][operatorAccountId.toString()] = treasuryBalance;
-        tokenBalances[tokenId][ownerAccount.toString()] += amountKg;
-        
-        return res.status(200).json({
-          success: true,
+    const depositTx = new TransferTransaction()
+      .addHbarTransfer(buyerAccountId, Hbar.fromTinybars((-BigInt(order.escrowTinybars)).toString()))
+      .addHbarTransfer(escrowAccountId, Hbar.fromTinybars(order.escrowTinybars));
+    
+    if (mode === 'prepare') {
+      const prepared = prepareTransaction({
+        transaction: depositTx,
+        client,
+        kind: 'market-order',
+        description: `Escrow ${order.escrowHbar} HBAR from ${buyerAccountId} in ${escrowAccountId} for order ${order.orderId} of ${requested.amount} ${tokenUnit.unit} of token ${tokenId} at up to ${order.maxPricePerUnitHbar} HBAR per ${tokenUnit.unit}`,
+        requiredSigners: [buyerAccountId],
+        context: {
+          orderId: order.orderId,
           tokenId,
-          addedStockKg: amountKg,
-          ownerAccountId: tokenOwnership[tokenId].ownerAccountId,
-          tokensTransferred: true,
-          balances: tokenBalances[tokenId],
-          transactionId: mintTxSubmit.transactionId.toString(),
-          message: `Successfully added ${amountKg} kg to stock and transferred to owner`
-        });
-      } catch (transferError) {
-        if (transferError.toString().includes('TOKEN_NOT_ASSOCIATED_TO_ACCOUNT')) {
-          return res.status(200).json({
-            success: true,
-            tokenId,
-            addedStockKg: amountKg,
-            ownerAccountId: tokenOwnership[tokenId].ownerAccountId,
-            tokensTransferred: false,
-            balances: tokenBalances[tokenId],
-            transactionId: mintTxSubmit.transactionId.toString(),
-            message: `Successfully added ${amountKg} kg to stock. The token is currently held by the treasury account. Owner must associate token ${tokenId} with their account ${ownerAccount.toString()} to receive tokens.`
-          });
-        } else {
-          throw transferError;
+          amount: requested.amount,
+          unit: tokenUnit.unit,
+          buyerAccountId
         }
-      }
+      });
+      
+      return res.status(201).json({
+        success: true,
+        order: savePending(order, prepared),
+        prepared,
+        message: `Sign the prepared escrow transfer with the key for ${buyerAccountId} and submit it to /api/transactions/submit to place the order`
+      });
     }
     
-    res.status(200).json({
+    const signedTx = await depositTx.setMaxTransactionFee(maxTransactionFee('transfer')).freezeWith(client).sign(buyerKey);
+    const transactionId = (await ledger.execute(signedTx)).transactionId.toString();
+    const { order: opened, fills } = await openOrder(order, { transactionId });
+    
+    res.status(201).json({
       success: true,
-      tokenId,
-      addedStockKg: amountKg,
-      ownerAccountId: tokenOwnership[tokenId]?.ownerAccountId || 'unknown',
-      tokensTransferred: false,
-      balances: tokenBalances[tokenId],
-      transactionId: mintTxSubmit.transactionId.toString(),
-      message: `Successfully added ${amountKg} kg to stock`
+      order: opened,
+      fills,
+      transactionId,
+      message: `Order ${opened.orderId} placed for ${opened.quantity} ${tokenUnit.unit} at up to ${opened.maxPricePerUnitHbar} HBAR per ${tokenUnit.unit}${describeFills(fills)}`
     });
-    
   } catch (error) {
-    console.error("Error adding stock:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to add stock'
-    });
+    if (!isRequestError(error)) {
+      recordEvent({
+        type: 'ORDER',
+        tokenId: req.body.tokenId,
+        actorAccountId: req.body.buyerAccountId,
+        amount: req.body.quantity === undefined ? null : req.body.quantity,
+        unit: req.body.unit || null,
+        transactionId: error.transactionId,
+        status: 'FAILED',
+        error: error.message,
+        details: { action: 'OPENED' }
+      });
+    }
+    sendError(res, error, 'Failed to place order');
   }
 });
 
-app.post('/api/tokens/burn', async (req, res) => {
+app.post('/api/market/listings/cancel', authorizes('trade', { accountField: 'sellerAccountId' }), validates(requestSchemas.cancelListing), checksOperatorFunds(['transfer']), checksStockLevels(), async (req, res) => {
   try {
-    const { 
-      tokenId, 
-      amountKg, 
-      accountId
-    } = req.body;
-    
-    if (!tokenId || amountKg === undefined || amountKg <= 0) {
-      return res.status(400).json({ error: 'Token ID and positive amount in kg are required' });
-    }
+    const { listingId, sellerAccountId } = req.body;
     
-    if (accountId && tokenOwnership[tokenId] && 
-        tokenOwnership[tokenId].ownerAccountId !== accountId) {
-      return res.status(403).json({ 
-        error: 'Unauthorized: Only the token owner can reduce stock' 
-      });
-    }
+    const admin = Boolean(req.caller && req.caller.admin);
+    const { tokenId } = getCancellableListing(listingId, sellerAccountId, { admin });
+    res.locals.stockTokenId = tokenId;
+    const listing = await withMarketLock(tokenId, () =>
+      refundMarketEntry(getCancellableListing(listingId, sellerAccountId, { admin }), 'CANCELLED'));
     
-    const { client, operatorPrivateKey } = getClient();
+    res.status(200).json({
+      success: true,
+      listing,
+      message: `Listing ${listingId} cancelled; ${listing.remaining} ${listing.unit} returned to ${listing.sellerAccountId}`
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel listing');
+  }
+});
 
-    const tokenInfo = await new TokenInfoQuery()
-      .setTokenId(tokenId)
-      .execute(client);
-      
-    const decimals = tokenInfo.decimals;
-    const amount = amountKg * (10 ** decimals);
+app.post('/api/market/orders/cancel', authorizes('trade', { accountField: 'buyerAccountId' }), validates(requestSchemas.cancelOrder), checksOperatorFunds(['transfer']), async (req, res) => {
+  try {
+    const { orderId, buyerAccountId } = req.body;
     
-    if (tokenInfo.totalSupply.toNumber() < amount) {
-      return res.status(400).json({ 
-        success: false,
-        error: 'Insufficient stock',
-        requestedReduction: amountKg,
-        availableStockKg: tokenInfo.totalSupply.toNumber() / (10 ** decimals)
-      });
-    }
+    const admin = Boolean(req.caller && req.caller.admin);
+    const { tokenId, escrowHbar } = getCancellableOrder(orderId, buyerAccountId, { admin });
+    const order = await withMarketLock(tokenId, () =>
+      refundMarketEntry(getCancellableOrder(orderId, buyerAccountId, { admin }), 'CANCELLED'));
     
-    const burnTx = await new TokenBurnTransaction()
-      .setTokenId(tokenId)
-      .setAmount(amount)
-      .freezeWith(client)
-      .sign(operatorPrivateKey);
-      
-    const burnTxSubmit = await burnTx.execute(client);
-    const burnRx = await burnTxSubmit.getReceipt(client);
+    res.status(200).json({
+      success: true,
+      order,
+      message: `Order ${orderId} cancelled; ${escrowHbar} HBAR returned to ${order.buyerAccountId}`
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel order');
+  }
+});
 
-    if (tokenBalances[tokenId]) {
-      const ownerAccountId = tokenOwnership[tokenId].ownerAccountId;
-      if (tokenBalances[tokenId][ownerAccountId]) {
-        tokenBalances[tokenId][ownerAccountId] -= amountKg;
-      }
+app.get('/api/market/book', async (req, res) => {
+  try {
+    const { tokenId } = req.query;
+    
+    if (!tokenId) {
+      return res.status(400).json({ error: 'Token ID is required as a query parameter' });
     }
     
-    await updateTokenBalances(tokenId);
+    const { ledger } = getClient();
+    const tokenInfo = await ledger.getTokenInfo(tokenId);
     
     res.status(200).json({
       success: true,
-      tokenId,
-      reducedStockKg: amountKg,
-      ownerAccountId: tokenOwnership[tokenId]?.ownerAccountId || 'unknown',
-      balances: tokenBalances[tokenId] || {},
-      transactionId: burnTxSubmit.transactionId.toString(),
-      message: `Successfully reduced stock by ${amountKg} kg`
+      ...getOrderBook(tokenId, getTokenUnit(tokenId, tokenInfo)),
+      product: tokenRepository.getMetadata(tokenId),
+      timestamp: getCurrentTimestamp()
     });
-    
   } catch (error) {
-    console.error("Error reducing stock:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to reduce stock'
-    });
+    sendError(res, error, 'Failed to read order book');
   }
 });
 
-app.post('/api/tokens/sell', async (req, res) => {
+app.get('/api/market/listings', async (req, res) => {
   try {
-    const { 
-      tokenId,
-      amountKg, 
-      sellerAccountId, 
-      sellerPrivateKey,
-      buyerAccountId,
-      buyerPrivateKey
-    } = req.body;
+    const listings = listListings(req.query);
     
-    if (!tokenId || !buyerAccountId || !sellerAccountId || amountKg === undefined || amountKg <= 0) {
-      return res.status(400).json({ 
-        error: 'Token ID, seller account ID, buyer account ID, and positive amount in kg are required' 
-      });
-    }
-    if (!sellerPrivateKey && !buyerPrivateKey) {
-      return res.status(400).json({
-        error: 'Either seller or buyer private key is required for token association'
-      });
-    }
+    res.status(200).json({
+      success: true,
+      count: listings.length,
+      listings,
+      timestamp: getCurrentTimestamp()
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to list marketplace listings');
+  }
+});
 
-    const { client, operatorPrivateKey } = getClient();
+app.get('/api/market/orders', async (req, res) => {
+  try {
+    const orders = listOrders(req.query);
+    
+    res.status(200).json({
+      success: true,
+      count: orders.length,
+      orders,
+      timestamp: getCurrentTimestamp()
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to list marketplace orders');
+  }
+});
 
-    // Get decimals info
-    const tokenInfo = await new TokenInfoQuery()
-      .setTokenId(tokenId)
-      .execute(client);
-    const decimals = tokenInfo.decimals;
-    const amount = amountKg * (10 ** decimals);
+// Repairing writes the ledger's values over the store, which takes more
+// than reading a report.
+function authorizesReconciliation() {
+  return (req, res, next) => authorizes(req.body.repair === true ? 'repair-cache' : 'reconcile', {
+    accountField: 'requesterAccountId'
+  })(req, res, next);
+}
 
-    const sellerAccount = AccountId.fromString(sellerAccountId);
-    const buyerAccount = AccountId.fromString(buyerAccountId);
+function readLimit(query) {
+  const limit = query.limit !== undefined ? Number(query.limit) : undefined;
+  return limit === undefined || (Number.isInteger(limit) && limit > 0) ? { limit } : null;
+}
 
-    let sellerKey = null;
-    let buyerKey = null;
+let reconciliationRunning = false;
 
-    if (sellerPrivateKey) {
+async function runScheduledReconciliation({ repair }) {
+  if (reconciliationRunning) {
+    return;
+  }
+  reconciliationRunning = true;
+  try {
+    for (const profile of listOperatorProfiles()) {
       try {
-        sellerKey = PrivateKey.fromString(sellerPrivateKey);
-      } catch (err) {
-        return res.status(400).json({
-          error: 'Invalid seller private key format',
-          details: err.message
+        const { ledger, reader } = getClient(profile.name);
+        const { reconciliationId, summary } = await reconcile({
+          ledger,
+          reader,
+          tokenIds: selectTokenIds(null, profile.name),
+          repair,
+          trigger: 'scheduled'
         });
+        if (summary.drifted > 0 || summary.unavailable > 0) {
+          console.warn(`Reconciliation ${reconciliationId} for operator profile "${profile.name}": ${summary.drifted} of ${summary.tokens} tokens drifted (${summary.repaired} repaired), ${summary.unavailable} unavailable`);
+        }
+      } catch (error) {
+        console.error(`Scheduled reconciliation for operator profile "${profile.name}" failed:`, error.message);
       }
     }
-    if (buyerPrivateKey) {
+  } finally {
+    reconciliationRunning = false;
+  }
+}
+
+let writeOffRunning = false;
+
+async function runScheduledWriteOff() {
+  if (writeOffRunning) {
+    return;
+  }
+  writeOffRunning = true;
+  try {
+    for (const profile of listOperatorProfiles()) {
       try {
-        buyerKey = PrivateKey.fromString(buyerPrivateKey);
-      } catch (err) {
-        return res.status(400).json({
-          error: 'Invalid buyer private key format',
-          details: err.message
+        const { ledger } = getClient(profile.name);
+        await writeOffExpiredStock(ledger, {
+          tokenIds: selectTokenIds(null, profile.name),
+          trigger: 'scheduled'
         });
+      } catch (error) {
+        console.error(`Scheduled write-off for operator profile "${profile.name}" failed:`, error.message);
       }
     }
+  } finally {
+    writeOffRunning = false;
+  }
+}
 
-    // Always check LIVE seller balance from Hedera!
-    const sellerBalanceQuery = await new AccountBalanceQuery()
-      .setAccountId(sellerAccountId)
-      .execute(client);
-    const tokenBalanceTinyUnits = sellerBalanceQuery.tokens._map.get(tokenId);
-    const sellerLiveBalanceKg = tokenBalanceTinyUnits
-      ? tokenBalanceTinyUnits.toNumber() / (10 ** decimals)
-      : 0;
-    if (sellerLiveBalanceKg < amountKg) {
-      return res.status(400).json({
-        error: 'Seller has insufficient balance',
-        sellerLiveBalanceKg
-      });
-    }
-
-    // Optionally, update the in-memory cache for seller
-    if (!tokenBalances[tokenId]) tokenBalances[tokenId] = {};
-    tokenBalances[tokenId][sellerAccountId] = sellerLiveBalanceKg;
+app.post('/api/inventory/reconcile', authorizesReconciliation(), validates(requestSchemas.reconcileInventory), async (req, res) => {
+  try {
+    const { tokenId, repair = false, requesterAccountId } = req.body;
+    
+    const { ledger, reader } = getClient();
+    const report = await reconcile({
+      ledger,
+      reader,
+      tokenIds: selectTokenIds(tokenId, ledger.profile),
+      repair,
+      actorAccountId: requesterAccountId || null
+    });
+    const { tokens, drifted, repaired } = report.summary;
+    
+    res.status(200).json({
+      success: true,
+      ...report,
+      message: drifted === 0
+        ? `All ${tokens} tokens match the ledger`
+        : `${drifted} of ${tokens} tokens have drifted from the ledger${repair ? `; ${repaired} repaired` : '; reconcile with repair: true to fix them'}`
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to reconcile inventory');
+  }
+});
 
-    // Ensure buyer has an entry in our cache (optional, but safe)
-    if (!tokenBalances[tokenId][buyerAccountId]) {
-      // Also fetch live buyer balance for accuracy
-      const buyerBalanceQuery = await new AccountBalanceQuery()
-        .setAccountId(buyerAccountId)
-        .execute(client);
-      const buyerTokenBalanceTinyUnits = buyerBalanceQuery.tokens._map.get(tokenId);
-      const buyerLiveBalanceKg = buyerTokenBalanceTinyUnits
-        ? buyerTokenBalanceTinyUnits.toNumber() / (10 ** decimals)
-        : 0;
-      tokenBalances[tokenId][buyerAccountId] = buyerLiveBalanceKg;
+app.get('/api/inventory/reconciliations', authorizes('reconcile'), async (req, res) => {
+  try {
+    const { tokenId, reconciliationId } = req.query;
+    const paging = readLimit(req.query);
+    
+    if (!paging) {
+      return res.status(400).json({ error: 'Limit must be a positive integer' });
     }
-
-    // Ensure buyer is associated with the token
-    let needsAssociation = true;
-    if (buyerKey) {
-      try {
-        const accountInfo = await new AccountBalanceQuery()
-          .setAccountId(buyerAccount)
-          .execute(client);
-        if (accountInfo.tokens && accountInfo.tokens._map.has(tokenId)) {
-          needsAssociation = false;
-        }
-      } catch (error) {
-        console.warn(`Could not check if token ${tokenId} is associated with account ${buyerAccountId}: ${error.message}`);
-      }
-      if (needsAssociation) {
-        try {
-          const associateTx = await new TokenAssociateTransaction()
-            .setAccountId(buyerAccount)
-            .setTokenIds([tokenId])
-            .freezeWith(client)
-            .sign(buyerKey);
-          const associateSubmit = await associateTx.execute(client);
-          await associateSubmit.getReceipt(client);
-        } catch (associateError) {
-          if (!associateError.toString().includes('TOKEN_ALREADY_ASSOCIATED_WITH_ACCOUNT')) {
-            throw associateError;
-          }
-        }
-      }
+    
+    if (reconciliationId) {
+      return res.status(200).json({
+        success: true,
+        reconciliation: getReconciliation(reconciliationId, tokenId),
+        timestamp: getCurrentTimestamp()
+      });
     }
+    
+    const reconciliations = listReconciliations({ tokenId, ...paging });
+    res.status(200).json({
+      success: true,
+      count: reconciliations.length,
+      reconciliations,
+      timestamp: getCurrentTimestamp()
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to list reconciliations');
+  }
+});
 
-    // Build and sign transfer transaction
-    let transferTx = new TransferTransaction()
-      .addTokenTransfer(tokenId, sellerAccount, -amount)
-      .addTokenTransfer(tokenId, buyerAccount, amount);
+app.post('/api/inventory/snapshots', authorizes('reconcile', { accountField: 'requesterAccountId' }), validates(requestSchemas.takeSnapshot), async (req, res) => {
+  try {
+    const { tokenId, label, requesterAccountId } = req.body;
+    
+    const { ledger, reader } = getClient();
+    const snapshot = await takeSnapshot({
+      ledger,
+      reader,
+      tokenIds: selectTokenIds(tokenId, ledger.profile),
+      label,
+      takenBy: requesterAccountId || null
+    });
+    
+    res.status(201).json({
+      success: true,
+      snapshot,
+      message: `Inventory snapshot ${snapshot.snapshotId} taken of ${snapshot.tokenIds.length} tokens${snapshot.unavailableTokenIds.length > 0 ? `; ${snapshot.unavailableTokenIds.length} could not be read` : ''}`
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to take inventory snapshot');
+  }
+});
 
-    let frozenTx = await transferTx.freezeWith(client);
-    if (sellerKey) {
-      frozenTx = await frozenTx.sign(sellerKey);
-    }
-    if (buyerKey) {
-      frozenTx = await frozenTx.sign(buyerKey);
+app.get('/api/inventory/snapshots', authorizes('reconcile'), async (req, res) => {
+  try {
+    const { snapshotId, tokenId, accountId } = req.query;
+    const paging = readLimit(req.query);
+    
+    if (!paging) {
+      return res.status(400).json({ error: 'Limit must be a positive integer' });
     }
-    if (!sellerKey && !buyerKey) {
-      frozenTx = await frozenTx.sign(operatorPrivateKey);
+    
+    if (snapshotId) {
+      return res.status(200).json({
+        success: true,
+        snapshot: viewSnapshot(getSnapshot(snapshotId), { tokenId, accountId }),
+        timestamp: getCurrentTimestamp()
+      });
     }
-    const txSubmit = await frozenTx.execute(client);
-    await txSubmit.getReceipt(client);
-
-    // Update in-memory balances for UI (optional)
-    tokenBalances[tokenId][sellerAccountId] -= amountKg;
-    tokenBalances[tokenId][buyerAccountId] += amountKg;
+    
+    const snapshots = listSnapshots({ tokenId, ...paging });
+    res.status(200).json({
+      success: true,
+      count: snapshots.length,
+      snapshots,
+      timestamp: getCurrentTimestamp()
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to list inventory snapshots');
+  }
+});
 
-    // Optionally, update tokenOwnership if all tokens transferred
-    const totalSupply = tokenInfo.totalSupply.toNumber() / (10 ** decimals);
-    if (tokenBalances[tokenId][sellerAccountId] === 0 && tokenBalances[tokenId][buyerAccountId] === totalSupply) {
-      tokenOwnership[tokenId] = {
-        ...tokenOwnership[tokenId],
-        ownerAccountId: buyerAccountId,
-        previousOwnerAccountId: sellerAccountId,
-        lastTransferredAt: getCurrentTimestamp()
-      };
+app.get('/api/inventory/snapshots/compare', authorizes('reconcile'), async (req, res) => {
+  try {
+    const { fromSnapshotId, toSnapshotId, tokenId, accountId } = req.query;
+    
+    if (!fromSnapshotId || !toSnapshotId) {
+      return res.status(400).json({ error: 'fromSnapshotId and toSnapshotId are required as query parameters' });
     }
     
     res.status(200).json({
       success: true,
-      tokenId,
-      amountKg,
-      fromAccount: sellerAccountId,
-      toAccount: buyerAccountId,
-      balances: tokenBalances[tokenId],
-      transactionId: txSubmit.transactionId.toString(),
-      message: `Successfully transferred ${amountKg} kg to account ${buyerAccountId}`
+      ...compareSnapshots(getSnapshot(fromSnapshotId), getSnapshot(toSnapshotId), { tokenId, accountId }),
+      timestamp: getCurrentTimestamp()
     });
   } catch (error) {
-    console.error("Error selling stock:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to sell stock'
-    });
+    sendError(res, error, 'Failed to compare inventory snapshots');
   }
 });
 
-app.get('/api/tokens/ownership', async (req, res) => {
+// Token roles see a token's fees; without a token, callers only see the
+// fees charged to their own account.
+function authorizesFeeReport() {
+  return (req, res, next) => (req.query.tokenId
+    ? authorizes('read-fees')
+    : authorizes('read-account', { accountField: 'accountId' }))(req, res, next);
+}
+
+app.get('/api/batches', authorizes('read-history', {
+  resolveTokenId: (req) => {
+    if (req.query.batchId) {
+      const batch = getBatchRepository().get(req.query.batchId);
+      return batch && batch.tokenId;
+    }
+    return req.query.tokenId;
+  }
+}), async (req, res) => {
   try {
-    const { tokenId } = req.query;
+    const { tokenId, batchId, accountId, status } = req.query;
     
-    if (!tokenId) {
-      return res.status(400).json({
-        error: 'Token ID is required as a query parameter'
+    if (batchId) {
+      return res.status(200).json({
+        success: true,
+        batch: getBatch(batchId),
+        timestamp: getCurrentTimestamp()
       });
     }
-    
-    if (!tokenOwnership[tokenId]) {
-      return res.status(404).json({ 
-        error: `No ownership record found for token ID ${tokenId}` 
-      });
+    if (!tokenId) {
+      return res.status(400).json({ error: 'Token ID or batch ID is required as a query parameter' });
     }
     
+    const batches = listBatches({ tokenId, accountId, status });
     res.status(200).json({
       success: true,
       tokenId,
-      ownership: tokenOwnership[tokenId],
+      count: batches.length,
+      batches,
       timestamp: getCurrentTimestamp()
     });
-    
   } catch (error) {
-    console.error("Error checking token ownership:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to check token ownership'
-    });
+    sendError(res, error, 'Failed to list batches');
   }
 });
 
-app.get('/api/tokens/owned', async (req, res) => {
+app.get('/api/batches/expired', authorizes('read-history'), async (req, res) => {
   try {
-    const { accountId } = req.query;
+    const { tokenId, accountId, asOf } = req.query;
     
-    if (!accountId) {
-      return res.status(400).json({
-        error: 'Account ID is required as a query parameter'
-      });
+    if (asOf !== undefined && Number.isNaN(Date.parse(asOf))) {
+      return res.status(400).json({ error: 'asOf must be an ISO 8601 date and time' });
+    }
+    if (tokenId && !tokenRepository.getOwnership(tokenId)) {
+      return res.status(404).json({ error: `No ownership record found for token ID ${tokenId}` });
     }
     
-    const { client } = getClient();
+    const report = reportExpiredStock({ tokenId, accountId, asOf: asOf !== undefined ? new Date(asOf) : new Date() });
+    res.status(200).json({
+      success: true,
+      ...report,
+      message: report.entries.length === 0
+        ? `No expired stock is held as of ${report.asOf}`
+        : `${report.entries.length} holdings of expired stock across ${report.totals.length} tokens`,
+      timestamp: getCurrentTimestamp()
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to report expired stock');
+  }
+});
+
+app.post('/api/batches/write-off', authorizes('burn', { accountField: 'requesterAccountId' }), validates(requestSchemas.writeOffExpired), checksOperatorFunds(['burn']), async (req, res) => {
+  try {
+    const { tokenId, reason, requesterAccountId } = req.body;
     
-    const balanceQuery = await new AccountBalanceQuery()
-      .setAccountId(accountId)
-      .execute(client);
+    const { ledger } = getClient();
+    const result = await writeOffExpiredStock(ledger, {
+      tokenIds: selectTokenIds(tokenId, ledger.profile),
+      actorAccountId: requesterAccountId || null,
+      reason: reason || null
+    });
     
-    const tokenRelationships = balanceQuery.tokens._map;
-    const ownedTokens = {};
+    const { writtenOff, skipped, failed } = result.summary;
+    res.status(200).json({
+      success: true,
+      ...result,
+      message: writtenOff + skipped + failed === 0
+        ? 'No expired stock to write off'
+        : `Wrote off ${writtenOff} holdings of expired stock${skipped > 0 ? `; ${skipped} skipped` : ''}${failed > 0 ? `; ${failed} failed` : ''}`,
+      timestamp: getCurrentTimestamp()
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to write off expired stock');
+  }
+});
+
+app.get('/api/fees/estimate', authorizes('estimate-fees'), async (req, res) => {
+  try {
+    const { operations } = req.query;
     
-    for (const [tokenId, balance] of tokenRelationships.entries()) {
-      try {
-        const tokenInfo = await new TokenInfoQuery()
-          .setTokenId(tokenId)
-          .execute(client);
-          
-        const decimals = tokenInfo.decimals;
-        const stockKg = balance.toNumber() / (10 ** decimals);
-        
- 
-        
-        if (!tokenBalances[tokenId]) {
-          tokenBalances[tokenId] = {};
-        }
-        tokenBalances[tokenId][accountId] = stockKg;
-        
-        let ownershipInfo = tokenOwnership[tokenId] || { 
-          ownerAccountId: accountId,
-          createdAt: getCurrentTimestamp(),
-          productName: tokenInfo.name.replace(' Stock Token', '')
-        };
-        
-        if (!tokenOwnership[tokenId]) {
-          tokenOwnership[tokenId] = ownershipInfo;
-        }
-        
-        let metadataInfo = tokenMetadata[tokenId] || {
-          productName: tokenInfo.name.replace(' Stock Token', ''),
-          type: 'PRODUCT_STOCK',
-          unit: 'KG',
-          ownerAccountId: accountId,
-          createdAt: getCurrentTimestamp()
-        };
-        
-        if (!tokenMetadata[tokenId]) {
-          tokenMetadata[tokenId] = metadataInfo;
-        }
-        
-        ownedTokens[tokenId] = {
-          tokenId,
-          tokenName: tokenInfo.name,
-          tokenSymbol: tokenInfo.symbol,
-          currentStockKg: stockKg,
-          metadata: metadataInfo,
-          ownership: ownershipInfo
-        };
-      } catch (tokenError) {
-        console.warn(`Could not fetch info for token ${tokenId}:`, tokenError.message);
-      }
+    if (!operations) {
+      return res.status(400).json({ error: 'operations is required as a comma-separated query parameter' });
     }
     
+    const { ledger } = getClient();
+    const estimate = await estimateFees(ledger, String(operations).split(',').map((operation) => operation.trim()).filter(Boolean));
     res.status(200).json({
       success: true,
-      accountId,
-      tokenCount: Object.keys(ownedTokens).length,
-      tokens: ownedTokens,
+      ...estimate,
       timestamp: getCurrentTimestamp()
     });
-    
   } catch (error) {
-    console.error("Error fetching owned tokens:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to fetch owned tokens'
+    sendError(res, error, 'Failed to estimate fees');
+  }
+});
+
+app.get('/api/fees/report', authorizesFeeReport(), async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      ...reportFees(req.query),
+      timestamp: getCurrentTimestamp()
     });
+  } catch (error) {
+    sendError(res, error, 'Failed to report fees');
   }
 });
-app.get('/api/tokens/info', async (req, res) => {
+
+// Callers can follow their own jobs; admin callers can follow any.
+app.get('/api/jobs/status', authorizes('read-account', { accountField: 'accountId' }), async (req, res) => {
   try {
-    const { tokenId } = req.query;
+    const { jobId, accountId } = req.query;
     
-    if (!tokenId) {
-      return res.status(400).json({ error: 'Token ID is required as a query parameter' });
+    if (!jobId) {
+      return res.status(400).json({ error: 'Job ID is required as a query parameter' });
     }
     
-    const { client } = getClient();
+    const job = getJob(jobId);
+    if (isAuthRequired() && !req.caller.admin && job.accountId !== accountId) {
+      throw new JobError(`No job found with ID ${jobId}`, 404, 'NOT_FOUND');
+    }
+    res.status(200).json({
+      success: true,
+      job,
+      timestamp: getCurrentTimestamp()
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to read job');
+  }
+});
 
-    const tokenInfo = await new TokenInfoQuery()
-      .setTokenId(tokenId)
-      .execute(client);
-      
-    const decimals = tokenInfo.decimals;
-    const totalStockKg = tokenInfo.totalSupply.toNumber() / (10 ** decimals);
-    
-    const metadata = tokenMetadata[tokenId] || {};
-    
-    const ownershipInfo = tokenOwnership[tokenId] || { 
-      ownerAccountId: metadata.ownerAccountId || 'unknown' 
-    };
+// `stuck=true` lists the jobs that need re-driving: failed ones and ones a
+// restart cut off.
+app.get('/api/jobs', authorizes('manage-service'), async (req, res) => {
+  try {
+    const { status, type, tokenId, accountId, stuck } = req.query;
+    const paging = readLimit(req.query);
     
-    const balances = await updateTokenBalances(tokenId) || {};
+    if (!paging) {
+      return res.status(400).json({ error: 'Limit must be a positive integer' });
+    }
     
+    const jobs = listJobs({ status, type, tokenId, accountId, stuck: stuck === 'true', ...paging });
     res.status(200).json({
       success: true,
-      tokenId,
-      tokenName: tokenInfo.name,
-      tokenSymbol: tokenInfo.symbol,
-      totalSupply: totalStockKg,
-      balances: balances,
-      ownerAccountId: ownershipInfo.ownerAccountId,
-      memo: tokenInfo.tokenMemo,
-      metadata: metadata,
+      count: jobs.length,
+      jobs,
       timestamp: getCurrentTimestamp()
     });
-    
   } catch (error) {
-    console.error("Error checking token info:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to check token info'
-    });
+    sendError(res, error, 'Failed to list jobs');
   }
 });
 
-app.post('/api/tokens/metadata', async (req, res) => {
+app.post('/api/jobs/retry', authorizes('manage-service'), validates(requestSchemas.retryJob), async (req, res) => {
   try {
-    const { tokenId, metadata } = req.body;
-    
-    if (!tokenId || !metadata) {
-      return res.status(400).json({ error: 'Token ID and metadata are required' });
-    }
+    const { jobId, privateKey } = req.body;
     
-    if (!tokenMetadata[tokenId] && !tokenOwnership[tokenId]) {
+    if (privateKey) {
       try {
-        const { client } = getClient();
-        await new TokenInfoQuery().setTokenId(tokenId).execute(client);
-        tokenMetadata[tokenId] = metadata;
-      } catch (error) {
-        return res.status(404).json({ error: `Token ${tokenId} not found` });
+        PrivateKey.fromString(privateKey);
+      } catch (err) {
+        return res.status(400).json({ error: 'Invalid private key format', details: err.message });
       }
-    } else {
-      tokenMetadata[tokenId] = {
-        ...tokenMetadata[tokenId],
-        ...metadata,
-        updatedAt: getCurrentTimestamp()
-      };
     }
     
+    const { job } = await retryJob(jobId, privateKey ? { ownerPrivateKey: privateKey } : {});
     res.status(200).json({
       success: true,
-      tokenId,
-      metadata: tokenMetadata[tokenId],
-      message: `Metadata for token ${tokenId} updated successfully`,
+      job,
+      message: job.status === 'SUCCEEDED'
+        ? `Job ${jobId} finished`
+        : `Job ${jobId} stopped again at step ${job.steps.find((step) => step.status !== 'SUCCEEDED').name}: ${job.error.message}`,
       timestamp: getCurrentTimestamp()
     });
-    
   } catch (error) {
-    console.error("Error updating token metadata:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to update token metadata'
-    });
+    sendError(res, error, 'Failed to retry job');
   }
 });
 
-app.get('/api/tokens/exists', async (req, res) => {
-  try {
-    const { tokenId } = req.query;
+// Submitting a prepared transaction is when the operator pays for it, and
+// for whatever its handler submits next: the stock handover after a new
+// token's association, or the fills a market deposit settles.
+function preparedOperations(req) {
+  const prepared = getPreparedTransaction(req.body.preparationId);
+  if (!prepared || !prepared.operation) {
+    return [];
+  }
+  const { tokenId, listingId, orderId } = getPreparedContext(prepared.preparationId);
+  if (prepared.kind === 'create-associate') {
+    const kyc = getEnabledKeys(tokenRepository.getOwnership(tokenId)).includes('kyc');
+    return [prepared.operation, ...(kyc ? ['admin'] : []), 'transfer'];
+  }
+  const listing = prepared.kind === 'market-listing' && getListing(listingId);
+  if (listing) {
+    return [prepared.operation, ...fillOperations(listing.tokenId, { side: 'listing', accountId: listing.sellerAccountId, pricePerUnitHbar: listing.pricePerUnitHbar })];
+  }
+  const order = prepared.kind === 'market-order' && getOrder(orderId);
+  if (order) {
+    return [prepared.operation, ...fillOperations(order.tokenId, { side: 'order', accountId: order.buyerAccountId, pricePerUnitHbar: order.maxPricePerUnitHbar })];
+  }
+  return [prepared.operation];
+}
+
+const preparedTransactionHandlers = {
+  associate: async ({ tokenId, accountId }, { transactionId }) => {
+    cacheAssociation(tokenId, accountId);
+    recordEvent({ type: 'ASSOCIATE', tokenId, actorAccountId: accountId, transactionId });
     
-    if (!tokenId) {
-      return res.status(400).json({ error: 'Token ID is required as a query parameter' });
-    }
+    return {
+      tokenId,
+      accountId,
+      message: `Token ${tokenId} successfully associated with account ${accountId}`
+    };
+  },
+  
+  'create-associate': async ({ tokenId, productName, ownerAccountId, initialSupply, initialStock, unit, decimals, batchId }, { transactionId }) => {
+    const { client, ledger, operatorPrivateKey, operatorAccountId } = getClient();
+    recordEvent({ type: 'ASSOCIATE', tokenId, actorAccountId: ownerAccountId, transactionId });
     
-    const { client } = getClient();
-
     try {
-      const tokenInfo = await new TokenInfoQuery()
-        .setTokenId(tokenId)
-        .execute(client);
+      await grantKycIfRequired(tokenId, ownerAccountId);
+      
+      const transferTx = await new TransferTransaction()
+        .addTokenTransfer(tokenId, operatorAccountId, toLong(-toBigInt(initialSupply))) 
+        .addTokenTransfer(tokenId, ownerAccountId, toLong(initialSupply)) 
+        .setMaxTransactionFee(maxTransactionFee('transfer'))
+        .freezeWith(client)
+        .sign(operatorPrivateKey);
         
-      res.status(200).json({
-        success: true,
+      const transferResult = await ledger.execute(transferTx);
+      recordStockHandover({
         tokenId,
-        exists: true,
-        tokenName: tokenInfo.name,
-        tokenSymbol: tokenInfo.symbol,
-        timestamp: getCurrentTimestamp()
+        treasuryAccountId: operatorAccountId.toString(),
+        ownerAccountId,
+        amount: initialStock,
+        unit,
+        transactionId: transferResult.transactionId,
+        reason: 'initial stock'
       });
-    } catch (error) {
-      res.status(200).json({
-        success: true,
+      if (batchId) {
+        applyBatchDraws({
+          draws: [{ batchId, amount: initialStock }],
+          fromAccountId: operatorAccountId.toString(),
+          toAccountId: ownerAccountId,
+          type: 'HANDOVER',
+          transactionId: transferResult.transactionId
+        });
+      }
+      
+      const balances = tokenRepository.setBalanceUnits(tokenId, {
+        [operatorAccountId.toString()]: 0n,
+        [ownerAccountId]: toBigInt(initialSupply)
+      }, decimals);
+      completeStockHandover(tokenId);
+      
+      return {
         tokenId,
-        exists: false,
-        error: error.message,
-        timestamp: getCurrentTimestamp()
+        ownerAccountId,
+        tokensTransferred: true,
+        balances,
+        message: `Token for ${productName} transferred to account ${ownerAccountId}`
+      };
+    } catch (transferError) {
+      console.error("Token associated but transfer failed:", transferError);
+      recordStockHandover({
+        tokenId,
+        treasuryAccountId: operatorAccountId.toString(),
+        ownerAccountId,
+        amount: initialStock,
+        unit,
+        error: transferError,
+        reason: 'initial stock'
       });
+      return {
+        tokenId,
+        ownerAccountId,
+        tokensTransferred: false,
+        ...balanceFields(tokenId),
+        error: `Token associated but could not transfer to owner: ${transferError.message}`,
+        message: `Token for ${productName} remains with treasury account`
+      };
     }
-  } catch (error) {
-    console.error("Error checking token existence:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to check token existence'
+  },
+  
+  sell: async ({ tokenId, amountUnits, sellerAccountId, buyerAccountId, price, lots, batches = null }, { transactionId }) => {
+    const { ledger } = getClient();
+    const tokenInfo = await ledger.getTokenInfo(tokenId);
+    const tokenUnit = getTokenUnit(tokenId, tokenInfo);
+    const amount = fromSmallestUnits(amountUnits, tokenUnit.decimals);
+    const { balances, feesCharged } = recordSale({
+      tokenId,
+      tokenInfo,
+      amountUnits,
+      sellerAccountId,
+      buyerAccountId,
+      price,
+      lots,
+      batches,
+      transactionId,
+      charges: await readSaleFees(ledger, tokenInfo, transactionId)
+    });
+    
+    return {
+      tokenId,
+      ...amountFields(tokenUnit, { amount }),
+      fromAccount: sellerAccountId,
+      toAccount: buyerAccountId,
+      ...(price ? priceFields(tokenUnit, price) : {}),
+      lots: lots || undefined,
+      batches: batches ? batches.batches : undefined,
+      unbatchedStock: batches ? batches.unbatched : undefined,
+      feesCharged: feesCharged || undefined,
+      balances,
+      message: price
+        ? `Successfully transferred ${amount} ${tokenUnit.unit} to account ${buyerAccountId} for ${price.totalPriceHbar} HBAR`
+        : `Successfully transferred ${amount} ${tokenUnit.unit} to account ${buyerAccountId}`
+    };
+  },
+  
+  distribute: async ({ distributionId, batch, tokenId, senderAccountId, recipients }, { transactionId }) => {
+    const { ledger } = getClient();
+    const tokenInfo = await ledger.getTokenInfo(tokenId);
+    const tokenUnit = getTokenUnit(tokenId, tokenInfo);
+    const paid = recipients.map(({ accountId, units, batches = [] }) => ({ accountId, units: toBigInt(units), batches }));
+    const balances = recordDistribution({
+      distributionId,
+      tokenId,
+      tokenUnit,
+      senderAccountId,
+      recipients: paid,
+      transactionId,
+      charges: await readSaleFees(ledger, tokenInfo, transactionId)
+    });
+    
+    return {
+      distributionId,
+      batch,
+      tokenId,
+      recipients: paid.map(({ accountId, units }) => ({
+        accountId,
+        ...amountFields(tokenUnit, { amount: fromSmallestUnits(units, tokenUnit.decimals) })
+      })),
+      balances,
+      message: `Transferred token ${tokenId} from ${senderAccountId} to ${paid.length} accounts for distribution ${distributionId}`
+    };
+  },
+  
+  'market-listing': async ({ listingId, amountUnits }, { transactionId }) => {
+    const { ledger } = getClient();
+    const pending = getListing(listingId);
+    const tokenInfo = await ledger.getTokenInfo(pending.tokenId);
+    const { listing, fills } = await openListing(pending, { ledger, tokenInfo, amountUnits, transactionId });
+    
+    return {
+      listing,
+      fills,
+      message: `Listing ${listingId} opened for ${listing.quantity} ${listing.unit} at ${listing.pricePerUnitHbar} HBAR per ${listing.unit}${describeFills(fills)}`
+    };
+  },
+  
+  'market-order': async ({ orderId }, { transactionId }) => {
+    const { order, fills } = await openOrder(getOrder(orderId), { transactionId });
+    
+    return {
+      order,
+      fills,
+      message: `Order ${orderId} placed for ${order.quantity} ${order.unit} at up to ${order.maxPricePerUnitHbar} HBAR per ${order.unit}${describeFills(fills)}`
+    };
+  }
+};
+
+const ASSOCIATION_KINDS = ['associate', 'create-associate'];
+
+const FAILED_SUBMISSION_EVENTS = {
+  sell: 'SELL',
+  distribute: 'TRANSFER',
+  'market-listing': 'LISTING',
+  'market-order': 'ORDER'
+};
+
+function recordFailedSubmission(prepared, error) {
+  const { tokenId, accountId, ownerAccountId, sellerAccountId, buyerAccountId, senderAccountId, listingId, orderId, distributionId, amount, unit } = prepared.context;
+  const type = FAILED_SUBMISSION_EVENTS[prepared.kind] || 'ASSOCIATE';
+  
+  recordEvent({
+    type,
+    tokenId,
+    actorAccountId: sellerAccountId || buyerAccountId || senderAccountId || accountId || ownerAccountId,
+    counterparties: prepared.kind === 'sell'
+      ? [{ accountId: sellerAccountId, role: 'seller' }, { accountId: buyerAccountId, role: 'buyer' }]
+      : [],
+    amount: type !== 'ASSOCIATE' ? amount : null,
+    unit: type !== 'ASSOCIATE' ? unit : null,
+    transactionId: prepared.transactionId,
+    status: 'FAILED',
+    error: error.message,
+    details: {
+      preparationId: prepared.preparationId,
+      ...(listingId || orderId ? { action: 'OPENED', listingId, orderId } : {}),
+      ...(distributionId ? { reason: 'distribution', distributionId } : {})
+    }
+  });
+}
+
+app.get('/api/transactions/prepared', async (req, res) => {
+  try {
+    const { preparationId } = req.query;
+    
+    if (!preparationId) {
+      return res.status(400).json({ error: 'Preparation ID is required as a query parameter' });
+    }
+    
+    const prepared = getPreparedTransaction(preparationId);
+    if (!prepared) {
+      return res.status(404).json({ error: `No prepared transaction found with ID ${preparationId}` });
+    }
+    
+    res.status(200).json({
+      success: true,
+      prepared,
+      timestamp: getCurrentTimestamp()
     });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch prepared transaction');
   }
 });
 
-app.get('/api/tokens/all', async (req, res) => {
+app.post('/api/transactions/submit', validates(requestSchemas.submitTransaction), checksOperatorFunds(preparedOperations), checksStockLevels(), async (req, res) => {
   try {
-    const tokens = {};
+    const { preparationId, signedTransactionBytes } = req.body;
     
-    for (const tokenId in tokenOwnership) {
-      await updateTokenBalances(tokenId);
-      
-      tokens[tokenId] = {
-        ...tokenOwnership[tokenId],
-        metadata: tokenMetadata[tokenId] || {},
-        balances: tokenBalances[tokenId] || {}
-      };
+    const { prepared, transaction } = openSignedTransaction(preparationId, signedTransactionBytes);
+    const { ledger } = getClient();
+    res.locals.stockTokenId = prepared.context.tokenId;
+    
+    let transactionId = prepared.transactionId;
+    let status = 'SUCCESS';
+    try {
+      const result = await ledger.execute(transaction);
+      transactionId = result.transactionId.toString();
+      status = result.receipt.status.toString();
+    } catch (error) {
+      if (!ASSOCIATION_KINDS.includes(prepared.kind) || 
+          ledgerStatus(error) !== 'TOKEN_ALREADY_ASSOCIATED_TO_ACCOUNT') {
+        markPreparedTransaction(preparationId, 'FAILED', { error: error.message });
+        recordFailedSubmission(prepared, error);
+        throw error;
+      }
+      status = 'TOKEN_ALREADY_ASSOCIATED_TO_ACCOUNT';
     }
     
+    markPreparedTransaction(preparationId, 'SUBMITTED', { receiptStatus: status });
+    const details = await preparedTransactionHandlers[prepared.kind](prepared.context, { transactionId });
+    
     res.status(200).json({
       success: true,
-      tokensCount: Object.keys(tokens).length,
-      tokens: tokens,
-      timestamp: getCurrentTimestamp()
+      preparationId,
+      kind: prepared.kind,
+      transactionId,
+      status,
+      ...details
     });
   } catch (error) {
-    console.error("Error fetching all tokens:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to fetch token list'
+    sendError(res, error, 'Failed to submit prepared transaction');
+  }
+});
+
+app.post('/api/simulator/accounts', authorizes('manage-service'), validates(requestSchemas.createSimulatedAccount), checksOperatorFunds(['account']), async (req, res) => {
+  try {
+    const { ledger } = getClient();
+    
+    if (ledger.name !== 'simulator') {
+      return res.status(404).json({ error: 'Account creation is only available with LEDGER_BACKEND=simulator' });
+    }
+    
+    const { initialBalanceHbar = 100 } = req.body;
+    const privateKey = PrivateKey.generateED25519();
+    
+    const { accountId } = await ledger.createAccount({
+      publicKey: privateKey.publicKey,
+      initialBalanceHbar
+    });
+    
+    res.status(201).json({
+      success: true,
+      accountId: accountId.toString(),
+      privateKey: privateKey.toStringDer(),
+      publicKey: privateKey.publicKey.toStringDer(),
+      initialBalanceHbar,
+      message: `Simulated account ${accountId} created`
     });
+  } catch (error) {
+    sendError(res, error, 'Failed to create simulated account');
   }
 });
 
-app.listen(PORT, () => {
+app.use(handlesErrors());
+
+app.listen(PORT, async () => {
   console.log(`Product Stock Token API running on port ${PORT}`);
+  if (!isAuthRequired()) {
+    console.warn(loadAuthConfiguration().explicit
+      ? 'AUTH_MODE=off: callers are not authenticated and account IDs in requests are trusted as given'
+      : 'WARNING: authentication is OFF because AUTH_MODE is not set and no AUTH_API_KEYS or AUTH_JWT_SECRET is configured. ' +
+        'Callers are not authenticated and account IDs in requests are trusted as given. ' +
+        'Configure credentials (or set AUTH_MODE=required) before exposing this service.');
+  }
+  startWebhookDispatcher();
+  startFeeRecorder();
+  startJobRunner();
+  startAuditTrail();
+  setInterval(expireMarketEntries, MARKET_EXPIRY_INTERVAL_MS).unref();
+  if (reconciliationSchedule) {
+    setInterval(() => runScheduledReconciliation(reconciliationSchedule), reconciliationSchedule.intervalMs).unref();
+    console.log(`Reconciling cached balances with the ledger every ${reconciliationSchedule.intervalMs / 60000} minutes${reconciliationSchedule.repair ? ' and repairing drift' : ''}`);
+  }
+  if (writeOffSchedule) {
+    setInterval(runScheduledWriteOff, writeOffSchedule.intervalMs).unref();
+    console.log(`Writing off expired stock every ${writeOffSchedule.intervalMs / 60000} minutes`);
+  }
+  
+  for (const profile of listOperatorProfiles()) {
+    const { ledger, operatorAccountId } = getClient(profile.name);
+    console.log(`Operator profile "${profile.name}": ${ledger.name} backend, ${profile.network} network (operator ${operatorAccountId})`);
+    
+    try {
+      const mirrorUrl = await configureMirror({ ledger, mirrorNodeUrl: profile.mirrorNodeUrl });
+      console.log(mirrorUrl
+        ? `  Mirror node reads: ${mirrorUrl}`
+        : '  Mirror node reads disabled; reading from consensus nodes');
+    } catch (error) {
+      console.warn(`  Could not configure mirror node, reading from consensus nodes: ${error.message}`);
+    }
+    
+    if (process.env.REBUILD_ON_STARTUP === 'false') {
+      continue;
+    }
+    
+    try {
+      const { restored, refreshed, unavailable } = await rebuildFromLedger({ ledger, tokenRepository });
+      console.log(`  Rebuilt token state from ledger: ${restored.length} restored, ${refreshed.length} refreshed, ${unavailable.length} unavailable`);
+    } catch (error) {
+      console.warn(`  Could not rebuild token state from ledger: ${error.message}`);
+    }
+  }
 });
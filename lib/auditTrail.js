@@ -0,0 +1,392 @@
+const { TopicCreateTransaction, TopicMessageSubmitTransaction } = require('@hashgraph/sdk');
+const {
+  ConfigurationError,
+  getLedger,
+  getOperatorProfile,
+  getCurrentProfileName,
+  runWithOperatorProfile
+} = require('./ledger');
+const { getAuditRepository, getEventRepository, getTokenRepository } = require('./store');
+const { onEvent } = require('./history');
+const { getTokenProfileName } = require('./operatorProfile');
+const { getMirrorClient } = require('./mirror');
+const { maxTransactionFee, chargeFeesTo } = require('./fees');
+const { describeError } = require('./errors');
+const { canonicalJson, hashRecord } = require('./canonicalJson');
+
+// Successful events of these types are published. ADMIN covers the pause,
+// update and delete actions that change a token's metadata.
+const AUDITED_TYPES = ['CREATE', 'MINT', 'BURN', 'SELL', 'METADATA', 'ADMIN'];
+const MESSAGE_VERSION = 1;
+const RETRY_INTERVAL_MS = 30 * 1000;
+
+// How long a published message may take to show up on the mirror node
+// before its absence counts as the message being missing.
+const MIRROR_LAG_MS = 30 * 1000;
+
+// One chain of publications per profile, so messages reach each topic in
+// the order their events were recorded.
+const publishing = new Map();
+
+let enabled = null;
+
+class AuditError extends Error {
+  constructor(message, statusCode, code, details = {}) {
+    super(message);
+    this.name = 'AuditError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Reads AUDIT_TRAIL: "on" (the default) publishes stock events to each
+ * operator profile's consensus topic, "off" records them locally only.
+ */
+function loadAuditConfiguration() {
+  if (enabled === null) {
+    const value = (process.env.AUDIT_TRAIL || 'on').toLowerCase();
+    if (!['on', 'off'].includes(value)) {
+      throw new ConfigurationError(`AUDIT_TRAIL must be "on" or "off", got "${process.env.AUDIT_TRAIL}"`);
+    }
+    enabled = value === 'on';
+  }
+  return { enabled };
+}
+
+function isAudited(event) {
+  return AUDITED_TYPES.includes(event.type) && event.status === 'SUCCESS' && Boolean(event.tokenId);
+}
+
+function buildMessage(event, metadataHash) {
+  return canonicalJson({
+    v: MESSAGE_VERSION,
+    eventId: event.eventId,
+    type: event.type,
+    tokenId: event.tokenId,
+    actorAccountId: event.actorAccountId,
+    amount: event.amount,
+    unit: event.unit,
+    transactionId: event.transactionId,
+    timestamp: event.timestamp,
+    eventHash: hashRecord(event),
+    metadataHash
+  });
+}
+
+function auditProfileName(tokenId) {
+  try {
+    return getTokenProfileName(tokenId) || getCurrentProfileName();
+  } catch (error) {
+    return getCurrentProfileName();
+  }
+}
+
+// The profile's topic: the one its settings name, else the one created for
+// it earlier, else a new one only the operator may submit to.
+async function ensureTopic(ledger) {
+  const repository = getAuditRepository();
+  const configured = getOperatorProfile(ledger.profile).auditTopicId;
+  const stored = repository.getTopic(ledger.profile);
+  if (stored && stored.network === ledger.network && (!configured || stored.topicId === configured)) {
+    return stored.topicId;
+  }
+  if (configured) {
+    return repository.saveTopic(ledger.profile, {
+      topicId: configured,
+      network: ledger.network,
+      configured: true,
+      createdAt: new Date().toISOString()
+    }).topicId;
+  }
+
+  const operatorKey = ledger.operatorPrivateKey.publicKey;
+  const transaction = new TopicCreateTransaction()
+    .setTopicMemo(`Product stock audit trail (${ledger.profile})`)
+    .setAdminKey(operatorKey)
+    .setSubmitKey(operatorKey)
+    .setMaxTransactionFee(maxTransactionFee('audit'))
+    .freezeWith(ledger.client);
+  const { transactionId, receipt } = await ledger.execute(transaction);
+  return repository.saveTopic(ledger.profile, {
+    topicId: receipt.topicId.toString(),
+    network: ledger.network,
+    configured: false,
+    transactionId: transactionId.toString(),
+    createdAt: new Date().toISOString()
+  }).topicId;
+}
+
+async function publishEntry(entry) {
+  const ledger = getLedger(entry.operatorProfile);
+  const topicId = await ensureTopic(ledger);
+  const transaction = new TopicMessageSubmitTransaction()
+    .setTopicId(topicId)
+    .setMessage(entry.message)
+    .setMaxTransactionFee(maxTransactionFee('audit'))
+    .freezeWith(ledger.client);
+  const { transactionId, receipt } = await ledger.execute(transaction);
+
+  return getAuditRepository().saveEntry({
+    ...entry,
+    status: 'PUBLISHED',
+    topicId,
+    sequenceNumber: Number(receipt.topicSequenceNumber.toString()),
+    runningHash: Buffer.from(receipt.topicRunningHash).toString('base64'),
+    transactionId: transactionId.toString(),
+    attempts: entry.attempts + 1,
+    error: null,
+    publishedAt: new Date().toISOString()
+  });
+}
+
+// Publishes the profile's unpublished entries oldest first, stopping at
+// the first failure so later events never overtake it on the topic.
+async function publishPending(profileName) {
+  if (!getOperatorProfile(profileName)) {
+    return;
+  }
+  const repository = getAuditRepository();
+  const pending = repository.findEntries((entry) => entry.operatorProfile === profileName && entry.status !== 'PUBLISHED');
+  for (const entry of pending) {
+    try {
+      await runWithOperatorProfile(profileName, () => chargeFeesTo(entry.actorAccountId, () => publishEntry(entry), { tokenId: entry.tokenId }));
+    } catch (error) {
+      console.warn(`Could not publish ${entry.type} event ${entry.eventId} to the audit topic: ${error.message}`);
+      repository.saveEntry({ ...entry, status: 'FAILED', attempts: entry.attempts + 1, error: describeError(error) });
+      return;
+    }
+  }
+}
+
+function schedulePublish(profileName) {
+  const previous = publishing.get(profileName) || Promise.resolve();
+  const run = previous.then(() => publishPending(profileName));
+  publishing.set(profileName, run);
+  run.finally(() => {
+    if (publishing.get(profileName) === run) {
+      publishing.delete(profileName);
+    }
+  });
+  return run;
+}
+
+// The token's metadata is hashed as the event leaves it, so the topic
+// vouches for the metadata as well as for the event.
+function auditEvent(event) {
+  if (!isAudited(event)) {
+    return;
+  }
+  const operatorProfile = auditProfileName(event.tokenId);
+  const metadataHash = hashRecord(getTokenRepository().getMetadata(event.tokenId));
+  getAuditRepository().saveEntry({
+    eventId: event.eventId,
+    type: event.type,
+    tokenId: event.tokenId,
+    actorAccountId: event.actorAccountId,
+    operatorProfile,
+    status: 'PENDING',
+    message: buildMessage(event, metadataHash),
+    metadataHash,
+    topicId: null,
+    sequenceNumber: null,
+    runningHash: null,
+    transactionId: null,
+    attempts: 0,
+    error: null,
+    recordedAt: event.timestamp,
+    publishedAt: null
+  });
+  schedulePublish(operatorProfile);
+}
+
+function retryUnpublished() {
+  const profiles = new Set(getAuditRepository()
+    .findEntries((entry) => entry.status !== 'PUBLISHED')
+    .map((entry) => entry.operatorProfile));
+  for (const profileName of profiles) {
+    schedulePublish(profileName);
+  }
+}
+
+/**
+ * Publishes every audited event recorded from now on as a canonical JSON
+ * message to its token's operator profile topic, keeping the sequence
+ * number and running hash the network assigned it. Events a previous run
+ * left unpublished, and publications that failed, are retried
+ * periodically.
+ */
+function startAuditTrail() {
+  if (!loadAuditConfiguration().enabled) {
+    return;
+  }
+  onEvent(auditEvent);
+  retryUnpublished();
+  setInterval(retryUnpublished, RETRY_INTERVAL_MS).unref();
+}
+
+function toEntryView({ message, ...entry }) {
+  return entry;
+}
+
+/**
+ * The audit entries recorded for a token, oldest first, with the topic
+ * each was published to.
+ */
+function listAuditTrail(tokenId) {
+  if (!getTokenRepository().getOwnership(tokenId)) {
+    throw new AuditError(`No ownership record found for token ID ${tokenId}`, 404, 'NOT_FOUND');
+  }
+  const entries = getAuditRepository().findEntries((entry) => entry.tokenId === tokenId);
+  return {
+    tokenId,
+    enabled: loadAuditConfiguration().enabled,
+    published: entries.filter((entry) => entry.status === 'PUBLISHED').length,
+    unpublished: entries.filter((entry) => entry.status !== 'PUBLISHED').length,
+    entries: entries.map(toEntryView)
+  };
+}
+
+function parseMessage(text) {
+  try {
+    const message = JSON.parse(text);
+    return message && typeof message === 'object' ? message : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function readTopicMessages(mirror, topicIds, tokenId) {
+  const messages = [];
+  for (const topicId of topicIds) {
+    for (const message of await mirror.getTopicMessages(topicId)) {
+      const body = parseMessage(message.message);
+      if (body && body.tokenId === tokenId) {
+        messages.push({ ...message, topicId, body });
+      }
+    }
+  }
+  return messages;
+}
+
+function problem(code, message, { event = null, entry = null, topicMessage = null } = {}) {
+  return {
+    problem: code,
+    eventId: (event && event.eventId) || (entry && entry.eventId) || (topicMessage && topicMessage.body.eventId) || null,
+    type: (event && event.type) || (topicMessage && topicMessage.body.type) || null,
+    topicId: (entry && entry.topicId) || (topicMessage && topicMessage.topicId) || null,
+    sequenceNumber: (entry && entry.sequenceNumber) || (topicMessage && topicMessage.sequenceNumber) || null,
+    message
+  };
+}
+
+function checkEvent(event, entry, onTopic) {
+  if (entry.status !== 'PUBLISHED') {
+    return problem('NOT_PUBLISHED', `Event ${event.eventId} has not been published yet${entry.error ? `: ${entry.error.message}` : ''}`, { event, entry });
+  }
+  const topicMessage = onTopic.get(`${entry.topicId}#${entry.sequenceNumber}`);
+  if (!topicMessage) {
+    const recent = Date.now() - Date.parse(entry.publishedAt) < MIRROR_LAG_MS;
+    return recent
+      ? problem('NOT_YET_ON_MIRROR', `Message ${entry.sequenceNumber} on topic ${entry.topicId} is not on the mirror node yet`, { event, entry })
+      : problem('MISSING_FROM_TOPIC', `Message ${entry.sequenceNumber} on topic ${entry.topicId} for event ${event.eventId} is not on the topic`, { event, entry });
+  }
+  if (topicMessage.body.eventId !== event.eventId) {
+    return problem('SEQUENCE_MISMATCH', `Message ${entry.sequenceNumber} on topic ${entry.topicId} is for event ${topicMessage.body.eventId}, not ${event.eventId}`, { event, entry });
+  }
+  if (topicMessage.runningHash !== entry.runningHash) {
+    return problem('RUNNING_HASH_MISMATCH', `The running hash recorded for message ${entry.sequenceNumber} does not match the topic's`, { event, entry });
+  }
+  if (topicMessage.body.eventHash !== hashRecord(event)) {
+    return problem('EVENT_ALTERED', `Event ${event.eventId} no longer matches the hash published for it`, { event, entry });
+  }
+  return null;
+}
+
+/**
+ * Re-reads a token's messages from its audit topics through the mirror
+ * node and checks that every audited event in the local history is
+ * unchanged, that no published event has gone from it, and that the
+ * token's metadata still matches the hash of the latest message.
+ * Events recorded before the token's first audited event cannot be
+ * checked and are only counted.
+ */
+async function verifyAuditTrail(tokenId) {
+  const { entries } = listAuditTrail(tokenId);
+  const ledger = getLedger(auditProfileName(tokenId));
+  const mirror = getMirrorClient(ledger);
+  if (!mirror) {
+    throw new AuditError(`Operator profile "${ledger.profile}" has no mirror node configured to read its audit topic from`, 503, 'MIRROR_NODE_REQUIRED');
+  }
+
+  const stored = new Map(entries.map((entry) => [entry.eventId, entry]));
+  const topicIds = [...new Set(entries.filter((entry) => entry.topicId).map((entry) => entry.topicId))];
+  const topicMessages = await readTopicMessages(mirror, topicIds, tokenId);
+  const onTopic = new Map(topicMessages.map((message) => [`${message.topicId}#${message.sequenceNumber}`, message]));
+
+  const events = getEventRepository().find((event) => event.tokenId === tokenId && isAudited(event));
+  const trailStart = entries.length > 0 ? entries[0].recordedAt : null;
+  const problems = [];
+  let predatingTrail = 0;
+  for (const event of events) {
+    const entry = stored.get(event.eventId);
+    if (!entry) {
+      if (!trailStart || event.timestamp < trailStart) {
+        predatingTrail++;
+      } else {
+        problems.push(problem('NOT_AUDITED', `Event ${event.eventId} was never queued for publication`, { event }));
+      }
+      continue;
+    }
+    const found = checkEvent(event, entry, onTopic);
+    if (found) {
+      problems.push(found);
+    }
+  }
+
+  const localEventIds = new Set(events.map((event) => event.eventId));
+  for (const topicMessage of topicMessages) {
+    if (!localEventIds.has(topicMessage.body.eventId)) {
+      problems.push(problem('EVENT_MISSING', `Event ${topicMessage.body.eventId} was published but is no longer in the local history`, { topicMessage }));
+    }
+  }
+
+  const latest = topicMessages
+    .filter((message) => message.body.metadataHash)
+    .sort((a, b) => a.consensusTimestamp.localeCompare(b.consensusTimestamp))
+    .pop();
+  const currentHash = hashRecord(getTokenRepository().getMetadata(tokenId));
+  const metadata = {
+    verified: Boolean(latest) && latest.body.metadataHash === currentHash,
+    publishedHash: latest ? latest.body.metadataHash : null,
+    currentHash,
+    topicId: latest ? latest.topicId : null,
+    sequenceNumber: latest ? latest.sequenceNumber : null
+  };
+  if (latest && !metadata.verified) {
+    problems.push(problem('METADATA_ALTERED', `The metadata of token ${tokenId} does not match the hash published with event ${latest.body.eventId}`, { topicMessage: latest }));
+  }
+
+  return {
+    tokenId,
+    verified: problems.length === 0 && Boolean(latest),
+    operatorProfile: ledger.profile,
+    topicIds,
+    checkedEvents: events.length - predatingTrail,
+    predatingTrail,
+    topicMessages: topicMessages.length,
+    metadata,
+    problems,
+    verifiedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  AUDITED_TYPES,
+  AuditError,
+  loadAuditConfiguration,
+  startAuditTrail,
+  listAuditTrail,
+  verifyAuditTrail
+};
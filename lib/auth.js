@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const { ConfigurationError } = require('./ledger');
+const { recordEvent } = require('./history');
+const { sendError } = require('./errors');
+
+const AUTH_MODES = ['required', 'off'];
+const API_KEY_HEADER = 'X-API-Key';
+const ACCOUNT_ID_PATTERN = /^\d+\.\d+\.\d+$/;
+// Tolerated difference between our clock and the token issuer's.
+const CLOCK_SKEW_SECONDS = 30;
+
+let configuration = null;
+
+class AuthError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'AuthError';
+    this.statusCode = statusCode;
+  }
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function parseApiKeys(value) {
+  if (!value) {
+    return new Map();
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(value);
+  } catch (error) {
+    throw new ConfigurationError(`AUTH_API_KEYS must be valid JSON: ${error.message}`);
+  }
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+    throw new ConfigurationError('AUTH_API_KEYS must be a JSON object of API key to account ID or { accountId, admin }');
+  }
+
+  // Keys are looked up by hash so the secrets themselves are not kept around.
+  const keys = new Map();
+  for (const [key, entry] of Object.entries(entries)) {
+    const { accountId, admin = false } = typeof entry === 'string' ? { accountId: entry } : (entry || {});
+    if (!ACCOUNT_ID_PATTERN.test(accountId || '')) {
+      throw new ConfigurationError(`AUTH_API_KEYS has an invalid account ID: ${JSON.stringify(accountId)}`);
+    }
+    keys.set(hashApiKey(key), { accountId, admin: admin === true });
+  }
+  return keys;
+}
+
+/**
+ * Reads and checks the authentication settings once:
+ *
+ * - AUTH_MODE: `required` or `off`, which trusts the account IDs in
+ *   request bodies as before and is only meant for development. Left
+ *   unset, it is `required` when credentials are configured and `off`
+ *   otherwise, so existing deployments keep working until they add keys.
+ * - AUTH_API_KEYS: JSON of API key to account ID, or to
+ *   `{ "accountId": "0.0.5", "admin": true }`; sent in X-API-Key.
+ * - AUTH_JWT_SECRET: HS256 secret for `Authorization: Bearer` tokens whose
+ *   `sub` (or `accountId`) claim is the caller's account and which must
+ *   carry `exp`; AUTH_JWT_ISSUER and AUTH_JWT_AUDIENCE are checked if set.
+ */
+function loadAuthConfiguration() {
+  if (!configuration) {
+    const apiKeys = parseApiKeys(process.env.AUTH_API_KEYS);
+    const jwtSecret = process.env.AUTH_JWT_SECRET || null;
+    const explicit = Boolean(process.env.AUTH_MODE);
+    const mode = explicit
+      ? process.env.AUTH_MODE.toLowerCase()
+      : (apiKeys.size > 0 || jwtSecret ? 'required' : 'off');
+    if (!AUTH_MODES.includes(mode)) {
+      throw new ConfigurationError(`Unknown AUTH_MODE "${mode}", expected one of: ${AUTH_MODES.join(', ')}`);
+    }
+    if (mode === 'required' && apiKeys.size === 0 && !jwtSecret) {
+      throw new ConfigurationError('AUTH_MODE=required needs AUTH_API_KEYS, AUTH_JWT_SECRET or both (or set AUTH_MODE=off for development)');
+    }
+
+    configuration = {
+      mode,
+      explicit,
+      apiKeys,
+      jwt: jwtSecret && {
+        secret: jwtSecret,
+        issuer: process.env.AUTH_JWT_ISSUER || null,
+        audience: process.env.AUTH_JWT_AUDIENCE || null
+      }
+    };
+  }
+  return configuration;
+}
+
+function isAuthRequired() {
+  return loadAuthConfiguration().mode === 'required';
+}
+
+function decodeJwtPart(part) {
+  try {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AuthError('Bearer token is not a valid JWT', 401);
+  }
+}
+
+function verifyJwt(token, { secret, issuer, audience }) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new AuthError('Bearer token is not a valid JWT', 401);
+  }
+  const [headerPart, payloadPart, signaturePart] = parts;
+  const header = decodeJwtPart(headerPart);
+  const claims = decodeJwtPart(payloadPart);
+
+  if (header.alg !== 'HS256') {
+    throw new AuthError(`Bearer token algorithm ${header.alg} is not accepted; use HS256`, 401);
+  }
+  const expected = crypto.createHmac('sha256', secret).update(`${headerPart}.${payloadPart}`).digest();
+  const signature = Buffer.from(signaturePart, 'base64url');
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    throw new AuthError('Bearer token signature is invalid', 401);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number') {
+    throw new AuthError('Bearer token must have an exp claim', 401);
+  }
+  if (claims.exp + CLOCK_SKEW_SECONDS <= now) {
+    throw new AuthError('Bearer token has expired', 401);
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_SKEW_SECONDS > now) {
+    throw new AuthError('Bearer token is not valid yet', 401);
+  }
+  if (issuer && claims.iss !== issuer) {
+    throw new AuthError('Bearer token was issued by an untrusted issuer', 401);
+  }
+  if (audience && ![].concat(claims.aud || []).includes(audience)) {
+    throw new AuthError('Bearer token is not meant for this service', 401);
+  }
+
+  const accountId = claims.accountId || claims.sub;
+  if (!ACCOUNT_ID_PATTERN.test(accountId || '')) {
+    throw new AuthError('Bearer token subject must be a Hedera account ID', 401);
+  }
+  return { accountId, admin: claims.admin === true };
+}
+
+// The caller behind a request's credentials, or null if it sent none.
+function identifyCaller(req) {
+  const { apiKeys, jwt } = loadAuthConfiguration();
+  const apiKey = req.get(API_KEY_HEADER);
+  const authorization = req.get('Authorization');
+
+  if (apiKey) {
+    const entry = apiKeys.get(hashApiKey(apiKey));
+    if (!entry) {
+      throw new AuthError('API key is not recognised', 401);
+    }
+    return { ...entry, credential: 'api-key' };
+  }
+  if (authorization) {
+    const [scheme, token] = authorization.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      throw new AuthError('Authorization header must be "Bearer <token>"', 401);
+    }
+    if (!jwt) {
+      throw new AuthError('Bearer tokens are not accepted by this service; use an API key', 401);
+    }
+    return { ...verifyJwt(token, jwt), credential: 'jwt' };
+  }
+  return null;
+}
+
+/**
+ * Logs a refused request and records it in the history as an
+ * ACCESS_DENIED event, so denied attempts can be audited per token and
+ * per account like any other operation.
+ */
+function recordAccessDenied(req, error, { action = null, tokenId = null } = {}) {
+  const accountId = req.caller ? req.caller.accountId : null;
+  console.warn(`Access denied (${error.statusCode}) for ${req.method} ${req.path}${accountId ? ` by ${accountId}` : ''}: ${error.message}`);
+  recordEvent({
+    type: 'ACCESS_DENIED',
+    tokenId,
+    actorAccountId: accountId,
+    status: 'FAILED',
+    error: error.message,
+    details: {
+      action,
+      method: req.method,
+      path: req.path,
+      statusCode: error.statusCode,
+      credential: req.caller ? req.caller.credential : null
+    }
+  });
+}
+
+/**
+ * Express middleware that identifies the caller from an X-API-Key header or
+ * an `Authorization: Bearer` JWT and leaves it in `req.caller` as
+ * `{ accountId, admin, credential }`. When authentication is required,
+ * requests without valid credentials are rejected with 401.
+ */
+function authenticates() {
+  return (req, res, next) => {
+    req.caller = null;
+    if (!isAuthRequired()) {
+      return next();
+    }
+
+    try {
+      req.caller = identifyCaller(req);
+      if (!req.caller) {
+        throw new AuthError(`Authentication required: send an ${API_KEY_HEADER} header or a Bearer token`, 401);
+      }
+    } catch (error) {
+      if (!(error instanceof AuthError)) {
+        return next(error);
+      }
+      recordAccessDenied(req, error);
+      return sendError(res.set('WWW-Authenticate', 'Bearer'), error);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  AuthError,
+  loadAuthConfiguration,
+  isAuthRequired,
+  recordAccessDenied,
+  authenticates
+};
@@ -0,0 +1,460 @@
+const crypto = require('crypto');
+const { TokenBurnTransaction, TokenWipeTransaction } = require('@hashgraph/sdk');
+const { ConfigurationError } = require('./ledger');
+const { getBatchRepository, getTokenRepository } = require('./store');
+const { recordEvent } = require('./history');
+const { fromSmallestUnits, toUnits, fromUnits, toBigInt, toLong } = require('./units');
+const { maxTransactionFee } = require('./fees');
+const { describeError } = require('./errors');
+
+const BATCH_STATUSES = ['ACTIVE', 'EXPIRED', 'DEPLETED'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class BatchError extends Error {
+  constructor(message, statusCode, code, details = {}) {
+    super(message);
+    this.name = 'BatchError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Reads EXPIRY_WRITE_OFF_INTERVAL_MINUTES, how often expired stock of every
+ * profile's tokens is written off in the background (off when unset).
+ */
+function loadWriteOffSchedule() {
+  const { EXPIRY_WRITE_OFF_INTERVAL_MINUTES: interval } = process.env;
+  if (interval === undefined || interval === '') {
+    return null;
+  }
+  const minutes = Number(interval);
+  if (!(minutes > 0)) {
+    throw new ConfigurationError(`EXPIRY_WRITE_OFF_INTERVAL_MINUTES must be a positive number of minutes, got "${interval}"`);
+  }
+  return { intervalMs: minutes * 60 * 1000 };
+}
+
+// Batch amounts are kept in the token's unit like the rest of the records;
+// sums and differences are done in its smallest units.
+function minUnits(a, b) {
+  return a < b ? a : b;
+}
+
+function heldUnits(batch, accountId) {
+  return toUnits(batch, batch.holdings[accountId] || 0);
+}
+
+function remainingUnits(batch) {
+  return Object.values(batch.holdings).reduce((total, amount) => total + toUnits(batch, amount), 0n);
+}
+
+function isExpired(batch, asOf) {
+  return Boolean(batch.expiryDate) && new Date(batch.expiryDate) <= asOf;
+}
+
+function batchStatus(batch, asOf) {
+  if (remainingUnits(batch) === 0n) {
+    return 'DEPLETED';
+  }
+  return isExpired(batch, asOf) ? 'EXPIRED' : 'ACTIVE';
+}
+
+function toBatchView(batch, asOf = new Date()) {
+  return { ...batch, remaining: fromUnits(batch, remainingUnits(batch)), status: batchStatus(batch, asOf) };
+}
+
+// Oldest production first; batches produced together go by expiry, and
+// batches that never expire after those that do.
+function compareAge(a, b) {
+  return a.productionDate.localeCompare(b.productionDate) ||
+    (a.expiryDate || '\uffff').localeCompare(b.expiryDate || '\uffff') ||
+    a.createdAt.localeCompare(b.createdAt);
+}
+
+/**
+ * Reads the batch a create or mint request records its stock as:
+ * `batchNumber` (numbered per token when left out), `productionDate` (now
+ * when left out) and `expiryDate` (none for stock that does not expire).
+ * The batch ID is fixed here so a retried mint records its batch once;
+ * `tokenId` is null for a token that is still to be created.
+ */
+function readBatch(tokenId, { batchNumber, productionDate, expiryDate }, now = new Date()) {
+  const produced = productionDate !== undefined ? new Date(productionDate) : now;
+  const expires = expiryDate !== undefined ? new Date(expiryDate) : null;
+  if (produced > now) {
+    throw new BatchError('productionDate cannot be in the future', 400, 'INVALID_REQUEST');
+  }
+  if (expires && expires <= produced) {
+    throw new BatchError('expiryDate must be after productionDate', 400, 'INVALID_REQUEST');
+  }
+  if (expires && expires <= now) {
+    throw new BatchError(`Stock that expired on ${expires.toISOString()} cannot be minted`, 400, 'INVALID_REQUEST');
+  }
+  if (batchNumber !== undefined) {
+    const duplicate = getBatchRepository().find((batch) => batch.tokenId === tokenId && batch.batchNumber === batchNumber)[0];
+    if (duplicate) {
+      throw new BatchError(`Batch number ${batchNumber} already exists for token ${tokenId}`, 409, 'CONFLICT', { batchId: duplicate.batchId });
+    }
+  }
+  return {
+    batchId: crypto.randomUUID(),
+    batchNumber: batchNumber === undefined ? null : batchNumber,
+    productionDate: produced.toISOString(),
+    expiryDate: expires ? expires.toISOString() : null
+  };
+}
+
+// Records minted stock as a batch held by `holderAccountId`. `units` is in
+// the token's smallest units.
+function recordBatch({ batch, tokenId, units, unit, decimals, holderAccountId, transactionId }) {
+  const repository = getBatchRepository();
+  const existing = repository.get(batch.batchId);
+  if (existing) {
+    return toBatchView(existing);
+  }
+
+  const quantity = fromSmallestUnits(units, decimals);
+  const createdAt = new Date().toISOString();
+  return toBatchView(repository.save({
+    batchId: batch.batchId,
+    tokenId,
+    batchNumber: batch.batchNumber || String(repository.find((entry) => entry.tokenId === tokenId).length + 1),
+    productionDate: batch.productionDate,
+    expiryDate: batch.expiryDate,
+    quantity,
+    unit,
+    decimals,
+    holdings: { [holderAccountId]: quantity },
+    movements: [{
+      type: 'MINTED',
+      toAccountId: holderAccountId,
+      amount: quantity,
+      transactionId: transactionId.toString(),
+      at: createdAt
+    }],
+    mintTransactionId: transactionId.toString(),
+    createdAt
+  }));
+}
+
+function describeDraw(batch, units, asOf) {
+  return {
+    batchId: batch.batchId,
+    batchNumber: batch.batchNumber,
+    productionDate: batch.productionDate,
+    expiryDate: batch.expiryDate,
+    expired: isExpired(batch, asOf),
+    amount: fromUnits(batch, units),
+    unit: batch.unit
+  };
+}
+
+/**
+ * Picks the stock a sale, burn or transfer of `amountUnits` takes from
+ * `accountId`: first stock no batch accounts for (created or minted before
+ * batches were kept, so older than any of them), then its unexpired
+ * batches oldest first. A burn falls back on expired batches last; a sale
+ * that unexpired stock cannot cover is refused. `balanceUnits` is the
+ * account's live balance, and nothing past it is drawn.
+ */
+function planBatchDraws({ tokenId, accountId, amountUnits, balanceUnits, tokenUnit, allowExpired = false, asOf = new Date() }) {
+  const held = getBatchRepository()
+    .find((batch) => batch.tokenId === tokenId && heldUnits(batch, accountId) > 0n)
+    .sort(compareAge);
+  const fresh = held.filter((batch) => !isExpired(batch, asOf));
+  const expired = held.filter((batch) => isExpired(batch, asOf));
+  const total = (batches) => batches.reduce((sum, batch) => sum + heldUnits(batch, accountId), 0n);
+  const balance = toBigInt(balanceUnits);
+  const unbatchedUnits = balance > total(held) ? balance - total(held) : 0n;
+
+  let left = minUnits(toBigInt(amountUnits), balance);
+  if (!allowExpired && minUnits(balance, total(fresh) + unbatchedUnits) < toBigInt(amountUnits)) {
+    throw new BatchError(`Account ${accountId} does not hold enough unexpired stock of token ${tokenId}`, 409, 'STOCK_EXPIRED', {
+      unit: tokenUnit.unit,
+      requested: fromSmallestUnits(amountUnits, tokenUnit.decimals),
+      unexpired: fromSmallestUnits(minUnits(balance, total(fresh) + unbatchedUnits), tokenUnit.decimals),
+      expired: fromSmallestUnits(total(expired), tokenUnit.decimals)
+    });
+  }
+
+  const draws = [];
+  const drawFrom = (batch) => {
+    const units = minUnits(heldUnits(batch, accountId), left);
+    if (units > 0n) {
+      left -= units;
+      draws.push(describeDraw(batch, units, asOf));
+    }
+  };
+  const unbatched = minUnits(unbatchedUnits, left);
+  left -= unbatched;
+  fresh.forEach(drawFrom);
+  if (allowExpired) {
+    expired.forEach(drawFrom);
+  }
+  return { batches: draws, unbatched: fromSmallestUnits(unbatched, tokenUnit.decimals) };
+}
+
+/**
+ * Splits the first `amountUnits` off a plan from planBatchDraws, for stock
+ * planned in one go and moved in parts: what a distribution sends each
+ * recipient, or what a listing's fills take from the stock it escrowed.
+ * Unbatched stock goes first, as it was drawn. Returns that part and the
+ * rest, both as plans.
+ */
+function splitBatchDraws({ batches, unbatched }, amountUnits, tokenUnit) {
+  let left = toBigInt(amountUnits);
+  const unbatchedUnits = toUnits(tokenUnit, unbatched);
+  const taken = minUnits(unbatchedUnits, left);
+  left -= taken;
+
+  const part = { batches: [], unbatched: fromUnits(tokenUnit, taken) };
+  const rest = { batches: [], unbatched: fromUnits(tokenUnit, unbatchedUnits - taken) };
+  for (const draw of batches) {
+    const units = toUnits(tokenUnit, draw.amount);
+    const take = minUnits(units, left);
+    left -= take;
+    if (take > 0n) {
+      part.batches.push({ ...draw, amount: fromUnits(tokenUnit, take) });
+    }
+    if (units > take) {
+      rest.batches.push({ ...draw, amount: fromUnits(tokenUnit, units - take) });
+    }
+  }
+  return { part, rest };
+}
+
+/**
+ * Moves drawn batch stock from one account to another, or out of stock
+ * altogether when `toAccountId` is null, and returns the draws as moved.
+ * Draws are capped at what the account still holds, since a prepared sale
+ * may be submitted after its batches have moved on.
+ */
+function applyBatchDraws({ draws, fromAccountId, toAccountId = null, type, transactionId, reason = null }) {
+  const repository = getBatchRepository();
+  const at = new Date().toISOString();
+  const moved = [];
+
+  for (const draw of draws) {
+    const batch = repository.get(draw.batchId);
+    const units = batch ? minUnits(toUnits(batch, draw.amount), heldUnits(batch, fromAccountId)) : 0n;
+    if (units <= 0n) {
+      continue;
+    }
+    const holdings = { ...batch.holdings, [fromAccountId]: fromUnits(batch, heldUnits(batch, fromAccountId) - units) };
+    if (holdings[fromAccountId] === 0) {
+      delete holdings[fromAccountId];
+    }
+    if (toAccountId) {
+      holdings[toAccountId] = fromUnits(batch, heldUnits(batch, toAccountId) + units);
+    }
+    repository.save({
+      ...batch,
+      holdings,
+      movements: [...batch.movements, {
+        type,
+        fromAccountId,
+        toAccountId,
+        amount: fromUnits(batch, units),
+        transactionId: transactionId ? transactionId.toString() : null,
+        ...(reason ? { reason } : {}),
+        at
+      }]
+    });
+    moved.push({ ...draw, amount: fromUnits(batch, units) });
+  }
+  return moved;
+}
+
+function getBatch(batchId) {
+  const batch = getBatchRepository().get(batchId);
+  if (!batch) {
+    throw new BatchError(`No batch found with ID ${batchId}`, 404, 'NOT_FOUND');
+  }
+  return toBatchView(batch);
+}
+
+// A token's batches oldest first, optionally only those an account holds
+// or those in one status.
+function listBatches({ tokenId, accountId, status }) {
+  if (status && !BATCH_STATUSES.includes(status)) {
+    throw new BatchError(`status must be one of: ${BATCH_STATUSES.join(', ')}`, 400, 'INVALID_REQUEST');
+  }
+  const asOf = new Date();
+  return getBatchRepository()
+    .find((batch) => batch.tokenId === tokenId && (!accountId || heldUnits(batch, accountId) > 0n))
+    .sort(compareAge)
+    .map((batch) => toBatchView(batch, asOf))
+    .filter((batch) => !status || batch.status === status);
+}
+
+/**
+ * Expired stock still held as of `asOf`, one entry per batch and holder,
+ * with totals per token.
+ */
+function reportExpiredStock({ tokenId = null, accountId = null, asOf = new Date() }) {
+  const entries = getBatchRepository()
+    .find((batch) => (!tokenId || batch.tokenId === tokenId) && isExpired(batch, asOf))
+    .sort(compareAge)
+    .flatMap((batch) => Object.keys(batch.holdings)
+      .filter((holderAccountId) => (!accountId || holderAccountId === accountId) && heldUnits(batch, holderAccountId) > 0n)
+      .map((holderAccountId) => ({
+        tokenId: batch.tokenId,
+        batchId: batch.batchId,
+        batchNumber: batch.batchNumber,
+        holderAccountId,
+        amount: batch.holdings[holderAccountId],
+        unit: batch.unit,
+        decimals: batch.decimals,
+        productionDate: batch.productionDate,
+        expiryDate: batch.expiryDate,
+        daysExpired: Math.floor((asOf - new Date(batch.expiryDate)) / DAY_MS)
+      })));
+
+  const totals = {};
+  for (const entry of entries) {
+    const total = totals[entry.tokenId] || { tokenId: entry.tokenId, unit: entry.unit, units: 0n, decimals: entry.decimals, batches: new Set() };
+    total.units += toUnits(entry, entry.amount);
+    total.batches.add(entry.batchId);
+    totals[entry.tokenId] = total;
+  }
+
+  return {
+    asOf: asOf.toISOString(),
+    totals: Object.values(totals).map(({ tokenId: id, unit, units, decimals, batches }) => ({
+      tokenId: id,
+      amount: fromSmallestUnits(units, decimals),
+      unit,
+      batches: batches.size
+    })),
+    entries: entries.map(({ decimals, ...entry }) => entry)
+  };
+}
+
+async function writeOffEntry(ledger, entry, { tokenInfo, actorAccountId, reason, trigger }) {
+  const { tokenId, holderAccountId } = entry;
+  const method = holderAccountId === tokenInfo.treasuryAccountId.toString() ? 'BURN' : 'WIPE';
+  const why = reason || `Batch ${entry.batchNumber} expired on ${entry.expiryDate}`;
+  const details = {
+    reason: 'EXPIRED',
+    writeOff: { batchId: entry.batchId, batchNumber: entry.batchNumber, expiryDate: entry.expiryDate, method, trigger, note: why }
+  };
+
+  if (method === 'WIPE' && !tokenInfo.wipeKey) {
+    return { skipped: { ...entry, method, reason: `Token ${tokenId} has no wipe key, so account ${holderAccountId} has to return this stock to the treasury before it can be written off` } };
+  }
+
+  try {
+    const balance = await ledger.getAccountBalance(holderAccountId);
+    const units = minUnits(toUnits({ ...entry, decimals: tokenInfo.decimals }, entry.amount), toBigInt(balance.tokens.get(tokenId) || 0));
+    if (units <= 0n) {
+      return { skipped: { ...entry, method, reason: `Account ${holderAccountId} no longer holds stock of token ${tokenId}` } };
+    }
+
+    const transaction = method === 'BURN'
+      ? new TokenBurnTransaction().setTokenId(tokenId).setAmount(toLong(units))
+      : new TokenWipeTransaction().setTokenId(tokenId).setAccountId(holderAccountId).setAmount(toLong(units));
+    const signed = await transaction
+      .setMaxTransactionFee(maxTransactionFee(method === 'BURN' ? 'burn' : 'admin'))
+      .freezeWith(ledger.client)
+      .sign(ledger.operatorPrivateKey);
+    const { transactionId } = await ledger.execute(signed);
+
+    const amount = fromSmallestUnits(units, tokenInfo.decimals);
+    applyBatchDraws({
+      draws: [{ batchId: entry.batchId, amount }],
+      fromAccountId: holderAccountId,
+      type: 'WRITE_OFF',
+      transactionId,
+      reason: why
+    });
+    const tokenRepository = getTokenRepository();
+    if (tokenRepository.getBalanceUnits(tokenId, holderAccountId) !== undefined) {
+      tokenRepository.adjustBalanceUnits(tokenId, { [holderAccountId]: -units }, tokenInfo.decimals);
+    }
+    recordEvent({
+      type: 'BURN',
+      tokenId,
+      actorAccountId,
+      counterparties: [{ accountId: holderAccountId, role: method === 'BURN' ? 'treasury' : 'holder' }],
+      amount,
+      unit: entry.unit,
+      transactionId,
+      details
+    });
+    return { writtenOff: { ...entry, amount, method, reason: why, transactionId: transactionId.toString() } };
+  } catch (error) {
+    console.warn(`Could not write off batch ${entry.batchId} held by ${holderAccountId}: ${error.message}`);
+    recordEvent({
+      type: 'BURN',
+      tokenId,
+      actorAccountId,
+      counterparties: [{ accountId: holderAccountId, role: method === 'BURN' ? 'treasury' : 'holder' }],
+      amount: entry.amount,
+      unit: entry.unit,
+      transactionId: error.transactionId,
+      status: 'FAILED',
+      error: error.message,
+      details
+    });
+    return { failed: { ...entry, method, error: describeError(error) } };
+  }
+}
+
+/**
+ * Writes off the expired batch stock of `tokenIds`: stock the treasury
+ * holds is burned and stock other accounts hold is wiped, which needs the
+ * token's wipe key. Each write-off is recorded as a BURN event naming the
+ * batch and why it was written off (`reason`, or its expiry). Holdings
+ * that cannot be written off are reported as skipped; failures do not stop
+ * the rest.
+ */
+async function writeOffExpiredStock(ledger, { tokenIds, actorAccountId = null, reason = null, trigger = 'manual', asOf = new Date() }) {
+  const results = { writtenOff: [], skipped: [], failed: [] };
+
+  for (const tokenId of tokenIds) {
+    const { entries } = reportExpiredStock({ tokenId, asOf });
+    if (entries.length === 0) {
+      continue;
+    }
+    let tokenInfo;
+    try {
+      tokenInfo = await ledger.getTokenInfo(tokenId);
+    } catch (error) {
+      results.failed.push(...entries.map((entry) => ({ ...entry, error: describeError(error) })));
+      continue;
+    }
+    for (const entry of entries) {
+      const outcome = await writeOffEntry(ledger, entry, { tokenInfo, actorAccountId, reason, trigger });
+      const [kind] = Object.keys(outcome);
+      results[kind].push(outcome[kind]);
+    }
+  }
+
+  return {
+    asOf: asOf.toISOString(),
+    trigger,
+    ...results,
+    summary: {
+      writtenOff: results.writtenOff.length,
+      skipped: results.skipped.length,
+      failed: results.failed.length
+    }
+  };
+}
+
+module.exports = {
+  BATCH_STATUSES,
+  BatchError,
+  loadWriteOffSchedule,
+  readBatch,
+  recordBatch,
+  planBatchDraws,
+  splitBatchDraws,
+  applyBatchDraws,
+  getBatch,
+  listBatches,
+  reportExpiredStock,
+  writeOffExpiredStock
+};
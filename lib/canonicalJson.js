@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+
+// Object keys sorted and no whitespace, so equal values always serialize,
+// and hash, to the same bytes.
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * SHA-256, in hex, of a record's canonical JSON as the store persists it,
+ * so it hashes the same before and after a restart. Null for no record.
+ */
+function hashRecord(record) {
+  if (!record) {
+    return null;
+  }
+  const stored = JSON.parse(JSON.stringify(record));
+  return crypto.createHash('sha256').update(canonicalJson(stored)).digest('hex');
+}
+
+module.exports = {
+  canonicalJson,
+  hashRecord
+};
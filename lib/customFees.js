@@ -0,0 +1,307 @@
+const {
+  AccountId,
+  CustomFixedFee,
+  CustomFractionalFee,
+  FeeAssessmentMethod,
+  Hbar,
+  HbarUnit
+} = require('@hashgraph/sdk');
+const { toSmallestUnits, fromSmallestUnits, toBigInt, toLong } = require('./units');
+
+const FEE_TYPES = ['FIXED', 'FRACTIONAL', 'HBAR'];
+// Hedera accepts at most ten custom fees per token.
+const MAX_CUSTOM_FEES = 10;
+const ACCOUNT_ID_PATTERN = /^\d+\.\d+\.\d+$/;
+
+class CustomFeeError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CustomFeeError';
+    this.statusCode = statusCode;
+  }
+}
+
+function gcd(a, b) {
+  return b === 0n ? a : gcd(b, a % b);
+}
+
+function readTokenAmount(value, tokenUnit, fromUnit, name) {
+  if (value === undefined || value === null) {
+    return 0n;
+  }
+  const units = toSmallestUnits(value, { fromUnit: fromUnit || tokenUnit.unit, toUnit: tokenUnit.unit, decimals: tokenUnit.decimals });
+  if (units < 0n) {
+    throw new CustomFeeError(`${name} cannot be negative`);
+  }
+  return units;
+}
+
+// The fraction a fractional fee takes, from `percent` or from
+// `numerator` and `denominator`, reduced to lowest terms.
+function readFraction(definition, name) {
+  let numerator;
+  let denominator;
+  if (definition.percent !== undefined) {
+    const match = /^(\d*)(?:\.(\d+))?$/.exec(String(definition.percent).trim());
+    if (!match || (!match[1] && !match[2])) {
+      throw new CustomFeeError(`${name}.percent must be a decimal number`);
+    }
+    const fraction = match[2] || '';
+    numerator = BigInt(`${match[1] || '0'}${fraction}`);
+    denominator = 100n * (10n ** BigInt(fraction.length));
+  } else if (Number.isInteger(definition.numerator) && Number.isInteger(definition.denominator)) {
+    numerator = BigInt(definition.numerator);
+    denominator = BigInt(definition.denominator);
+  } else {
+    throw new CustomFeeError(`${name} needs a percent, or a whole numerator and denominator`);
+  }
+
+  if (numerator <= 0n || denominator <= 0n || numerator >= denominator) {
+    throw new CustomFeeError(`${name} must take more than 0% and less than 100% of each transfer`);
+  }
+  const divisor = gcd(numerator, denominator);
+  return { numerator: numerator / divisor, denominator: denominator / divisor };
+}
+
+function buildFee(definition, index, { tokenUnit, defaultCollectorAccountId }) {
+  const name = `customFees[${index}]`;
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new CustomFeeError(`${name} must be an object`);
+  }
+  const type = String(definition.type || '').toUpperCase();
+  if (!FEE_TYPES.includes(type)) {
+    throw new CustomFeeError(`${name}.type must be one of: ${FEE_TYPES.join(', ')}`);
+  }
+  const collectorAccountId = definition.collectorAccountId || defaultCollectorAccountId;
+  if (!ACCOUNT_ID_PATTERN.test(collectorAccountId)) {
+    throw new CustomFeeError(`${name}.collectorAccountId must be a Hedera account ID`);
+  }
+  const collector = AccountId.fromString(collectorAccountId);
+
+  if (type === 'HBAR') {
+    if (!(Number(definition.amountHbar) > 0)) {
+      throw new CustomFeeError(`${name}.amountHbar must be a positive amount of HBAR`);
+    }
+    return new CustomFixedFee()
+      .setFeeCollectorAccountId(collector)
+      .setHbarAmount(new Hbar(definition.amountHbar));
+  }
+
+  if (type === 'FIXED') {
+    const units = readTokenAmount(definition.amount, tokenUnit, definition.unit, `${name}.amount`);
+    if (units === 0n) {
+      throw new CustomFeeError(`${name}.amount must be a positive amount of the token`);
+    }
+    return new CustomFixedFee()
+      .setFeeCollectorAccountId(collector)
+      .setAmount(toLong(units))
+      .setDenominatingTokenToSameToken();
+  }
+
+  const { numerator, denominator } = readFraction(definition, name);
+  const minimum = readTokenAmount(definition.minimum, tokenUnit, definition.unit, `${name}.minimum`);
+  const maximum = readTokenAmount(definition.maximum, tokenUnit, definition.unit, `${name}.maximum`);
+  if (maximum > 0n && maximum < minimum) {
+    throw new CustomFeeError(`${name}.maximum must be at least its minimum`);
+  }
+  return new CustomFractionalFee()
+    .setFeeCollectorAccountId(collector)
+    .setNumerator(toLong(numerator))
+    .setDenominator(toLong(denominator))
+    .setMin(toLong(minimum))
+    .setMax(toLong(maximum))
+    .setAssessmentMethod(definition.netOfTransfers ? FeeAssessmentMethod.Exclusive : FeeAssessmentMethod.Inclusive);
+}
+
+/**
+ * Validates the `customFees` of a token create request and builds the SDK
+ * fees to set on the token. Each fee is one of:
+ *
+ * - `{ type: 'FIXED', amount, unit }`: an amount of the token itself
+ * - `{ type: 'HBAR', amountHbar }`
+ * - `{ type: 'FRACTIONAL', percent (or numerator and denominator), minimum,
+ *   maximum, netOfTransfers }`: a share of each transfer, taken from what
+ *   the receiver gets unless `netOfTransfers` charges it to the sender
+ *
+ * Token amounts are in the token's unit unless `unit` says otherwise. Fees
+ * go to `collectorAccountId`, the operator account when left out.
+ */
+function parseCustomFees(fees, { tokenUnit, defaultCollectorAccountId }) {
+  if (fees === undefined || fees === null) {
+    return [];
+  }
+  if (!Array.isArray(fees)) {
+    throw new CustomFeeError('customFees must be an array of fee definitions');
+  }
+  if (fees.length > MAX_CUSTOM_FEES) {
+    throw new CustomFeeError(`A token can have at most ${MAX_CUSTOM_FEES} custom fees`);
+  }
+  return fees.map((definition, index) => buildFee(definition, index, { tokenUnit, defaultCollectorAccountId }));
+}
+
+// A common shape for the fees of SDK token info and of mirror node token
+// responses, which nest them as { fixed_fees, fractional_fees }. Fees built
+// for a token that did not exist yet name it as 0.0.0.
+function normalizeCustomFees(customFees, tokenId) {
+  const denomination = (id) => (id && id.toString() === '0.0.0' ? tokenId : (id ? id.toString() : null));
+  if (!customFees) {
+    return [];
+  }
+  if (!Array.isArray(customFees)) {
+    return [
+      ...(customFees.fixed_fees || []).map((fee) => ({
+        kind: 'fixed',
+        collectorAccountId: fee.collector_account_id,
+        amountUnits: toBigInt(fee.amount),
+        denominatingTokenId: denomination(fee.denominating_token_id)
+      })),
+      ...(customFees.fractional_fees || []).map((fee) => ({
+        kind: 'fractional',
+        collectorAccountId: fee.collector_account_id,
+        numerator: toBigInt(fee.amount.numerator),
+        denominator: toBigInt(fee.amount.denominator),
+        minimumUnits: toBigInt(fee.minimum || 0),
+        maximumUnits: toBigInt(fee.maximum || 0),
+        netOfTransfers: Boolean(fee.net_of_transfers)
+      }))
+    ];
+  }
+
+  return customFees.map((fee) => {
+    if (fee instanceof CustomFractionalFee) {
+      return {
+        kind: 'fractional',
+        collectorAccountId: fee.feeCollectorAccountId.toString(),
+        numerator: toBigInt(fee.numerator),
+        denominator: toBigInt(fee.denominator),
+        minimumUnits: toBigInt(fee.min || 0),
+        maximumUnits: toBigInt(fee.max || 0),
+        netOfTransfers: fee.assessmentMethod === FeeAssessmentMethod.Exclusive
+      };
+    }
+    if (fee instanceof CustomFixedFee) {
+      return {
+        kind: 'fixed',
+        collectorAccountId: fee.feeCollectorAccountId.toString(),
+        amountUnits: toBigInt(fee.amount),
+        denominatingTokenId: denomination(fee.denominatingTokenId)
+      };
+    }
+    return { kind: 'unsupported', collectorAccountId: fee.feeCollectorAccountId ? fee.feeCollectorAccountId.toString() : null };
+  });
+}
+
+function hbarAmount(tinybars) {
+  return Hbar.fromTinybars(toBigInt(tinybars).toString()).to(HbarUnit.Hbar).toNumber();
+}
+
+/**
+ * The custom fees of a token as they appear in responses, with token
+ * amounts in the token's unit.
+ */
+function describeCustomFees(customFees, { tokenId, tokenUnit }) {
+  return normalizeCustomFees(customFees, tokenId).map((fee) => {
+    const collector = { collectorAccountId: fee.collectorAccountId };
+    if (fee.kind === 'fractional') {
+      return {
+        type: 'FRACTIONAL',
+        ...collector,
+        numerator: Number(fee.numerator),
+        denominator: Number(fee.denominator),
+        percent: Number(fee.numerator) * 100 / Number(fee.denominator),
+        minimum: fromSmallestUnits(fee.minimumUnits, tokenUnit.decimals),
+        maximum: fee.maximumUnits > 0n ? fromSmallestUnits(fee.maximumUnits, tokenUnit.decimals) : null,
+        unit: tokenUnit.unit,
+        netOfTransfers: fee.netOfTransfers
+      };
+    }
+    if (fee.kind === 'fixed' && !fee.denominatingTokenId) {
+      return { type: 'HBAR', ...collector, amountHbar: hbarAmount(fee.amountUnits) };
+    }
+    if (fee.kind === 'fixed' && fee.denominatingTokenId === tokenId) {
+      return { type: 'FIXED', ...collector, amount: fromSmallestUnits(fee.amountUnits, tokenUnit.decimals), unit: tokenUnit.unit };
+    }
+    if (fee.kind === 'fixed') {
+      return { type: 'FIXED', ...collector, amountUnits: fee.amountUnits.toString(), denominatingTokenId: fee.denominatingTokenId };
+    }
+    return { type: 'UNSUPPORTED', ...collector };
+  });
+}
+
+/**
+ * Works out the custom fees Hedera will charge when `senderAccountId`
+ * transfers `amountUnits` of a token to `receiverAccountId`, in the shape
+ * of readChargedFees(). Transfers from the treasury are free, as are fees
+ * whose collector is the sender.
+ */
+function estimateCustomFees(customFees, { amountUnits, senderAccountId, receiverAccountId, treasuryAccountId, tokenId }) {
+  if (senderAccountId === treasuryAccountId) {
+    return [];
+  }
+  const units = toBigInt(amountUnits);
+  const charges = [];
+  for (const fee of normalizeCustomFees(customFees, tokenId)) {
+    if (fee.kind === 'unsupported' || fee.collectorAccountId === senderAccountId) {
+      continue;
+    }
+    if (fee.kind === 'fixed') {
+      charges.push({
+        collectorAccountId: fee.collectorAccountId,
+        payerAccountIds: [senderAccountId],
+        tokenId: fee.denominatingTokenId,
+        amountUnits: fee.amountUnits
+      });
+      continue;
+    }
+
+    let amount = (units * fee.numerator) / fee.denominator;
+    if (amount < fee.minimumUnits) {
+      amount = fee.minimumUnits;
+    }
+    if (fee.maximumUnits > 0n && amount > fee.maximumUnits) {
+      amount = fee.maximumUnits;
+    }
+    if (amount > 0n) {
+      charges.push({
+        collectorAccountId: fee.collectorAccountId,
+        payerAccountIds: [fee.netOfTransfers ? senderAccountId : receiverAccountId],
+        tokenId,
+        amountUnits: amount
+      });
+    }
+  }
+  return charges;
+}
+
+// The custom fees a transaction record says were charged.
+function readChargedFees(record) {
+  return (record.assessedCustomFees || []).map((fee) => ({
+    collectorAccountId: fee.feeCollectorAccountId.toString(),
+    payerAccountIds: fee.payerAccountIds.map((accountId) => accountId.toString()),
+    tokenId: fee.tokenId ? fee.tokenId.toString() : null,
+    amountUnits: toBigInt(fee.amount)
+  }));
+}
+
+// Fee charges as they appear in responses and records.
+function describeCharges(charges, { tokenId, tokenUnit }) {
+  return charges.map((charge) => {
+    const fields = { collectorAccountId: charge.collectorAccountId, payerAccountIds: charge.payerAccountIds };
+    if (!charge.tokenId) {
+      return { ...fields, amountHbar: hbarAmount(charge.amountUnits) };
+    }
+    if (charge.tokenId === tokenId) {
+      return { ...fields, amount: fromSmallestUnits(charge.amountUnits, tokenUnit.decimals), unit: tokenUnit.unit };
+    }
+    return { ...fields, tokenId: charge.tokenId, amountUnits: charge.amountUnits.toString() };
+  });
+}
+
+module.exports = {
+  CustomFeeError,
+  parseCustomFees,
+  describeCustomFees,
+  estimateCustomFees,
+  readChargedFees,
+  describeCharges
+};
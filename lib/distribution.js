@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const { AccountId } = require('@hashgraph/sdk');
+
+// A CryptoTransfer may carry at most 10 account amounts for a token, the
+// sender's debit included.
+const MAX_TRANSFER_ACCOUNT_AMOUNTS = 10;
+const MAX_RECIPIENTS = 500;
+
+class DistributionError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'DistributionError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Checks the recipients of a distribution and adds up the amounts of any
+ * account listed more than once, so each gets a single credit. `readUnits`
+ * turns a recipient entry into smallest token units.
+ */
+function mergeRecipients(recipients, { senderAccountId, readUnits }) {
+  if (!Array.isArray(recipients) || recipients.length === 0) {
+    throw new DistributionError('recipients must be a non-empty array of { accountId, amount }');
+  }
+  if (recipients.length > MAX_RECIPIENTS) {
+    throw new DistributionError(`At most ${MAX_RECIPIENTS} recipients can be paid in one distribution`, 400, { recipients: recipients.length });
+  }
+
+  const merged = new Map();
+  recipients.forEach((recipient, index) => {
+    const accountId = recipient && recipient.accountId;
+    try {
+      AccountId.fromString(accountId);
+    } catch (error) {
+      throw new DistributionError(`recipients[${index}].accountId is not a valid account ID`, 400, { accountId });
+    }
+    if (accountId === senderAccountId) {
+      throw new DistributionError(`recipients[${index}] is the sending account ${senderAccountId}`);
+    }
+    const units = readUnits(recipient);
+    if (units === null || units <= 0n) {
+      throw new DistributionError(`recipients[${index}] needs a positive amount`, 400, { accountId });
+    }
+    merged.set(accountId, (merged.get(accountId) || 0n) + units);
+  });
+  return [...merged].map(([accountId, units]) => ({ accountId, units }));
+}
+
+/**
+ * Splits recipients into as few transfers as the transfer list allows:
+ * each one debits the sender once and credits up to nine recipients.
+ */
+function planDistribution(recipients) {
+  const perTransfer = MAX_TRANSFER_ACCOUNT_AMOUNTS - 1;
+  const batches = [];
+  for (let i = 0; i < recipients.length; i += perTransfer) {
+    const batch = recipients.slice(i, i + perTransfer);
+    batches.push({
+      recipients: batch,
+      units: batch.reduce((sum, recipient) => sum + recipient.units, 0n)
+    });
+  }
+  return {
+    distributionId: crypto.randomUUID(),
+    batches
+  };
+}
+
+module.exports = {
+  DistributionError,
+  mergeRecipients,
+  planDistribution
+};
@@ -0,0 +1,238 @@
+const { ReceiptStatusError, PrecheckStatusError } = require('@hashgraph/sdk');
+const { MirrorNodeError } = require('./mirror/client');
+
+// The code a client sees for an error that does not name its own.
+const HTTP_STATUS_CODES = {
+  400: 'INVALID_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  410: 'GONE',
+  422: 'UNPROCESSABLE',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_ERROR',
+  502: 'UPSTREAM_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+// Hedera response statuses by the HTTP status they are answered with. The
+// status name itself is the error code; a status not listed here is
+// answered 422 with the code LEDGER_REJECTED.
+const LEDGER_STATUSES = {
+  400: [
+    'INVALID_TOKEN_MINT_AMOUNT',
+    'INVALID_TOKEN_BURN_AMOUNT',
+    'INVALID_WIPING_AMOUNT',
+    'INVALID_ACCOUNT_AMOUNTS',
+    'TRANSFERS_NOT_ZERO_SUM',
+    'ACCOUNT_REPEATED_IN_ACCOUNT_AMOUNTS',
+    'EMPTY_TOKEN_TRANSFER_ACCOUNT_AMOUNTS',
+    'TOKEN_TRANSFER_LIST_SIZE_LIMIT_EXCEEDED',
+    'INVALID_TOKEN_DECIMALS',
+    'INVALID_TOKEN_INITIAL_SUPPLY',
+    'INVALID_TOKEN_MAX_SUPPLY',
+    'MISSING_TOKEN_NAME',
+    'MISSING_TOKEN_SYMBOL',
+    'TOKEN_NAME_TOO_LONG',
+    'TOKEN_SYMBOL_TOO_LONG',
+    'INVALID_CUSTOM_FEE_COLLECTOR',
+    'CUSTOM_FEES_LIST_TOO_LONG',
+    'TRANSACTION_OVERSIZE'
+  ],
+  403: [
+    'INVALID_SIGNATURE',
+    'INVALID_PAYER_SIGNATURE',
+    'KEY_REQUIRED',
+    'CANNOT_WIPE_TOKEN_TREASURY_ACCOUNT'
+  ],
+  404: [
+    'INVALID_TOKEN_ID',
+    'INVALID_ACCOUNT_ID',
+    'INVALID_NFT_ID',
+    'RECORD_NOT_FOUND',
+    'RECEIPT_NOT_FOUND'
+  ],
+  409: [
+    'INSUFFICIENT_TOKEN_BALANCE',
+    'INSUFFICIENT_ACCOUNT_BALANCE',
+    'INSUFFICIENT_PAYER_BALANCE',
+    'INSUFFICIENT_TX_FEE',
+    'INSUFFICIENT_SENDER_ACCOUNT_BALANCE_FOR_CUSTOM_FEE',
+    'INSUFFICIENT_PAYER_BALANCE_FOR_CUSTOM_FEE',
+    'TOKEN_NOT_ASSOCIATED_TO_ACCOUNT',
+    'TOKEN_ALREADY_ASSOCIATED_TO_ACCOUNT',
+    'TOKENS_PER_ACCOUNT_LIMIT_EXCEEDED',
+    'ACCOUNT_FROZEN_FOR_TOKEN',
+    'ACCOUNT_KYC_NOT_GRANTED_FOR_TOKEN',
+    'ACCOUNT_DELETED',
+    'TOKEN_IS_PAUSED',
+    'TOKEN_WAS_DELETED',
+    'TOKEN_IS_IMMUTABLE',
+    'TOKEN_MAX_SUPPLY_REACHED',
+    'TOKEN_HAS_NO_SUPPLY_KEY',
+    'TOKEN_HAS_NO_FREEZE_KEY',
+    'TOKEN_HAS_NO_KYC_KEY',
+    'TOKEN_HAS_NO_WIPE_KEY',
+    'TOKEN_HAS_NO_PAUSE_KEY',
+    'TRANSACTION_EXPIRED',
+    'DUPLICATE_TRANSACTION'
+  ],
+  503: [
+    'BUSY',
+    'PLATFORM_NOT_ACTIVE',
+    'PLATFORM_TRANSACTION_NOT_CREATED',
+    'UNKNOWN'
+  ]
+};
+
+const LEDGER_STATUS_HTTP = new Map(Object.entries(LEDGER_STATUSES)
+  .flatMap(([httpStatus, statuses]) => statuses.map((status) => [status, Number(httpStatus)])));
+
+// SDK errors raised when no node could be reached or none answered in time.
+const LEDGER_UNAVAILABLE_ERRORS = ['MaxAttemptsOrTimeoutError', 'GrpcServiceError'];
+
+class ApiError extends Error {
+  constructor(message, statusCode, code = HTTP_STATUS_CODES[statusCode], details = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * The Hedera response status a ledger error carries, such as
+ * INSUFFICIENT_TOKEN_BALANCE, or null for errors that did not come back
+ * from the ledger.
+ */
+function ledgerStatus(error) {
+  if (error instanceof ReceiptStatusError || error instanceof PrecheckStatusError) {
+    return error.status.toString();
+  }
+  return null;
+}
+
+function fromLedgerError(error) {
+  const status = ledgerStatus(error);
+  if (status) {
+    const httpStatus = LEDGER_STATUS_HTTP.get(status);
+    return new ApiError(
+      `Ledger request failed with status ${status}`,
+      httpStatus || 422,
+      httpStatus ? status : 'LEDGER_REJECTED',
+      { hederaStatus: status, transactionId: error.transactionId ? error.transactionId.toString() : null }
+    );
+  }
+  if (LEDGER_UNAVAILABLE_ERRORS.includes(error.name)) {
+    return new ApiError(`The ledger could not be reached: ${error.message}`, 503, 'LEDGER_UNAVAILABLE');
+  }
+  if (error.name === 'MaxQueryPaymentExceededError') {
+    return new ApiError(`The ledger query was not paid for: ${error.message}`, 503, 'MAX_QUERY_PAYMENT_EXCEEDED');
+  }
+  return null;
+}
+
+/**
+ * Turns any error a route can raise into an ApiError: ledger rejections by
+ * their Hedera status, the service's own errors by their statusCode and
+ * details, and anything else as a 500 with `fallbackMessage` when the
+ * error has no message of its own.
+ */
+function toApiError(error, fallbackMessage = 'Internal server error') {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  const ledgerError = fromLedgerError(error);
+  if (ledgerError) {
+    return ledgerError;
+  }
+  // The mirror node's own HTTP status describes its request, not the client's.
+  if (error instanceof MirrorNodeError) {
+    return new ApiError(error.message, 502, 'MIRROR_NODE_ERROR');
+  }
+  if (Number.isInteger(error.statusCode) && error.statusCode >= 400) {
+    return new ApiError(error.message, error.statusCode, error.code || HTTP_STATUS_CODES[error.statusCode], error.details || {});
+  }
+  return new ApiError(error.message || fallbackMessage, 500, 'INTERNAL_ERROR');
+}
+
+// The message and code kept on a stored record of work that failed.
+function describeError(error) {
+  const apiError = toApiError(error);
+  return { message: apiError.message, code: apiError.code };
+}
+
+/**
+ * Whether `error` is one the service raised about the request itself, as
+ * its own errors do by carrying a statusCode, rather than a failure that
+ * should be logged and recorded.
+ */
+function isRequestError(error) {
+  return Number.isInteger(error.statusCode) && !(error instanceof MirrorNodeError);
+}
+
+function errorBody(error) {
+  return { success: false, error: error.message, code: error.code, ...error.details };
+}
+
+/**
+ * Answers a request with the envelope for `error`. Anything but the
+ * service's own request errors is logged with the route it failed on.
+ */
+function sendError(res, error, fallbackMessage) {
+  if (!isRequestError(error)) {
+    console.error(`${fallbackMessage || 'Request failed'} on ${res.req.method} ${res.req.path}:`, error);
+  }
+  const apiError = toApiError(error, fallbackMessage);
+  return res.status(apiError.statusCode).json(errorBody(apiError));
+}
+
+/**
+ * Express middleware that gives every error response the same envelope:
+ * `{ success: false, error, code, ...details }`. Routes that answer with
+ * a plain `{ error }` get `success` and a code for their HTTP status
+ * filled in.
+ */
+function usesErrorEnvelope() {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 400 && body && typeof body === 'object' && typeof body.error === 'string') {
+        const code = HTTP_STATUS_CODES[res.statusCode] || (res.statusCode >= 500 ? 'INTERNAL_ERROR' : 'INVALID_REQUEST');
+        return json({ success: false, error: body.error, code, ...body });
+      }
+      return json(body);
+    };
+    next();
+  };
+}
+
+/**
+ * The last middleware in the chain, for errors passed to next() or thrown
+ * by a synchronous handler, including request bodies that are not valid
+ * JSON.
+ */
+function handlesErrors() {
+  return (error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+      return sendError(res, new ApiError(`Request body is not valid JSON: ${error.message}`, 400, 'INVALID_JSON'));
+    }
+    if (error.type === 'entity.too.large') {
+      return sendError(res, new ApiError('Request body is too large', 413, 'PAYLOAD_TOO_LARGE'));
+    }
+    return sendError(res, error);
+  };
+}
+
+module.exports = {
+  ApiError,
+  ledgerStatus,
+  toApiError,
+  describeError,
+  isRequestError,
+  sendError,
+  usesErrorEnvelope,
+  handlesErrors
+};
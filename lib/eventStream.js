@@ -0,0 +1,53 @@
+const { getEventRepository } = require('./store');
+const { onEvent, matchesEventFilters } = require('./history');
+
+// Proxies tend to close connections that stay silent for a minute or more.
+const HEARTBEAT_INTERVAL_MS = 15000;
+const RECONNECT_DELAY_MS = 3000;
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.eventId}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+/**
+ * Streams newly recorded events that match `filters` to the client as
+ * Server-Sent Events until it disconnects. A client reconnecting with a
+ * Last-Event-ID header first receives the matching events it missed.
+ */
+function streamEvents(req, res, filters) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  const lastEventId = req.get('Last-Event-ID');
+  if (lastEventId) {
+    const events = getEventRepository().find(() => true);
+    const index = events.findIndex((event) => event.eventId === lastEventId);
+    for (const event of index === -1 ? [] : events.slice(index + 1)) {
+      if (matchesEventFilters(event, filters)) {
+        writeEvent(res, event);
+      }
+    }
+  }
+
+  const unsubscribe = onEvent((event) => {
+    if (matchesEventFilters(event, filters)) {
+      writeEvent(res, event);
+    }
+  });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+module.exports = {
+  streamEvents
+};
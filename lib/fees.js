@@ -0,0 +1,418 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const {
+  Hbar,
+  HbarUnit,
+  TokenCreateTransaction,
+  TokenMintTransaction,
+  TokenBurnTransaction,
+  TokenAssociateTransaction,
+  TransferTransaction,
+  AccountCreateTransaction,
+  TopicCreateTransaction,
+  TopicMessageSubmitTransaction
+} = require('@hashgraph/sdk');
+const { ConfigurationError, getLedger, onTransactionExecuted } = require('./ledger');
+const { getFeeRepository } = require('./store');
+const { sendError } = require('./errors');
+const { toBigInt } = require('./units');
+
+const OPERATIONS = ['create', 'mint', 'burn', 'associate', 'transfer', 'admin', 'account', 'audit'];
+
+// Freeze, KYC, pause, update, delete and wipe transactions all count as
+// 'admin'.
+const OPERATION_TRANSACTIONS = [
+  [TokenCreateTransaction, 'create'],
+  [TokenMintTransaction, 'mint'],
+  [TokenBurnTransaction, 'burn'],
+  [TokenAssociateTransaction, 'associate'],
+  [TransferTransaction, 'transfer'],
+  [AccountCreateTransaction, 'account'],
+  [TopicCreateTransaction, 'audit'],
+  [TopicMessageSubmitTransaction, 'audit']
+];
+
+// The SDK's own limits, used for operations MAX_TRANSACTION_FEES_HBAR leaves out.
+const DEFAULT_MAX_FEES_HBAR = { create: 30, mint: 2, burn: 2, associate: 5, transfer: 1, admin: 2, account: 2, audit: 2 };
+
+// What an operation is assumed to cost until fees for it have been recorded.
+const DEFAULT_ESTIMATES_HBAR = {
+  create: 10, mint: 0.01, burn: 0.01, associate: 0.5, transfer: 0.01, admin: 0.01, account: 0.5, audit: 0.01
+};
+
+// Estimates average this many of the most recent recorded fees.
+const ESTIMATE_SAMPLE_SIZE = 20;
+
+const DEFAULT_REPORT_LIMIT = 50;
+const MAX_REPORT_LIMIT = 200;
+
+// The account fields a request may act as, in the order they are trusted
+// when the caller is not authenticated.
+const ACTING_ACCOUNT_FIELDS = [
+  'requesterAccountId',
+  'creatorAccountId',
+  'sellerAccountId',
+  'senderAccountId',
+  'buyerAccountId',
+  'accountId'
+];
+
+let configuration = null;
+const requestContext = new AsyncLocalStorage();
+
+class FeeError extends Error {
+  constructor(message, statusCode, code, details = {}) {
+    super(message);
+    this.name = 'FeeError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function hbarAmount(tinybars) {
+  return Hbar.fromTinybars(toBigInt(tinybars).toString()).to(HbarUnit.Hbar).toNumber();
+}
+
+function toTinybars(hbar) {
+  return toBigInt(new Hbar(hbar).toTinybars());
+}
+
+function parseHbar(value, name) {
+  const hbar = Number(value);
+  if (typeof value === 'boolean' || value === null || value === '' || !Number.isFinite(hbar) || hbar < 0) {
+    throw new ConfigurationError(`${name} must be a non-negative amount of HBAR, got "${value}"`);
+  }
+  return hbar;
+}
+
+function parseMaxFees(value) {
+  if (!value) {
+    return {};
+  }
+  let maxFees;
+  try {
+    maxFees = JSON.parse(value);
+  } catch (error) {
+    throw new ConfigurationError(`MAX_TRANSACTION_FEES_HBAR must be valid JSON: ${error.message}`);
+  }
+  if (!maxFees || typeof maxFees !== 'object' || Array.isArray(maxFees)) {
+    throw new ConfigurationError('MAX_TRANSACTION_FEES_HBAR must be a JSON object of HBAR amounts by operation');
+  }
+  const unknown = Object.keys(maxFees).filter((operation) => !OPERATIONS.includes(operation));
+  if (unknown.length > 0) {
+    throw new ConfigurationError(`MAX_TRANSACTION_FEES_HBAR names unknown operations: ${unknown.join(', ')}. Expected: ${OPERATIONS.join(', ')}`);
+  }
+  return Object.fromEntries(Object.entries(maxFees)
+    .map(([operation, hbar]) => [operation, parseHbar(hbar, `MAX_TRANSACTION_FEES_HBAR.${operation}`)]));
+}
+
+/**
+ * Reads MAX_TRANSACTION_FEES_HBAR, a JSON object of the most each operation
+ * may be charged (create, mint, burn, associate, transfer, admin, account,
+ * audit),
+ * and OPERATOR_BALANCE_FLOOR_HBAR, the operator balance below which
+ * requests that spend HBAR are refused (0 when unset).
+ */
+function loadFeeConfiguration() {
+  if (!configuration) {
+    const { MAX_TRANSACTION_FEES_HBAR: maxFees, OPERATOR_BALANCE_FLOOR_HBAR: floor } = process.env;
+    configuration = {
+      maxFeesHbar: { ...DEFAULT_MAX_FEES_HBAR, ...parseMaxFees(maxFees) },
+      balanceFloorHbar: floor === undefined || floor === '' ? 0 : parseHbar(floor, 'OPERATOR_BALANCE_FLOOR_HBAR')
+    };
+  }
+  return configuration;
+}
+
+function transactionOperation(transaction) {
+  const match = OPERATION_TRANSACTIONS.find(([type]) => transaction instanceof type);
+  return match ? match[1] : 'admin';
+}
+
+// Set on a transaction before it is frozen; the network refuses any
+// transaction that would cost more.
+function maxTransactionFee(operation) {
+  return new Hbar(loadFeeConfiguration().maxFeesHbar[operation]);
+}
+
+function estimateOperation(operation, network) {
+  const recent = getFeeRepository()
+    .find((entry) => entry.operation === operation && entry.network === network && entry.status === 'SUCCESS' && entry.feeKnown !== false)
+    .slice(-ESTIMATE_SAMPLE_SIZE);
+  if (recent.length === 0) {
+    return { tinybars: toTinybars(DEFAULT_ESTIMATES_HBAR[operation]), basis: 'DEFAULT', sampleSize: 0 };
+  }
+  const total = recent.reduce((sum, entry) => sum + BigInt(entry.feeTinybars), 0n);
+  return { tinybars: total / BigInt(recent.length), basis: 'RECORDED', sampleSize: recent.length };
+}
+
+/**
+ * Estimates what `operations` will cost the ledger's operator, from the
+ * fees recently recorded for each on the ledger's network, and checks the
+ * estimate against each operation's maximum fee and the operator balance
+ * against the configured floor.
+ */
+async function estimateFees(ledger, operations) {
+  const unknown = operations.filter((operation) => !OPERATIONS.includes(operation));
+  if (unknown.length > 0) {
+    throw new FeeError(`Unknown operations: ${unknown.join(', ')}. Expected one of: ${OPERATIONS.join(', ')}`, 400, 'INVALID_REQUEST');
+  }
+  const { maxFeesHbar, balanceFloorHbar } = loadFeeConfiguration();
+
+  const estimates = operations.map((operation) => {
+    const estimate = estimateOperation(operation, ledger.network);
+    const maxFee = toTinybars(maxFeesHbar[operation]);
+    return { operation, ...estimate, maxFee };
+  });
+  const totalTinybars = estimates.reduce((sum, estimate) => sum + estimate.tinybars, 0n);
+  const { hbars } = await ledger.getAccountBalance(ledger.operatorAccountId);
+  const balanceTinybars = toBigInt(hbars.toTinybars());
+  const floorTinybars = toTinybars(balanceFloorHbar);
+
+  return {
+    network: ledger.network,
+    operatorAccountId: ledger.operatorAccountId.toString(),
+    operatorBalanceHbar: hbarAmount(balanceTinybars),
+    balanceFloorHbar,
+    estimatedFeeHbar: hbarAmount(totalTinybars),
+    balanceAfterHbar: hbarAmount(balanceTinybars - totalTinybars),
+    aboveFloor: balanceTinybars - totalTinybars >= floorTinybars,
+    operations: estimates.map((estimate) => ({
+      operation: estimate.operation,
+      estimatedFeeHbar: hbarAmount(estimate.tinybars),
+      maxFeeHbar: hbarAmount(estimate.maxFee),
+      withinMaxFee: estimate.tinybars <= estimate.maxFee,
+      basis: estimate.basis,
+      sampleSize: estimate.sampleSize
+    }))
+  };
+}
+
+/**
+ * Express middleware that refuses a request before it spends any HBAR when
+ * one of its `operations` is expected to cost more than its maximum fee, or
+ * when paying for all of them would take the operator balance below the
+ * floor. `operations` may also be a function of the request.
+ */
+function checksOperatorFunds(operations) {
+  return async (req, res, next) => {
+    try {
+      const requested = typeof operations === 'function' ? operations(req) : operations;
+      if (requested.length === 0) {
+        return next();
+      }
+      const estimate = await estimateFees(getLedger(), requested);
+      const overMax = estimate.operations.find((entry) => !entry.withinMaxFee);
+      if (overMax) {
+        throw new FeeError(
+          `A ${overMax.operation} transaction is expected to cost ${overMax.estimatedFeeHbar} HBAR, more than its maximum fee of ${overMax.maxFeeHbar} HBAR`,
+          409,
+          'FEE_ESTIMATE_EXCEEDS_MAXIMUM',
+          { feeEstimate: estimate }
+        );
+      }
+      if (!estimate.aboveFloor) {
+        throw new FeeError(
+          `Operator account ${estimate.operatorAccountId} holds ${estimate.operatorBalanceHbar} HBAR; this request is expected to cost ${estimate.estimatedFeeHbar} HBAR, which would take it below the floor of ${estimate.balanceFloorHbar} HBAR`,
+          503,
+          'OPERATOR_BALANCE_BELOW_FLOOR',
+          { feeEstimate: estimate }
+        );
+      }
+      res.locals.feeEstimate = estimate;
+    } catch (error) {
+      return sendError(res, error, 'Failed to check operator funds');
+    }
+    next();
+  };
+}
+
+/**
+ * Express middleware that lets the fees of transactions run while handling
+ * a request be charged to the request's calling account.
+ */
+function attributesFees() {
+  return (req, res, next) => {
+    requestContext.run({ req }, next);
+  };
+}
+
+// Work done outside a request on an account's behalf, such as a retried
+// job, is charged to that account, and to `tokenId` when its transactions
+// do not name a token.
+function chargeFeesTo(accountId, fn, { tokenId = null } = {}) {
+  return requestContext.run({ req: null, accountId, tokenId }, fn);
+}
+
+function callingAccountId(req) {
+  if (req.caller) {
+    return req.caller.accountId;
+  }
+  const params = req.method === 'GET' ? req.query : (req.body || {});
+  const field = ACTING_ACCOUNT_FIELDS.find((name) => typeof params[name] === 'string' && params[name]);
+  return field ? params[field] : null;
+}
+
+// Transfers name their token only in their token transfers; market escrow
+// payments move HBAR alone and fall back to the request's token.
+function transactionTokenId(transaction, receipt, context) {
+  if (receipt && receipt.tokenId) {
+    return receipt.tokenId.toString();
+  }
+  if (transaction.tokenId) {
+    return transaction.tokenId.toString();
+  }
+  if (transaction instanceof TokenAssociateTransaction && transaction.tokenIds.length === 1) {
+    return transaction.tokenIds[0].toString();
+  }
+  if (transaction instanceof TransferTransaction && transaction._tokenTransfers.length > 0) {
+    return transaction._tokenTransfers[0].tokenId.toString();
+  }
+  const req = context ? context.req : null;
+  if (!req) {
+    return (context && context.tokenId) || null;
+  }
+  const params = req.method === 'GET' ? req.query : (req.body || {});
+  return params.tokenId || params.stockTokenId || null;
+}
+
+async function recordFee({ ledger, transaction, transactionId, receipt, error }, context) {
+  const req = context ? context.req : null;
+  const entry = {
+    feeId: crypto.randomUUID(),
+    transactionId: transactionId.toString(),
+    operation: transactionOperation(transaction),
+    status: error ? 'FAILED' : 'SUCCESS',
+    hederaStatus: error ? (error.status ? error.status.toString() : 'UNKNOWN') : 'SUCCESS',
+    network: ledger.network,
+    operatorProfile: ledger.profile,
+    payerAccountId: transactionId.accountId.toString(),
+    tokenId: transactionTokenId(transaction, receipt, context),
+    accountId: req ? callingAccountId(req) : (context && context.accountId) || null,
+    request: req ? `${req.method} ${req.path}` : null,
+    timestamp: new Date().toISOString()
+  };
+
+  // The record query can fail or find the record gone; the transaction is
+  // still listed, at no fee and marked as not known, so reports count it.
+  let record;
+  try {
+    record = await ledger.getTransactionRecord(transactionId);
+  } catch (recordError) {
+    return getFeeRepository().add({ ...entry, feeTinybars: '0', feeHbar: 0, feeKnown: false, feeError: recordError.message });
+  }
+  const feeTinybars = toBigInt(record.transactionFee.toTinybars());
+  return getFeeRepository().add({ ...entry, feeTinybars: feeTinybars.toString(), feeHbar: hbarAmount(feeTinybars), feeKnown: true });
+}
+
+/**
+ * Records the fee of every transaction the service executes from now on,
+ * read from the transaction's record. The record query is itself paid for,
+ * so the lookup runs after the response rather than holding it up.
+ */
+function startFeeRecorder() {
+  return onTransactionExecuted((execution) => {
+    const context = requestContext.getStore();
+    recordFee(execution, context).catch((error) => {
+      console.warn(`Could not record the fee of transaction ${execution.transactionId}: ${error.message}`);
+    });
+  });
+}
+
+function parseDate(value, name) {
+  if (value === undefined) {
+    return null;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new FeeError(`${name} must be an ISO 8601 date`, 400, 'INVALID_REQUEST');
+  }
+  return time;
+}
+
+function parseLimit(value) {
+  if (value === undefined) {
+    return DEFAULT_REPORT_LIMIT;
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_REPORT_LIMIT) {
+    throw new FeeError(`limit must be an integer between 1 and ${MAX_REPORT_LIMIT}`, 400, 'INVALID_REQUEST');
+  }
+  return limit;
+}
+
+function summarize(entries) {
+  const tinybars = entries.reduce((sum, entry) => sum + BigInt(entry.feeTinybars), 0n);
+  return {
+    transactions: entries.length,
+    failedTransactions: entries.filter((entry) => entry.status === 'FAILED').length,
+    unknownFees: entries.filter((entry) => entry.feeKnown === false).length,
+    feeHbar: hbarAmount(tinybars)
+  };
+}
+
+function groupTotals(entries, field) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = entry[field] || null;
+    groups.set(key, [...(groups.get(key) || []), entry]);
+  }
+  return [...groups].map(([key, group]) => ({ [field]: key, ...summarize(group) }));
+}
+
+/**
+ * Totals the recorded fees matching a request's query string, overall and
+ * by token, calling account and operation, with the most recent entries.
+ * Filters: tokenId, accountId, operation, network, since/until (ISO dates,
+ * inclusive) and limit on the entries listed.
+ */
+function reportFees(query = {}) {
+  const { tokenId, accountId, operation, network } = query;
+  if (operation !== undefined && !OPERATIONS.includes(operation)) {
+    throw new FeeError(`operation must be one of: ${OPERATIONS.join(', ')}`, 400, 'INVALID_REQUEST');
+  }
+  const since = parseDate(query.since, 'since');
+  const until = parseDate(query.until, 'until');
+  const limit = parseLimit(query.limit);
+
+  const entries = getFeeRepository().find((entry) => {
+    const time = Date.parse(entry.timestamp);
+    return (!tokenId || entry.tokenId === tokenId) &&
+      (!accountId || entry.accountId === accountId) &&
+      (!operation || entry.operation === operation) &&
+      (!network || entry.network === network) &&
+      (since === null || time >= since) &&
+      (until === null || time <= until);
+  });
+
+  return {
+    filters: {
+      tokenId: tokenId || null,
+      accountId: accountId || null,
+      operation: operation || null,
+      network: network || null,
+      since: query.since || null,
+      until: query.until || null
+    },
+    totals: summarize(entries),
+    byToken: groupTotals(entries, 'tokenId'),
+    byAccount: groupTotals(entries, 'accountId'),
+    byOperation: groupTotals(entries, 'operation'),
+    entries: entries.slice(-limit).reverse()
+  };
+}
+
+module.exports = {
+  OPERATIONS,
+  FeeError,
+  loadFeeConfiguration,
+  transactionOperation,
+  maxTransactionFee,
+  estimateFees,
+  checksOperatorFunds,
+  attributesFees,
+  chargeFeesTo,
+  startFeeRecorder,
+  reportFees
+};
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { getEventRepository } = require('./store');
+
+const EVENT_TYPES = [
+  'CREATE', 'ASSOCIATE', 'MINT', 'BURN', 'SELL', 'TRANSFER', 'METADATA', 'ADMIN', 'ALERT', 'ROLE', 'ACCESS_DENIED',
+  'LISTING', 'ORDER', 'RECONCILE', 'JOB'
+];
+const EVENT_STATUSES = ['SUCCESS', 'FAILED'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const listeners = new Set();
+
+class HistoryQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HistoryQueryError';
+    this.statusCode = 400;
+  }
+}
+
+function appendEvent({
+  type,
+  tokenId = null,
+  actorAccountId = null,
+  counterparties = [],
+  amount = null,
+  unit = null,
+  transactionId = null,
+  status = 'SUCCESS',
+  error = null,
+  details = {}
+}) {
+  const accountIds = [...new Set([
+    actorAccountId,
+    ...counterparties.map((counterparty) => counterparty.accountId)
+  ].filter(Boolean))];
+
+  return getEventRepository().add({
+    eventId: crypto.randomUUID(),
+    type,
+    tokenId,
+    actorAccountId,
+    accountIds,
+    counterparties,
+    amount,
+    unit: amount !== null ? unit : null,
+    transactionId: transactionId ? transactionId.toString() : null,
+    status,
+    error,
+    details,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Appends one operation to the history and passes it on to every listener
+ * registered with onEvent. `counterparties` lists every other account the
+ * operation touched as `{ accountId, role }`; together with the actor they
+ * decide which account histories the event shows up in.
+ *
+ * History must never be the reason an operation reports failure, so a store
+ * or listener error is logged rather than thrown.
+ */
+function recordEvent(event) {
+  let recorded;
+  try {
+    recorded = appendEvent(event);
+  } catch (error) {
+    console.error(`Could not record ${event.type} event for token ${event.tokenId}: ${error.message}`);
+    return null;
+  }
+
+  for (const listener of listeners) {
+    try {
+      listener(recorded);
+    } catch (error) {
+      console.error(`Event listener failed for ${recorded.type} event ${recorded.eventId}: ${error.message}`);
+    }
+  }
+  return recorded;
+}
+
+// Registers a listener for newly recorded events; returns its unsubscribe.
+function onEvent(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function parseList(value, allowed, name) {
+  if (value === undefined) {
+    return null;
+  }
+  const values = String(value).split(',').map((entry) => entry.trim().toUpperCase()).filter(Boolean);
+  const unknown = values.filter((entry) => !allowed.includes(entry));
+  if (unknown.length > 0) {
+    throw new HistoryQueryError(`Unknown ${name}: ${unknown.join(', ')}. Expected one of: ${allowed.join(', ')}`);
+  }
+  return values;
+}
+
+function parseDate(value, name) {
+  if (value === undefined) {
+    return null;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new HistoryQueryError(`${name} must be an ISO 8601 date`);
+  }
+  return time;
+}
+
+function parseInteger(value, name, fallback, min, max) {
+  if (value === undefined) {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new HistoryQueryError(`${name} must be an integer between ${min} and ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Parses the event filters shared by history queries, the event stream and
+ * webhook subscriptions: token and account IDs, and type and status lists
+ * given as arrays or comma-separated strings.
+ */
+function parseEventFilters({ tokenId, accountId, type, status }) {
+  return {
+    tokenId: tokenId || null,
+    accountId: accountId || null,
+    types: parseList(Array.isArray(type) ? type.join(',') : type, EVENT_TYPES, 'event type'),
+    statuses: parseList(Array.isArray(status) ? status.join(',') : status, EVENT_STATUSES, 'event status')
+  };
+}
+
+function matchesEventFilters(event, { tokenId, accountId, types, statuses }) {
+  return (!tokenId || event.tokenId === tokenId) &&
+    (!accountId || event.accountIds.includes(accountId)) &&
+    (!types || types.includes(event.type)) &&
+    (!statuses || statuses.includes(event.status));
+}
+
+/**
+ * Returns one page of events, newest first, matching the filters taken from
+ * a request's query string: type and status (comma-separated), since/until
+ * (ISO dates, inclusive), limit and offset.
+ */
+function queryEvents({ tokenId, accountId }, query = {}) {
+  const filters = parseEventFilters({ tokenId, accountId, type: query.type, status: query.status });
+  const since = parseDate(query.since, 'since');
+  const until = parseDate(query.until, 'until');
+  const limit = parseInteger(query.limit, 'limit', DEFAULT_PAGE_SIZE, 1, MAX_PAGE_SIZE);
+  const offset = parseInteger(query.offset, 'offset', 0, 0, Number.MAX_SAFE_INTEGER);
+
+  const matches = getEventRepository().find((event) => {
+    const time = Date.parse(event.timestamp);
+    return matchesEventFilters(event, filters) &&
+      (since === null || time >= since) &&
+      (until === null || time <= until);
+  }).reverse();
+
+  const events = matches.slice(offset, offset + limit);
+  return {
+    total: matches.length,
+    limit,
+    offset,
+    nextOffset: offset + events.length < matches.length ? offset + events.length : null,
+    events
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  HistoryQueryError,
+  recordEvent,
+  onEvent,
+  parseEventFilters,
+  matchesEventFilters,
+  queryEvents
+};
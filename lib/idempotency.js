@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const { getIdempotencyRepository } = require('./store');
+const { canonicalJson } = require('./canonicalJson');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+const DEFAULT_TTL_HOURS = 24;
+
+// The same body always hashes the same, whatever order the client wrote
+// its fields in.
+function hashRequest(body) {
+  return crypto.createHash('sha256').update(canonicalJson(body || {})).digest('hex');
+}
+
+function ttlMilliseconds() {
+  return Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS || DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+}
+
+/**
+ * Express middleware for routes that submit ledger transactions. A request
+ * carrying an Idempotency-Key header runs once; repeating the key with the
+ * same body replays the recorded response without touching the ledger.
+ *
+ * Every response is recorded, failures included: a 500 may have come after
+ * a transaction reached the ledger, so retrying it needs a new key. Keys
+ * expire after IDEMPOTENCY_KEY_TTL_HOURS (24 by default).
+ */
+function idempotent() {
+  return (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_HEADER);
+    if (key === undefined) {
+      return next();
+    }
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `${IDEMPOTENCY_HEADER} must be between 1 and ${MAX_KEY_LENGTH} characters`
+      });
+    }
+
+    const repository = getIdempotencyRepository();
+    repository.deleteCreatedBefore(new Date(Date.now() - ttlMilliseconds()).toISOString());
+
+    // Lookup and claim happen without yielding to the event loop, so two
+    // concurrent requests with one key cannot both start. Keys are per
+    // caller, so one caller can never be replayed another's response.
+    const scope = [req.caller && req.caller.accountId, req.method, req.path].filter(Boolean).join(' ');
+    const requestHash = hashRequest(req.body);
+    const existing = repository.get(scope, key);
+
+    if (existing && existing.requestHash !== requestHash) {
+      return res.status(422).json({
+        success: false,
+        error: `Idempotency key ${key} was already used with a different request body`
+      });
+    }
+    if (existing && existing.status === 'IN_PROGRESS') {
+      return res.status(409).set('Retry-After', '1').json({
+        success: false,
+        error: `A request with idempotency key ${key} is still in progress; retry once it has finished`
+      });
+    }
+    if (existing) {
+      return res.status(existing.statusCode).set('Idempotent-Replayed', 'true').json(existing.body);
+    }
+
+    const createdAt = new Date().toISOString();
+    repository.save({ scope, key, requestHash, status: 'IN_PROGRESS', createdAt });
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      repository.save({
+        scope,
+        key,
+        requestHash,
+        status: 'COMPLETED',
+        statusCode: res.statusCode,
+        body,
+        createdAt,
+        completedAt: new Date().toISOString()
+      });
+      return json(body);
+    };
+    next();
+  };
+}
+
+module.exports = {
+  idempotent
+};
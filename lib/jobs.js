@@ -0,0 +1,357 @@
+const crypto = require('crypto');
+const { TransactionId, Status } = require('@hashgraph/sdk');
+const { getLedger, getOperatorProfile, runWithOperatorProfile } = require('./ledger');
+const { getJobRepository } = require('./store');
+const { recordEvent } = require('./history');
+const { toApiError, describeError } = require('./errors');
+const { chargeFeesTo } = require('./fees');
+
+const JOB_STATUSES = ['PENDING', 'RUNNING', 'SUCCEEDED', 'FAILED'];
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_MS = 2000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+const RUN_INTERVAL_MS = 1000;
+const DEFAULT_PAGE_SIZE = 50;
+
+// Step handlers by job type, registered at startup with defineJob.
+const definitions = new Map();
+
+// Jobs this process is running right now. A job stored as RUNNING that is
+// not in here was cut off by a restart.
+const activeRuns = new Map();
+
+// Private keys a step signs with. They are only ever held in memory, so a
+// job resumed after a restart needs them supplied again to re-drive it.
+const jobSecrets = new Map();
+
+// The error that stopped each job, for the request that is waiting on it.
+const lastErrors = new Map();
+
+let dispatching = false;
+
+class JobError extends Error {
+  constructor(message, statusCode, code, details = {}) {
+    super(message);
+    this.name = 'JobError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function maxAttempts() {
+  return Number(process.env.JOB_MAX_ATTEMPTS || DEFAULT_MAX_ATTEMPTS);
+}
+
+// Exponential backoff from the base delay, capped at five minutes.
+function retryDelay(attempt) {
+  const base = Number(process.env.JOB_RETRY_BASE_MS || DEFAULT_RETRY_BASE_MS);
+  return Math.min(base * (2 ** (attempt - 1)), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Registers the steps of a job type. Each step is an async function of the
+ * job's context and `{ execute, secrets }` that returns fields to merge
+ * into the context; it must submit its transactions through `execute` so a
+ * step cut off by a restart is not submitted twice. `onFailure(context,
+ * stepName, error)` runs once when a job of the type gives up.
+ * `afterSteps(context)` runs after every run that completed a step, whether
+ * it was the first, a retry or a re-drive, and whether the job then
+ * finished or not.
+ */
+function defineJob(type, { steps, onFailure = null, afterSteps = null }) {
+  definitions.set(type, { steps, onFailure, afterSteps });
+}
+
+function isStuck(job) {
+  return job.status === 'RUNNING' && !activeRuns.has(job.jobId);
+}
+
+function toJobView(job) {
+  return { ...job, stuck: isStuck(job) };
+}
+
+// What a route answering for a job shows of it.
+function summarizeJob(job) {
+  return {
+    jobId: job.jobId,
+    type: job.type,
+    status: job.status,
+    steps: job.steps.map(({ name, status, attempts, transactionId, error }) => ({ name, status, attempts, transactionId, error })),
+    nextAttemptAt: job.nextAttemptAt
+  };
+}
+
+/**
+ * Stores a new job that will run `steps` (names of the type's steps) in
+ * order under the current operator profile. Call runJob to start it.
+ */
+function enqueueJob({ type, steps, context, secrets = {}, accountId = null, tokenId = null, profile }) {
+  const definition = definitions.get(type);
+  const unknown = steps.filter((step) => !definition || !definition.steps[step]);
+  if (unknown.length > 0) {
+    throw new Error(`Job type "${type}" has no steps named ${unknown.join(', ')}`);
+  }
+
+  const now = new Date().toISOString();
+  const job = getJobRepository().save({
+    jobId: crypto.randomUUID(),
+    type,
+    status: 'PENDING',
+    operatorProfile: profile,
+    accountId,
+    tokenId,
+    context,
+    steps: steps.map((name) => ({
+      name,
+      status: 'PENDING',
+      attempts: 0,
+      transactionId: null,
+      error: null,
+      startedAt: null,
+      completedAt: null
+    })),
+    nextAttemptAt: now,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null
+  });
+  jobSecrets.set(job.jobId, secrets);
+  return toJobView(job);
+}
+
+function recordJobEvent(job, details) {
+  recordEvent({
+    type: 'JOB',
+    tokenId: job.tokenId,
+    actorAccountId: job.accountId,
+    status: job.status === 'FAILED' || (details.step && details.stepStatus === 'FAILED') ? 'FAILED' : 'SUCCESS',
+    error: job.error ? job.error.message : null,
+    details: { jobId: job.jobId, jobType: job.type, jobStatus: job.status, ...details }
+  });
+}
+
+// Jobs also keep the ledger status, which decides whether a retry can help.
+function describeJobError(error) {
+  return { ...describeError(error), hederaStatus: toApiError(error).details.hederaStatus || null };
+}
+
+// Whether a transaction an earlier, interrupted attempt submitted reached
+// consensus, and its receipt if it did. Consensus nodes only keep records
+// for about three minutes, so older attempts are submitted again.
+async function findExecuted(ledger, transactionId) {
+  try {
+    const record = await ledger.getTransactionRecord(TransactionId.fromString(transactionId));
+    if (record.receipt.status.toString() !== Status.Success.toString()) {
+      return null;
+    }
+    return { transactionId: record.transactionId, receipt: record.receipt };
+  } catch (error) {
+    return null;
+  }
+}
+
+function updateStep(job, index, changes) {
+  const steps = job.steps.map((step, stepIndex) => (stepIndex === index ? { ...step, ...changes } : step));
+  return getJobRepository().save({ ...job, steps, updatedAt: new Date().toISOString() });
+}
+
+function runAfterSteps(definition, job) {
+  if (definition.afterSteps) {
+    Promise.resolve()
+      .then(() => definition.afterSteps(job.context))
+      .catch((error) => console.warn(`Follow-up work for job ${job.jobId} failed: ${error.message}`));
+  }
+}
+
+async function runSteps(jobId) {
+  const repository = getJobRepository();
+  let job = repository.get(jobId);
+  const definition = definitions.get(job.type);
+  job = repository.save({ ...job, status: 'RUNNING', error: null, nextAttemptAt: null, updatedAt: new Date().toISOString() });
+  lastErrors.delete(jobId);
+  let progressed = false;
+
+  for (let index = 0; index < job.steps.length; index++) {
+    const step = job.steps[index];
+    if (step.status === 'SUCCEEDED') {
+      continue;
+    }
+    const attempt = step.attempts + 1;
+    job = updateStep(job, index, { status: 'RUNNING', attempts: attempt, startedAt: new Date().toISOString(), error: null });
+
+    const execute = async (transaction) => {
+      const ledger = getLedger();
+      const previous = job.steps[index].transactionId;
+      if (previous) {
+        const executed = await findExecuted(ledger, previous);
+        if (executed) {
+          return executed;
+        }
+      }
+      job = updateStep(job, index, { transactionId: transaction.transactionId.toString() });
+      return ledger.execute(transaction);
+    };
+
+    try {
+      const changes = await definition.steps[step.name](job.context, { execute, secrets: jobSecrets.get(jobId) || {} });
+      const context = { ...job.context, ...changes };
+      job = repository.save({ ...job, context, tokenId: context.tokenId || job.tokenId });
+      job = updateStep(job, index, { status: 'SUCCEEDED', completedAt: new Date().toISOString() });
+      recordJobEvent(job, { step: step.name, stepStatus: 'SUCCEEDED', attempt });
+      progressed = true;
+    } catch (error) {
+      lastErrors.set(jobId, error);
+      const described = describeJobError(error);
+      const retry = toApiError(error).statusCode >= 500 && attempt < maxAttempts();
+      job = updateStep(job, index, { status: 'FAILED', error: described, completedAt: new Date().toISOString() });
+      job = repository.save({
+        ...job,
+        status: retry ? 'PENDING' : 'FAILED',
+        error: described,
+        nextAttemptAt: retry ? new Date(Date.now() + retryDelay(attempt)).toISOString() : null,
+        completedAt: retry ? null : new Date().toISOString()
+      });
+      recordJobEvent(job, { step: step.name, stepStatus: 'FAILED', attempt, retryAt: job.nextAttemptAt });
+      if (!retry && definition.onFailure) {
+        definition.onFailure(job.context, step.name, error);
+      }
+      if (progressed) {
+        runAfterSteps(definition, job);
+      }
+      return job;
+    }
+  }
+
+  const now = new Date().toISOString();
+  job = repository.save({ ...job, status: 'SUCCEEDED', completedAt: now, updatedAt: now });
+  jobSecrets.delete(jobId);
+  recordJobEvent(job, {});
+  if (progressed) {
+    runAfterSteps(definition, job);
+  }
+  return job;
+}
+
+/**
+ * Runs a job's remaining steps under its operator profile, charging its
+ * fees to the account that asked for it, and resolves with `{ job, error }`
+ * once it has succeeded, failed for good or been scheduled for a retry.
+ * `error` is what stopped it, when it stopped in this process. A job that
+ * is already running is not started twice.
+ */
+function runJob(jobId) {
+  if (!activeRuns.has(jobId)) {
+    const job = getJobRepository().get(jobId);
+    const run = runWithOperatorProfile(job.operatorProfile, () => chargeFeesTo(job.accountId, () => runSteps(jobId)))
+      .catch((error) => {
+        console.error(`Job ${jobId} stopped unexpectedly: ${error.message}`);
+        lastErrors.set(jobId, error);
+        return getJobRepository().save({
+          ...getJobRepository().get(jobId),
+          status: 'FAILED',
+          error: describeJobError(error),
+          updatedAt: new Date().toISOString()
+        });
+      })
+      .finally(() => activeRuns.delete(jobId));
+    activeRuns.set(jobId, run);
+  }
+  return activeRuns.get(jobId).then((job) => ({ job: toJobView(job), error: lastErrors.get(jobId) || null }));
+}
+
+function getJob(jobId) {
+  const job = getJobRepository().get(jobId);
+  if (!job) {
+    throw new JobError(`No job found with ID ${jobId}`, 404, 'NOT_FOUND');
+  }
+  return toJobView(job);
+}
+
+function listJobs({ status, type, tokenId, accountId, stuck, limit = DEFAULT_PAGE_SIZE }) {
+  if (status && !JOB_STATUSES.includes(status)) {
+    throw new JobError(`status must be one of: ${JOB_STATUSES.join(', ')}`, 400, 'INVALID_REQUEST');
+  }
+  return getJobRepository()
+    .find((job) => (!status || job.status === status) &&
+      (!type || job.type === type) &&
+      (!tokenId || job.tokenId === tokenId) &&
+      (!accountId || job.accountId === accountId) &&
+      (!stuck || isStuck(job) || job.status === 'FAILED'))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit)
+    .map(toJobView);
+}
+
+/**
+ * Re-drives a job that failed for good or was cut off by a restart from
+ * its first unfinished step, with its attempts counted afresh. `secrets`
+ * supplies keys a step needs that were lost with the process that started
+ * the job.
+ */
+function retryJob(jobId, secrets = {}) {
+  const job = getJob(jobId);
+  if (job.status === 'SUCCEEDED' || (job.status === 'RUNNING' && !job.stuck)) {
+    throw new JobError(`Job ${jobId} is ${job.status === 'SUCCEEDED' ? 'already finished' : 'still running'}`, 409, 'CONFLICT');
+  }
+  if (!getOperatorProfile(job.operatorProfile)) {
+    throw new JobError(`Job ${jobId} was started with operator profile "${job.operatorProfile}", which is no longer configured`, 409, 'CONFLICT');
+  }
+
+  jobSecrets.set(jobId, { ...(jobSecrets.get(jobId) || {}), ...secrets });
+  const now = new Date().toISOString();
+  getJobRepository().save({
+    ...job,
+    status: 'PENDING',
+    nextAttemptAt: now,
+    completedAt: null,
+    updatedAt: now,
+    steps: job.steps.map((step) => (step.status === 'SUCCEEDED' ? step : { ...step, status: 'PENDING', attempts: 0 }))
+  });
+  return runJob(jobId);
+}
+
+async function dispatchDueJobs() {
+  if (dispatching) {
+    return;
+  }
+  dispatching = true;
+  try {
+    const now = new Date().toISOString();
+    const due = getJobRepository().find((job) => job.status === 'PENDING' &&
+      job.nextAttemptAt && job.nextAttemptAt <= now &&
+      !activeRuns.has(job.jobId) &&
+      getOperatorProfile(job.operatorProfile));
+    await Promise.all(due.map((job) => runJob(job.jobId)));
+  } finally {
+    dispatching = false;
+  }
+}
+
+/**
+ * Resumes the jobs a previous run of the service left unfinished and keeps
+ * running jobs whose retry is due. Jobs cut off mid-step are picked up
+ * again from that step.
+ */
+function startJobRunner() {
+  const repository = getJobRepository();
+  const now = new Date().toISOString();
+  for (const job of repository.find(isStuck)) {
+    repository.save({ ...job, status: 'PENDING', nextAttemptAt: now, updatedAt: now });
+  }
+  setInterval(dispatchDueJobs, RUN_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  JOB_STATUSES,
+  JobError,
+  defineJob,
+  enqueueJob,
+  runJob,
+  summarizeJob,
+  getJob,
+  listJobs,
+  retryJob,
+  startJobRunner
+};
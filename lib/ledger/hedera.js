@@ -0,0 +1,101 @@
+const {
+  Client,
+  PrivateKey,
+  AccountId,
+  NftId,
+  TokenInfoQuery,
+  TokenNftInfoQuery,
+  AccountBalanceQuery,
+  TransactionRecordQuery,
+  AccountCreateTransaction,
+  Hbar
+} = require('@hashgraph/sdk');
+
+function createClient({ network, nodes }) {
+  switch (network) {
+    case 'testnet':
+      return Client.forTestnet();
+    case 'previewnet':
+      return Client.forPreviewnet();
+    case 'mainnet':
+      return Client.forMainnet();
+    // Mirror reads go through the REST API, so the SDK only needs the
+    // consensus nodes of a local network.
+    case 'local':
+      return Client.forNetwork(nodes);
+    default:
+      throw new Error(`Unsupported Hedera network "${network}"`);
+  }
+}
+
+class HederaLedger {
+  constructor({ network = 'testnet', nodes, operatorAccountId, operatorPrivateKey, maxQueryPaymentHbar = null }) {
+    this.name = 'hedera';
+    this.operatorAccountId = AccountId.fromString(operatorAccountId);
+    this.operatorPrivateKey = PrivateKey.fromString(operatorPrivateKey);
+
+    this.client = createClient({ network, nodes });
+    this.client.setOperator(this.operatorAccountId, this.operatorPrivateKey);
+    if (maxQueryPaymentHbar !== null) {
+      this.client.setDefaultMaxQueryPayment(new Hbar(maxQueryPaymentHbar));
+    }
+  }
+
+  async execute(transaction) {
+    const txResponse = await transaction.execute(this.client);
+    const receipt = await txResponse.getReceipt(this.client);
+
+    return {
+      transactionId: txResponse.transactionId,
+      receipt
+    };
+  }
+
+  async getTokenInfo(tokenId) {
+    return new TokenInfoQuery()
+      .setTokenId(tokenId)
+      .execute(this.client);
+  }
+
+  // Failed transactions have records too, with the fee they were charged.
+  async getTransactionRecord(transactionId) {
+    return new TransactionRecordQuery()
+      .setTransactionId(transactionId)
+      .setValidateReceiptStatus(false)
+      .execute(this.client);
+  }
+
+  async getNftInfo(nftId) {
+    const [info] = await new TokenNftInfoQuery()
+      .setNftId(typeof nftId === 'string' ? NftId.fromString(nftId) : nftId)
+      .execute(this.client);
+    return info;
+  }
+
+  async getAccountBalance(accountId) {
+    const balance = await new AccountBalanceQuery()
+      .setAccountId(accountId)
+      .execute(this.client);
+
+    const tokens = new Map();
+    if (balance.tokens) {
+      for (const [tokenId, amount] of balance.tokens._map.entries()) {
+        tokens.set(tokenId.toString(), amount);
+      }
+    }
+
+    return { hbars: balance.hbars, tokens };
+  }
+
+  async createAccount({ publicKey, initialBalanceHbar = 0 }) {
+    const transaction = new AccountCreateTransaction()
+      .setKey(publicKey)
+      .setInitialBalance(new Hbar(initialBalanceHbar))
+      .freezeWith(this.client);
+
+    const { transactionId, receipt } = await this.execute(transaction);
+    return { accountId: receipt.accountId, transactionId };
+  }
+}
+
+module.exports = HederaLedger;
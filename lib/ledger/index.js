@@ -0,0 +1,179 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { ReceiptStatusError } = require('@hashgraph/sdk');
+const HederaLedger = require('./hedera');
+const SimulatedLedger = require('./simulator');
+const { ConfigurationError, loadOperatorProfiles } = require('./profiles');
+
+const BACKENDS = ['hedera', 'simulator'];
+
+let configuration = null;
+const ledgers = new Map();
+const profileContext = new AsyncLocalStorage();
+const executionListeners = new Set();
+
+function getLedgerBackend() {
+  const backend = (process.env.LEDGER_BACKEND || 'hedera').toLowerCase();
+  if (!BACKENDS.includes(backend)) {
+    throw new ConfigurationError(`Unknown LEDGER_BACKEND "${backend}", expected one of: ${BACKENDS.join(', ')}`);
+  }
+  return backend;
+}
+
+function parseSimulatorAccounts() {
+  if (!process.env.SIMULATOR_ACCOUNTS) {
+    return [];
+  }
+  try {
+    return JSON.parse(process.env.SIMULATOR_ACCOUNTS);
+  } catch (error) {
+    throw new ConfigurationError(`SIMULATOR_ACCOUNTS must be a JSON array: ${error.message}`);
+  }
+}
+
+// The most a single query may cost the operator; the SDK refuses to pay
+// more. Unset keeps the SDK default of 1 HBAR.
+function parseMaxQueryPayment() {
+  const value = process.env.MAX_QUERY_PAYMENT_HBAR;
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const hbar = Number(value);
+  if (!(hbar > 0)) {
+    throw new ConfigurationError(`MAX_QUERY_PAYMENT_HBAR must be a positive amount of HBAR, got "${value}"`);
+  }
+  return hbar;
+}
+
+/**
+ * Loads and validates the backend and operator profile configuration once.
+ * Call it at startup so configuration errors stop the service immediately.
+ */
+function loadLedgerConfiguration() {
+  if (!configuration) {
+    const simulated = getLedgerBackend() === 'simulator';
+    configuration = {
+      simulated,
+      simulatorAccounts: simulated ? parseSimulatorAccounts() : [],
+      maxQueryPaymentHbar: parseMaxQueryPayment(),
+      ...loadOperatorProfiles(process.env, { simulated })
+    };
+  }
+  return configuration;
+}
+
+function getDefaultProfileName() {
+  return loadLedgerConfiguration().defaultProfile;
+}
+
+function getOperatorProfile(name) {
+  return loadLedgerConfiguration().profiles.get(name) || null;
+}
+
+function listOperatorProfiles() {
+  return [...loadLedgerConfiguration().profiles.values()];
+}
+
+/**
+ * Runs `fn` with `profileName` as the operator profile that getLedger()
+ * uses by default, including in everything `fn` awaits.
+ */
+function runWithOperatorProfile(profileName, fn) {
+  return profileContext.run(profileName, fn);
+}
+
+function getCurrentProfileName() {
+  return profileContext.getStore() || getDefaultProfileName();
+}
+
+/**
+ * Registers a listener called with `{ ledger, transaction, transactionId,
+ * receipt }` after every transaction a ledger executes that reached
+ * consensus, including ones that failed there (their receipt is null and
+ * `error` is set). Returns its unsubscribe.
+ */
+function onTransactionExecuted(listener) {
+  executionListeners.add(listener);
+  return () => executionListeners.delete(listener);
+}
+
+function notifyExecuted(execution) {
+  for (const listener of executionListeners) {
+    try {
+      listener(execution);
+    } catch (error) {
+      console.error(`Transaction listener failed: ${error.message}`);
+    }
+  }
+}
+
+// Transactions rejected at precheck never reach consensus and cost nothing,
+// so listeners only hear about the rest.
+function observeExecutions(ledger) {
+  const execute = ledger.execute.bind(ledger);
+  ledger.execute = async (transaction) => {
+    try {
+      const result = await execute(transaction);
+      notifyExecuted({ ledger, transaction, transactionId: result.transactionId, receipt: result.receipt });
+      return result;
+    } catch (error) {
+      if (error instanceof ReceiptStatusError) {
+        notifyExecuted({ ledger, transaction, transactionId: error.transactionId, receipt: null, error });
+      }
+      throw error;
+    }
+  };
+  return ledger;
+}
+
+function createLedger(profile) {
+  const { simulated, simulatorAccounts, maxQueryPaymentHbar, profiles } = loadLedgerConfiguration();
+  let ledger;
+  if (simulated) {
+    ledger = new SimulatedLedger({
+      operatorAccountId: profile.operatorAccountId,
+      operatorPrivateKey: profile.operatorPrivateKey,
+      operatorBalanceHbar: Number(process.env.SIMULATOR_OPERATOR_HBAR || 10000),
+      accounts: simulatorAccounts,
+      realm: [...profiles.keys()].indexOf(profile.name)
+    });
+  } else {
+    ledger = new HederaLedger({
+      network: profile.network,
+      nodes: profile.nodes,
+      operatorAccountId: profile.operatorAccountId,
+      operatorPrivateKey: profile.operatorPrivateKey,
+      maxQueryPaymentHbar
+    });
+  }
+  ledger.profile = profile.name;
+  ledger.network = profile.network;
+  return observeExecutions(ledger);
+}
+
+// One ledger, and so one SDK client, per profile for the life of the
+// process. The simulator also keeps its state in memory, so every caller
+// has to share the same instance for tokens created by one request to exist
+// in the next.
+function getLedger(profileName = getCurrentProfileName()) {
+  if (!ledgers.has(profileName)) {
+    const profile = getOperatorProfile(profileName);
+    if (!profile) {
+      throw new ConfigurationError(`Unknown operator profile "${profileName}"`);
+    }
+    ledgers.set(profileName, createLedger(profile));
+  }
+  return ledgers.get(profileName);
+}
+
+module.exports = {
+  ConfigurationError,
+  getLedger,
+  getLedgerBackend,
+  loadLedgerConfiguration,
+  getDefaultProfileName,
+  getCurrentProfileName,
+  getOperatorProfile,
+  listOperatorProfiles,
+  runWithOperatorProfile,
+  onTransactionExecuted
+};
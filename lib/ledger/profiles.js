@@ -0,0 +1,181 @@
+const { AccountId, PrivateKey, TopicId } = require('@hashgraph/sdk');
+
+const DEFAULT_PROFILE_NAME = 'default';
+
+const NETWORKS = {
+  testnet: { mirrorNodeUrl: 'https://testnet.mirrornode.hedera.com' },
+  previewnet: { mirrorNodeUrl: 'https://previewnet.mirrornode.hedera.com' },
+  mainnet: { mirrorNodeUrl: 'https://mainnet-public.mirrornode.hedera.com' },
+  // Defaults of the hiero-local-node / hedera-local-node setup.
+  local: {
+    nodes: { '127.0.0.1:50211': '0.0.3' },
+    mirrorNodeUrl: 'http://127.0.0.1:5551'
+  }
+};
+
+class ConfigurationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigurationError';
+  }
+}
+
+function parseJson(env, name, fallback) {
+  if (!env[name]) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(env[name]);
+  } catch (error) {
+    throw new ConfigurationError(`${name} must be valid JSON: ${error.message}`);
+  }
+}
+
+function parseNetwork(name, source) {
+  const network = String(name).toLowerCase();
+  if (!NETWORKS[network]) {
+    throw new ConfigurationError(`${source}: unknown network "${name}", expected one of: ${Object.keys(NETWORKS).join(', ')}`);
+  }
+  return network;
+}
+
+// Simulated networks are read through the in-process mirror stand-in.
+function defaultMirrorNodeUrl(network, env, simulated) {
+  if (simulated) {
+    return 'standin';
+  }
+  return (network === 'local' && env.HEDERA_LOCAL_MIRROR_URL) || NETWORKS[network].mirrorNodeUrl;
+}
+
+function parseNodes(nodes, source) {
+  if (!nodes || typeof nodes !== 'object' || Array.isArray(nodes) || Object.keys(nodes).length === 0) {
+    throw new ConfigurationError(`${source}: local network nodes must be an object of "host:port": "node account ID"`);
+  }
+  for (const [address, accountId] of Object.entries(nodes)) {
+    if (!/^[^:\s]+:\d+$/.test(address)) {
+      throw new ConfigurationError(`${source}: node address "${address}" must be host:port`);
+    }
+    try {
+      AccountId.fromString(accountId);
+    } catch (error) {
+      throw new ConfigurationError(`${source}: node account ID "${accountId}" for ${address} is invalid`);
+    }
+  }
+  return nodes;
+}
+
+function parseProfile(name, settings, { env, simulated }) {
+  const source = `Operator profile "${name}"`;
+  if (!settings || typeof settings !== 'object') {
+    throw new ConfigurationError(`${source} must be an object`);
+  }
+
+  // The simulator generates an operator when none is configured.
+  if (!simulated && (!settings.accountId || !settings.privateKey)) {
+    throw new ConfigurationError(`${source} needs accountId and privateKey`);
+  }
+  try {
+    if (settings.accountId) {
+      AccountId.fromString(settings.accountId);
+    }
+  } catch (error) {
+    throw new ConfigurationError(`${source}: account ID "${settings.accountId}" is invalid`);
+  }
+  try {
+    if (settings.privateKey) {
+      PrivateKey.fromString(settings.privateKey);
+    }
+  } catch (error) {
+    throw new ConfigurationError(`${source}: private key could not be parsed`);
+  }
+
+  // A simulated profile may name the network it stands in for.
+  const network = simulated
+    ? (settings.network ? parseNetwork(settings.network, source) : 'simulator')
+    : parseNetwork(settings.network || env.HEDERA_NETWORK || 'testnet', source);
+  const localNodes = network === 'local' && !simulated
+    ? parseNodes(settings.nodes || parseJson(env, 'HEDERA_LOCAL_NODES', NETWORKS.local.nodes), source)
+    : null;
+
+  const mirrorNodeUrl = settings.mirrorNodeUrl || defaultMirrorNodeUrl(network, env, simulated);
+  if (mirrorNodeUrl === 'standin' && !simulated) {
+    throw new ConfigurationError(`${source}: the mirror node stand-in requires LEDGER_BACKEND=simulator`);
+  }
+  if (!['off', 'standin'].includes(mirrorNodeUrl) && !/^https?:\/\/\S+$/.test(mirrorNodeUrl)) {
+    throw new ConfigurationError(`${source}: mirror node URL "${mirrorNodeUrl}" must be an http(s) URL, "standin" or "off"`);
+  }
+
+  if (settings.auditTopicId) {
+    try {
+      TopicId.fromString(settings.auditTopicId);
+    } catch (error) {
+      throw new ConfigurationError(`${source}: audit topic ID "${settings.auditTopicId}" is invalid`);
+    }
+  }
+
+  return {
+    name,
+    network,
+    operatorAccountId: settings.accountId || null,
+    operatorPrivateKey: settings.privateKey || null,
+    nodes: localNodes,
+    mirrorNodeUrl,
+    auditTopicId: settings.auditTopicId || null
+  };
+}
+
+/**
+ * Reads the operator profiles: MY_ACCOUNT_ID / MY_PRIVATE_KEY (with
+ * MIRROR_NODE_URL and AUDIT_TOPIC_ID) on HEDERA_NETWORK form the "default"
+ * profile, and OPERATOR_PROFILES adds named ones as JSON, e.g.
+ * `{"eu":{"accountId":"0.0.5","privateKey":"...","network":"mainnet"}}`.
+ * A profile may also set `mirrorNodeUrl`, `auditTopicId` for an existing
+ * consensus topic to publish its audit trail to, and `nodes` on the local
+ * network.
+ * Every setting is checked here so a bad configuration stops the service
+ * at startup rather than on the first request that needs it.
+ */
+function loadOperatorProfiles(env = process.env, { simulated = false } = {}) {
+  const configured = parseJson(env, 'OPERATOR_PROFILES', {});
+  if (!configured || typeof configured !== 'object' || Array.isArray(configured)) {
+    throw new ConfigurationError('OPERATOR_PROFILES must be a JSON object of profile name to settings');
+  }
+
+  let settings = configured;
+  const fromEnv = Boolean(env.MY_ACCOUNT_ID || env.MY_PRIVATE_KEY);
+  if (fromEnv || (simulated && !configured[DEFAULT_PROFILE_NAME])) {
+    if (fromEnv && configured[DEFAULT_PROFILE_NAME]) {
+      throw new ConfigurationError(`Operator profile "${DEFAULT_PROFILE_NAME}" is set by both MY_ACCOUNT_ID/MY_PRIVATE_KEY and OPERATOR_PROFILES`);
+    }
+    settings = {
+      [DEFAULT_PROFILE_NAME]: {
+        accountId: env.MY_ACCOUNT_ID,
+        privateKey: env.MY_PRIVATE_KEY,
+        mirrorNodeUrl: env.MIRROR_NODE_URL,
+        auditTopicId: env.AUDIT_TOPIC_ID
+      },
+      ...configured
+    };
+  }
+
+  const profiles = new Map();
+  for (const [name, profileSettings] of Object.entries(settings)) {
+    profiles.set(name, parseProfile(name, profileSettings, { env, simulated }));
+  }
+  if (profiles.size === 0) {
+    throw new ConfigurationError('No operator configured: set MY_ACCOUNT_ID and MY_PRIVATE_KEY, or OPERATOR_PROFILES');
+  }
+
+  const defaultProfile = env.DEFAULT_OPERATOR_PROFILE ||
+    (profiles.has(DEFAULT_PROFILE_NAME) ? DEFAULT_PROFILE_NAME : profiles.keys().next().value);
+  if (!profiles.has(defaultProfile)) {
+    throw new ConfigurationError(`DEFAULT_OPERATOR_PROFILE "${defaultProfile}" is not a configured profile`);
+  }
+
+  return { profiles, defaultProfile };
+}
+
+module.exports = {
+  ConfigurationError,
+  loadOperatorProfiles
+};
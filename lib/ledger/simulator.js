@@ -0,0 +1,1093 @@
+const crypto = require('crypto');
+const {
+  Client,
+  PrivateKey,
+  PublicKey,
+  KeyList,
+  AccountId,
+  TokenId,
+  NftId,
+  TransactionId,
+  Timestamp,
+  Hbar,
+  Long,
+  Status,
+  TokenType,
+  TokenSupplyType,
+  ReceiptStatusError,
+  PrecheckStatusError,
+  TokenCreateTransaction,
+  TokenMintTransaction,
+  TokenBurnTransaction,
+  TokenAssociateTransaction,
+  TransferTransaction,
+  AccountCreateTransaction,
+  TopicCreateTransaction,
+  TopicMessageSubmitTransaction,
+  TopicId,
+  TokenFreezeTransaction,
+  TokenUnfreezeTransaction,
+  TokenGrantKycTransaction,
+  TokenRevokeKycTransaction,
+  TokenPauseTransaction,
+  TokenUnpauseTransaction,
+  TokenUpdateTransaction,
+  TokenDeleteTransaction,
+  TokenWipeTransaction,
+  CustomFractionalFee,
+  FeeAssessmentMethod,
+  AssessedCustomFee
+} = require('@hashgraph/sdk');
+
+// The simulator never opens a connection, but the SDK needs a node to freeze
+// transactions against so their bytes look exactly like testnet ones.
+const SIMULATED_NODE_ADDRESS = '127.0.0.1:50211';
+const SIMULATED_NODE_ACCOUNT_ID = '0.0.3';
+const FIRST_ENTITY_NUM = 1001;
+const MAX_NFT_METADATA_BYTES = 100;
+const MAX_TOKEN_METADATA_BYTES = 100;
+const MAX_TOPIC_MESSAGE_BYTES = 1024;
+const RUNNING_HASH_VERSION = 3n;
+
+// Flat network fees, in HBAR, charged to the payer of each transaction.
+// Roughly what testnet charges; anything not listed costs DEFAULT_FEE_HBAR.
+const TRANSACTION_FEES_HBAR = [
+  [TokenCreateTransaction, 10],
+  [TokenAssociateTransaction, 0.5],
+  [AccountCreateTransaction, 0.5],
+  [TopicCreateTransaction, 0.1]
+];
+const DEFAULT_FEE_HBAR = 0.01;
+
+function toBigInt(value) {
+  if (value === null || value === undefined) {
+    return 0n;
+  }
+  if (typeof value === 'bigint') {
+    return value;
+  }
+  return BigInt(value.toString());
+}
+
+function toLong(value) {
+  return Long.fromString(value.toString());
+}
+
+/**
+ * In-process stand-in for a Hedera network. It accepts the same SDK
+ * transaction objects the routes build for the real network, checks their
+ * signatures, and applies token semantics to in-memory state, failing with
+ * the same statuses Hedera would.
+ */
+class SimulatedLedger {
+  constructor({ operatorAccountId, operatorPrivateKey, operatorBalanceHbar = 10000, accounts = [], realm = 0 }) {
+    this.name = 'simulator';
+    // Separate simulated networks use separate realms so their entity IDs
+    // never collide in the shared store.
+    this.realm = realm;
+    this.accounts = new Map();
+    this.tokens = new Map();
+    this.transactionIds = new Set();
+    this.records = new Map();
+    this.topics = new Map();
+    this.nextEntityNum = FIRST_ENTITY_NUM;
+
+    this.operatorPrivateKey = operatorPrivateKey
+      ? PrivateKey.fromString(operatorPrivateKey)
+      : PrivateKey.generateED25519();
+    this.operatorAccountId = operatorAccountId
+      ? AccountId.fromString(operatorAccountId)
+      : new AccountId(0, realm, 2);
+
+    this._addAccount(this.operatorAccountId, this.operatorPrivateKey.publicKey, operatorBalanceHbar);
+    for (const account of accounts) {
+      const key = account.privateKey
+        ? PrivateKey.fromString(account.privateKey).publicKey
+        : PublicKey.fromString(account.publicKey);
+      this._addAccount(AccountId.fromString(account.accountId), key, account.hbar || 0);
+    }
+
+    this.client = Client.forNetwork({ [SIMULATED_NODE_ADDRESS]: SIMULATED_NODE_ACCOUNT_ID });
+    this.client.setOperator(this.operatorAccountId, this.operatorPrivateKey);
+  }
+
+  _addAccount(accountId, key, balanceHbar) {
+    if (accountId.num.toNumber() >= this.nextEntityNum) {
+      this.nextEntityNum = accountId.num.toNumber() + 1;
+    }
+    this.accounts.set(accountId.toString(), {
+      accountId,
+      key,
+      tinybars: toBigInt(new Hbar(balanceHbar).toTinybars()),
+      tokens: new Map()
+    });
+  }
+
+  _nextEntityNum() {
+    return this.nextEntityNum++;
+  }
+
+  _fail(transactionId, status) {
+    throw new ReceiptStatusError({
+      status,
+      transactionId,
+      transactionReceipt: null
+    });
+  }
+
+  _precheckFail(transactionId, status) {
+    throw new PrecheckStatusError({
+      status,
+      transactionId,
+      nodeId: AccountId.fromString(SIMULATED_NODE_ACCOUNT_ID),
+      contractFunctionResult: null
+    });
+  }
+
+  _isSignedBy(transaction, key) {
+    if (!key) {
+      return false;
+    }
+    if (key instanceof PublicKey) {
+      return key.verifyTransaction(transaction);
+    }
+    if (key instanceof KeyList) {
+      const keys = key.toArray();
+      const threshold = key.threshold || keys.length;
+      const signed = keys.filter((inner) => this._isSignedBy(transaction, inner)).length;
+      return signed >= threshold;
+    }
+    return false;
+  }
+
+  _requireSignature(transaction, key) {
+    if (!this._isSignedBy(transaction, key)) {
+      this._fail(transaction.transactionId, Status.InvalidSignature);
+    }
+  }
+
+  _getAccount(transactionId, accountId) {
+    const account = accountId ? this.accounts.get(accountId.toString()) : null;
+    if (!account) {
+      this._fail(transactionId, Status.InvalidAccountId);
+    }
+    return account;
+  }
+
+  _getToken(transactionId, tokenId) {
+    const token = tokenId ? this.tokens.get(tokenId.toString()) : null;
+    if (!token) {
+      this._fail(transactionId, Status.InvalidTokenId);
+    }
+    if (token.deleted) {
+      this._fail(transactionId, Status.TokenWasDeleted);
+    }
+    return token;
+  }
+
+  _getRelationship(transactionId, account, token) {
+    const relationship = account.tokens.get(token.tokenId.toString());
+    if (!relationship) {
+      this._fail(transactionId, Status.TokenNotAssociatedToAccount);
+    }
+    return relationship;
+  }
+
+  _requireUsable(transactionId, token) {
+    if (token.paused) {
+      this._fail(transactionId, Status.TokenIsPaused);
+    }
+  }
+
+  _requireTransferable(transactionId, token, relationship) {
+    if (relationship.frozen) {
+      this._fail(transactionId, Status.AccountFrozenForToken);
+    }
+    if (token.kycKey && !relationship.kycGranted) {
+      this._fail(transactionId, Status.AccountKycNotGrantedForToken);
+    }
+  }
+
+  _associate(account, token) {
+    account.tokens.set(token.tokenId.toString(), {
+      balance: 0n,
+      frozen: token.freezeKey ? token.freezeDefault : false,
+      kycGranted: !token.kycKey
+    });
+  }
+
+  async execute(transaction) {
+    if (!transaction.isFrozen()) {
+      transaction.freezeWith(this.client);
+    }
+    await transaction.signWithOperator(this.client);
+
+    const transactionId = transaction.transactionId;
+    const payer = this.accounts.get(transactionId.accountId.toString());
+    if (!payer) {
+      this._precheckFail(transactionId, Status.PayerAccountNotFound);
+    }
+    if (!this._isSignedBy(transaction, payer.key)) {
+      this._precheckFail(transactionId, Status.InvalidSignature);
+    }
+    if (this.transactionIds.has(transactionId.toString())) {
+      this._precheckFail(transactionId, Status.DuplicateTransaction);
+    }
+    const fee = this._transactionFee(transaction);
+    if (fee > toBigInt(transaction.maxTransactionFee.toTinybars())) {
+      this._precheckFail(transactionId, Status.InsufficientTxFee);
+    }
+    if (payer.tinybars < fee) {
+      this._precheckFail(transactionId, Status.InsufficientPayerBalance);
+    }
+    this.transactionIds.add(transactionId.toString());
+
+    // Past the prechecks the payer is charged whether or not the
+    // transaction succeeds, and a failed one still leaves a record.
+    payer.tinybars -= fee;
+    const transactionFee = Hbar.fromTinybars(toLong(fee));
+    let handled;
+    try {
+      handled = this._handle(transaction);
+    } catch (error) {
+      if (error instanceof ReceiptStatusError) {
+        this.records.set(transactionId.toString(), {
+          transactionId,
+          receipt: { status: error.status },
+          transactionFee,
+          assessedCustomFees: []
+        });
+      }
+      throw error;
+    }
+    const { assessedCustomFees = [], ...receipt } = handled;
+    this.records.set(transactionId.toString(), {
+      transactionId,
+      receipt: { status: Status.Success, ...receipt },
+      transactionFee,
+      assessedCustomFees
+    });
+
+    return {
+      transactionId,
+      receipt: { status: Status.Success, ...receipt }
+    };
+  }
+
+  _transactionFee(transaction) {
+    const match = TRANSACTION_FEES_HBAR.find(([type]) => transaction instanceof type);
+    return toBigInt(new Hbar(match ? match[1] : DEFAULT_FEE_HBAR).toTinybars());
+  }
+
+  _handle(transaction) {
+    if (transaction instanceof TokenCreateTransaction) {
+      return this._handleTokenCreate(transaction);
+    }
+    if (transaction instanceof TokenMintTransaction) {
+      return this._handleTokenMint(transaction);
+    }
+    if (transaction instanceof TokenBurnTransaction) {
+      return this._handleTokenBurn(transaction);
+    }
+    if (transaction instanceof TokenAssociateTransaction) {
+      return this._handleTokenAssociate(transaction);
+    }
+    if (transaction instanceof TransferTransaction) {
+      return this._handleTransfer(transaction);
+    }
+    if (transaction instanceof AccountCreateTransaction) {
+      return this._handleAccountCreate(transaction);
+    }
+    if (transaction instanceof TopicCreateTransaction) {
+      return this._handleTopicCreate(transaction);
+    }
+    if (transaction instanceof TopicMessageSubmitTransaction) {
+      return this._handleTopicMessageSubmit(transaction);
+    }
+    if (transaction instanceof TokenFreezeTransaction) {
+      return this._handleAccountFlag(transaction, 'freezeKey', Status.TokenHasNoFreezeKey, { frozen: true });
+    }
+    if (transaction instanceof TokenUnfreezeTransaction) {
+      return this._handleAccountFlag(transaction, 'freezeKey', Status.TokenHasNoFreezeKey, { frozen: false });
+    }
+    if (transaction instanceof TokenGrantKycTransaction) {
+      return this._handleAccountFlag(transaction, 'kycKey', Status.TokenHasNoKycKey, { kycGranted: true });
+    }
+    if (transaction instanceof TokenRevokeKycTransaction) {
+      return this._handleAccountFlag(transaction, 'kycKey', Status.TokenHasNoKycKey, { kycGranted: false });
+    }
+    if (transaction instanceof TokenPauseTransaction) {
+      return this._handleTokenPause(transaction, true);
+    }
+    if (transaction instanceof TokenUnpauseTransaction) {
+      return this._handleTokenPause(transaction, false);
+    }
+    if (transaction instanceof TokenUpdateTransaction) {
+      return this._handleTokenUpdate(transaction);
+    }
+    if (transaction instanceof TokenDeleteTransaction) {
+      return this._handleTokenDelete(transaction);
+    }
+    if (transaction instanceof TokenWipeTransaction) {
+      return this._handleTokenWipe(transaction);
+    }
+    this._precheckFail(transaction.transactionId, Status.NotSupported);
+  }
+
+  _handleTokenCreate(transaction) {
+    const transactionId = transaction.transactionId;
+
+    if (!transaction.tokenName) {
+      this._fail(transactionId, Status.MissingTokenName);
+    }
+    if (!transaction.tokenSymbol) {
+      this._fail(transactionId, Status.MissingTokenSymbol);
+    }
+
+    const treasury = this._getAccount(transactionId, transaction.treasuryAccountId);
+    this._requireSignature(transaction, treasury.key);
+    if (transaction.adminKey) {
+      this._requireSignature(transaction, transaction.adminKey);
+    }
+
+    const tokenType = transaction.tokenType || TokenType.FungibleCommon;
+    const supplyType = transaction.supplyType || TokenSupplyType.Infinite;
+    const decimals = transaction.decimals ? transaction.decimals.toNumber() : 0;
+    const initialSupply = toBigInt(transaction.initialSupply);
+    const maxSupply = toBigInt(transaction.maxSupply);
+
+    if (tokenType === TokenType.NonFungibleUnique && (initialSupply !== 0n || decimals !== 0)) {
+      this._fail(transactionId, Status.InvalidTokenInitialSupply);
+    }
+    if (supplyType === TokenSupplyType.Finite) {
+      if (maxSupply <= 0n) {
+        this._fail(transactionId, Status.InvalidTokenMaxSupply);
+      }
+      if (initialSupply > maxSupply) {
+        this._fail(transactionId, Status.InvalidTokenInitialSupply);
+      }
+    }
+    const tokenId = new TokenId(0, this.realm, this._nextEntityNum());
+    // Fixed fees "in the same token" name 0.0.0 until the token exists.
+    const customFees = (transaction.customFees || []).map((fee) => {
+      if (fee.denominatingTokenId && fee.denominatingTokenId.num.isZero()) {
+        fee.setDenominatingTokenId(tokenId);
+      }
+      return fee;
+    });
+    const collectors = customFees
+      .filter((fee) => fee instanceof CustomFractionalFee ||
+        (fee.denominatingTokenId && fee.denominatingTokenId.toString() === tokenId.toString()))
+      .map((fee) => this.accounts.get(fee.feeCollectorAccountId.toString()));
+    if (customFees.some((fee) => !this.accounts.has(fee.feeCollectorAccountId.toString()))) {
+      this._fail(transactionId, Status.InvalidCustomFeeCollector);
+    }
+    if (tokenType === TokenType.NonFungibleUnique && customFees.some((fee) => fee instanceof CustomFractionalFee)) {
+      this._fail(transactionId, Status.CustomFractionalFeeOnlyAllowedForFungibleCommon);
+    }
+    const token = {
+      tokenId,
+      name: transaction.tokenName,
+      symbol: transaction.tokenSymbol,
+      decimals,
+      totalSupply: initialSupply,
+      treasuryAccountId: treasury.accountId,
+      adminKey: transaction.adminKey,
+      kycKey: transaction.kycKey,
+      freezeKey: transaction.freezeKey,
+      pauseKey: transaction.pauseKey,
+      wipeKey: transaction.wipeKey,
+      supplyKey: transaction.supplyKey,
+      feeScheduleKey: transaction.feeScheduleKey,
+      freezeDefault: Boolean(transaction.freezeDefault),
+      paused: false,
+      deleted: false,
+      tokenType,
+      supplyType,
+      maxSupply,
+      memo: transaction.tokenMemo || '',
+      metadata: this._tokenMetadata(transactionId, transaction.metadata),
+      metadataKey: transaction.metadataKey,
+      customFees,
+      nfts: new Map(),
+      nextSerial: 1n
+    };
+    this.tokens.set(tokenId.toString(), token);
+
+    treasury.tokens.set(tokenId.toString(), {
+      balance: initialSupply,
+      frozen: false,
+      kycGranted: true
+    });
+    // Collectors of fees paid in the new token are associated with it, as
+    // Hedera does.
+    for (const collector of collectors) {
+      if (!collector.tokens.has(tokenId.toString())) {
+        this._associate(collector, token);
+      }
+    }
+
+    return { tokenId };
+  }
+
+  _handleTokenMint(transaction) {
+    const transactionId = transaction.transactionId;
+    const token = this._getToken(transactionId, transaction.tokenId);
+
+    if (!token.supplyKey) {
+      this._fail(transactionId, Status.TokenHasNoSupplyKey);
+    }
+    this._requireSignature(transaction, token.supplyKey);
+    this._requireUsable(transactionId, token);
+
+    if (token.tokenType === TokenType.NonFungibleUnique) {
+      return this._mintNfts(transaction, token);
+    }
+
+    const amount = toBigInt(transaction.amount);
+    if (amount <= 0n) {
+      this._fail(transactionId, Status.InvalidTokenMintAmount);
+    }
+    if (token.supplyType === TokenSupplyType.Finite && token.totalSupply + amount > token.maxSupply) {
+      this._fail(transactionId, Status.TokenMaxSupplyReached);
+    }
+
+    const treasury = this.accounts.get(token.treasuryAccountId.toString());
+    const relationship = treasury.tokens.get(token.tokenId.toString());
+    relationship.balance += amount;
+    token.totalSupply += amount;
+
+    return { totalSupply: toLong(token.totalSupply) };
+  }
+
+  _mintNfts(transaction, token) {
+    const transactionId = transaction.transactionId;
+    const metadata = transaction.metadata;
+
+    if (toBigInt(transaction.amount) !== 0n || metadata.length === 0) {
+      this._fail(transactionId, Status.InvalidTokenMintMetadata);
+    }
+    if (metadata.some((entry) => entry.length > MAX_NFT_METADATA_BYTES)) {
+      this._fail(transactionId, Status.MetadataTooLong);
+    }
+    const count = BigInt(metadata.length);
+    if (token.supplyType === TokenSupplyType.Finite && token.totalSupply + count > token.maxSupply) {
+      this._fail(transactionId, Status.TokenMaxSupplyReached);
+    }
+
+    const treasury = this.accounts.get(token.treasuryAccountId.toString());
+    const relationship = treasury.tokens.get(token.tokenId.toString());
+    const creationTime = Timestamp.fromDate(new Date());
+    const serials = metadata.map((entry) => {
+      const serial = token.nextSerial++;
+      token.nfts.set(serial.toString(), {
+        serial,
+        accountId: token.treasuryAccountId,
+        metadata: Uint8Array.from(entry),
+        creationTime
+      });
+      return toLong(serial);
+    });
+    relationship.balance += count;
+    token.totalSupply += count;
+
+    return { totalSupply: toLong(token.totalSupply), serials };
+  }
+
+  _handleTokenBurn(transaction) {
+    const transactionId = transaction.transactionId;
+    const token = this._getToken(transactionId, transaction.tokenId);
+
+    if (!token.supplyKey) {
+      this._fail(transactionId, Status.TokenHasNoSupplyKey);
+    }
+    this._requireSignature(transaction, token.supplyKey);
+    this._requireUsable(transactionId, token);
+
+    const treasury = this.accounts.get(token.treasuryAccountId.toString());
+    const relationship = treasury.tokens.get(token.tokenId.toString());
+
+    if (token.tokenType === TokenType.NonFungibleUnique) {
+      return this._burnNfts(transaction, token, relationship);
+    }
+
+    const amount = toBigInt(transaction.amount);
+    if (amount <= 0n || amount > relationship.balance) {
+      this._fail(transactionId, Status.InvalidTokenBurnAmount);
+    }
+
+    relationship.balance -= amount;
+    token.totalSupply -= amount;
+
+    return { totalSupply: toLong(token.totalSupply) };
+  }
+
+  _burnNfts(transaction, token, relationship) {
+    const transactionId = transaction.transactionId;
+    const serials = transaction.serials.map((serial) => serial.toString());
+
+    if (toBigInt(transaction.amount) !== 0n || serials.length === 0) {
+      this._fail(transactionId, Status.InvalidTokenBurnMetadata);
+    }
+    for (const serial of serials) {
+      const nft = token.nfts.get(serial);
+      if (!nft) {
+        this._fail(transactionId, Status.InvalidNftId);
+      }
+      if (nft.accountId.toString() !== token.treasuryAccountId.toString()) {
+        this._fail(transactionId, Status.TreasuryMustOwnBurnedNft);
+      }
+    }
+
+    for (const serial of serials) {
+      token.nfts.delete(serial);
+    }
+    relationship.balance -= BigInt(serials.length);
+    token.totalSupply -= BigInt(serials.length);
+
+    return { totalSupply: toLong(token.totalSupply) };
+  }
+
+  _handleTokenAssociate(transaction) {
+    const transactionId = transaction.transactionId;
+    const account = this._getAccount(transactionId, transaction.accountId);
+    this._requireSignature(transaction, account.key);
+
+    const tokens = transaction.tokenIds.map((tokenId) => this._getToken(transactionId, tokenId));
+    for (const token of tokens) {
+      if (account.tokens.has(token.tokenId.toString())) {
+        this._fail(transactionId, Status.TokenAlreadyAssociatedToAccount);
+      }
+    }
+    for (const token of tokens) {
+      this._associate(account, token);
+    }
+
+    return {};
+  }
+
+  _handleTransfer(transaction) {
+    const transactionId = transaction.transactionId;
+    const tokenDeltas = new Map();
+    const hbarDeltas = new Map();
+    const debitedAccounts = new Set();
+
+    for (const transfer of transaction._tokenTransfers) {
+      const tokenKey = transfer.tokenId.toString();
+      const accountKey = transfer.accountId.toString();
+      const amount = toBigInt(transfer.amount);
+      if (!tokenDeltas.has(tokenKey)) {
+        tokenDeltas.set(tokenKey, new Map());
+      }
+      const deltas = tokenDeltas.get(tokenKey);
+      deltas.set(accountKey, (deltas.get(accountKey) || 0n) + amount);
+      if (amount < 0n) {
+        debitedAccounts.add(accountKey);
+      }
+    }
+
+    const nftMoves = [];
+    for (const transfer of transaction._nftTransfers) {
+      const tokenKey = transfer.tokenId.toString();
+      const senderKey = transfer.senderAccountId.toString();
+      const receiverKey = transfer.receiverAccountId.toString();
+      if (!tokenDeltas.has(tokenKey)) {
+        tokenDeltas.set(tokenKey, new Map());
+      }
+      const deltas = tokenDeltas.get(tokenKey);
+      deltas.set(senderKey, (deltas.get(senderKey) || 0n) - 1n);
+      deltas.set(receiverKey, (deltas.get(receiverKey) || 0n) + 1n);
+      debitedAccounts.add(senderKey);
+      nftMoves.push({ tokenKey, senderKey, receiverKey, serial: transfer.serialNumber.toString() });
+    }
+
+    for (const transfer of transaction.hbarTransfersList) {
+      const accountKey = transfer.accountId.toString();
+      const amount = toBigInt(transfer.amount.toTinybars());
+      hbarDeltas.set(accountKey, (hbarDeltas.get(accountKey) || 0n) + amount);
+      if (amount < 0n) {
+        debitedAccounts.add(accountKey);
+      }
+    }
+
+    const assessedCustomFees = this._assessCustomFees(transactionId, tokenDeltas, hbarDeltas);
+
+    let hbarSum = 0n;
+    for (const [accountKey, delta] of hbarDeltas) {
+      const account = this._getAccount(transactionId, accountKey);
+      if (account.tinybars + delta < 0n) {
+        this._fail(transactionId, Status.InsufficientAccountBalance);
+      }
+      hbarSum += delta;
+    }
+    if (hbarSum !== 0n) {
+      this._fail(transactionId, Status.InvalidAccountAmounts);
+    }
+
+    for (const [tokenKey, deltas] of tokenDeltas) {
+      const token = this._getToken(transactionId, tokenKey);
+      this._requireUsable(transactionId, token);
+      const isNft = token.tokenType === TokenType.NonFungibleUnique;
+      const fungibleTransfers = transaction._tokenTransfers.some((transfer) => transfer.tokenId.toString() === tokenKey);
+      if (isNft && fungibleTransfers) {
+        this._fail(transactionId, Status.AccountAmountTransfersOnlyAllowedForFungibleCommon);
+      }
+
+      let tokenSum = 0n;
+      for (const [accountKey, delta] of deltas) {
+        const account = this._getAccount(transactionId, accountKey);
+        const relationship = this._getRelationship(transactionId, account, token);
+        this._requireTransferable(transactionId, token, relationship);
+        if (relationship.balance + delta < 0n) {
+          this._fail(transactionId, Status.InsufficientTokenBalance);
+        }
+        tokenSum += delta;
+      }
+      if (tokenSum !== 0n) {
+        this._fail(transactionId, Status.TransfersNotZeroSumForToken);
+      }
+    }
+
+    for (const move of nftMoves) {
+      const token = this.tokens.get(move.tokenKey);
+      if (token.tokenType !== TokenType.NonFungibleUnique) {
+        this._fail(transactionId, Status.InvalidNftId);
+      }
+      const nft = token.nfts.get(move.serial);
+      if (!nft) {
+        this._fail(transactionId, Status.InvalidNftId);
+      }
+      if (nft.accountId.toString() !== move.senderKey) {
+        this._fail(transactionId, Status.SenderDoesNotOwnNftSerialNo);
+      }
+    }
+
+    for (const accountKey of debitedAccounts) {
+      this._requireSignature(transaction, this.accounts.get(accountKey).key);
+    }
+
+    for (const [accountKey, delta] of hbarDeltas) {
+      this.accounts.get(accountKey).tinybars += delta;
+    }
+    for (const [tokenKey, deltas] of tokenDeltas) {
+      for (const [accountKey, delta] of deltas) {
+        this.accounts.get(accountKey).tokens.get(tokenKey).balance += delta;
+      }
+    }
+    for (const move of nftMoves) {
+      const nft = this.tokens.get(move.tokenKey).nfts.get(move.serial);
+      nft.accountId = this.accounts.get(move.receiverKey).accountId;
+    }
+
+    return { assessedCustomFees };
+  }
+
+  /**
+   * Adds the custom fees of every fungible token a transfer moves to its
+   * deltas and returns them as the record would list them. Fees are charged
+   * per sending account; the treasury and a fee's own collector are exempt.
+   * A fractional fee comes out of what the receivers get, or on top of what
+   * the sender sends when it is assessed net of transfers; fixed fees are
+   * paid by the sender in HBAR or in their denominating token.
+   */
+  _assessCustomFees(transactionId, tokenDeltas, hbarDeltas) {
+    const assessed = [];
+    const add = (deltas, accountKey, amount) => deltas.set(accountKey, (deltas.get(accountKey) || 0n) + amount);
+
+    for (const [tokenKey, deltas] of [...tokenDeltas]) {
+      const token = this._getToken(transactionId, tokenKey);
+      if (token.tokenType !== TokenType.FungibleCommon || token.customFees.length === 0) {
+        continue;
+      }
+      const senders = [...deltas].filter(([, delta]) => delta < 0n);
+      const receivers = [...deltas].filter(([, delta]) => delta > 0n);
+      const received = receivers.reduce((sum, [, delta]) => sum + delta, 0n);
+      if (receivers.length === 0) {
+        continue;
+      }
+
+      for (const [senderKey, delta] of senders) {
+        if (senderKey === token.treasuryAccountId.toString()) {
+          continue;
+        }
+        for (const fee of token.customFees) {
+          const collectorKey = fee.feeCollectorAccountId.toString();
+          if (collectorKey === senderKey) {
+            continue;
+          }
+
+          if (fee instanceof CustomFractionalFee) {
+            let amount = (-delta * toBigInt(fee.numerator)) / toBigInt(fee.denominator);
+            if (amount < toBigInt(fee.min)) {
+              amount = toBigInt(fee.min);
+            }
+            if (toBigInt(fee.max) > 0n && amount > toBigInt(fee.max)) {
+              amount = toBigInt(fee.max);
+            }
+            if (amount === 0n) {
+              continue;
+            }
+
+            let payers;
+            if (fee.assessmentMethod === FeeAssessmentMethod.Exclusive) {
+              add(deltas, senderKey, -amount);
+              payers = [senderKey];
+            } else {
+              // Split across the receivers by what each gets, the first
+              // receiver covering any remainder.
+              let remaining = amount;
+              for (const [receiverKey, credit] of receivers.slice(1)) {
+                const share = (amount * credit) / received;
+                add(deltas, receiverKey, -share);
+                remaining -= share;
+              }
+              add(deltas, receivers[0][0], -remaining);
+              payers = receivers.map(([receiverKey]) => receiverKey);
+            }
+            add(deltas, collectorKey, amount);
+            assessed.push(new AssessedCustomFee({
+              feeCollectorAccountId: fee.feeCollectorAccountId,
+              tokenId: token.tokenId,
+              amount: toLong(amount),
+              payerAccountIds: payers.map((payer) => AccountId.fromString(payer))
+            }));
+            continue;
+          }
+
+          const amount = toBigInt(fee.amount);
+          if (fee.denominatingTokenId) {
+            const denominationKey = fee.denominatingTokenId.toString();
+            if (!tokenDeltas.has(denominationKey)) {
+              tokenDeltas.set(denominationKey, new Map());
+            }
+            add(tokenDeltas.get(denominationKey), senderKey, -amount);
+            add(tokenDeltas.get(denominationKey), collectorKey, amount);
+          } else {
+            add(hbarDeltas, senderKey, -amount);
+            add(hbarDeltas, collectorKey, amount);
+          }
+          assessed.push(new AssessedCustomFee({
+            feeCollectorAccountId: fee.feeCollectorAccountId,
+            tokenId: fee.denominatingTokenId,
+            amount: toLong(amount),
+            payerAccountIds: [AccountId.fromString(senderKey)]
+          }));
+        }
+      }
+    }
+    return assessed;
+  }
+
+  _handleAccountFlag(transaction, keyName, missingKeyStatus, flags) {
+    const transactionId = transaction.transactionId;
+    const token = this._getToken(transactionId, transaction.tokenId);
+
+    if (!token[keyName]) {
+      this._fail(transactionId, missingKeyStatus);
+    }
+    this._requireSignature(transaction, token[keyName]);
+    this._requireUsable(transactionId, token);
+
+    const account = this._getAccount(transactionId, transaction.accountId);
+    const relationship = this._getRelationship(transactionId, account, token);
+    Object.assign(relationship, flags);
+
+    return {};
+  }
+
+  _handleTokenPause(transaction, paused) {
+    const transactionId = transaction.transactionId;
+    const token = this._getToken(transactionId, transaction.tokenId);
+
+    if (!token.pauseKey) {
+      this._fail(transactionId, Status.TokenHasNoPauseKey);
+    }
+    this._requireSignature(transaction, token.pauseKey);
+    token.paused = paused;
+
+    return {};
+  }
+
+  _requireAdmin(transaction, token) {
+    if (!token.adminKey) {
+      this._fail(transaction.transactionId, Status.TokenIsImmutable);
+    }
+    this._requireSignature(transaction, token.adminKey);
+  }
+
+  _tokenMetadata(transactionId, metadata) {
+    const bytes = Buffer.from(metadata || []);
+    if (bytes.length > MAX_TOKEN_METADATA_BYTES) {
+      this._fail(transactionId, Status.MetadataTooLong);
+    }
+    return bytes;
+  }
+
+  _handleTokenUpdate(transaction) {
+    const transactionId = transaction.transactionId;
+    const token = this._getToken(transactionId, transaction.tokenId);
+
+    this._requireAdmin(transaction, token);
+    this._requireUsable(transactionId, token);
+
+    if (transaction.tokenName) {
+      token.name = transaction.tokenName;
+    }
+    if (transaction.tokenSymbol) {
+      token.symbol = transaction.tokenSymbol;
+    }
+    if (transaction.tokenMemo !== null && transaction.tokenMemo !== undefined) {
+      token.memo = transaction.tokenMemo;
+    }
+    if (transaction.metadata) {
+      token.metadata = this._tokenMetadata(transactionId, transaction.metadata);
+    }
+    for (const keyName of ['adminKey', 'kycKey', 'freezeKey', 'wipeKey', 'supplyKey', 'feeScheduleKey', 'pauseKey', 'metadataKey']) {
+      if (transaction[keyName]) {
+        token[keyName] = transaction[keyName];
+      }
+    }
+
+    return {};
+  }
+
+  _handleTokenDelete(transaction) {
+    const transactionId = transaction.transactionId;
+    const token = this._getToken(transactionId, transaction.tokenId);
+
+    this._requireAdmin(transaction, token);
+    token.deleted = true;
+
+    return {};
+  }
+
+  _handleTokenWipe(transaction) {
+    const transactionId = transaction.transactionId;
+    const token = this._getToken(transactionId, transaction.tokenId);
+
+    if (!token.wipeKey) {
+      this._fail(transactionId, Status.TokenHasNoWipeKey);
+    }
+    this._requireSignature(transaction, token.wipeKey);
+    this._requireUsable(transactionId, token);
+
+    if (token.treasuryAccountId.toString() === transaction.accountId.toString()) {
+      this._fail(transactionId, Status.CannotWipeTokenTreasuryAccount);
+    }
+
+    const account = this._getAccount(transactionId, transaction.accountId);
+    const relationship = this._getRelationship(transactionId, account, token);
+    const amount = toBigInt(transaction.amount);
+    if (amount <= 0n || amount > relationship.balance) {
+      this._fail(transactionId, Status.InvalidWipingAmount);
+    }
+
+    relationship.balance -= amount;
+    token.totalSupply -= amount;
+
+    return { totalSupply: toLong(token.totalSupply) };
+  }
+
+  _handleAccountCreate(transaction) {
+    const transactionId = transaction.transactionId;
+
+    if (!transaction.key) {
+      this._fail(transactionId, Status.KeyRequired);
+    }
+
+    const payer = this.accounts.get(transactionId.accountId.toString());
+    const initialBalance = toBigInt(transaction.initialBalance.toTinybars());
+    if (payer.tinybars < initialBalance) {
+      this._fail(transactionId, Status.InsufficientPayerBalance);
+    }
+
+    const accountId = new AccountId(0, this.realm, this._nextEntityNum());
+    payer.tinybars -= initialBalance;
+    this.accounts.set(accountId.toString(), {
+      accountId,
+      key: transaction.key,
+      tinybars: initialBalance,
+      tokens: new Map()
+    });
+
+    return { accountId };
+  }
+
+  _handleTopicCreate(transaction) {
+    const topicId = new TopicId(0, this.realm, this._nextEntityNum());
+    this.topics.set(topicId.toString(), {
+      topicId,
+      memo: transaction.topicMemo || '',
+      adminKey: transaction.adminKey,
+      submitKey: transaction.submitKey,
+      runningHash: Buffer.alloc(48),
+      messages: []
+    });
+    return { topicId };
+  }
+
+  _handleTopicMessageSubmit(transaction) {
+    const transactionId = transaction.transactionId;
+    const topic = transaction.topicId ? this.topics.get(transaction.topicId.toString()) : null;
+    if (!topic) {
+      this._fail(transactionId, Status.InvalidTopicId);
+    }
+    if (topic.submitKey) {
+      this._requireSignature(transaction, topic.submitKey);
+    }
+    const message = Buffer.from(transaction.message || []);
+    if (message.length === 0) {
+      this._fail(transactionId, Status.InvalidTopicMessage);
+    }
+    if (message.length > MAX_TOPIC_MESSAGE_BYTES) {
+      this._fail(transactionId, Status.MessageSizeTooLarge);
+    }
+
+    const sequenceNumber = BigInt(topic.messages.length + 1);
+    const consensusTimestamp = Timestamp.fromDate(new Date());
+    topic.runningHash = this._nextRunningHash(topic, transactionId.accountId, consensusTimestamp, sequenceNumber, message);
+    topic.messages.push({
+      sequenceNumber,
+      consensusTimestamp,
+      payerAccountId: transactionId.accountId,
+      message,
+      runningHash: topic.runningHash
+    });
+    return { topicSequenceNumber: toLong(sequenceNumber), topicRunningHash: new Uint8Array(topic.runningHash) };
+  }
+
+  // The version 3 running hash consensus nodes keep for every topic.
+  _nextRunningHash(topic, payerAccountId, consensusTimestamp, sequenceNumber, message) {
+    const longs = [
+      RUNNING_HASH_VERSION,
+      toBigInt(payerAccountId.shard), toBigInt(payerAccountId.realm), toBigInt(payerAccountId.num),
+      toBigInt(topic.topicId.shard), toBigInt(topic.topicId.realm), toBigInt(topic.topicId.num),
+      toBigInt(consensusTimestamp.seconds)
+    ];
+    const buffer = Buffer.alloc(longs.length * 8 + 4 + 8);
+    longs.forEach((value, index) => buffer.writeBigInt64BE(value, index * 8));
+    buffer.writeInt32BE(consensusTimestamp.nanos.toNumber(), longs.length * 8);
+    buffer.writeBigInt64BE(sequenceNumber, longs.length * 8 + 4);
+    return crypto.createHash('sha384')
+      .update(topic.runningHash)
+      .update(buffer)
+      .update(crypto.createHash('sha384').update(message).digest())
+      .digest();
+  }
+
+  _queryFail(status) {
+    this._precheckFail(TransactionId.generate(this.operatorAccountId), status);
+  }
+
+  async getTokenInfo(tokenId) {
+    const token = this.tokens.get(tokenId.toString());
+    if (!token) {
+      this._queryFail(Status.InvalidTokenId);
+    }
+
+    return {
+      tokenId: token.tokenId,
+      name: token.name,
+      symbol: token.symbol,
+      decimals: token.decimals,
+      totalSupply: toLong(token.totalSupply),
+      treasuryAccountId: token.treasuryAccountId,
+      adminKey: token.adminKey,
+      kycKey: token.kycKey,
+      freezeKey: token.freezeKey,
+      pauseKey: token.pauseKey,
+      wipeKey: token.wipeKey,
+      supplyKey: token.supplyKey,
+      feeScheduleKey: token.feeScheduleKey,
+      defaultFreezeStatus: token.freezeKey ? token.freezeDefault : null,
+      defaultKycStatus: token.kycKey ? false : null,
+      pauseStatus: token.pauseKey ? token.paused : null,
+      isDeleted: token.deleted,
+      tokenMemo: token.memo,
+      metadata: new Uint8Array(token.metadata),
+      metadataKey: token.metadataKey || null,
+      customFees: token.customFees,
+      tokenType: token.tokenType,
+      supplyType: token.supplyType,
+      maxSupply: toLong(token.maxSupply)
+    };
+  }
+
+  async getTransactionRecord(transactionId) {
+    const record = this.records.get(transactionId.toString());
+    if (!record) {
+      this._queryFail(Status.RecordNotFound);
+    }
+    return record;
+  }
+
+  async getNftInfo(nftId) {
+    const { tokenId, serial } = typeof nftId === 'string' ? NftId.fromString(nftId) : nftId;
+    const token = this.tokens.get(tokenId.toString());
+    const nft = token ? token.nfts.get(serial.toString()) : null;
+    if (!nft) {
+      this._queryFail(Status.InvalidNftId);
+    }
+
+    return {
+      nftId: new NftId(token.tokenId, toLong(nft.serial)),
+      accountId: nft.accountId,
+      creationTime: nft.creationTime,
+      metadata: nft.metadata
+    };
+  }
+
+  // Every account associated with the token and its balance, which a real
+  // network only exposes through the mirror node.
+  async getTokenHolders(tokenId) {
+    const tokenKey = tokenId.toString();
+    if (!this.tokens.has(tokenKey)) {
+      this._queryFail(Status.InvalidTokenId);
+    }
+
+    const holders = new Map();
+    for (const [accountKey, account] of this.accounts) {
+      const relationship = account.tokens.get(tokenKey);
+      if (relationship) {
+        holders.set(accountKey, toLong(relationship.balance));
+      }
+    }
+    return holders;
+  }
+
+  async getAccountBalance(accountId) {
+    const account = this.accounts.get(accountId.toString());
+    if (!account) {
+      this._queryFail(Status.InvalidAccountId);
+    }
+
+    const tokens = new Map();
+    for (const [tokenId, relationship] of account.tokens) {
+      tokens.set(tokenId, toLong(relationship.balance));
+    }
+
+    return { hbars: Hbar.fromTinybars(toLong(account.tinybars)), tokens };
+  }
+
+  // Every message submitted to a topic, oldest first, which a real network
+  // only serves through the mirror node.
+  async getTopicMessages(topicId) {
+    const topic = this.topics.get(topicId.toString());
+    if (!topic) {
+      this._queryFail(Status.InvalidTopicId);
+    }
+    return topic.messages.map((message) => ({ ...message }));
+  }
+
+  async createAccount({ publicKey, initialBalanceHbar = 0 }) {
+    const transaction = new AccountCreateTransaction()
+      .setKey(publicKey)
+      .setInitialBalance(new Hbar(initialBalanceHbar))
+      .freezeWith(this.client);
+
+    const { transactionId, receipt } = await this.execute(transaction);
+    return { accountId: receipt.accountId, transactionId };
+  }
+}
+
+module.exports = SimulatedLedger;
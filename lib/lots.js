@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const {
+  TokenCreateTransaction,
+  TokenMintTransaction,
+  TokenType,
+  TokenSupplyType,
+  TokenId,
+  NftId
+} = require('@hashgraph/sdk');
+const { getLotRepository } = require('./store');
+const { toSmallestUnits, fromSmallestUnits, toUnits, fromUnits, toBigInt } = require('./units');
+const { maxTransactionFee } = require('./fees');
+
+class LotError extends Error {
+  constructor(message, statusCode, details = {}) {
+    super(message);
+    this.name = 'LotError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const METADATA_HASH_VERSION = 2;
+
+// Lot quantities are kept in the stock token's unit like the rest of the
+// records; sums and differences are done in its smallest units.
+/**
+ * NFT metadata is capped at 100 bytes, so the serial carries a SHA-256 of
+ * the lot details rather than the details themselves. Anyone holding the
+ * lot record can recompute it and compare with the ledger. Version 1 lots
+ * were minted before units were configurable and hashed the quantity in kg.
+ */
+function hashLotMetadata(lot) {
+  const base = {
+    stockTokenId: lot.stockTokenId,
+    lotNumber: lot.lotNumber,
+    origin: lot.origin,
+    harvestDate: lot.harvestDate,
+    certificates: lot.certificates
+  };
+  const canonical = JSON.stringify(lot.metadataHashVersion === 1
+    ? { ...base, quantityKg: lot.quantity }
+    : { ...base, quantity: lot.quantity, unit: lot.unit });
+  return crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+function remaining(lot) {
+  const units = Object.values(lot.holdings)
+    .reduce((total, amount) => total + toUnits(lot, amount), 0n);
+  return fromUnits(lot, units);
+}
+
+function toLotView(lot) {
+  const view = { ...lot, remaining: remaining(lot) };
+  if (lot.unit === 'KG') {
+    view.quantityKg = view.quantity;
+    view.remainingKg = view.remaining;
+  }
+  return view;
+}
+
+function allocatedUnits(stockTokenId, accountId) {
+  return getLotRepository().listLots({ stockTokenId, holderAccountId: accountId })
+    .reduce((total, lot) => total + toUnits(lot, lot.holdings[accountId]), 0n);
+}
+
+/**
+ * Returns the NFT collection that holds the lots of a product stock token,
+ * creating it on first use. The operator is treasury and supply key holder,
+ * so lot serials stay with the service as provenance records.
+ */
+async function ensureLotCollection({ client, ledger, operatorPrivateKey, operatorPublicKey, operatorAccountId }, { stockTokenId, stockTokenInfo, productName }) {
+  const lotRepository = getLotRepository();
+  const existing = lotRepository.getCollection(stockTokenId);
+  if (existing) {
+    return existing;
+  }
+
+  const transaction = await new TokenCreateTransaction()
+    .setTokenName(`${productName} Lots`)
+    .setTokenSymbol(`${stockTokenInfo.symbol}-LOT`)
+    .setTokenType(TokenType.NonFungibleUnique)
+    .setSupplyType(TokenSupplyType.Infinite)
+    .setDecimals(0)
+    .setInitialSupply(0)
+    .setTreasuryAccountId(operatorAccountId)
+    .setAdminKey(operatorPublicKey)
+    .setSupplyKey(operatorPublicKey)
+    .setTokenMemo(`Lots of ${stockTokenId}`)
+    .setMaxTransactionFee(maxTransactionFee('create'))
+    .freezeWith(client)
+    .sign(operatorPrivateKey);
+  const { transactionId, receipt } = await ledger.execute(transaction);
+
+  return lotRepository.saveCollection(stockTokenId, {
+    collectionTokenId: receipt.tokenId.toString(),
+    stockTokenId,
+    productName,
+    transactionId: transactionId.toString(),
+    createdAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Mints one serial for a lot of stock that `holderAccountId` already holds.
+ * The holder's stock that is not yet assigned to a lot must cover the lot.
+ * `quantityUnits` is in the stock token's smallest units.
+ */
+async function createLot(connection, { stockTokenId, stockTokenInfo, productName, unit, holderAccountId, lotNumber, origin, harvestDate, certificates = [], quantityUnits }) {
+  const { client, ledger, operatorPrivateKey } = connection;
+  const lotRepository = getLotRepository();
+  const decimals = stockTokenInfo.decimals;
+  const quantity = fromSmallestUnits(quantityUnits, decimals);
+
+  const duplicate = lotRepository.listLots({ stockTokenId })
+    .find((lot) => lot.lotNumber === lotNumber);
+  if (duplicate) {
+    throw new LotError(`Lot number ${lotNumber} already exists for token ${stockTokenId}`, 409, { lotId: duplicate.lotId });
+  }
+
+  const holderBalance = await ledger.getAccountBalance(holderAccountId);
+  const holderUnits = toBigInt(holderBalance.tokens.get(stockTokenId) || 0);
+  const allocated = allocatedUnits(stockTokenId, holderAccountId);
+  if (holderUnits - allocated < quantityUnits) {
+    throw new LotError(`Account ${holderAccountId} does not hold enough unassigned stock for this lot`, 400, {
+      unit,
+      quantity,
+      holderBalance: fromSmallestUnits(holderUnits, decimals),
+      allocated: fromSmallestUnits(allocated, decimals),
+      unallocated: fromSmallestUnits(holderUnits - allocated, decimals)
+    });
+  }
+
+  const collection = await ensureLotCollection(connection, { stockTokenId, stockTokenInfo, productName });
+
+  const details = { stockTokenId, lotNumber, origin, harvestDate, certificates, quantity, unit };
+  const metadataHash = hashLotMetadata(details);
+  const mintTx = await new TokenMintTransaction()
+    .setTokenId(collection.collectionTokenId)
+    .addMetadata(Buffer.from(metadataHash))
+    .setMaxTransactionFee(maxTransactionFee('mint'))
+    .freezeWith(client)
+    .sign(operatorPrivateKey);
+  const { transactionId, receipt } = await ledger.execute(mintTx);
+
+  const serial = receipt.serials[0];
+  const createdAt = new Date().toISOString();
+  const lot = lotRepository.saveLot({
+    lotId: new NftId(TokenId.fromString(collection.collectionTokenId), serial).toString(),
+    collectionTokenId: collection.collectionTokenId,
+    serialNumber: serial.toNumber(),
+    ...details,
+    decimals,
+    metadataHash,
+    metadataHashVersion: METADATA_HASH_VERSION,
+    holdings: { [holderAccountId]: quantity },
+    movements: [{
+      type: 'CREATED',
+      toAccountId: holderAccountId,
+      amount: quantity,
+      transactionId: transactionId.toString(),
+      at: createdAt
+    }],
+    transactionId: transactionId.toString(),
+    createdAt
+  });
+
+  return toLotView(lot);
+}
+
+/**
+ * Checks that a sale's lot references belong to the token, are held by the
+ * seller in the quantities drawn, and add up to the amount being sold. Each
+ * draw gives `amount` in the token's unit, or `amountKg` in kilograms.
+ */
+function planLotDraws({ tokenId, sellerAccountId, amountUnits, lots }) {
+  if (!Array.isArray(lots) || lots.length === 0) {
+    throw new LotError('Lots must be a non-empty array of { lotId, amount }', 400);
+  }
+
+  const lotRepository = getLotRepository();
+  const seen = new Set();
+  let drawnUnits = 0n;
+  let unit = null;
+  let decimals = 0;
+  const draws = lots.map(({ lotId, amount, amountKg }) => {
+    const lot = lotId ? lotRepository.getLot(lotId) : null;
+    if (!lot) {
+      throw new LotError(`No lot found with ID ${lotId}`, 404);
+    }
+    if (lot.stockTokenId !== tokenId) {
+      throw new LotError(`Lot ${lotId} belongs to token ${lot.stockTokenId}, not ${tokenId}`, 400);
+    }
+    if (seen.has(lotId)) {
+      throw new LotError(`Lot ${lotId} is listed more than once`, 400);
+    }
+    seen.add(lotId);
+    ({ unit, decimals } = lot);
+    const drawUnits = amount !== undefined
+      ? toUnits(lot, amount)
+      : toSmallestUnits(amountKg === undefined ? 0 : amountKg, { fromUnit: 'KG', toUnit: lot.unit, decimals: lot.decimals });
+    if (drawUnits <= 0n) {
+      throw new LotError(`Amount drawn from lot ${lotId} must be positive`, 400);
+    }
+    const held = lot.holdings[sellerAccountId] || 0;
+    if (toUnits(lot, held) < drawUnits) {
+      throw new LotError(`Seller ${sellerAccountId} holds only ${held} ${lot.unit} of lot ${lotId}`, 400, {
+        lotId,
+        unit: lot.unit,
+        held,
+        requested: fromUnits(lot, drawUnits)
+      });
+    }
+    drawnUnits += drawUnits;
+    return { lotId, lotNumber: lot.lotNumber, amount: fromUnits(lot, drawUnits), unit: lot.unit };
+  });
+
+  if (drawnUnits !== toBigInt(amountUnits)) {
+    throw new LotError('Amounts drawn from lots must add up to the amount sold', 400, {
+      unit,
+      amount: fromSmallestUnits(amountUnits, decimals),
+      drawn: fromSmallestUnits(drawnUnits, decimals)
+    });
+  }
+
+  return draws;
+}
+
+// Moves lot holdings along with a completed sale so the buyer's stock keeps
+// pointing at the lots it came from.
+function applyLotDraws({ draws, sellerAccountId, buyerAccountId, transactionId }) {
+  const lotRepository = getLotRepository();
+  const at = new Date().toISOString();
+
+  for (const draw of draws) {
+    const lot = lotRepository.getLot(draw.lotId);
+    const drawUnits = toUnits(lot, draw.amount);
+    const holdings = {
+      ...lot.holdings,
+      [sellerAccountId]: fromUnits(lot, toUnits(lot, lot.holdings[sellerAccountId] || 0) - drawUnits),
+      [buyerAccountId]: fromUnits(lot, toUnits(lot, lot.holdings[buyerAccountId] || 0) + drawUnits)
+    };
+    if (holdings[sellerAccountId] === 0) {
+      delete holdings[sellerAccountId];
+    }
+
+    lotRepository.saveLot({
+      ...lot,
+      holdings,
+      movements: [...lot.movements, {
+        type: 'SALE',
+        fromAccountId: sellerAccountId,
+        toAccountId: buyerAccountId,
+        amount: draw.amount,
+        transactionId,
+        at
+      }]
+    });
+  }
+}
+
+function getLot(lotId) {
+  const lot = getLotRepository().getLot(lotId);
+  return lot ? toLotView(lot) : null;
+}
+
+function listLots(filters) {
+  return getLotRepository().listLots(filters).map(toLotView);
+}
+
+/**
+ * Compares a lot record with its serial on the ledger: the stored details
+ * must still hash to the metadata the serial was minted with.
+ */
+async function verifyLot(ledger, lot) {
+  const nftInfo = await ledger.getNftInfo(lot.lotId);
+  const ledgerMetadataHash = Buffer.from(nftInfo.metadata).toString();
+  const recordHash = hashLotMetadata(lot);
+
+  return {
+    ledgerAccountId: nftInfo.accountId.toString(),
+    ledgerMetadataHash,
+    recordHash,
+    verified: ledgerMetadataHash === recordHash && recordHash === lot.metadataHash
+  };
+}
+
+module.exports = {
+  LotError,
+  createLot,
+  planLotDraws,
+  applyLotDraws,
+  getLot,
+  listLots,
+  verifyLot
+};
@@ -0,0 +1,483 @@
+const crypto = require('crypto');
+const { Hbar, HbarUnit } = require('@hashgraph/sdk');
+const { getMarketRepository } = require('./store');
+const { recordEvent } = require('./history');
+const { fromSmallestUnits, toUnits, fromUnits, toBigInt } = require('./units');
+
+const ENTRY_STATUSES = ['PENDING', 'OPEN', 'PARTIALLY_FILLED', 'FILLED', 'CANCELLED', 'EXPIRED'];
+const ACTIVE_STATUSES = ['OPEN', 'PARTIALLY_FILLED'];
+const DEFAULT_EXPIRY_DAYS = 30;
+
+const marketLocks = new Map();
+
+class MarketError extends Error {
+  constructor(message, statusCode, details = {}) {
+    super(message);
+    this.name = 'MarketError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Quantities are kept in the token's unit like the rest of the records;
+// sums and differences are done in its smallest units.
+function toHbar(tinybars) {
+  return Hbar.fromTinybars(toBigInt(tinybars).toString()).to(HbarUnit.Hbar).toNumber();
+}
+
+/**
+ * Tinybars per smallest unit of the token for a price per whole unit. Any
+ * part of a listing or order can be filled, so the price has to divide
+ * evenly into smallest units for every fill to cost whole tinybars.
+ */
+function unitPriceTinybars(pricePerUnitHbar, decimals, field = 'pricePerUnitHbar') {
+  if (!(Number(pricePerUnitHbar) > 0)) {
+    throw new MarketError(`${field} must be a positive amount of HBAR`, 400);
+  }
+  let tinybars;
+  try {
+    tinybars = toBigInt(new Hbar(pricePerUnitHbar).toTinybars());
+  } catch (error) {
+    throw new MarketError(`${field} must be an amount of HBAR: ${error.message}`, 400);
+  }
+  const scale = 10n ** BigInt(decimals);
+  if (tinybars % scale !== 0n) {
+    throw new MarketError(`${field} must be a whole number of tinybars for each ${fromSmallestUnits(1n, decimals)} of the token`, 400, {
+      [field]: pricePerUnitHbar,
+      decimals
+    });
+  }
+  return tinybars / scale;
+}
+
+function parseExpiry(expiresAt) {
+  const now = Date.now();
+  if (expiresAt === undefined || expiresAt === null) {
+    return new Date(now + DEFAULT_EXPIRY_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  }
+  const expiry = new Date(expiresAt);
+  if (Number.isNaN(expiry.getTime())) {
+    throw new MarketError('expiresAt must be an ISO 8601 date and time', 400);
+  }
+  if (expiry.getTime() <= now) {
+    throw new MarketError('expiresAt must be in the future', 400);
+  }
+  return expiry.toISOString();
+}
+
+function requirePositive(quantityUnits) {
+  if (toBigInt(quantityUnits) <= 0n) {
+    throw new MarketError('Quantity must be positive', 400);
+  }
+}
+
+function draftEntry({ tokenId, escrowAccountId, tokenUnit, quantityUnits, expiresAt }) {
+  const quantity = fromSmallestUnits(quantityUnits, tokenUnit.decimals);
+  return {
+    tokenId,
+    escrowAccountId,
+    unit: tokenUnit.unit,
+    decimals: tokenUnit.decimals,
+    quantity,
+    remaining: quantity,
+    filled: 0,
+    status: 'PENDING',
+    preparationId: null,
+    pendingUntil: null,
+    escrowTransactionId: null,
+    refundTransactionId: null,
+    fills: [],
+    createdAt: new Date().toISOString(),
+    openedAt: null,
+    expiresAt: parseExpiry(expiresAt),
+    closedAt: null
+  };
+}
+
+/**
+ * A listing that has not been saved yet. Listed stock is escrowed in the
+ * operator profile's escrow account, which hands it to buyers as orders
+ * match, so the seller does not have to be around to sign each sale.
+ */
+function draftListing({ tokenId, sellerAccountId, escrowAccountId, tokenUnit, quantityUnits, pricePerUnitHbar, expiresAt }) {
+  requirePositive(quantityUnits);
+  unitPriceTinybars(pricePerUnitHbar, tokenUnit.decimals);
+  if (sellerAccountId === escrowAccountId) {
+    throw new MarketError(`Account ${sellerAccountId} holds the marketplace escrow and cannot post listings`, 400);
+  }
+  return {
+    listingId: crypto.randomUUID(),
+    sellerAccountId,
+    pricePerUnitHbar: Number(pricePerUnitHbar),
+    ...draftEntry({ tokenId, escrowAccountId, tokenUnit, quantityUnits, expiresAt }),
+    batches: null
+  };
+}
+
+/**
+ * An order that has not been saved yet. The buyer escrows the whole order
+ * at its maximum price; each fill pays the listing's price to the seller
+ * and returns the difference to the buyer.
+ */
+function draftOrder({ tokenId, buyerAccountId, escrowAccountId, tokenUnit, quantityUnits, maxPricePerUnitHbar, expiresAt }) {
+  requirePositive(quantityUnits);
+  const unitPrice = unitPriceTinybars(maxPricePerUnitHbar, tokenUnit.decimals, 'maxPricePerUnitHbar');
+  if (buyerAccountId === escrowAccountId) {
+    throw new MarketError(`Account ${buyerAccountId} holds the marketplace escrow and cannot place orders`, 400);
+  }
+  const escrowTinybars = toBigInt(quantityUnits) * unitPrice;
+  return {
+    orderId: crypto.randomUUID(),
+    buyerAccountId,
+    maxPricePerUnitHbar: Number(maxPricePerUnitHbar),
+    escrowTinybars: escrowTinybars.toString(),
+    escrowHbar: toHbar(escrowTinybars),
+    ...draftEntry({ tokenId, escrowAccountId, tokenUnit, quantityUnits, expiresAt })
+  };
+}
+
+function isListing(entry) {
+  return Boolean(entry.listingId);
+}
+
+function saveEntry(entry) {
+  const repository = getMarketRepository();
+  return isListing(entry) ? repository.saveListing(entry) : repository.saveOrder(entry);
+}
+
+function recordMarketEvent(entry, action, { amount = null, transactionId = null } = {}) {
+  const listing = isListing(entry);
+  recordEvent({
+    type: listing ? 'LISTING' : 'ORDER',
+    tokenId: entry.tokenId,
+    actorAccountId: listing ? entry.sellerAccountId : entry.buyerAccountId,
+    counterparties: [{ accountId: entry.escrowAccountId, role: 'escrow' }],
+    amount,
+    unit: entry.unit,
+    transactionId,
+    details: listing
+      ? { action, listingId: entry.listingId, pricePerUnitHbar: entry.pricePerUnitHbar, expiresAt: entry.expiresAt }
+      : { action, orderId: entry.orderId, maxPricePerUnitHbar: entry.maxPricePerUnitHbar, expiresAt: entry.expiresAt }
+  });
+}
+
+// Saves a listing or order whose escrow transfer was prepared for its owner
+// to sign. It joins the book once that transfer is submitted.
+function savePending(entry, prepared) {
+  return saveEntry({
+    ...entry,
+    preparationId: prepared.preparationId,
+    pendingUntil: prepared.expiresAt
+  });
+}
+
+/**
+ * Puts a listing or order on the book once its escrow has arrived. A
+ * listing offers what the escrow account received, which is less than the
+ * seller sent when the token's custom fees come out of the transfer.
+ */
+function openEntry(entry, { transactionId, escrowedUnits = null }) {
+  const quantity = escrowedUnits === null ? entry.quantity : fromUnits(entry, escrowedUnits);
+  const opened = saveEntry({
+    ...entry,
+    quantity,
+    remaining: quantity,
+    status: 'OPEN',
+    escrowTransactionId: transactionId,
+    openedAt: new Date().toISOString()
+  });
+  recordMarketEvent(opened, 'OPENED', { amount: quantity, transactionId });
+  return opened;
+}
+
+function isLive(entry, now) {
+  return ACTIVE_STATUSES.includes(entry.status) && new Date(entry.expiresAt) > now;
+}
+
+// Best price first, then the earliest to join the book at that price.
+function liveBook(tokenId, now = new Date()) {
+  const repository = getMarketRepository();
+  const byTime = (a, b) => a.openedAt.localeCompare(b.openedAt);
+  const listings = repository.findListings((listing) => listing.tokenId === tokenId && isLive(listing, now))
+    .sort((a, b) => a.pricePerUnitHbar - b.pricePerUnitHbar || byTime(a, b));
+  const orders = repository.findOrders((order) => order.tokenId === tokenId && isLive(order, now))
+    .sort((a, b) => b.maxPricePerUnitHbar - a.maxPricePerUnitHbar || byTime(a, b));
+  return { listings, orders };
+}
+
+/**
+ * The next fill for a token's book: the best order against the best listing
+ * at or below its price, skipping accounts trading with themselves and the
+ * pairs in `skip` (as `<listingId>/<orderId>`). Fills go at the listing's
+ * price. Returns null when nothing crosses.
+ */
+function findMatch(tokenId, skip = new Set()) {
+  const { listings, orders } = liveBook(tokenId);
+  for (const order of orders) {
+    const maxPrice = unitPriceTinybars(order.maxPricePerUnitHbar, order.decimals);
+    for (const listing of listings) {
+      const price = unitPriceTinybars(listing.pricePerUnitHbar, listing.decimals);
+      if (price > maxPrice) {
+        break;
+      }
+      if (listing.sellerAccountId === order.buyerAccountId || skip.has(`${listing.listingId}/${order.orderId}`)) {
+        continue;
+      }
+
+      const listingUnits = toUnits(listing, listing.remaining);
+      const orderUnits = toUnits(order, order.remaining);
+      const units = listingUnits < orderUnits ? listingUnits : orderUnits;
+      return {
+        listing,
+        order,
+        units,
+        paidTinybars: units * price,
+        refundTinybars: units * (maxPrice - price)
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * How many entries on the other side of a token's book a new listing
+ * (`side: 'listing'`) or order at `pricePerUnitHbar` crosses, skipping the
+ * account's own as findMatch does. Each is at most one fill.
+ */
+function countCrossing(tokenId, { side, accountId, pricePerUnitHbar }) {
+  const { listings, orders } = liveBook(tokenId);
+  const price = Number(pricePerUnitHbar);
+  return side === 'listing'
+    ? orders.filter((order) => order.buyerAccountId !== accountId && price <= order.maxPricePerUnitHbar).length
+    : listings.filter((listing) => listing.sellerAccountId !== accountId && listing.pricePerUnitHbar <= price).length;
+}
+
+function fillStatus(remainingUnits) {
+  return remainingUnits === 0n ? 'FILLED' : 'PARTIALLY_FILLED';
+}
+
+/**
+ * Records a settled match on both sides of the book and returns the fill.
+ * `batches` splits the listing's escrowed batch stock into the part the
+ * fill delivered and the rest.
+ */
+function applyFill({ listing, order, units, paidTinybars, refundTinybars, transactionId, batches = null }) {
+  const repository = getMarketRepository();
+  const filledAt = new Date().toISOString();
+  const quantity = fromUnits(listing, units);
+  const fill = {
+    listingId: listing.listingId,
+    orderId: order.orderId,
+    sellerAccountId: listing.sellerAccountId,
+    buyerAccountId: order.buyerAccountId,
+    quantity,
+    unit: listing.unit,
+    pricePerUnitHbar: listing.pricePerUnitHbar,
+    totalPriceHbar: toHbar(paidTinybars),
+    refundedHbar: toHbar(refundTinybars),
+    batches: batches ? batches.part : null,
+    transactionId,
+    filledAt
+  };
+
+  const listingRemaining = toUnits(listing, listing.remaining) - units;
+  repository.saveListing({
+    ...listing,
+    remaining: fromUnits(listing, listingRemaining),
+    filled: fromUnits(listing, toUnits(listing, listing.filled) + units),
+    status: fillStatus(listingRemaining),
+    batches: batches ? batches.rest : listing.batches,
+    fills: [...listing.fills, fill],
+    closedAt: listingRemaining === 0n ? filledAt : null
+  });
+
+  const orderRemaining = toUnits(order, order.remaining) - units;
+  const escrowTinybars = toBigInt(order.escrowTinybars) - paidTinybars - refundTinybars;
+  repository.saveOrder({
+    ...order,
+    remaining: fromUnits(order, orderRemaining),
+    filled: fromUnits(order, toUnits(order, order.filled) + units),
+    escrowTinybars: escrowTinybars.toString(),
+    escrowHbar: toHbar(escrowTinybars),
+    status: fillStatus(orderRemaining),
+    fills: [...order.fills, fill],
+    closedAt: orderRemaining === 0n ? filledAt : null
+  });
+  return fill;
+}
+
+/**
+ * What closing a listing or order hands back from escrow: the unsold stock
+ * of a listing in smallest units, or the unspent HBAR of an order in
+ * tinybars.
+ */
+function escrowRemainder(entry) {
+  return isListing(entry) ? toUnits(entry, entry.remaining) : toBigInt(entry.escrowTinybars);
+}
+
+// Takes a listing or order off the book as CANCELLED or EXPIRED once its
+// remaining escrow has been returned.
+function closeEntry(entry, status, { transactionId = null } = {}) {
+  const closed = saveEntry({
+    ...entry,
+    status,
+    refundTransactionId: transactionId,
+    ...(isListing(entry) ? {} : { escrowTinybars: '0', escrowHbar: 0 }),
+    closedAt: new Date().toISOString()
+  });
+  recordMarketEvent(closed, status, { amount: entry.remaining, transactionId });
+  return closed;
+}
+
+function getListing(listingId) {
+  return getMarketRepository().getListing(listingId);
+}
+
+function getOrder(orderId) {
+  return getMarketRepository().getOrder(orderId);
+}
+
+/**
+ * Looks up a listing or order its owner (or an admin) asks to cancel. Only
+ * entries on the book can be cancelled; a pending one lapses on its own if
+ * its escrow transfer is never submitted.
+ */
+function getCancellable(entry, { kind, id, ownerField }, accountId, admin) {
+  const description = `${kind[0].toUpperCase()}${kind.slice(1)} ${id}`;
+  if (!entry) {
+    throw new MarketError(`No ${kind} found with ID ${id}`, 404);
+  }
+  if (!admin && entry[ownerField] !== accountId) {
+    throw new MarketError(`${description} belongs to account ${entry[ownerField]}`, 403);
+  }
+  if (entry.status === 'PENDING') {
+    throw new MarketError(`${description} is waiting for its escrow transfer to be submitted`, 409);
+  }
+  if (!ACTIVE_STATUSES.includes(entry.status)) {
+    throw new MarketError(`${description} is already ${entry.status}`, 409);
+  }
+  return entry;
+}
+
+function getCancellableListing(listingId, sellerAccountId, { admin = false } = {}) {
+  return getCancellable(getListing(listingId), { kind: 'listing', id: listingId, ownerField: 'sellerAccountId' }, sellerAccountId, admin);
+}
+
+function getCancellableOrder(orderId, buyerAccountId, { admin = false } = {}) {
+  return getCancellable(getOrder(orderId), { kind: 'order', id: orderId, ownerField: 'buyerAccountId' }, buyerAccountId, admin);
+}
+
+// Past its expiry while still holding escrow, or pending with an escrow
+// transfer that can no longer be submitted.
+function hasExpired(entry, now = new Date()) {
+  return (ACTIVE_STATUSES.includes(entry.status) && new Date(entry.expiresAt) <= now) ||
+    (entry.status === 'PENDING' && new Date(entry.pendingUntil) <= now);
+}
+
+function findExpired(now = new Date()) {
+  const repository = getMarketRepository();
+  const expired = (entry) => hasExpired(entry, now);
+  return [...repository.findListings(expired), ...repository.findOrders(expired)];
+}
+
+function parseStatuses(status) {
+  const statuses = status ? String(status).split(',').map((entry) => entry.trim().toUpperCase()) : null;
+  const unknown = (statuses || []).filter((entry) => !ENTRY_STATUSES.includes(entry));
+  if (unknown.length > 0) {
+    throw new MarketError(`Unknown status: ${unknown.join(', ')}. Expected one of: ${ENTRY_STATUSES.join(', ')}`, 400);
+  }
+  return statuses;
+}
+
+function listListings({ tokenId, sellerAccountId, status }) {
+  const statuses = parseStatuses(status);
+  return getMarketRepository()
+    .findListings((listing) => (!tokenId || listing.tokenId === tokenId) &&
+      (!sellerAccountId || listing.sellerAccountId === sellerAccountId) &&
+      (!statuses || statuses.includes(listing.status)))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function listOrders({ tokenId, buyerAccountId, status }) {
+  const statuses = parseStatuses(status);
+  return getMarketRepository()
+    .findOrders((order) => (!tokenId || order.tokenId === tokenId) &&
+      (!buyerAccountId || order.buyerAccountId === buyerAccountId) &&
+      (!statuses || statuses.includes(order.status)))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function priceLevels(entries, priceField, decimals) {
+  const levels = new Map();
+  for (const entry of entries) {
+    const level = levels.get(entry[priceField]) || { pricePerUnitHbar: entry[priceField], units: 0n, count: 0 };
+    level.units += toUnits(entry, entry.remaining);
+    level.count += 1;
+    levels.set(entry[priceField], level);
+  }
+  return [...levels.values()].map(({ pricePerUnitHbar, units, count }) => ({
+    pricePerUnitHbar,
+    quantity: fromSmallestUnits(units, decimals),
+    [priceField === 'pricePerUnitHbar' ? 'listings' : 'orders']: count
+  }));
+}
+
+/**
+ * The live book of a token: asks (listings, cheapest first) and bids
+ * (orders, highest first) summed per price level.
+ */
+function getOrderBook(tokenId, tokenUnit) {
+  const { listings, orders } = liveBook(tokenId);
+  const asks = priceLevels(listings, 'pricePerUnitHbar', tokenUnit.decimals);
+  const bids = priceLevels(orders, 'maxPricePerUnitHbar', tokenUnit.decimals);
+  return {
+    tokenId,
+    unit: tokenUnit.unit,
+    bestAskHbar: asks.length > 0 ? asks[0].pricePerUnitHbar : null,
+    bestBidHbar: bids.length > 0 ? bids[0].pricePerUnitHbar : null,
+    asks,
+    bids
+  };
+}
+
+/**
+ * Runs `fn` once every earlier call for the same token has finished.
+ * Matching reads the book, settles on the ledger and then records the
+ * fills, yielding in between, so changes to one token's book must not
+ * interleave.
+ */
+function withMarketLock(tokenId, fn) {
+  const previous = marketLocks.get(tokenId) || Promise.resolve();
+  const run = previous.then(() => fn());
+  const settled = run.catch(() => {});
+  marketLocks.set(tokenId, settled);
+  settled.then(() => {
+    if (marketLocks.get(tokenId) === settled) {
+      marketLocks.delete(tokenId);
+    }
+  });
+  return run;
+}
+
+module.exports = {
+  MarketError,
+  draftListing,
+  draftOrder,
+  savePending,
+  openEntry,
+  findMatch,
+  countCrossing,
+  applyFill,
+  escrowRemainder,
+  closeEntry,
+  getListing,
+  getOrder,
+  getCancellableListing,
+  getCancellableOrder,
+  hasExpired,
+  findExpired,
+  listListings,
+  listOrders,
+  getOrderBook,
+  withMarketLock
+};
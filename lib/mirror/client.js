@@ -0,0 +1,165 @@
+const {
+  AccountId,
+  TokenId,
+  PublicKey,
+  Long,
+  TokenType,
+  TokenSupplyType
+} = require('@hashgraph/sdk');
+
+const DEFAULT_PAGE_SIZE = 100;
+const DEFAULT_TIMEOUT_MS = 5000;
+
+class MirrorNodeError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'MirrorNodeError';
+    this.statusCode = statusCode;
+  }
+}
+
+function parseKey(key) {
+  if (!key) {
+    return null;
+  }
+  if (key._type === 'ED25519') {
+    return PublicKey.fromStringED25519(key.key);
+  }
+  if (key._type === 'ECDSA_SECP256K1') {
+    return PublicKey.fromStringECDSA(key.key);
+  }
+  // Key lists and contract keys only come back as encoded protobuf; the
+  // routes only care whether a key is set.
+  return key.key;
+}
+
+// Balances come back as bare int64 JSON integers, which JSON.parse would
+// round beyond 2^53, so they are read as strings.
+function parseJson(text) {
+  return JSON.parse(text.replace(/("balance"\s*:\s*)(-?\d+)/g, '$1"$2"'));
+}
+
+/**
+ * Converts a mirror node token document into the shape of the SDK's
+ * TokenInfo, so routes can read it exactly like a TokenInfoQuery result.
+ */
+function toTokenInfo(token) {
+  return {
+    tokenId: TokenId.fromString(token.token_id),
+    name: token.name,
+    symbol: token.symbol,
+    decimals: Number(token.decimals),
+    totalSupply: Long.fromString(String(token.total_supply)),
+    treasuryAccountId: token.treasury_account_id ? AccountId.fromString(token.treasury_account_id) : null,
+    adminKey: parseKey(token.admin_key),
+    kycKey: parseKey(token.kyc_key),
+    freezeKey: parseKey(token.freeze_key),
+    pauseKey: parseKey(token.pause_key),
+    wipeKey: parseKey(token.wipe_key),
+    supplyKey: parseKey(token.supply_key),
+    feeScheduleKey: parseKey(token.fee_schedule_key),
+    defaultFreezeStatus: token.freeze_key ? Boolean(token.freeze_default) : null,
+    defaultKycStatus: token.kyc_key ? false : null,
+    pauseStatus: token.pause_status === 'NOT_APPLICABLE' ? null : token.pause_status === 'PAUSED',
+    isDeleted: Boolean(token.deleted),
+    tokenMemo: token.memo || '',
+    metadata: new Uint8Array(Buffer.from(token.metadata || '', 'base64')),
+    customFees: token.custom_fees || null,
+    tokenType: token.type === 'NON_FUNGIBLE_UNIQUE' ? TokenType.NonFungibleUnique : TokenType.FungibleCommon,
+    supplyType: token.supply_type === 'FINITE' ? TokenSupplyType.Finite : TokenSupplyType.Infinite,
+    maxSupply: Long.fromString(String(token.max_supply || 0))
+  };
+}
+
+/**
+ * Minimal REST client for the Hedera mirror node. List endpoints are
+ * followed through `links.next` until every page has been read.
+ */
+class MirrorNodeClient {
+  constructor({ baseUrl, pageSize = DEFAULT_PAGE_SIZE, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.pageSize = pageSize;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async _get(path) {
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${path}`, {
+        headers: { accept: 'application/json' },
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (error) {
+      throw new MirrorNodeError(`Mirror node request ${path} failed: ${error.message}`, null);
+    }
+
+    if (!response.ok) {
+      throw new MirrorNodeError(`Mirror node request ${path} returned HTTP ${response.status}`, response.status);
+    }
+    return parseJson(await response.text());
+  }
+
+  async _getAll(path, key) {
+    const separator = path.includes('?') ? '&' : '?';
+    let next = `${path}${separator}limit=${this.pageSize}`;
+    const items = [];
+
+    while (next) {
+      const page = await this._get(next);
+      items.push(...(page[key] || []));
+      next = page.links && page.links.next;
+    }
+    return items;
+  }
+
+  async getTokenInfo(tokenId) {
+    return toTokenInfo(await this._get(`/api/v1/tokens/${tokenId}`));
+  }
+
+  // Every account holding the token, keyed by account ID, in smallest units.
+  async getTokenBalances(tokenId) {
+    const balances = await this._getAll(`/api/v1/tokens/${tokenId}/balances`, 'balances');
+    return new Map(balances.map((entry) => [entry.account, Long.fromString(String(entry.balance))]));
+  }
+
+  /**
+   * Every message on a consensus topic, oldest first, with its sequence
+   * number, consensus timestamp and the topic's running hash after it.
+   * Message bodies are decoded as UTF-8.
+   */
+  async getTopicMessages(topicId) {
+    const messages = await this._getAll(`/api/v1/topics/${topicId}/messages`, 'messages');
+    return messages.map((message) => ({
+      sequenceNumber: Number(message.sequence_number),
+      consensusTimestamp: message.consensus_timestamp,
+      payerAccountId: message.payer_account_id,
+      message: Buffer.from(message.message, 'base64').toString('utf8'),
+      runningHash: message.running_hash
+    }));
+  }
+
+  // Every token associated with the account, with its name, symbol and
+  // decimals alongside the balance.
+  async getAccountTokens(accountId) {
+    const [relationships, tokens] = await Promise.all([
+      this._getAll(`/api/v1/accounts/${accountId}/tokens`, 'tokens'),
+      this._getAll(`/api/v1/tokens?account.id=${accountId}`, 'tokens')
+    ]);
+    const details = new Map(tokens.map((token) => [token.token_id, token]));
+
+    return new Map(relationships.map((relationship) => {
+      const token = details.get(relationship.token_id) || {};
+      return [relationship.token_id, {
+        balance: Long.fromString(String(relationship.balance)),
+        name: token.name,
+        symbol: token.symbol,
+        decimals: token.decimals !== undefined ? Number(token.decimals) : relationship.decimals
+      }];
+    }));
+  }
+}
+
+module.exports = {
+  MirrorNodeClient,
+  MirrorNodeError
+};
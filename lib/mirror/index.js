@@ -0,0 +1,48 @@
+const { MirrorNodeClient } = require('./client');
+const { startMirrorStandIn } = require('./standIn');
+
+const mirrorClients = new Map();
+const standIns = new Map();
+
+/**
+ * Sets up the mirror node client for a ledger's operator profile from its
+ * `mirrorNodeUrl`: a base URL, "standin" for an in-process stand-in
+ * (simulator backend only), or "off" to read from consensus nodes only.
+ * Returns the URL in use, or null when disabled.
+ */
+async function configureMirror({ ledger, mirrorNodeUrl }) {
+  if (!mirrorNodeUrl || mirrorNodeUrl === 'off') {
+    mirrorClients.delete(ledger.profile);
+    return null;
+  }
+
+  let baseUrl = mirrorNodeUrl;
+  if (mirrorNodeUrl === 'standin') {
+    if (ledger.name !== 'simulator') {
+      throw new Error('MIRROR_NODE_URL=standin requires LEDGER_BACKEND=simulator');
+    }
+    if (!standIns.has(ledger.profile)) {
+      // Only the first stand-in can use a fixed port.
+      standIns.set(ledger.profile, await startMirrorStandIn({
+        ledger,
+        port: standIns.size === 0 ? Number(process.env.MIRROR_STANDIN_PORT || 0) : 0
+      }));
+    }
+    baseUrl = standIns.get(ledger.profile).url;
+  }
+
+  mirrorClients.set(ledger.profile, new MirrorNodeClient({
+    baseUrl,
+    pageSize: Number(process.env.MIRROR_PAGE_SIZE || 100)
+  }));
+  return baseUrl;
+}
+
+function getMirrorClient(ledger) {
+  return mirrorClients.get(ledger.profile) || null;
+}
+
+module.exports = {
+  configureMirror,
+  getMirrorClient
+};
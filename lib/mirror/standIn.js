@@ -0,0 +1,230 @@
+const http = require('http');
+const { PublicKey, TokenType, TokenSupplyType, CustomFractionalFee, FeeAssessmentMethod } = require('@hashgraph/sdk');
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+function entityNum(id) {
+  return Number(id.split('.')[2]);
+}
+
+function toMirrorKey(key) {
+  if (!key) {
+    return null;
+  }
+  if (key instanceof PublicKey) {
+    return {
+      _type: key._key._type === 'ED25519' ? 'ED25519' : 'ECDSA_SECP256K1',
+      key: key.toStringRaw()
+    };
+  }
+  return { _type: 'ProtobufEncoded', key: key.toString() };
+}
+
+function toMirrorCustomFees(customFees) {
+  const fees = { fixed_fees: [], fractional_fees: [] };
+  for (const fee of customFees || []) {
+    if (fee instanceof CustomFractionalFee) {
+      fees.fractional_fees.push({
+        all_collectors_are_exempt: fee.allCollectorsAreExempt,
+        amount: { numerator: Number(fee.numerator), denominator: Number(fee.denominator) },
+        collector_account_id: fee.feeCollectorAccountId.toString(),
+        minimum: Number(fee.min),
+        maximum: Number(fee.max) || null,
+        net_of_transfers: fee.assessmentMethod === FeeAssessmentMethod.Exclusive
+      });
+    } else {
+      fees.fixed_fees.push({
+        all_collectors_are_exempt: fee.allCollectorsAreExempt,
+        amount: Number(fee.amount),
+        collector_account_id: fee.feeCollectorAccountId.toString(),
+        denominating_token_id: fee.denominatingTokenId ? fee.denominatingTokenId.toString() : null
+      });
+    }
+  }
+  return fees;
+}
+
+function toMirrorToken(info) {
+  return {
+    token_id: info.tokenId.toString(),
+    name: info.name,
+    symbol: info.symbol,
+    decimals: String(info.decimals),
+    total_supply: info.totalSupply.toString(),
+    max_supply: info.maxSupply.toString(),
+    treasury_account_id: info.treasuryAccountId.toString(),
+    type: info.tokenType === TokenType.NonFungibleUnique ? 'NON_FUNGIBLE_UNIQUE' : 'FUNGIBLE_COMMON',
+    supply_type: info.supplyType === TokenSupplyType.Finite ? 'FINITE' : 'INFINITE',
+    memo: info.tokenMemo,
+    metadata: Buffer.from(info.metadata || []).toString('base64'),
+    deleted: info.isDeleted,
+    pause_status: info.pauseStatus === null ? 'NOT_APPLICABLE' : (info.pauseStatus ? 'PAUSED' : 'UNPAUSED'),
+    freeze_default: Boolean(info.defaultFreezeStatus),
+    admin_key: toMirrorKey(info.adminKey),
+    kyc_key: toMirrorKey(info.kycKey),
+    freeze_key: toMirrorKey(info.freezeKey),
+    pause_key: toMirrorKey(info.pauseKey),
+    wipe_key: toMirrorKey(info.wipeKey),
+    supply_key: toMirrorKey(info.supplyKey),
+    fee_schedule_key: toMirrorKey(info.feeScheduleKey),
+    custom_fees: toMirrorCustomFees(info.customFees)
+  };
+}
+
+/**
+ * Sorts rows by entity ID and cuts one page the way the mirror node does:
+ * `<cursorParam>=gt:<id>` resumes after the last row of the previous page
+ * and `links.next` is null on the last one.
+ */
+function paginate(rows, idOf, url, cursorParam) {
+  const limit = Math.min(Number(url.searchParams.get('limit')) || DEFAULT_LIMIT, MAX_LIMIT);
+  const cursor = url.searchParams.get(cursorParam);
+  const after = cursor && cursor.startsWith('gt:') ? entityNum(cursor.slice(3)) : -1;
+
+  const sorted = rows
+    .filter((row) => entityNum(idOf(row)) > after)
+    .sort((a, b) => entityNum(idOf(a)) - entityNum(idOf(b)));
+  const page = sorted.slice(0, limit);
+
+  let next = null;
+  if (sorted.length > limit) {
+    const nextUrl = new URL(url.pathname + url.search, 'http://stand-in');
+    nextUrl.searchParams.set('limit', String(limit));
+    nextUrl.searchParams.set(cursorParam, `gt:${idOf(page[page.length - 1])}`);
+    next = `${nextUrl.pathname}${nextUrl.search}`;
+  }
+  return { page, next };
+}
+
+function toMirrorTopicMessage(topicId, message) {
+  return {
+    topic_id: topicId,
+    sequence_number: Number(message.sequenceNumber),
+    consensus_timestamp: `${message.consensusTimestamp.seconds}.${String(message.consensusTimestamp.nanos).padStart(9, '0')}`,
+    payer_account_id: message.payerAccountId.toString(),
+    message: message.message.toString('base64'),
+    running_hash: Buffer.from(message.runningHash).toString('base64'),
+    running_hash_version: 3
+  };
+}
+
+// Topic messages page by sequence number rather than entity ID.
+function paginateMessages(rows, url) {
+  const limit = Math.min(Number(url.searchParams.get('limit')) || DEFAULT_LIMIT, MAX_LIMIT);
+  const cursor = url.searchParams.get('sequencenumber');
+  const after = cursor && cursor.startsWith('gt:') ? Number(cursor.slice(3)) : 0;
+
+  const remaining = rows.filter((row) => row.sequence_number > after);
+  const page = remaining.slice(0, limit);
+
+  let next = null;
+  if (remaining.length > limit) {
+    const nextUrl = new URL(url.pathname + url.search, 'http://stand-in');
+    nextUrl.searchParams.set('limit', String(limit));
+    nextUrl.searchParams.set('sequencenumber', `gt:${page[page.length - 1].sequence_number}`);
+    next = `${nextUrl.pathname}${nextUrl.search}`;
+  }
+  return { page, next };
+}
+
+// Balances are int64 on the mirror node and written as bare JSON integers,
+// so BigInts go out as their digits rather than through a Number.
+function toJson(body) {
+  return JSON.stringify(body, (key, value) => (typeof value === 'bigint' ? `\u0000${value}` : value))
+    .replace(/"\\u0000(-?\d+)"/g, '$1');
+}
+
+async function route(ledger, url) {
+  let match = url.pathname.match(/^\/api\/v1\/tokens\/([0-9.]+)\/balances$/);
+  if (match) {
+    const holders = await ledger.getTokenHolders(match[1]);
+    const rows = [...holders].map(([account, balance]) => ({ account, balance: BigInt(balance.toString()) }));
+    const { page, next } = paginate(rows, (row) => row.account, url, 'account.id');
+    return { timestamp: null, balances: page, links: { next } };
+  }
+
+  match = url.pathname.match(/^\/api\/v1\/tokens\/([0-9.]+)$/);
+  if (match) {
+    return toMirrorToken(await ledger.getTokenInfo(match[1]));
+  }
+
+  match = url.pathname.match(/^\/api\/v1\/accounts\/([0-9.]+)\/tokens$/);
+  if (match) {
+    const { tokens } = await ledger.getAccountBalance(match[1]);
+    const rows = [];
+    for (const [tokenId, balance] of tokens) {
+      const info = await ledger.getTokenInfo(tokenId);
+      rows.push({ token_id: tokenId, balance: BigInt(balance.toString()), decimals: info.decimals });
+    }
+    const { page, next } = paginate(rows, (row) => row.token_id, url, 'token.id');
+    return { tokens: page, links: { next } };
+  }
+
+  match = url.pathname.match(/^\/api\/v1\/topics\/([0-9.]+)\/messages$/);
+  if (match) {
+    const messages = await ledger.getTopicMessages(match[1]);
+    const rows = messages.map((message) => toMirrorTopicMessage(match[1], message));
+    const { page, next } = paginateMessages(rows, url);
+    return { messages: page, links: { next } };
+  }
+
+  if (url.pathname === '/api/v1/tokens' && url.searchParams.has('account.id')) {
+    const { tokens } = await ledger.getAccountBalance(url.searchParams.get('account.id'));
+    const rows = [];
+    for (const tokenId of tokens.keys()) {
+      const info = await ledger.getTokenInfo(tokenId);
+      rows.push({
+        token_id: tokenId,
+        name: info.name,
+        symbol: info.symbol,
+        decimals: String(info.decimals),
+        type: info.tokenType === TokenType.NonFungibleUnique ? 'NON_FUNGIBLE_UNIQUE' : 'FUNGIBLE_COMMON',
+        admin_key: toMirrorKey(info.adminKey)
+      });
+    }
+    const { page, next } = paginate(rows, (row) => row.token_id, url, 'token.id');
+    return { tokens: page, links: { next } };
+  }
+
+  return null;
+}
+
+/**
+ * Serves the subset of the mirror node REST API the service reads, straight
+ * from a simulated ledger, so the mirror read path can run without network
+ * access. Listens on an ephemeral port unless one is given.
+ */
+function startMirrorStandIn({ ledger, port = 0, host = '127.0.0.1' }) {
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${host}`);
+    let status = 200;
+    let body;
+    try {
+      body = await route(ledger, url);
+      if (!body) {
+        status = 404;
+        body = { _status: { messages: [{ message: 'Not found' }] } };
+      }
+    } catch (error) {
+      // Unknown entities come back from the simulator as query failures.
+      status = 404;
+      body = { _status: { messages: [{ message: error.message }] } };
+    }
+    res.writeHead(status, { 'content-type': 'application/json' });
+    res.end(toJson(body));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+      resolve({
+        url: `http://${host}:${address.port}`,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startMirrorStandIn };
@@ -0,0 +1,142 @@
+const {
+  getOperatorProfile,
+  listOperatorProfiles,
+  getDefaultProfileName,
+  runWithOperatorProfile
+} = require('./ledger');
+const {
+  getTokenRepository,
+  getPreparedTransactionRepository,
+  getLotRepository,
+  getMarketRepository
+} = require('./store');
+const { sendError } = require('./errors');
+
+const PROFILE_HEADER = 'X-Operator-Profile';
+
+class OperatorProfileError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'OperatorProfileError';
+    this.statusCode = statusCode;
+  }
+}
+
+function describeProfile(profile) {
+  return `operator profile "${profile.name}" (${profile.network})`;
+}
+
+// Tokens recorded before profiles existed belong to the default profile.
+function getTokenNetwork(ownership) {
+  return ownership.network || getOperatorProfile(getDefaultProfileName()).network;
+}
+
+/**
+ * The operator profile that created a token, or the first configured profile
+ * on the token's network when that one has since been removed. Throws when
+ * no configured profile is on the token's network.
+ */
+function getTokenProfileName(tokenId) {
+  const ownership = getTokenRepository().getOwnership(tokenId);
+  if (!ownership) {
+    return undefined;
+  }
+  if (getOperatorProfile(ownership.operatorProfile || getDefaultProfileName())) {
+    return ownership.operatorProfile || getDefaultProfileName();
+  }
+
+  const network = getTokenNetwork(ownership);
+  const sameNetwork = listOperatorProfiles().find((profile) => profile.network === network);
+  if (!sameNetwork) {
+    throw new OperatorProfileError(`Token ${tokenId} belongs to the ${network} network, which no configured operator profile uses`, 409);
+  }
+  return sameNetwork.name;
+}
+
+// The profile and network a prepared transaction was frozen for; it can
+// only be submitted there.
+function preparedProfile(preparationId) {
+  const prepared = getPreparedTransactionRepository().get(preparationId);
+  if (!prepared || !prepared.operatorProfile) {
+    return null;
+  }
+  const profile = getOperatorProfile(prepared.operatorProfile);
+  if (!profile) {
+    throw new OperatorProfileError(`Prepared transaction ${preparationId} was made for operator profile "${prepared.operatorProfile}", which is no longer configured`, 409);
+  }
+  return profile;
+}
+
+// The token a request is about, from whichever reference it carries.
+function referencedTokenId(params) {
+  if (params.tokenId || params.stockTokenId) {
+    return params.tokenId || params.stockTokenId;
+  }
+  if (params.lotId) {
+    const lot = getLotRepository().getLot(params.lotId);
+    return lot ? lot.stockTokenId : undefined;
+  }
+  const entry = (params.listingId && getMarketRepository().getListing(params.listingId)) ||
+    (params.orderId && getMarketRepository().getOrder(params.orderId));
+  return entry ? entry.tokenId : undefined;
+}
+
+function selectProfile(req) {
+  const params = { ...req.query, ...(req.body || {}) };
+  const requested = req.get(PROFILE_HEADER) || params.profile;
+  const requestedProfile = requested ? getOperatorProfile(requested) : null;
+  if (requested && !requestedProfile) {
+    throw new OperatorProfileError(`Unknown operator profile "${requested}". Configured profiles: ${listOperatorProfiles().map((profile) => profile.name).join(', ')}`, 400);
+  }
+
+  const prepared = params.preparationId ? preparedProfile(params.preparationId) : null;
+  if (prepared) {
+    if (requestedProfile && requestedProfile.network !== prepared.network) {
+      throw new OperatorProfileError(`Prepared transaction ${params.preparationId} was made for the ${prepared.network} network and cannot be submitted with ${describeProfile(requestedProfile)}`, 409);
+    }
+    return prepared.name;
+  }
+
+  const tokenId = referencedTokenId(params);
+  const ownership = tokenId ? getTokenRepository().getOwnership(tokenId) : null;
+  if (!ownership) {
+    return requested || getDefaultProfileName();
+  }
+
+  const network = getTokenNetwork(ownership);
+  if (requestedProfile && requestedProfile.network !== network) {
+    throw new OperatorProfileError(`Token ${tokenId} belongs to the ${network} network and cannot be used with ${describeProfile(requestedProfile)}`, 409);
+  }
+  return requested || getTokenProfileName(tokenId);
+}
+
+/**
+ * Express middleware that picks the operator profile a request runs under:
+ * the one named by the X-Operator-Profile header (or a `profile` field),
+ * otherwise the profile of the token, prepared transaction, lot, listing or
+ * order the request refers to, otherwise the default profile. A request
+ * that names a profile on a different network from its token is rejected.
+ */
+function selectsOperatorProfile() {
+  return (req, res, next) => {
+    let profileName;
+    try {
+      profileName = selectProfile(req);
+    } catch (error) {
+      if (error instanceof OperatorProfileError) {
+        return sendError(res, error);
+      }
+      return next(error);
+    }
+
+    res.set(PROFILE_HEADER, profileName);
+    runWithOperatorProfile(profileName, next);
+  };
+}
+
+module.exports = {
+  OperatorProfileError,
+  getTokenNetwork,
+  getTokenProfileName,
+  selectsOperatorProfile
+};
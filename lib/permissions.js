@@ -0,0 +1,185 @@
+const { getTokenRepository } = require('./store');
+const { recordEvent } = require('./history');
+const { AuthError, isAuthRequired, recordAccessDenied } = require('./auth');
+const { sendError } = require('./errors');
+
+// The OWNER role follows ownerAccountId; the others are granted per token.
+const GRANTABLE_ROLES = ['STOCK_MANAGER', 'SELLER', 'AUDITOR'];
+
+// The token roles allowed to perform each action. `null` marks actions any
+// authenticated caller may perform for its own account, such as buying on
+// the marketplace. An empty list leaves the action to admin callers.
+const PERMISSIONS = {
+  create: null,
+  associate: null,
+  trade: null,
+  'read-account': null,
+  'estimate-fees': null,
+  mint: ['OWNER', 'STOCK_MANAGER'],
+  burn: ['OWNER', 'STOCK_MANAGER'],
+  sell: ['OWNER', 'SELLER'],
+  'edit-metadata': ['OWNER', 'STOCK_MANAGER'],
+  'manage-lots': ['OWNER', 'STOCK_MANAGER'],
+  'manage-alerts': ['OWNER', 'STOCK_MANAGER'],
+  'read-history': ['OWNER', 'STOCK_MANAGER', 'AUDITOR'],
+  'read-fees': ['OWNER', 'STOCK_MANAGER', 'AUDITOR'],
+  reconcile: ['OWNER', 'STOCK_MANAGER', 'AUDITOR'],
+  'repair-cache': ['OWNER', 'STOCK_MANAGER'],
+  administer: ['OWNER'],
+  'manage-roles': ['OWNER'],
+  'manage-service': []
+};
+
+class PermissionError extends AuthError {
+  constructor(message, statusCode = 403) {
+    super(message, statusCode);
+    this.name = 'PermissionError';
+  }
+}
+
+function getAccountRoles(ownership, accountId) {
+  if (!ownership) {
+    return [];
+  }
+  const granted = (ownership.roles && ownership.roles[accountId]) || [];
+  return ownership.ownerAccountId === accountId ? ['OWNER', ...granted] : [...granted];
+}
+
+function listTokenRoles(tokenId) {
+  const ownership = getTokenRepository().getOwnership(tokenId);
+  if (!ownership) {
+    throw new PermissionError(`No ownership record found for token ID ${tokenId}`, 404);
+  }
+  return {
+    [ownership.ownerAccountId]: ['OWNER'],
+    ...ownership.roles
+  };
+}
+
+function parseRole(role) {
+  const normalized = String(role || '').toUpperCase();
+  if (!GRANTABLE_ROLES.includes(normalized)) {
+    throw new PermissionError(`Role must be one of: ${GRANTABLE_ROLES.join(', ')}`, 400);
+  }
+  return normalized;
+}
+
+function changeRole({ tokenId, accountId, role, actorAccountId }, grant) {
+  const tokenRepository = getTokenRepository();
+  const ownership = tokenRepository.getOwnership(tokenId);
+  if (!ownership) {
+    throw new PermissionError(`No ownership record found for token ID ${tokenId}`, 404);
+  }
+  const normalized = parseRole(role);
+
+  const roles = { ...ownership.roles };
+  const current = roles[accountId] || [];
+  const updated = grant
+    ? [...new Set([...current, normalized])]
+    : current.filter((entry) => entry !== normalized);
+  if (updated.length > 0) {
+    roles[accountId] = updated;
+  } else {
+    delete roles[accountId];
+  }
+
+  if (updated.length !== current.length) {
+    tokenRepository.saveOwnership(tokenId, { ...ownership, roles });
+    recordEvent({
+      type: 'ROLE',
+      tokenId,
+      actorAccountId,
+      counterparties: [{ accountId, role: 'grantee' }],
+      details: { action: grant ? 'GRANTED' : 'REVOKED', role: normalized }
+    });
+  }
+  return updated;
+}
+
+function grantRole(request) {
+  return changeRole(request, true);
+}
+
+function revokeRole(request) {
+  return changeRole(request, false);
+}
+
+function requestParams(req) {
+  return req.method === 'GET' ? req.query : (req.body || {});
+}
+
+function requestTokenId(req) {
+  const params = requestParams(req);
+  return params.tokenId || params.stockTokenId;
+}
+
+function checkPermission(caller, action, tokenId) {
+  const allowed = PERMISSIONS[action];
+  if (caller.admin || allowed === null) {
+    return;
+  }
+  if (allowed.length === 0) {
+    throw new PermissionError(`Only admin callers are allowed to "${action}"`);
+  }
+  if (!tokenId) {
+    throw new PermissionError('Token ID is required', 400);
+  }
+
+  const roles = getAccountRoles(getTokenRepository().getOwnership(tokenId), caller.accountId);
+  if (!roles.some((role) => allowed.includes(role))) {
+    throw new PermissionError(`Account ${caller.accountId} is not allowed to "${action}" on token ${tokenId}; that needs one of the roles ${allowed.join(', ')}`);
+  }
+}
+
+/**
+ * Express middleware that lets a request through only if its caller may
+ * perform `action` on the request's token (from `tokenId` or
+ * `stockTokenId`, or `resolveTokenId(req)`).
+ *
+ * `accountField` names the request field for the account the caller acts
+ * as. It must be the caller's own account unless the caller is an admin,
+ * and is filled in from the credentials when left out. With AUTH_MODE=off
+ * that field is the only identity there is: it is trusted as given, and a
+ * request without it is not checked.
+ */
+function authorizes(action, { accountField = null, resolveTokenId = requestTokenId } = {}) {
+  return (req, res, next) => {
+    const params = requestParams(req);
+    let tokenId = null;
+    try {
+      tokenId = resolveTokenId(req) || null;
+
+      let caller = req.caller;
+      if (!isAuthRequired()) {
+        if (!accountField || !params[accountField]) {
+          return next();
+        }
+        caller = { accountId: params[accountField], admin: false };
+      }
+
+      if (accountField && params[accountField] && params[accountField] !== caller.accountId && !caller.admin) {
+        throw new PermissionError(`${accountField} ${params[accountField]} does not match the authenticated account ${caller.accountId}`);
+      }
+      if (accountField && !params[accountField]) {
+        params[accountField] = caller.accountId;
+      }
+      checkPermission(caller, action, tokenId);
+    } catch (error) {
+      if (!(error instanceof AuthError)) {
+        return next(error);
+      }
+      recordAccessDenied(req, error, { action, tokenId });
+      return sendError(res, error);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  PermissionError,
+  getAccountRoles,
+  listTokenRoles,
+  grantRole,
+  revokeRole,
+  authorizes
+};
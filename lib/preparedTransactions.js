@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const {
+  Transaction,
+  TokenCreateTransaction,
+  TokenAssociateTransaction,
+  TransferTransaction
+} = require('@hashgraph/sdk');
+const { getPreparedTransactionRepository } = require('./store');
+const { getCurrentProfileName } = require('./ledger');
+const { transactionOperation, maxTransactionFee } = require('./fees');
+
+// Hedera rejects transactions whose valid start is more than 180 seconds old,
+// so that is the longest a caller can be given to sign and submit.
+const PREPARED_VALID_DURATION_SECONDS = 180;
+
+function preparedValidSeconds() {
+  const seconds = Number(process.env.PREPARED_VALID_SECONDS || PREPARED_VALID_DURATION_SECONDS);
+  return Math.min(seconds, PREPARED_VALID_DURATION_SECONDS);
+}
+
+class PreparedTransactionError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'PreparedTransactionError';
+    this.statusCode = statusCode;
+  }
+}
+
+function hashTransactionBodies(transaction) {
+  const hash = crypto.createHash('sha256');
+  for (const signedTransaction of transaction._signedTransactions.list) {
+    hash.update(signedTransaction.bodyBytes);
+  }
+  return hash.digest('hex');
+}
+
+function describeTransaction(transaction) {
+  if (transaction instanceof TokenAssociateTransaction) {
+    return {
+      type: 'TokenAssociate',
+      accountId: transaction.accountId.toString(),
+      tokenIds: transaction.tokenIds.map((tokenId) => tokenId.toString())
+    };
+  }
+  if (transaction instanceof TransferTransaction) {
+    return {
+      type: 'Transfer',
+      tokenTransfers: transaction._tokenTransfers.map((transfer) => ({
+        tokenId: transfer.tokenId.toString(),
+        accountId: transfer.accountId.toString(),
+        amount: transfer.amount.toString()
+      })),
+      hbarTransfers: transaction.hbarTransfersList.map((transfer) => ({
+        accountId: transfer.accountId.toString(),
+        amount: transfer.amount.toString()
+      }))
+    };
+  }
+  if (transaction instanceof TokenCreateTransaction) {
+    return {
+      type: 'TokenCreate',
+      tokenName: transaction.tokenName,
+      tokenSymbol: transaction.tokenSymbol
+    };
+  }
+  return { type: transaction.constructor.name };
+}
+
+function toPublicView(prepared) {
+  return {
+    preparationId: prepared.preparationId,
+    kind: prepared.kind,
+    operation: prepared.operation || null,
+    status: prepared.status,
+    transactionId: prepared.transactionId,
+    transactionBytes: prepared.transactionBytes,
+    summary: prepared.summary,
+    createdAt: prepared.createdAt,
+    expiresAt: prepared.expiresAt
+  };
+}
+
+/**
+ * Freezes a transaction without signing it and records it so the signed
+ * bytes can later be checked against exactly what was handed out. `kind`
+ * selects the handler that finishes the operation once it is submitted and
+ * `context` carries whatever that handler needs.
+ */
+function prepareTransaction({ transaction, client, kind, description, requiredSigners, context = {} }) {
+  const operation = transactionOperation(transaction);
+  const validSeconds = preparedValidSeconds();
+  transaction
+    .setTransactionValidDuration(validSeconds)
+    .setMaxTransactionFee(maxTransactionFee(operation))
+    .freezeWith(client);
+
+  const validStart = transaction.transactionId.validStart.toDate();
+  const prepared = getPreparedTransactionRepository().save({
+    preparationId: crypto.randomUUID(),
+    kind,
+    operation,
+    status: 'PREPARED',
+    transactionId: transaction.transactionId.toString(),
+    bodyHash: hashTransactionBodies(transaction),
+    transactionBytes: Buffer.from(transaction.toBytes()).toString('base64'),
+    summary: {
+      description,
+      requiredSigners,
+      ...describeTransaction(transaction)
+    },
+    context,
+    operatorProfile: getCurrentProfileName(),
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(validStart.getTime() + validSeconds * 1000).toISOString()
+  });
+
+  return toPublicView(prepared);
+}
+
+function getPreparedTransaction(preparationId) {
+  const prepared = getPreparedTransactionRepository().get(preparationId);
+  return prepared ? toPublicView(prepared) : null;
+}
+
+// The context the submit handler finishes the operation with. It is not part
+// of the public view.
+function getPreparedContext(preparationId) {
+  const prepared = getPreparedTransactionRepository().get(preparationId);
+  return prepared ? { ...prepared.context } : null;
+}
+
+/**
+ * Decodes signed bytes for a prepared transaction and checks that the
+ * caller signed the very transaction that was prepared, untouched.
+ */
+function openSignedTransaction(preparationId, signedTransactionBytes) {
+  const prepared = getPreparedTransactionRepository().get(preparationId);
+
+  if (!prepared) {
+    throw new PreparedTransactionError(`No prepared transaction found with ID ${preparationId}`, 404);
+  }
+  if (prepared.status !== 'PREPARED') {
+    throw new PreparedTransactionError(`Prepared transaction ${preparationId} is no longer pending (status ${prepared.status})`, 409);
+  }
+  if (new Date(prepared.expiresAt).getTime() < Date.now()) {
+    getPreparedTransactionRepository().update(preparationId, { status: 'EXPIRED' });
+    throw new PreparedTransactionError(`Prepared transaction ${preparationId} expired at ${prepared.expiresAt}`, 410);
+  }
+
+  let transaction;
+  try {
+    transaction = Transaction.fromBytes(Buffer.from(signedTransactionBytes, 'base64'));
+  } catch (error) {
+    throw new PreparedTransactionError(`Signed transaction bytes could not be decoded: ${error.message}`, 400);
+  }
+
+  if (hashTransactionBodies(transaction) !== prepared.bodyHash) {
+    throw new PreparedTransactionError('Signed transaction does not match the prepared transaction', 400);
+  }
+
+  return { prepared, transaction };
+}
+
+function markPreparedTransaction(preparationId, status, changes = {}) {
+  return toPublicView(getPreparedTransactionRepository().update(preparationId, {
+    status,
+    ...changes,
+    updatedAt: new Date().toISOString()
+  }));
+}
+
+module.exports = {
+  PreparedTransactionError,
+  prepareTransaction,
+  getPreparedTransaction,
+  getPreparedContext,
+  openSignedTransaction,
+  markPreparedTransaction
+};
@@ -0,0 +1,175 @@
+const MAX_IMPORT_ROWS = 500;
+
+// Columns that map straight onto the fields of /api/tokens/create.
+const PRODUCT_COLUMNS = [
+  'productName', 'initialStock', 'initialStockKg', 'maxStock', 'maxStockKg',
+  'unit', 'decimals', 'creatorAccountId', 'keys', 'customFees',
+  'batchNumber', 'productionDate', 'expiryDate'
+];
+const METADATA_PREFIX = 'metadata.';
+
+class ProductSpecError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ProductSpecError';
+    this.statusCode = 400;
+    this.details = details;
+  }
+}
+
+/**
+ * Parses RFC 4180 CSV: comma-separated, fields optionally in double quotes
+ * (which may hold commas, line breaks and "" for a quote), CRLF or LF line
+ * endings. Returns the rows as arrays of strings, blank lines skipped.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+    i += 1;
+  }
+  if (quoted) {
+    throw new ProductSpecError(`CSV has an unterminated quoted field on row ${rows.length + 1}`);
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+function readKeys(value) {
+  return Object.fromEntries(value.split(/[\s;|]+/).filter(Boolean).map((key) => [key.toLowerCase(), true]));
+}
+
+// One CSV record as the body of a create request. Empty cells are left out.
+function toCreateBody(record) {
+  const body = {};
+  const metadata = {};
+  for (const [column, value] of Object.entries(record)) {
+    if (value.trim() === '') {
+      continue;
+    }
+    if (column.startsWith(METADATA_PREFIX)) {
+      metadata[column.slice(METADATA_PREFIX.length)] = value.trim();
+    } else if (column === 'keys') {
+      body.keys = readKeys(value);
+    } else if (column === 'decimals') {
+      body.decimals = /^\s*\d+\s*$/.test(value) ? Number(value) : value;
+    } else if (column === 'customFees') {
+      try {
+        body.customFees = JSON.parse(value);
+      } catch (error) {
+        throw new ProductSpecError(`customFees must be a JSON array of fees: ${error.message}`);
+      }
+    } else {
+      body[column] = value.trim();
+    }
+  }
+  if (Object.keys(metadata).length > 0) {
+    body.metadata = metadata;
+  }
+  return body;
+}
+
+function readCsvProducts(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    throw new ProductSpecError('CSV is empty; the first line must name the columns');
+  }
+
+  const columns = header.map((column) => column.trim());
+  const unknown = columns.filter((column) => !PRODUCT_COLUMNS.includes(column) && !column.startsWith(METADATA_PREFIX));
+  if (unknown.length > 0) {
+    throw new ProductSpecError(`Unknown CSV columns: ${unknown.join(', ')}. Supported columns: ${PRODUCT_COLUMNS.join(', ')} and ${METADATA_PREFIX}<field> for metadata`);
+  }
+  if (!columns.includes('productName')) {
+    throw new ProductSpecError('CSV must have a productName column');
+  }
+
+  return rows.map((cells) => {
+    if (cells.length !== columns.length) {
+      return { error: `Row has ${cells.length} fields but the header has ${columns.length}` };
+    }
+    try {
+      return toCreateBody(Object.fromEntries(columns.map((column, i) => [column, cells[i]])));
+    } catch (error) {
+      if (!(error instanceof ProductSpecError)) {
+        throw error;
+      }
+      return { error: error.message };
+    }
+  });
+}
+
+/**
+ * The products of a bulk import as create request bodies: from a CSV
+ * request body, from a JSON `csv` string, or from a JSON `products` array.
+ * A CSV row that cannot be read comes back as `{ error }` so it is reported
+ * along with the other invalid rows.
+ */
+function readImportRows(body) {
+  let rows;
+  if (typeof body === 'string') {
+    rows = readCsvProducts(body);
+  } else if (body && typeof body.csv === 'string') {
+    rows = readCsvProducts(body.csv);
+  } else if (body && Array.isArray(body.products)) {
+    rows = body.products.map((product) => (product && typeof product === 'object' && !Array.isArray(product)
+      ? product
+      : { error: 'Product must be an object' }));
+  } else {
+    throw new ProductSpecError('Send the products as a text/csv body, as a csv string or as a products array');
+  }
+
+  if (rows.length === 0) {
+    throw new ProductSpecError('No products to import');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ProductSpecError(`At most ${MAX_IMPORT_ROWS} products can be imported at once`, { rows: rows.length });
+  }
+  return rows;
+}
+
+module.exports = {
+  ProductSpecError,
+  parseCsv,
+  readImportRows
+};
@@ -0,0 +1,268 @@
+const { TokenUpdateTransaction } = require('@hashgraph/sdk');
+const { getTokenRepository } = require('./store');
+const { validateBody } = require('./validation');
+const { canonicalJson, hashRecord } = require('./canonicalJson');
+const { maxTransactionFee } = require('./fees');
+const { describeError } = require('./errors');
+
+const DEFAULT_PRODUCT_TYPE = 'GENERAL';
+
+// What the token's metadata field holds: the hash of its current metadata
+// version, which fits the field's 100 bytes.
+const ANCHOR_PREFIX = 'sha256:';
+
+const origin = {
+  type: ['string', 'object'],
+  fields: {
+    country: { type: 'string', required: true },
+    region: { type: 'string' },
+    producer: { type: 'string' }
+  }
+};
+
+const certifications = {
+  type: 'array',
+  items: {
+    type: 'object',
+    fields: {
+      name: { type: 'string', required: true },
+      issuer: { type: 'string' },
+      certificateId: { type: 'string' },
+      validUntil: { type: 'timestamp' }
+    }
+  }
+};
+
+function productSchema({ grades = null, required = [] } = {}) {
+  return {
+    fields: {
+      productType: { type: 'string' },
+      origin: { ...origin, required: required.includes('origin') },
+      certifications: { ...certifications, required: required.includes('certifications') },
+      expiryDate: { type: 'timestamp', required: required.includes('expiryDate') },
+      grade: grades ? { type: 'string', enum: grades, required: required.includes('grade') } : { type: 'string' }
+    }
+  };
+}
+
+// Schemas by product type, in the rule format of lib/validation. Fields a
+// schema does not name are kept as given.
+const PRODUCT_SCHEMAS = {
+  GENERAL: productSchema(),
+  PRODUCE: productSchema({ grades: ['EXTRA', 'I', 'II'], required: ['origin'] }),
+  DAIRY: productSchema({ grades: ['AA', 'A', 'B'] }),
+  EGGS: productSchema({ grades: ['AA', 'A', 'B'] }),
+  MEAT: productSchema({ grades: ['PRIME', 'CHOICE', 'SELECT', 'STANDARD'], required: ['origin'] }),
+  GRAIN: productSchema({ grades: ['1', '2', '3', '4', '5'] })
+};
+
+class MetadataError extends Error {
+  constructor(message, statusCode, code, details = {}) {
+    super(message);
+    this.name = 'MetadataError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Checks product metadata against the schema of its `productType`
+ * (GENERAL when unset) and lists the problems, with fields named as
+ * `metadata.<field>`.
+ */
+function checkProductMetadata(metadata) {
+  const productType = metadata.productType || DEFAULT_PRODUCT_TYPE;
+  if (!PRODUCT_SCHEMAS[productType]) {
+    return [{
+      field: 'metadata.productType',
+      error: `metadata.productType must be one of: ${Object.keys(PRODUCT_SCHEMAS).join(', ')}`
+    }];
+  }
+  return validateBody({ metadata }, { fields: { metadata: { type: 'object', fields: PRODUCT_SCHEMAS[productType].fields } } });
+}
+
+function describeSchemas() {
+  return Object.entries(PRODUCT_SCHEMAS).map(([productType, schema]) => ({
+    productType,
+    fields: Object.fromEntries(Object.entries(schema.fields)
+      .filter(([field]) => field !== 'productType')
+      .map(([field, rule]) => [field, {
+        type: rule.type,
+        required: Boolean(rule.required),
+        ...(rule.enum ? { enum: rule.enum } : {}),
+        ...(rule.fields ? { fields: Object.keys(rule.fields) } : {}),
+        ...(rule.items && rule.items.fields ? { itemFields: Object.keys(rule.items.fields) } : {})
+      }]))
+  }));
+}
+
+function anchorValue(hash) {
+  return `${ANCHOR_PREFIX}${hash}`;
+}
+
+// The bytes to put in the metadata field of a token whose metadata is
+// `metadata`.
+function metadataAnchor(metadata) {
+  return Buffer.from(anchorValue(hashRecord(metadata)));
+}
+
+function toVersionView(version) {
+  return {
+    ...version,
+    anchorValue: anchorValue(version.hash)
+  };
+}
+
+function listMetadataVersions(tokenId) {
+  const versions = getTokenRepository().getMetadataVersions(tokenId);
+  if (versions.length === 0) {
+    throw new MetadataError(`No metadata recorded for token ${tokenId}`, 404, 'NOT_FOUND');
+  }
+  return versions.map(toVersionView);
+}
+
+// `version` is a version number, or the current version when left out.
+function getMetadataVersion(tokenId, version) {
+  const versions = listMetadataVersions(tokenId);
+  if (version === undefined || version === null || version === '') {
+    return versions[versions.length - 1];
+  }
+  const number = Number(version);
+  const found = versions.find((entry) => entry.version === number);
+  if (!found) {
+    throw new MetadataError(`Token ${tokenId} has no metadata version ${version}; versions run from 1 to ${versions.length}`, 404, 'NOT_FOUND');
+  }
+  return found;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Field-by-field changes, with nested objects compared field by field and
+// arrays as a whole.
+function diffValues(before, after, prefix, changes) {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+  for (const field of fields) {
+    const path = `${prefix}${field}`;
+    const from = before[field];
+    const to = after[field];
+    if (isPlainObject(from) && isPlainObject(to)) {
+      diffValues(from, to, `${path}.`, changes);
+    } else if (from === undefined) {
+      changes.push({ field: path, change: 'ADDED', to });
+    } else if (to === undefined) {
+      changes.push({ field: path, change: 'REMOVED', from });
+    } else if (canonicalJson(from) !== canonicalJson(to)) {
+      changes.push({ field: path, change: 'CHANGED', from, to });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Compares two metadata versions of a token; `to` defaults to the current
+ * version and `from` to the one before it.
+ */
+function diffMetadataVersions(tokenId, { from, to } = {}) {
+  const target = getMetadataVersion(tokenId, to);
+  const base = from === undefined || from === null || from === ''
+    ? getMetadataVersion(tokenId, Math.max(target.version - 1, 1))
+    : getMetadataVersion(tokenId, from);
+  return {
+    tokenId,
+    from: base.version,
+    to: target.version,
+    changes: diffValues(base.metadata, target.metadata, '', [])
+  };
+}
+
+// Tokens this service did not create, and paused or deleted ones, cannot
+// be updated, so their metadata is not anchored.
+function anchorSkipReason(ownership) {
+  return !ownership
+    ? 'the token was not created by this service'
+    : (ownership.deleted && 'the token is deleted') || (ownership.paused && 'the token is paused') || null;
+}
+
+/**
+ * Writes the hash of the token's current metadata version to the token's
+ * metadata field on the ledger, and records the outcome on the version.
+ * Tokens anchorSkipReason names a reason for are skipped. A failure is
+ * recorded rather than thrown.
+ */
+async function anchorMetadata(ledger, tokenId) {
+  const tokenRepository = getTokenRepository();
+  const { version, hash } = getMetadataVersion(tokenId);
+  const skipReason = anchorSkipReason(tokenRepository.getOwnership(tokenId));
+
+  let anchor;
+  if (skipReason) {
+    anchor = { status: 'SKIPPED', value: anchorValue(hash), reason: `Not anchored because ${skipReason}` };
+  } else {
+    try {
+      const transaction = await new TokenUpdateTransaction()
+        .setTokenId(tokenId)
+        .setMetadata(Buffer.from(anchorValue(hash)))
+        .setMaxTransactionFee(maxTransactionFee('admin'))
+        .freezeWith(ledger.client)
+        .sign(ledger.operatorPrivateKey);
+      const { transactionId } = await ledger.execute(transaction);
+      anchor = { status: 'ANCHORED', value: anchorValue(hash), transactionId: transactionId.toString(), anchoredAt: new Date().toISOString() };
+    } catch (error) {
+      console.warn(`Could not anchor metadata version ${version} of token ${tokenId}: ${error.message}`);
+      anchor = { status: 'FAILED', value: anchorValue(hash), error: describeError(error) };
+    }
+  }
+  return toVersionView(tokenRepository.saveMetadataAnchor(tokenId, version, anchor));
+}
+
+// Records that a version's hash went onto the ledger with the transaction
+// that created the token.
+function recordCreationAnchor(tokenId, transactionId) {
+  const { version, hash } = getMetadataVersion(tokenId);
+  return getTokenRepository().saveMetadataAnchor(tokenId, version, {
+    status: 'ANCHORED',
+    value: anchorValue(hash),
+    transactionId: transactionId.toString(),
+    anchoredAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Compares the hash anchored in a token's metadata field, as read from the
+ * ledger, with the token's current metadata version, and names the version
+ * the anchor belongs to when it is an older one.
+ */
+function checkMetadataAnchor(tokenId, tokenInfo) {
+  const versions = listMetadataVersions(tokenId);
+  const current = versions[versions.length - 1];
+  const anchored = tokenInfo.metadata && tokenInfo.metadata.length > 0
+    ? Buffer.from(tokenInfo.metadata).toString('utf8')
+    : null;
+  const anchoredVersion = anchored ? versions.filter((entry) => anchorValue(entry.hash) === anchored).pop() : null;
+  return {
+    tokenId,
+    anchoredValue: anchored,
+    anchoredVersion: anchoredVersion ? anchoredVersion.version : null,
+    currentVersion: current.version,
+    currentValue: anchorValue(current.hash),
+    matches: anchored === anchorValue(current.hash)
+  };
+}
+
+module.exports = {
+  DEFAULT_PRODUCT_TYPE,
+  MetadataError,
+  checkProductMetadata,
+  describeSchemas,
+  metadataAnchor,
+  listMetadataVersions,
+  getMetadataVersion,
+  diffMetadataVersions,
+  anchorSkipReason,
+  anchorMetadata,
+  recordCreationAnchor,
+  checkMetadataAnchor
+};
@@ -0,0 +1,414 @@
+const crypto = require('crypto');
+const { TokenSupplyType } = require('@hashgraph/sdk');
+const { ConfigurationError } = require('./ledger');
+const { getTokenRepository, getInventoryRepository } = require('./store');
+const { getTokenProfileName } = require('./operatorProfile');
+const { recordEvent } = require('./history');
+const { DEFAULT_UNIT, toSmallestUnits, fromSmallestUnits, toBigInt } = require('./units');
+
+const MAX_STORED_REPORTS = 100;
+
+const TOKEN_KEY_FIELDS = {
+  admin: 'adminKey',
+  supply: 'supplyKey',
+  freeze: 'freezeKey',
+  kyc: 'kycKey',
+  pause: 'pauseKey',
+  wipe: 'wipeKey'
+};
+
+class InventoryError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'InventoryError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Reads RECONCILE_INTERVAL_MINUTES, how often every profile's tokens are
+ * reconciled in the background (off when unset), and RECONCILE_REPAIR,
+ * whether those runs also repair the drift they find.
+ */
+function loadReconciliationSchedule() {
+  const { RECONCILE_INTERVAL_MINUTES: interval, RECONCILE_REPAIR: repair } = process.env;
+  if (interval === undefined || interval === '') {
+    return null;
+  }
+  const minutes = Number(interval);
+  if (!(minutes > 0)) {
+    throw new ConfigurationError(`RECONCILE_INTERVAL_MINUTES must be a positive number of minutes, got "${interval}"`);
+  }
+  return { intervalMs: minutes * 60 * 1000, repair: repair === 'true' };
+}
+
+function belongsToProfile(tokenId, profileName) {
+  try {
+    return getTokenProfileName(tokenId) === profileName;
+  } catch (error) {
+    return false;
+  }
+}
+
+// The tokens to reconcile or snapshot: the one asked for, or every token
+// recorded for the profile.
+function selectTokenIds(tokenId, profileName) {
+  const tokenRepository = getTokenRepository();
+  if (tokenId) {
+    if (!tokenRepository.getOwnership(tokenId)) {
+      throw new InventoryError(`No ownership record found for token ID ${tokenId}`, 404);
+    }
+    return [tokenId];
+  }
+  return tokenRepository.listTokenIds().filter((id) => belongsToProfile(id, profileName));
+}
+
+function ledgerEnabledKeys(tokenInfo) {
+  return Object.keys(TOKEN_KEY_FIELDS).filter((key) => tokenInfo[TOKEN_KEY_FIELDS[key]]);
+}
+
+function ledgerMaxStock(tokenInfo) {
+  return tokenInfo.supplyType.toString() === TokenSupplyType.Finite.toString()
+    ? fromSmallestUnits(tokenInfo.maxSupply, tokenInfo.decimals)
+    : null;
+}
+
+// The ownership settings the ledger is the authority on, as [field, cached, ledger].
+function ownershipFields(ownership, tokenInfo) {
+  const sorted = (keys) => [...keys].sort();
+  return [
+    ['paused', Boolean(ownership.paused), tokenInfo.pauseStatus === true],
+    ['deleted', Boolean(ownership.deleted), tokenInfo.isDeleted === true],
+    ['enabledKeys', sorted(ownership.enabledKeys || ['admin', 'supply']), sorted(ledgerEnabledKeys(tokenInfo))],
+    ['maxStock', ownership.maxStock === undefined ? null : ownership.maxStock, ledgerMaxStock(tokenInfo)]
+  ];
+}
+
+// A token with no drift found is only in sync if every account was read.
+function checkStatus({ balances, ownershipDrift, unavailableAccountIds }) {
+  if (balances.length > 0 || ownershipDrift.length > 0) {
+    return 'DRIFTED';
+  }
+  return unavailableAccountIds.length > 0 ? 'INCOMPLETE' : 'IN_SYNC';
+}
+
+/**
+ * Compares the store's record of a token with the ledger. Cached balances
+ * are checked against consensus balances for every account the store knows
+ * and every holder the reader lists, and the ownership record against the
+ * token's paused, deleted, key and maximum supply settings.
+ */
+async function checkToken({ ledger, reader, tokenId }) {
+  const tokenRepository = getTokenRepository();
+  const ownership = tokenRepository.getOwnership(tokenId);
+  const cached = tokenRepository.getBalances(tokenId);
+  const tokenInfo = await ledger.getTokenInfo(tokenId);
+  const { decimals } = tokenInfo;
+  const holders = await reader.getTokenBalances(tokenId, Object.keys(cached));
+
+  const accountIds = new Set([
+    ...Object.keys(cached),
+    ...holders.keys(),
+    tokenInfo.treasuryAccountId.toString(),
+    ownership.ownerAccountId
+  ]);
+  const balances = [];
+  const unavailableAccountIds = [];
+  for (const accountId of accountIds) {
+    let ledgerUnits;
+    try {
+      const balance = await ledger.getAccountBalance(accountId);
+      ledgerUnits = balance.tokens.has(tokenId) ? toBigInt(balance.tokens.get(tokenId)) : null;
+    } catch (error) {
+      console.warn(`Could not get balance for account ${accountId}, token ${tokenId}: ${error.message}`);
+      unavailableAccountIds.push(accountId);
+      continue;
+    }
+
+    const cachedAmount = accountId in cached ? tokenRepository.getBalanceUnits(tokenId, accountId, decimals) : null;
+    if (cachedAmount === ledgerUnits) {
+      continue;
+    }
+    balances.push({
+      accountId,
+      cached: cachedAmount === null ? null : fromSmallestUnits(cachedAmount, decimals),
+      ledger: ledgerUnits === null ? null : fromSmallestUnits(ledgerUnits, decimals),
+      difference: fromSmallestUnits((ledgerUnits || 0n) - (cachedAmount || 0n), decimals),
+      associated: ledgerUnits !== null
+    });
+  }
+
+  const ownershipDrift = ownershipFields(ownership, tokenInfo)
+    .filter(([, cachedValue, ledgerValue]) => JSON.stringify(cachedValue) !== JSON.stringify(ledgerValue))
+    .map(([field, cachedValue, ledgerValue]) => ({ field, cached: cachedValue, ledger: ledgerValue }));
+
+  return {
+    tokenId,
+    productName: ownership.productName,
+    unit: ownership.unit || DEFAULT_UNIT,
+    decimals,
+    status: checkStatus({ balances, ownershipDrift, unavailableAccountIds }),
+    balances,
+    ownership: ownershipDrift,
+    unavailableAccountIds,
+    repaired: false
+  };
+}
+
+// Brings the store in line with the ledger for one checked token. Accounts
+// no longer associated with the token are dropped from the cache.
+function repairToken(check, { reconciliationId, actorAccountId }) {
+  const tokenRepository = getTokenRepository();
+  const associated = check.balances.filter((drift) => drift.associated);
+  const dissociated = check.balances.filter((drift) => !drift.associated);
+  if (associated.length > 0) {
+    const units = (amount) => toSmallestUnits(amount, { fromUnit: check.unit, toUnit: check.unit, decimals: check.decimals });
+    tokenRepository.setBalanceUnits(
+      check.tokenId,
+      Object.fromEntries(associated.map((drift) => [drift.accountId, units(drift.ledger)])),
+      check.decimals
+    );
+  }
+  if (dissociated.length > 0) {
+    tokenRepository.removeBalances(check.tokenId, dissociated.map((drift) => drift.accountId));
+  }
+  if (check.ownership.length > 0) {
+    tokenRepository.saveOwnership(check.tokenId, {
+      ...tokenRepository.getOwnership(check.tokenId),
+      ...Object.fromEntries(check.ownership.map((drift) => [drift.field, drift.ledger]))
+    });
+  }
+
+  recordEvent({
+    type: 'RECONCILE',
+    tokenId: check.tokenId,
+    actorAccountId,
+    counterparties: check.balances.map((drift) => ({ accountId: drift.accountId, role: 'holder' })),
+    unit: check.unit,
+    details: { reconciliationId, balances: check.balances, ownership: check.ownership }
+  });
+  return { ...check, repaired: true };
+}
+
+function pruneReports() {
+  const repository = getInventoryRepository();
+  const stale = repository.findReconciliations(() => true)
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+    .slice(MAX_STORED_REPORTS);
+  if (stale.length > 0) {
+    repository.deleteReconciliations(stale.map((report) => report.reconciliationId));
+  }
+}
+
+/**
+ * Reconciles the given tokens, repairing drift when asked, and stores the
+ * report. Only the latest reports are kept.
+ */
+async function reconcile({ ledger, reader, tokenIds, repair = false, actorAccountId = null, trigger = 'manual' }) {
+  const reconciliationId = crypto.randomUUID();
+  const startedAt = new Date().toISOString();
+  const tokens = [];
+
+  for (const tokenId of tokenIds) {
+    try {
+      const check = await checkToken({ ledger, reader, tokenId });
+      tokens.push(repair && check.status === 'DRIFTED' ? repairToken(check, { reconciliationId, actorAccountId }) : check);
+    } catch (error) {
+      console.warn(`Could not reconcile token ${tokenId}: ${error.message}`);
+      tokens.push({ tokenId, status: 'UNAVAILABLE', error: error.message });
+    }
+  }
+
+  const count = (predicate) => tokens.filter(predicate).length;
+  const report = getInventoryRepository().saveReconciliation({
+    reconciliationId,
+    operatorProfile: ledger.profile,
+    network: ledger.network,
+    trigger,
+    repair,
+    requestedBy: actorAccountId,
+    startedAt,
+    completedAt: new Date().toISOString(),
+    summary: {
+      tokens: tokens.length,
+      inSync: count((token) => token.status === 'IN_SYNC'),
+      drifted: count((token) => token.status === 'DRIFTED'),
+      repaired: count((token) => token.repaired),
+      incomplete: count((token) => token.status === 'INCOMPLETE'),
+      unavailable: count((token) => token.status === 'UNAVAILABLE')
+    },
+    tokens
+  });
+  pruneReports();
+  return report;
+}
+
+// A report narrowed to one token, for callers that may only see that token.
+function viewReport(report, tokenId) {
+  return tokenId ? { ...report, tokens: report.tokens.filter((token) => token.tokenId === tokenId) } : report;
+}
+
+function listReconciliations({ tokenId, limit }) {
+  return getInventoryRepository()
+    .findReconciliations((report) => !tokenId || report.tokens.some((token) => token.tokenId === tokenId))
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+    .slice(0, limit)
+    .map((report) => viewReport(report, tokenId));
+}
+
+function getReconciliation(reconciliationId, tokenId) {
+  const report = getInventoryRepository().getReconciliation(reconciliationId);
+  if (!report) {
+    throw new InventoryError(`No reconciliation found with ID ${reconciliationId}`, 404);
+  }
+  return viewReport(report, tokenId);
+}
+
+/**
+ * Records what each holder of the given tokens holds right now, as read
+ * through `reader`, so inventory can be compared between two points in
+ * time, such as consecutive month ends.
+ */
+async function takeSnapshot({ ledger, reader, tokenIds, label = null, takenBy = null }) {
+  const tokenRepository = getTokenRepository();
+  const tokens = {};
+  const unavailableTokenIds = [];
+
+  for (const tokenId of tokenIds) {
+    try {
+      const ownership = tokenRepository.getOwnership(tokenId);
+      const tokenInfo = await reader.getTokenInfo(tokenId);
+      const knownAccountIds = [...new Set([
+        ...Object.keys(tokenRepository.getBalances(tokenId)),
+        tokenInfo.treasuryAccountId.toString(),
+        ownership.ownerAccountId
+      ])];
+      const holders = await reader.getTokenBalances(tokenId, knownAccountIds);
+
+      const balances = {};
+      for (const [accountId, units] of holders) {
+        if (toBigInt(units) !== 0n) {
+          balances[accountId] = fromSmallestUnits(units, tokenInfo.decimals);
+        }
+      }
+      tokens[tokenId] = {
+        productName: ownership.productName,
+        unit: ownership.unit || DEFAULT_UNIT,
+        decimals: tokenInfo.decimals,
+        totalSupply: fromSmallestUnits(tokenInfo.totalSupply, tokenInfo.decimals),
+        balances
+      };
+    } catch (error) {
+      console.warn(`Could not snapshot token ${tokenId}: ${error.message}`);
+      unavailableTokenIds.push(tokenId);
+    }
+  }
+
+  return getInventoryRepository().saveSnapshot({
+    snapshotId: crypto.randomUUID(),
+    label,
+    operatorProfile: ledger.profile,
+    network: ledger.network,
+    takenAt: new Date().toISOString(),
+    takenBy,
+    tokenIds: Object.keys(tokens),
+    unavailableTokenIds,
+    tokens
+  });
+}
+
+function getSnapshot(snapshotId) {
+  const snapshot = getInventoryRepository().getSnapshot(snapshotId);
+  if (!snapshot) {
+    throw new InventoryError(`No inventory snapshot found with ID ${snapshotId}`, 404);
+  }
+  return snapshot;
+}
+
+function pickTokens(tokens, tokenId) {
+  return Object.entries(tokens).filter(([id]) => !tokenId || id === tokenId);
+}
+
+/**
+ * A snapshot narrowed to one token and/or one account. With an account,
+ * each token lists only that account's holding.
+ */
+function viewSnapshot(snapshot, { tokenId, accountId } = {}) {
+  const tokens = Object.fromEntries(pickTokens(snapshot.tokens, tokenId).map(([id, token]) => [id, accountId
+    ? { ...token, balances: accountId in token.balances ? { [accountId]: token.balances[accountId] } : {} }
+    : token]));
+  return { ...snapshot, tokenIds: Object.keys(tokens), tokens };
+}
+
+function listSnapshots({ tokenId, limit }) {
+  return getInventoryRepository()
+    .findSnapshots((snapshot) => !tokenId || snapshot.tokenIds.includes(tokenId))
+    .sort((a, b) => b.takenAt.localeCompare(a.takenAt))
+    .slice(0, limit)
+    .map(({ tokens, ...summary }) => ({ ...summary, tokenIds: tokenId ? [tokenId] : summary.tokenIds }));
+}
+
+function describeSnapshot({ snapshotId, label, takenAt }) {
+  return { snapshotId, label, takenAt };
+}
+
+/**
+ * What changed between two snapshots: the total supply of each token and
+ * the holding of every account whose balance moved, optionally narrowed
+ * to one token and/or one account.
+ */
+function compareSnapshots(from, to, { tokenId, accountId } = {}) {
+  const tokenIds = new Set([
+    ...pickTokens(from.tokens, tokenId).map(([id]) => id),
+    ...pickTokens(to.tokens, tokenId).map(([id]) => id)
+  ]);
+
+  const tokens = [...tokenIds].map((id) => {
+    const before = from.tokens[id] || null;
+    const after = to.tokens[id] || null;
+    const { unit, decimals, productName } = after || before;
+    const units = (amount) => toSmallestUnits(amount || 0, { fromUnit: unit, toUnit: unit, decimals });
+    const change = (beforeAmount, afterAmount) => ({
+      before: beforeAmount === undefined ? null : beforeAmount,
+      after: afterAmount === undefined ? null : afterAmount,
+      change: fromSmallestUnits(units(afterAmount) - units(beforeAmount), decimals)
+    });
+
+    const beforeBalances = before ? before.balances : {};
+    const afterBalances = after ? after.balances : {};
+    const accounts = [...new Set([...Object.keys(beforeBalances), ...Object.keys(afterBalances)])]
+      .filter((id) => !accountId || id === accountId)
+      .map((id) => ({ accountId: id, ...change(beforeBalances[id], afterBalances[id]) }))
+      .filter((entry) => entry.change !== 0);
+
+    return {
+      tokenId: id,
+      productName,
+      unit,
+      inFromSnapshot: Boolean(before),
+      inToSnapshot: Boolean(after),
+      totalSupply: change(before ? before.totalSupply : undefined, after ? after.totalSupply : undefined),
+      accounts
+    };
+  });
+
+  return {
+    from: describeSnapshot(from),
+    to: describeSnapshot(to),
+    tokens
+  };
+}
+
+module.exports = {
+  InventoryError,
+  loadReconciliationSchedule,
+  selectTokenIds,
+  reconcile,
+  listReconciliations,
+  getReconciliation,
+  takeSnapshot,
+  getSnapshot,
+  viewSnapshot,
+  listSnapshots,
+  compareSnapshots
+};
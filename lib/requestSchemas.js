@@ -0,0 +1,256 @@
+// Request body schemas for the POST routes, checked by validates() before a
+// route runs. Rules that depend on the ledger or the store (balances, roles,
+// units a token counts in) stay with the routes.
+
+const MODES = ['direct', 'prepare'];
+
+const tokenId = { type: 'entityId', required: true };
+const accountId = { type: 'entityId' };
+const privateKey = { type: 'string' };
+const amount = { type: 'amount' };
+const mode = { type: 'string', enum: MODES };
+
+const createToken = {
+  fields: {
+    productName: { type: 'string', required: true },
+    initialStock: amount,
+    initialStockKg: amount,
+    maxStock: amount,
+    maxStockKg: amount,
+    unit: { type: 'string' },
+    decimals: { type: 'integer' },
+    creatorAccountId: accountId,
+    creatorPrivateKey: privateKey,
+    keys: { type: 'object' },
+    metadata: { type: 'object' },
+    customFees: { type: 'array', items: { type: 'object' } },
+    batchNumber: { type: 'string' },
+    productionDate: { type: 'timestamp' },
+    expiryDate: { type: 'timestamp' },
+    mode
+  },
+  oneOf: [['initialStock', 'initialStockKg']]
+};
+
+const associateToken = {
+  fields: {
+    tokenId,
+    accountId: { ...accountId, required: true },
+    privateKey,
+    mode
+  }
+};
+
+const prepareHandover = {
+  fields: { tokenId, ownerAccountId: accountId }
+};
+
+const changeSupply = {
+  fields: { tokenId, accountId, amount, amountKg: amount, unit: { type: 'string' } },
+  oneOf: [['amount', 'amountKg']]
+};
+
+const mintStock = {
+  fields: {
+    ...changeSupply.fields,
+    batchNumber: { type: 'string' },
+    productionDate: { type: 'timestamp' },
+    expiryDate: { type: 'timestamp' }
+  },
+  oneOf: changeSupply.oneOf
+};
+
+const sellStock = {
+  fields: {
+    tokenId,
+    sellerAccountId: { ...accountId, required: true },
+    sellerPrivateKey: privateKey,
+    buyerAccountId: { ...accountId, required: true },
+    buyerPrivateKey: privateKey,
+    amount,
+    amountKg: amount,
+    unit: { type: 'string' },
+    pricePerUnitHbar: amount,
+    pricePerKgHbar: amount,
+    lots: { type: 'array', items: { type: 'object' } },
+    mode
+  },
+  oneOf: [['amount', 'amountKg']]
+};
+
+const distributeStock = {
+  fields: {
+    tokenId,
+    senderAccountId: { ...accountId, required: true },
+    senderPrivateKey: privateKey,
+    recipients: {
+      type: 'array',
+      required: true,
+      items: { type: 'object', fields: { accountId: { ...accountId, required: true }, amount, amountKg: amount } }
+    },
+    unit: { type: 'string' },
+    mode
+  }
+};
+
+const changeRole = {
+  fields: {
+    tokenId,
+    accountId: { ...accountId, required: true },
+    role: { type: 'string', required: true },
+    requesterAccountId: accountId
+  }
+};
+
+const updateMetadata = {
+  fields: { tokenId, accountId, metadata: { type: 'object', required: true } }
+};
+
+const anchorMetadata = {
+  fields: { tokenId, accountId }
+};
+
+const tokenAdmin = {
+  fields: { tokenId, requesterAccountId: { ...accountId, required: true } }
+};
+
+const accountAdmin = {
+  fields: { ...tokenAdmin.fields, accountId: { ...accountId, required: true } }
+};
+
+const updateToken = {
+  fields: { ...tokenAdmin.fields, productName: { type: 'string' }, tokenMemo: { type: 'string' } }
+};
+
+const wipeStock = {
+  fields: { ...accountAdmin.fields, amount, amountKg: amount, unit: { type: 'string' } },
+  oneOf: [['amount', 'amountKg']]
+};
+
+const createWebhook = {
+  fields: {
+    url: { type: 'string', required: true },
+    description: { type: 'string' },
+    tokenId: { type: 'entityId' },
+    accountId,
+    types: { type: ['array', 'string'] },
+    statuses: { type: ['array', 'string'] },
+    secret: { type: 'string' }
+  }
+};
+
+const deleteWebhook = {
+  fields: { webhookId: { type: 'string', required: true } }
+};
+
+const acknowledgeAlert = {
+  fields: { alertId: { type: 'string', required: true }, accountId }
+};
+
+const createLot = {
+  fields: {
+    stockTokenId: tokenId,
+    requesterAccountId: { ...accountId, required: true },
+    holderAccountId: accountId,
+    lotNumber: { type: 'string', required: true },
+    quantity: amount,
+    quantityKg: amount,
+    unit: { type: 'string' },
+    origin: { type: 'string' },
+    harvestDate: { type: 'timestamp' },
+    certificates: { type: 'array' }
+  },
+  oneOf: [['quantity', 'quantityKg']]
+};
+
+const createListing = {
+  fields: {
+    tokenId,
+    sellerAccountId: { ...accountId, required: true },
+    sellerPrivateKey: privateKey,
+    quantity: { ...amount, required: true },
+    unit: { type: 'string' },
+    pricePerUnitHbar: { ...amount, required: true },
+    expiresAt: { type: 'timestamp' },
+    mode
+  }
+};
+
+const createOrder = {
+  fields: {
+    tokenId,
+    buyerAccountId: { ...accountId, required: true },
+    buyerPrivateKey: privateKey,
+    quantity: { ...amount, required: true },
+    unit: { type: 'string' },
+    maxPricePerUnitHbar: { ...amount, required: true },
+    expiresAt: { type: 'timestamp' },
+    mode
+  }
+};
+
+const cancelListing = {
+  fields: { listingId: { type: 'string', required: true }, sellerAccountId: accountId }
+};
+
+const cancelOrder = {
+  fields: { orderId: { type: 'string', required: true }, buyerAccountId: accountId }
+};
+
+const reconcileInventory = {
+  fields: { tokenId: { type: 'entityId' }, repair: { type: 'boolean' }, requesterAccountId: accountId }
+};
+
+const takeSnapshot = {
+  fields: { tokenId: { type: 'entityId' }, label: { type: 'string' }, requesterAccountId: accountId }
+};
+
+const writeOffExpired = {
+  fields: { tokenId: { type: 'entityId' }, reason: { type: 'string' }, requesterAccountId: accountId }
+};
+
+const submitTransaction = {
+  fields: {
+    preparationId: { type: 'string', required: true },
+    signedTransactionBytes: { type: 'string', required: true }
+  }
+};
+
+const retryJob = {
+  fields: { jobId: { type: 'string', required: true }, privateKey }
+};
+
+const createSimulatedAccount = {
+  fields: { initialBalanceHbar: { type: 'number' } }
+};
+
+module.exports = {
+  createToken,
+  associateToken,
+  prepareHandover,
+  changeSupply,
+  mintStock,
+  sellStock,
+  distributeStock,
+  changeRole,
+  updateMetadata,
+  anchorMetadata,
+  tokenAdmin,
+  accountAdmin,
+  updateToken,
+  wipeStock,
+  createWebhook,
+  deleteWebhook,
+  acknowledgeAlert,
+  createLot,
+  createListing,
+  createOrder,
+  cancelListing,
+  cancelOrder,
+  reconcileInventory,
+  takeSnapshot,
+  writeOffExpired,
+  submitTransaction,
+  retryJob,
+  createSimulatedAccount
+};
@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const { getAlertRepository } = require('./store');
+const { recordEvent } = require('./history');
+const { fromSmallestUnits, toUnits, toBigInt } = require('./units');
+
+// Each alert level and the stock level field that triggers it.
+const LEVEL_FIELDS = {
+  REORDER: 'reorderLevel',
+  LOW_STOCK: 'minimumStock'
+};
+const ALERT_STATUSES = ['OPEN', 'ACKNOWLEDGED', 'RESOLVED'];
+const ACTIVE_STATUSES = ['OPEN', 'ACKNOWLEDGED'];
+const ACCOUNT_ID_PATTERN = /^\d+\.\d+\.\d+$/;
+
+class StockAlertError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'StockAlertError';
+    this.statusCode = statusCode;
+  }
+}
+
+function parseLevels(levels, tokenUnit, name) {
+  if (!levels || typeof levels !== 'object' || Array.isArray(levels)) {
+    throw new StockAlertError(`${name} must be an object with minimumStock, reorderLevel or both`, 400);
+  }
+
+  const parsed = {};
+  for (const field of Object.values(LEVEL_FIELDS)) {
+    if (levels[field] === undefined || levels[field] === null) {
+      continue;
+    }
+    const units = toUnits(tokenUnit, levels[field]);
+    if (units < 0n) {
+      throw new StockAlertError(`${name}.${field} cannot be negative`, 400);
+    }
+    parsed[field] = fromSmallestUnits(units, tokenUnit.decimals);
+  }
+
+  if (Object.keys(parsed).length === 0) {
+    throw new StockAlertError(`${name} must set minimumStock, reorderLevel or both`, 400);
+  }
+  if (parsed.minimumStock !== undefined && parsed.reorderLevel !== undefined &&
+      parsed.reorderLevel < parsed.minimumStock) {
+    throw new StockAlertError(`${name}.reorderLevel must be at least its minimumStock`, 400);
+  }
+  return parsed;
+}
+
+/**
+ * Validates the `stockLevels` metadata field: `token` levels watch the
+ * token's total supply and `accounts` levels watch one holder's balance.
+ * Levels are in the token's unit and are stored with it. Null clears them.
+ */
+function normalizeStockLevels(stockLevels, tokenUnit) {
+  if (stockLevels === null) {
+    return null;
+  }
+  if (typeof stockLevels !== 'object' || Array.isArray(stockLevels)) {
+    throw new StockAlertError('stockLevels must be an object with token and/or accounts levels', 400);
+  }
+
+  const accounts = {};
+  for (const [accountId, levels] of Object.entries(stockLevels.accounts || {})) {
+    if (!ACCOUNT_ID_PATTERN.test(accountId)) {
+      throw new StockAlertError(`stockLevels.accounts has an invalid account ID: ${accountId}`, 400);
+    }
+    accounts[accountId] = parseLevels(levels, tokenUnit, `stockLevels.accounts.${accountId}`);
+  }
+
+  return {
+    unit: tokenUnit.unit,
+    token: stockLevels.token ? parseLevels(stockLevels.token, tokenUnit, 'stockLevels.token') : null,
+    accounts
+  };
+}
+
+function describeHolder(tokenId, accountId) {
+  return accountId ? `Stock of token ${tokenId} held by ${accountId}` : `Total supply of token ${tokenId}`;
+}
+
+function recordAlertEvent(alert, action) {
+  recordEvent({
+    type: 'ALERT',
+    tokenId: alert.tokenId,
+    actorAccountId: action === 'ACKNOWLEDGED' ? alert.acknowledgedBy : null,
+    counterparties: alert.accountId ? [{ accountId: alert.accountId, role: 'holder' }] : [],
+    amount: action === 'RESOLVED' ? alert.resolvedStock : alert.stock,
+    unit: alert.unit,
+    details: { action, alertId: alert.alertId, level: alert.level, threshold: alert.threshold }
+  });
+}
+
+function raiseAlert({ tokenId, accountId, level, threshold, stock, unit }) {
+  const alert = getAlertRepository().save({
+    alertId: crypto.randomUUID(),
+    tokenId,
+    accountId,
+    level,
+    threshold,
+    stock,
+    unit,
+    status: 'OPEN',
+    message: `${describeHolder(tokenId, accountId)} is at ${stock} ${unit}, at or below its ${level === 'REORDER' ? 'reorder level' : 'minimum stock'} of ${threshold} ${unit}`,
+    raisedAt: new Date().toISOString(),
+    acknowledgedAt: null,
+    acknowledgedBy: null,
+    resolvedAt: null,
+    resolvedStock: null
+  });
+  recordAlertEvent(alert, 'RAISED');
+  return alert;
+}
+
+function resolveAlert(alert, stock) {
+  const resolved = getAlertRepository().save({
+    ...alert,
+    status: 'RESOLVED',
+    resolvedAt: new Date().toISOString(),
+    resolvedStock: stock
+  });
+  recordAlertEvent(resolved, 'RESOLVED');
+  return resolved;
+}
+
+/**
+ * Compares current stock with the token's configured levels. A level that
+ * is reached raises one alert, which stays active without repeating until
+ * the stock is above the level again (or the level is removed), when it is
+ * resolved. Returns the alerts raised by this check.
+ */
+async function checkStockLevels({ ledger, tokenId, stockLevels }) {
+  const tokenInfo = await ledger.getTokenInfo(tokenId);
+  const tokenUnit = { unit: stockLevels.unit, decimals: tokenInfo.decimals };
+
+  const watches = [];
+  if (stockLevels.token) {
+    watches.push({ accountId: null, levels: stockLevels.token, units: toBigInt(tokenInfo.totalSupply) });
+  }
+  for (const [accountId, levels] of Object.entries(stockLevels.accounts)) {
+    const balance = await ledger.getAccountBalance(accountId);
+    watches.push({ accountId, levels, units: toBigInt(balance.tokens.get(tokenId) || 0) });
+  }
+
+  const active = getAlertRepository()
+    .find((alert) => alert.tokenId === tokenId && ACTIVE_STATUSES.includes(alert.status));
+  const watched = new Set();
+  const raised = [];
+
+  for (const { accountId, levels, units } of watches) {
+    const stock = fromSmallestUnits(units, tokenUnit.decimals);
+    for (const [level, field] of Object.entries(LEVEL_FIELDS)) {
+      if (levels[field] === undefined) {
+        continue;
+      }
+      watched.add(`${accountId} ${level}`);
+
+      const existing = active.find((alert) => alert.accountId === accountId && alert.level === level);
+      const reached = units <= toUnits(tokenUnit, levels[field]);
+      if (reached && !existing) {
+        raised.push(raiseAlert({ tokenId, accountId, level, threshold: levels[field], stock, unit: tokenUnit.unit }));
+      } else if (!reached && existing) {
+        resolveAlert(existing, stock);
+      }
+    }
+  }
+
+  for (const alert of active.filter((alert) => !watched.has(`${alert.accountId} ${alert.level}`))) {
+    resolveAlert(alert, null);
+  }
+  return raised;
+}
+
+function listAlerts({ tokenId, accountId, status }) {
+  const statuses = status ? String(status).split(',').map((entry) => entry.trim().toUpperCase()) : null;
+  const unknown = (statuses || []).filter((entry) => !ALERT_STATUSES.includes(entry));
+  if (unknown.length > 0) {
+    throw new StockAlertError(`Unknown alert status: ${unknown.join(', ')}. Expected one of: ${ALERT_STATUSES.join(', ')}`, 400);
+  }
+
+  return getAlertRepository()
+    .find((alert) => (!tokenId || alert.tokenId === tokenId) &&
+      (!accountId || alert.accountId === accountId) &&
+      (!statuses || statuses.includes(alert.status)))
+    .sort((a, b) => b.raisedAt.localeCompare(a.raisedAt));
+}
+
+function acknowledgeAlert(alertId, accountId) {
+  const repository = getAlertRepository();
+  const alert = repository.get(alertId);
+  if (!alert) {
+    throw new StockAlertError(`No alert found with ID ${alertId}`, 404);
+  }
+  if (alert.status === 'RESOLVED') {
+    throw new StockAlertError(`Alert ${alertId} was already resolved at ${alert.resolvedAt}`, 409);
+  }
+  if (alert.status === 'ACKNOWLEDGED') {
+    return alert;
+  }
+
+  const acknowledged = repository.save({
+    ...alert,
+    status: 'ACKNOWLEDGED',
+    acknowledgedAt: new Date().toISOString(),
+    acknowledgedBy: accountId || null
+  });
+  recordAlertEvent(acknowledged, 'ACKNOWLEDGED');
+  return acknowledged;
+}
+
+module.exports = {
+  StockAlertError,
+  normalizeStockLevels,
+  checkStockLevels,
+  listAlerts,
+  acknowledgeAlert
+};
@@ -0,0 +1,33 @@
+/**
+ * Stock alerts raised when a balance falls to a configured level, keyed by
+ * alert ID. An alert stays active (open or acknowledged) until the stock it
+ * watches recovers, when it is resolved.
+ */
+class AlertRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get data() {
+    return this.store.data;
+  }
+
+  get(alertId) {
+    const alert = this.data.alerts[alertId];
+    return alert ? { ...alert } : null;
+  }
+
+  find(predicate) {
+    return Object.values(this.data.alerts)
+      .filter(predicate)
+      .map((alert) => ({ ...alert }));
+  }
+
+  save(alert) {
+    this.data.alerts[alert.alertId] = { ...alert };
+    this.store.save();
+    return this.get(alert.alertId);
+  }
+}
+
+module.exports = AlertRepository;
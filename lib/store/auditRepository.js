@@ -0,0 +1,44 @@
+/**
+ * The consensus topic each operator profile publishes its audit trail to,
+ * and one entry per published event, keyed by event ID, in the order the
+ * events were recorded.
+ */
+class AuditRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get data() {
+    return this.store.data;
+  }
+
+  getTopic(profileName) {
+    const topic = this.data.auditTopics[profileName];
+    return topic ? { ...topic } : null;
+  }
+
+  saveTopic(profileName, topic) {
+    this.data.auditTopics[profileName] = { ...topic };
+    this.store.save();
+    return this.getTopic(profileName);
+  }
+
+  getEntry(eventId) {
+    const entry = this.data.auditEntries[eventId];
+    return entry ? { ...entry } : null;
+  }
+
+  findEntries(predicate) {
+    return Object.values(this.data.auditEntries)
+      .filter(predicate)
+      .map((entry) => ({ ...entry }));
+  }
+
+  saveEntry(entry) {
+    this.data.auditEntries[entry.eventId] = { ...entry };
+    this.store.save();
+    return this.getEntry(entry.eventId);
+  }
+}
+
+module.exports = AuditRepository;
@@ -0,0 +1,32 @@
+/**
+ * Production batches of minted stock keyed by batch ID, with how much of
+ * each batch every account holds.
+ */
+class BatchRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get data() {
+    return this.store.data;
+  }
+
+  get(batchId) {
+    const batch = this.data.batches[batchId];
+    return batch ? { ...batch, holdings: { ...batch.holdings }, movements: [...batch.movements] } : null;
+  }
+
+  find(predicate) {
+    return Object.values(this.data.batches)
+      .filter(predicate)
+      .map((batch) => this.get(batch.batchId));
+  }
+
+  save(batch) {
+    this.data.batches[batch.batchId] = { ...batch, holdings: { ...batch.holdings }, movements: [...batch.movements] };
+    this.store.save();
+    return this.get(batch.batchId);
+  }
+}
+
+module.exports = BatchRepository;
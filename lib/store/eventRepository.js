@@ -0,0 +1,27 @@
+/**
+ * Append-only history of token operations, oldest first. Events are never
+ * updated once written; a retried operation records a new event.
+ */
+class EventRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get data() {
+    return this.store.data;
+  }
+
+  add(event) {
+    this.data.events.push({ ...event });
+    this.store.save();
+    return { ...event };
+  }
+
+  find(predicate) {
+    return this.data.events
+      .filter(predicate)
+      .map((event) => ({ ...event }));
+  }
+}
+
+module.exports = EventRepository;
@@ -0,0 +1,27 @@
+/**
+ * Append-only ledger of the network fees the operator paid, one entry per
+ * transaction, oldest first.
+ */
+class FeeRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get data() {
+    return this.store.data;
+  }
+
+  add(entry) {
+    this.data.fees.push({ ...entry });
+    this.store.save();
+    return { ...entry };
+  }
+
+  find(predicate) {
+    return this.data.fees
+      .filter(predicate)
+      .map((entry) => ({ ...entry }));
+  }
+}
+
+module.exports = FeeRepository;
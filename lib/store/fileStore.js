@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * JSON document persisted to a single file. Writes go to a temporary file
+ * that is renamed over the previous one, so a crash mid-write never leaves
+ * a truncated store behind.
+ */
+class FileStore {
+  constructor({ filePath, migrations }) {
+    this.filePath = filePath;
+    this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+    this.data = null;
+  }
+
+  load() {
+    if (fs.existsSync(this.filePath)) {
+      this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } else {
+      this.data = { schemaVersion: 0 };
+    }
+
+    this.migrate();
+    return this.data;
+  }
+
+  migrate() {
+    const pending = this.migrations.filter((migration) => migration.version > this.data.schemaVersion);
+
+    for (const migration of pending) {
+      migration.up(this.data);
+      this.data.schemaVersion = migration.version;
+      console.log(`Applied store migration ${migration.version}: ${migration.description}`);
+    }
+
+    if (pending.length > 0 || !fs.existsSync(this.filePath)) {
+      this.save();
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,38 @@
+/**
+ * Responses recorded under client-supplied idempotency keys, keyed by the
+ * route the key was used on and the key itself.
+ */
+class IdempotencyRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get data() {
+    return this.store.data;
+  }
+
+  get(scope, key) {
+    const record = this.data.idempotencyKeys[`${scope} ${key}`];
+    return record ? { ...record } : null;
+  }
+
+  save(record) {
+    this.data.idempotencyKeys[`${record.scope} ${record.key}`] = { ...record };
+    this.store.save();
+    return this.get(record.scope, record.key);
+  }
+
+  deleteCreatedBefore(timestamp) {
+    const expired = Object.entries(this.data.idempotencyKeys)
+      .filter(([, record]) => record.createdAt < timestamp);
+    for (const [id] of expired) {
+      delete this.data.idempotencyKeys[id];
+    }
+    if (expired.length > 0) {
+      this.store.save();
+    }
+    return expired.length;
+  }
+}
+
+module.exports = IdempotencyRepository;
@@ -0,0 +1,99 @@
+const path = require('path');
+const FileStore = require('./fileStore');
+const TokenRepository = require('./tokenRepository');
+const PreparedTransactionRepository = require('./preparedTransactionRepository');
+const LotRepository = require('./lotRepository');
+const EventRepository = require('./eventRepository');
+const IdempotencyRepository = require('./idempotencyRepository');
+const WebhookRepository = require('./webhookRepository');
+const AlertRepository = require('./alertRepository');
+const MarketRepository = require('./marketRepository');
+const InventoryRepository = require('./inventoryRepository');
+const FeeRepository = require('./feeRepository');
+const JobRepository = require('./jobRepository');
+const AuditRepository = require('./auditRepository');
+const BatchRepository = require('./batchRepository');
+const migrations = require('./migrations');
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    const dataDir = process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data');
+    store = new FileStore({
+      filePath: path.join(dataDir, 'store.json'),
+      migrations
+    });
+    store.load();
+  }
+  return store;
+}
+
+function getTokenRepository() {
+  return new TokenRepository(getStore());
+}
+
+function getPreparedTransactionRepository() {
+  return new PreparedTransactionRepository(getStore());
+}
+
+function getLotRepository() {
+  return new LotRepository(getStore());
+}
+
+function getEventRepository() {
+  return new EventRepository(getStore());
+}
+
+function getIdempotencyRepository() {
+  return new IdempotencyRepository(getStore());
+}
+
+function getWebhookRepository() {
+  return new WebhookRepository(getStore());
+}
+
+function getAlertRepository() {
+  return new AlertRepository(getStore());
+}
+
+function getMarketRepository() {
+  return new MarketRepository(getStore());
+}
+
+function getInventoryRepository() {
+  return new InventoryRepository(getStore());
+}
+
+function getFeeRepository() {
+  return new FeeRepository(getStore());
+}
+
+function getJobRepository() {
+  return new JobRepository(getStore());
+}
+
+function getAuditRepository() {
+  return new AuditRepository(getStore());
+}
+
+function getBatchRepository() {
+  return new BatchRepository(getStore());
+}
+
+module.exports = {
+  getStore,
+  getTokenRepository,
+  getPreparedTransactionRepository,
+  getLotRepository,
+  getEventRepository,
+  getIdempotencyRepository,
+  getWebhookRepository,
+  getAlertRepository,
+  getMarketRepository,
+  getInventoryRepository,
+  getFeeRepository,
+  getJobRepository,
+  getAuditRepository,
+  getBatchRepository
+};
@@ -0,0 +1,56 @@
+/**
+ * Point-in-time inventory snapshots and reconciliation reports, keyed by
+ * snapshot and report ID.
+ */
+class InventoryRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get data() {
+    return this.store.data;
+  }
+
+  getSnapshot(snapshotId) {
+    const snapshot = this.data.inventorySnapshots[snapshotId];
+    return snapshot ? { ...snapshot } : null;
+  }
+
+  findSnapshots(predicate) {
+    return Object.values(this.data.inventorySnapshots)
+      .filter(predicate)
+      .map((snapshot) => ({ ...snapshot }));
+  }
+
+  saveSnapshot(snapshot) {
+    this.data.inventorySnapshots[snapshot.snapshotId] = { ...snapshot };
+    this.store.save();
+    return this.getSnapshot(snapshot.snapshotId);
+  }
+
+  getReconciliation(reconciliationId) {
+    const report = this.data.reconciliations[reconciliationId];
+    return report ? { ...report } : null;
+  }
+
+  findReconciliations(predicate) {
+    return Object.values(this.data.reconciliations)
+      .filter(predicate)
+      .map((report) => ({ ...report }));
+  }
+
+  saveReconciliation(report) {
+    this.data.reconciliations[report.reconciliationId] = { ...report };
+    this.store.save();
+    return this.getReconciliation(report.reconciliationId);
+  }
+
+  deleteReconciliations(reconciliationIds) {
+    for (const reconciliationId of reconciliationIds) {
+      delete this.data.reconciliations[reconciliationId];
+    }
+    this.store.save();
+  }
+}
+
+module.exports = InventoryRepository;
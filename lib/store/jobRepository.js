@@ -0,0 +1,31 @@
+/**
+ * Multi-step ledger jobs keyed by job ID, with the state of each step.
+ */
+class JobRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get data() {
+    return this.store.data;
+  }
+
+  get(jobId) {
+    const job = this.data.jobs[jobId];
+    return job ? { ...job, steps: job.steps.map((step) => ({ ...step })) } : null;
+  }
+
+  find(predicate) {
+    return Object.values(this.data.jobs)
+      .filter(predicate)
+      .map((job) => this.get(job.jobId));
+  }
+
+  save(job) {
+    this.data.jobs[job.jobId] = { ...job, steps: job.steps.map((step) => ({ ...step })) };
+    this.store.save();
+    return this.get(job.jobId);
+  }
+}
+
+module.exports = JobRepository;
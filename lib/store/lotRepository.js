@@ -0,0 +1,44 @@
+/**
+ * Lot collections (one NFT token per product stock token) and the lots minted
+ * under them, keyed by NFT ID (`<collectionTokenId>/<serialNumber>`).
+ */
+class LotRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get data() {
+    return this.store.data;
+  }
+
+  getCollection(stockTokenId) {
+    const collection = this.data.lotCollections[stockTokenId];
+    return collection ? { ...collection } : null;
+  }
+
+  saveCollection(stockTokenId, collection) {
+    this.data.lotCollections[stockTokenId] = { ...collection };
+    this.store.save();
+    return this.getCollection(stockTokenId);
+  }
+
+  getLot(lotId) {
+    const lot = this.data.lots[lotId];
+    return lot ? { ...lot } : null;
+  }
+
+  saveLot(lot) {
+    this.data.lots[lot.lotId] = { ...lot };
+    this.store.save();
+    return this.getLot(lot.lotId);
+  }
+
+  listLots({ stockTokenId, holderAccountId } = {}) {
+    return Object.values(this.data.lots)
+      .filter((lot) => !stockTokenId || lot.stockTokenId === stockTokenId)
+      .filter((lot) => !holderAccountId || (lot.holdings[holderAccountId] || 0) > 0)
+      .map((lot) => ({ ...lot }));
+  }
+}
+
+module.exports = LotRepository;
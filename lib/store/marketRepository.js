@@ -0,0 +1,61 @@
+/**
+ * Marketplace listings (stock offered for sale) and orders (bids to buy
+ * it), keyed by listing and order ID, and the account each operator
+ * profile holds their escrow in.
+ */
+class MarketRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get data() {
+    return this.store.data;
+  }
+
+  getListing(listingId) {
+    const listing = this.data.marketListings[listingId];
+    return listing ? { ...listing } : null;
+  }
+
+  findListings(predicate) {
+    return Object.values(this.data.marketListings)
+      .filter(predicate)
+      .map((listing) => ({ ...listing }));
+  }
+
+  saveListing(listing) {
+    this.data.marketListings[listing.listingId] = { ...listing };
+    this.store.save();
+    return this.getListing(listing.listingId);
+  }
+
+  getOrder(orderId) {
+    const order = this.data.marketOrders[orderId];
+    return order ? { ...order } : null;
+  }
+
+  findOrders(predicate) {
+    return Object.values(this.data.marketOrders)
+      .filter(predicate)
+      .map((order) => ({ ...order }));
+  }
+
+  saveOrder(order) {
+    this.data.marketOrders[order.orderId] = { ...order };
+    this.store.save();
+    return this.getOrder(order.orderId);
+  }
+
+  getEscrowAccount(profileName) {
+    const account = this.data.escrowAccounts[profileName];
+    return account ? { ...account, tokenIds: [...account.tokenIds] } : null;
+  }
+
+  saveEscrowAccount(profileName, account) {
+    this.data.escrowAccounts[profileName] = { ...account, tokenIds: [...account.tokenIds] };
+    this.store.save();
+    return this.getEscrowAccount(profileName);
+  }
+}
+
+module.exports = MarketRepository;
@@ -0,0 +1,238 @@
+const { hashRecord } = require('../canonicalJson');
+const { MAX_DECIMALS } = require('../units');
+
+// Each migration upgrades the stored document by one schema version. Append
+// new entries at the end; never edit one that has already shipped.
+const migrations = [
+  {
+    version: 1,
+    description: 'Create ownership, metadata and balance collections',
+    up(data) {
+      data.ownership = data.ownership || {};
+      data.metadata = data.metadata || {};
+      data.balances = data.balances || {};
+    }
+  },
+  {
+    version: 2,
+    description: 'Create prepared transaction collection',
+    up(data) {
+      data.preparedTransactions = data.preparedTransactions || {};
+    }
+  },
+  {
+    version: 3,
+    description: 'Create sale history collection',
+    up(data) {
+      data.sales = data.sales || {};
+    }
+  },
+  {
+    version: 4,
+    description: 'Create lot collection and lot records',
+    up(data) {
+      data.lotCollections = data.lotCollections || {};
+      data.lots = data.lots || {};
+    }
+  },
+  {
+    version: 5,
+    description: 'Create event history and backfill it from recorded sales',
+    up(data) {
+      data.events = data.events || [];
+      for (const [tokenId, sales] of Object.entries(data.sales)) {
+        for (const sale of sales) {
+          data.events.push({
+            eventId: `sale-${sale.transactionId}`,
+            type: 'SELL',
+            tokenId,
+            actorAccountId: sale.sellerAccountId,
+            accountIds: [sale.sellerAccountId, sale.buyerAccountId],
+            counterparties: [
+              { accountId: sale.sellerAccountId, role: 'seller' },
+              { accountId: sale.buyerAccountId, role: 'buyer' }
+            ],
+            amountKg: sale.amountKg,
+            transactionId: sale.transactionId,
+            status: 'SUCCESS',
+            error: null,
+            details: {
+              pricePerKgHbar: sale.pricePerKgHbar,
+              totalPriceHbar: sale.totalPriceHbar,
+              lots: sale.lots || null
+            },
+            timestamp: sale.soldAt
+          });
+        }
+      }
+      data.events.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+  },
+  {
+    version: 6,
+    description: 'Record units of measure on tokens, lots, sales, events and pending sales',
+    up(data) {
+      // Every token created before this version counted in kg with two
+      // decimals, which is what the conversions below rely on.
+      for (const ownership of Object.values(data.ownership)) {
+        ownership.unit = ownership.unit || 'KG';
+        if ('maxStockKg' in ownership) {
+          ownership.maxStock = ownership.maxStockKg;
+          delete ownership.maxStockKg;
+        }
+      }
+
+      const toAmount = ({ amountKg, ...rest }) => ({ ...rest, amount: amountKg, unit: 'KG' });
+      for (const lot of Object.values(data.lots)) {
+        lot.quantity = lot.quantityKg;
+        lot.unit = 'KG';
+        lot.metadataHashVersion = 1;
+        delete lot.quantityKg;
+        lot.movements = lot.movements.map(({ amountKg, ...movement }) => ({ ...movement, amount: amountKg }));
+      }
+      for (const sales of Object.values(data.sales)) {
+        for (const sale of sales) {
+          sale.amount = sale.amountKg;
+          sale.unit = 'KG';
+          sale.pricePerUnitHbar = sale.pricePerKgHbar;
+          sale.lots = sale.lots ? sale.lots.map(toAmount) : null;
+        }
+      }
+      data.events = data.events.map(({ amountKg = null, ...event }) => {
+        if (event.details && event.details.lots) {
+          event.details = { ...event.details, lots: event.details.lots.map(toAmount) };
+        }
+        return { ...event, amount: amountKg, unit: amountKg === null ? null : 'KG' };
+      });
+
+      for (const prepared of Object.values(data.preparedTransactions)) {
+        const context = prepared.context || {};
+        if (prepared.kind === 'create-associate' && 'initialStockKg' in context) {
+          context.initialStock = context.initialStockKg;
+          context.initialSupply = String(context.initialSupply);
+          context.unit = 'KG';
+          delete context.initialStockKg;
+        }
+        if (prepared.kind === 'sell' && 'amountKg' in context) {
+          context.amountUnits = String(Math.round(context.amountKg * 100));
+          context.amount = context.amountKg;
+          context.unit = 'KG';
+          delete context.amountKg;
+          if (context.price) {
+            context.price = { pricePerUnitHbar: context.price.pricePerKgHbar, totalPriceHbar: context.price.totalPriceHbar };
+          }
+          context.lots = context.lots ? context.lots.map(toAmount) : null;
+        }
+      }
+    }
+  },
+  {
+    version: 7,
+    description: 'Create idempotency key collection',
+    up(data) {
+      data.idempotencyKeys = data.idempotencyKeys || {};
+    }
+  },
+  {
+    version: 8,
+    description: 'Create webhook subscription and delivery collections',
+    up(data) {
+      data.webhooks = data.webhooks || {};
+      data.webhookDeliveries = data.webhookDeliveries || {};
+    }
+  },
+  {
+    version: 9,
+    description: 'Create stock alert collection',
+    up(data) {
+      data.alerts = data.alerts || {};
+    }
+  },
+  {
+    version: 10,
+    description: 'Create marketplace listing, order and escrow account collections',
+    up(data) {
+      data.marketListings = data.marketListings || {};
+      data.marketOrders = data.marketOrders || {};
+      data.escrowAccounts = data.escrowAccounts || {};
+    }
+  },
+  {
+    version: 11,
+    description: 'Create inventory snapshot and reconciliation report collections',
+    up(data) {
+      data.inventorySnapshots = data.inventorySnapshots || {};
+      data.reconciliations = data.reconciliations || {};
+    }
+  },
+  {
+    version: 12,
+    description: 'Create transaction fee ledger',
+    up(data) {
+      data.fees = data.fees || [];
+    }
+  },
+  {
+    version: 13,
+    description: 'Create ledger job collection',
+    up(data) {
+      data.jobs = data.jobs || {};
+    }
+  },
+  {
+    version: 14,
+    description: 'Create consensus topic audit trail collections',
+    up(data) {
+      data.auditTopics = data.auditTopics || {};
+      data.auditEntries = data.auditEntries || {};
+    }
+  },
+  {
+    version: 15,
+    description: 'Keep metadata versions and start each token from its current metadata',
+    up(data) {
+      data.metadataVersions = data.metadataVersions || {};
+      for (const [tokenId, metadata] of Object.entries(data.metadata || {})) {
+        if (!data.metadataVersions[tokenId]) {
+          data.metadataVersions[tokenId] = [{
+            version: 1,
+            hash: hashRecord(metadata),
+            metadata,
+            authorAccountId: null,
+            reason: 'BACKFILLED',
+            createdAt: metadata.updatedAt || metadata.createdAt || new Date().toISOString(),
+            anchor: null
+          }];
+        }
+      }
+    }
+  },
+  {
+    version: 16,
+    description: 'Create production batch collection',
+    up(data) {
+      data.batches = data.batches || {};
+    }
+  },
+  {
+    version: 17,
+    description: 'Keep cached balances as whole smallest units',
+    up(data) {
+      // The old cache held amounts as floats in the token's unit. Their
+      // decimals are not stored locally, so they are kept at the most a
+      // token can have and rounded to the token's own on first use.
+      for (const [tokenId, balances] of Object.entries(data.balances || {})) {
+        if (balances.units) {
+          continue;
+        }
+        data.balances[tokenId] = {
+          decimals: MAX_DECIMALS,
+          units: Object.fromEntries(Object.entries(balances)
+            .map(([accountId, amount]) => [accountId, BigInt(Number(amount).toFixed(MAX_DECIMALS).replace('.', '')).toString()]))
+        };
+      }
+    }
+  }
+];
+
+module.exports = migrations;
@@ -0,0 +1,33 @@
+/**
+ * Unsigned transactions handed out by the prepare flow, kept until the
+ * caller submits the signed bytes back.
+ */
+class PreparedTransactionRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get data() {
+    return this.store.data;
+  }
+
+  get(preparationId) {
+    const prepared = this.data.preparedTransactions[preparationId];
+    return prepared ? { ...prepared } : null;
+  }
+
+  save(prepared) {
+    this.data.preparedTransactions[prepared.preparationId] = { ...prepared };
+    this.store.save();
+    return this.get(prepared.preparationId);
+  }
+
+  update(preparationId, changes) {
+    return this.save({
+      ...this.get(preparationId),
+      ...changes
+    });
+  }
+}
+
+module.exports = PreparedTransactionRepository;
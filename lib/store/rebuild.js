@@ -0,0 +1,114 @@
+const { DEFAULT_UNIT, toBigInt } = require('../units');
+const { getTokenProfileName } = require('../operatorProfile');
+
+const PRODUCT_TOKEN_SUFFIX = ' Stock Token';
+const OWNER_MEMO_PATTERN = /^(.*) \| Owner: (\S+?)(?: \| Unit: (\S+))?$/;
+
+function isProductToken(tokenInfo, operatorAccountId) {
+  return tokenInfo.treasuryAccountId &&
+    tokenInfo.treasuryAccountId.toString() === operatorAccountId &&
+    tokenInfo.name.endsWith(PRODUCT_TOKEN_SUFFIX);
+}
+
+function belongsToProfile(tokenId, profileName) {
+  try {
+    return getTokenProfileName(tokenId) === profileName;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Restores ownership, metadata and balance records for the tokens this
+ * service created. The operator is the treasury of every product token, so
+ * its token relationships list them even when the store starts out empty;
+ * the owner, product name and unit are recovered from the token memo
+ * written by /api/tokens/create. Only the tokens of the ledger's operator
+ * profile are touched; run it once per profile.
+ */
+async function rebuildFromLedger({ ledger, tokenRepository }) {
+  const operatorAccountId = ledger.operatorAccountId.toString();
+  const operatorBalance = await ledger.getAccountBalance(operatorAccountId);
+  const tokenIds = new Set([
+    ...tokenRepository.listTokenIds().filter((tokenId) => belongsToProfile(tokenId, ledger.profile)),
+    ...operatorBalance.tokens.keys()
+  ]);
+  const summary = { restored: [], refreshed: [], unavailable: [] };
+
+  for (const tokenId of tokenIds) {
+    const ownership = tokenRepository.getOwnership(tokenId);
+    const known = ownership !== null;
+    if (known && !belongsToProfile(tokenId, ledger.profile)) {
+      continue;
+    }
+
+    let tokenInfo;
+    try {
+      tokenInfo = await ledger.getTokenInfo(tokenId);
+    } catch (error) {
+      console.warn(`Could not load token ${tokenId} from the ledger: ${error.message}`);
+      summary.unavailable.push(tokenId);
+      continue;
+    }
+
+    if (!known && !isProductToken(tokenInfo, operatorAccountId)) {
+      continue;
+    }
+
+    const memoMatch = OWNER_MEMO_PATTERN.exec(tokenInfo.tokenMemo || '');
+    const productName = memoMatch ? memoMatch[1] : tokenInfo.name.replace(PRODUCT_TOKEN_SUFFIX, '');
+    const ownerAccountId = memoMatch ? memoMatch[2] : operatorAccountId;
+    const unit = (memoMatch && memoMatch[3]) || DEFAULT_UNIT;
+    const restoredAt = new Date().toISOString();
+
+    if (!known) {
+      tokenRepository.saveOwnership(tokenId, {
+        ownerAccountId,
+        createdAt: restoredAt,
+        productName,
+        unit,
+        network: ledger.network,
+        operatorProfile: ledger.profile,
+        restoredFromLedgerAt: restoredAt
+      });
+    } else if (!ownership.network) {
+      tokenRepository.saveOwnership(tokenId, { ...ownership, network: ledger.network, operatorProfile: ledger.profile });
+    }
+    if (!tokenRepository.getMetadata(tokenId)) {
+      tokenRepository.saveMetadata(tokenId, {
+        productName,
+        type: 'PRODUCT_STOCK',
+        unit,
+        ownerAccountId,
+        createdAt: restoredAt
+      }, { reason: 'RESTORED' });
+    }
+
+    const accountIds = new Set([
+      ...Object.keys(tokenRepository.getBalances(tokenId)),
+      operatorAccountId,
+      tokenRepository.getOwnership(tokenId).ownerAccountId
+    ]);
+    const balances = {};
+    for (const accountId of accountIds) {
+      try {
+        const balance = await ledger.getAccountBalance(accountId);
+        const tokenBalance = balance.tokens.get(tokenId);
+        if (tokenBalance) {
+          balances[accountId] = toBigInt(tokenBalance);
+        }
+      } catch (error) {
+        console.warn(`Could not get balance for account ${accountId}, token ${tokenId}: ${error.message}`);
+      }
+    }
+    tokenRepository.setBalanceUnits(tokenId, balances, tokenInfo.decimals);
+
+    (known ? summary.refreshed : summary.restored).push(tokenId);
+  }
+
+  return summary;
+}
+
+module.exports = {
+  rebuildFromLedger
+};
@@ -0,0 +1,165 @@
+const { hashRecord } = require('../canonicalJson');
+const { formatSmallestUnits, fromSmallestUnits, toBigInt } = require('../units');
+
+// Balances migrated from the old float cache are held at the most decimals
+// a token can have until the token's own decimals are known; they are
+// rounded to those once.
+function rescaleUnits(units, fromDecimals, toDecimals) {
+  if (fromDecimals === null || toDecimals === undefined || fromDecimals === toDecimals) {
+    return units;
+  }
+  if (toDecimals > fromDecimals) {
+    return units * (10n ** BigInt(toDecimals - fromDecimals));
+  }
+  const divisor = 10n ** BigInt(fromDecimals - toDecimals);
+  const half = divisor / 2n;
+  return units < 0n ? -((-units + half) / divisor) : (units + half) / divisor;
+}
+
+/**
+ * Ownership, metadata and cached balance records for product tokens. Routes
+ * go through this interface instead of touching the stored document, and
+ * every mutation is persisted before the method returns.
+ */
+class TokenRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get data() {
+    return this.store.data;
+  }
+
+  listTokenIds() {
+    return Object.keys(this.data.ownership);
+  }
+
+  getOwnership(tokenId) {
+    const ownership = this.data.ownership[tokenId];
+    return ownership ? { ...ownership } : null;
+  }
+
+  saveOwnership(tokenId, ownership) {
+    this.data.ownership[tokenId] = { ...ownership };
+    this.store.save();
+    return this.getOwnership(tokenId);
+  }
+
+  getMetadata(tokenId) {
+    const metadata = this.data.metadata[tokenId];
+    return metadata ? { ...metadata } : null;
+  }
+
+  /**
+   * Replaces a token's metadata and keeps the new record as its next
+   * version, with who changed it and why.
+   */
+  saveMetadata(tokenId, metadata, { authorAccountId = null, reason = 'UPDATE' } = {}) {
+    this.data.metadata[tokenId] = { ...metadata };
+    const versions = this.data.metadataVersions[tokenId] || [];
+    versions.push({
+      version: versions.length + 1,
+      hash: hashRecord(metadata),
+      metadata: { ...metadata },
+      authorAccountId,
+      reason,
+      createdAt: new Date().toISOString(),
+      anchor: null
+    });
+    this.data.metadataVersions[tokenId] = versions;
+    this.store.save();
+    return this.getMetadata(tokenId);
+  }
+
+  getMetadataVersions(tokenId) {
+    return (this.data.metadataVersions[tokenId] || []).map((version) => ({ ...version }));
+  }
+
+  saveMetadataAnchor(tokenId, version, anchor) {
+    const entry = (this.data.metadataVersions[tokenId] || []).find((candidate) => candidate.version === version);
+    if (entry) {
+      entry.anchor = { ...anchor };
+      this.store.save();
+    }
+    return entry ? { ...entry } : null;
+  }
+
+  /**
+   * Cached balances in the token's unit, for responses. Each token's
+   * balances are stored as whole smallest units with the decimals they
+   * count in, so they are only turned into numbers here. Pass
+   * `exact: true` for decimal strings that keep every digit.
+   */
+  getBalances(tokenId, { exact = false } = {}) {
+    const record = this.data.balances[tokenId];
+    if (!record) {
+      return {};
+    }
+    const format = exact ? formatSmallestUnits : fromSmallestUnits;
+    return Object.fromEntries(Object.entries(record.units)
+      .map(([accountId, units]) => [accountId, format(units, record.decimals || 0)]));
+  }
+
+  // An account's cached holding as a BigInt of smallest units at `decimals`,
+  // or undefined when the store has no balance for it.
+  getBalanceUnits(tokenId, accountId, decimals) {
+    const record = this.data.balances[tokenId];
+    if (!record || !(accountId in record.units)) {
+      return undefined;
+    }
+    return rescaleUnits(BigInt(record.units[accountId]), record.decimals, decimals);
+  }
+
+  /**
+   * Replaces the cached holdings of the accounts in `units` (smallest units
+   * at `decimals`). Leave `decimals` out only to write zeros.
+   */
+  setBalanceUnits(tokenId, units, decimals) {
+    const record = this.data.balances[tokenId] || { decimals: null, units: {} };
+    const scale = decimals === undefined ? record.decimals : decimals;
+    const stored = Object.fromEntries(Object.entries(record.units)
+      .map(([accountId, value]) => [accountId, rescaleUnits(BigInt(value), record.decimals, scale).toString()]));
+    for (const [accountId, value] of Object.entries(units)) {
+      stored[accountId] = toBigInt(value).toString();
+    }
+    this.data.balances[tokenId] = { decimals: scale, units: stored };
+    this.store.save();
+    return this.getBalances(tokenId);
+  }
+
+  // Adds `deltas` (smallest units at `decimals`, by account) to the cached
+  // holdings. An account the store has no balance for starts from zero.
+  adjustBalanceUnits(tokenId, deltas, decimals) {
+    const units = {};
+    for (const [accountId, delta] of Object.entries(deltas)) {
+      units[accountId] = (this.getBalanceUnits(tokenId, accountId, decimals) || 0n) + toBigInt(delta);
+    }
+    return this.setBalanceUnits(tokenId, units, decimals);
+  }
+
+  removeBalances(tokenId, accountIds) {
+    const record = this.data.balances[tokenId];
+    if (record) {
+      for (const accountId of accountIds) {
+        delete record.units[accountId];
+      }
+      this.store.save();
+    }
+    return this.getBalances(tokenId);
+  }
+
+  getSales(tokenId) {
+    return [...(this.data.sales[tokenId] || [])];
+  }
+
+  addSale(tokenId, sale) {
+    if (!this.data.sales[tokenId]) {
+      this.data.sales[tokenId] = [];
+    }
+    this.data.sales[tokenId].push({ ...sale });
+    this.store.save();
+    return sale;
+  }
+}
+
+module.exports = TokenRepository;
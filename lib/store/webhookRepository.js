@@ -0,0 +1,52 @@
+/**
+ * Webhook subscriptions and the log of every delivery made to them. A
+ * delivery is updated in place as its attempts are made.
+ */
+class WebhookRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get data() {
+    return this.store.data;
+  }
+
+  getWebhook(webhookId) {
+    const webhook = this.data.webhooks[webhookId];
+    return webhook ? { ...webhook } : null;
+  }
+
+  listWebhooks() {
+    return Object.values(this.data.webhooks).map((webhook) => ({ ...webhook }));
+  }
+
+  saveWebhook(webhook) {
+    this.data.webhooks[webhook.webhookId] = { ...webhook };
+    this.store.save();
+    return this.getWebhook(webhook.webhookId);
+  }
+
+  deleteWebhook(webhookId) {
+    delete this.data.webhooks[webhookId];
+    this.store.save();
+  }
+
+  getDelivery(deliveryId) {
+    const delivery = this.data.webhookDeliveries[deliveryId];
+    return delivery ? { ...delivery } : null;
+  }
+
+  findDeliveries(predicate) {
+    return Object.values(this.data.webhookDeliveries)
+      .filter(predicate)
+      .map((delivery) => ({ ...delivery }));
+  }
+
+  saveDelivery(delivery) {
+    this.data.webhookDeliveries[delivery.deliveryId] = { ...delivery };
+    this.store.save();
+    return this.getDelivery(delivery.deliveryId);
+  }
+}
+
+module.exports = WebhookRepository;
@@ -0,0 +1,93 @@
+/**
+ * Read side for token info and balances. Reads go to the mirror node when
+ * one is configured, which answers a whole token or account in a few paged
+ * requests, and fall back to consensus node queries when it is disabled,
+ * unreachable or has not caught up with a new entity yet.
+ *
+ * The mirror node trails consensus by a few seconds, so code that has just
+ * submitted a transaction and needs its effect should read through a reader
+ * without a mirror client.
+ */
+class TokenReader {
+  constructor({ ledger, mirror = null }) {
+    this.ledger = ledger;
+    this.mirror = mirror;
+  }
+
+  async _read(description, fromMirror, fromLedger) {
+    if (this.mirror) {
+      try {
+        return await fromMirror(this.mirror);
+      } catch (error) {
+        console.warn(`Mirror node read of ${description} failed, falling back to consensus nodes: ${error.message}`);
+      }
+    }
+    return fromLedger(this.ledger);
+  }
+
+  getTokenInfo(tokenId) {
+    return this._read(
+      `token ${tokenId}`,
+      (mirror) => mirror.getTokenInfo(tokenId),
+      (ledger) => ledger.getTokenInfo(tokenId)
+    );
+  }
+
+  /**
+   * Balances of a token in smallest units, keyed by account ID. The mirror
+   * node lists every holder; consensus nodes can only be asked account by
+   * account, so the fallback covers `knownAccountIds` only.
+   */
+  getTokenBalances(tokenId, knownAccountIds = []) {
+    return this._read(
+      `balances of token ${tokenId}`,
+      (mirror) => mirror.getTokenBalances(tokenId),
+      async (ledger) => {
+        const balances = new Map();
+        for (const accountId of knownAccountIds) {
+          try {
+            const balance = await ledger.getAccountBalance(accountId);
+            const tokenBalance = balance.tokens.get(tokenId);
+            if (tokenBalance) {
+              balances.set(accountId, tokenBalance);
+            }
+          } catch (error) {
+            console.warn(`Could not get balance for account ${accountId}, token ${tokenId}: ${error.message}`);
+          }
+        }
+        return balances;
+      }
+    );
+  }
+
+  /**
+   * Tokens associated with an account, keyed by token ID, each with its
+   * balance in smallest units and the token's name, symbol and decimals.
+   */
+  getAccountTokens(accountId) {
+    return this._read(
+      `tokens of account ${accountId}`,
+      (mirror) => mirror.getAccountTokens(accountId),
+      async (ledger) => {
+        const balance = await ledger.getAccountBalance(accountId);
+        const tokens = new Map();
+        for (const [tokenId, amount] of balance.tokens) {
+          try {
+            const tokenInfo = await ledger.getTokenInfo(tokenId);
+            tokens.set(tokenId, {
+              balance: amount,
+              name: tokenInfo.name,
+              symbol: tokenInfo.symbol,
+              decimals: tokenInfo.decimals
+            });
+          } catch (error) {
+            console.warn(`Could not fetch info for token ${tokenId}: ${error.message}`);
+          }
+        }
+        return tokens;
+      }
+    );
+  }
+}
+
+module.exports = TokenReader;
@@ -0,0 +1,169 @@
+const { Long } = require('@hashgraph/sdk');
+
+const DEFAULT_UNIT = 'KG';
+const DEFAULT_DECIMALS = 2;
+const MAX_DECIMALS = 8;
+
+// Each unit is an exact ratio of its dimension's base unit (gram, millilitre,
+// piece), so conversions never go through floating point.
+const UNITS = {
+  G: { dimension: 'mass', factor: [1n, 1n] },
+  KG: { dimension: 'mass', factor: [1000n, 1n] },
+  TONNE: { dimension: 'mass', factor: [1000000n, 1n] },
+  LB: { dimension: 'mass', factor: [45359237n, 100000n] },
+  OZ: { dimension: 'mass', factor: [28349523125n, 1000000000n] },
+  ML: { dimension: 'volume', factor: [1n, 1n] },
+  L: { dimension: 'volume', factor: [1000n, 1n] },
+  M3: { dimension: 'volume', factor: [1000000n, 1n] },
+  GAL: { dimension: 'volume', factor: [3785411784n, 1000000n] },
+  PIECE: { dimension: 'count', factor: [1n, 1n] },
+  DOZEN: { dimension: 'count', factor: [12n, 1n] }
+};
+
+const UNIT_ALIASES = {
+  GRAM: 'G',
+  KILOGRAM: 'KG',
+  T: 'TONNE',
+  TON: 'TONNE',
+  LITRE: 'L',
+  LITER: 'L',
+  MILLILITRE: 'ML',
+  MILLILITER: 'ML',
+  PCS: 'PIECE',
+  PIECES: 'PIECE'
+};
+
+class UnitError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'UnitError';
+    this.statusCode = 400;
+    this.details = details;
+  }
+}
+
+function normalizeUnit(unit) {
+  const code = String(unit).trim().toUpperCase();
+  const canonical = UNIT_ALIASES[code] || code;
+  if (!UNITS[canonical]) {
+    throw new UnitError(`Unknown unit "${unit}". Supported units: ${Object.keys(UNITS).join(', ')}`);
+  }
+  return canonical;
+}
+
+function validateDecimals(decimals) {
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > MAX_DECIMALS) {
+    throw new UnitError(`Precision must be a whole number of decimal places between 0 and ${MAX_DECIMALS}`, { decimals });
+  }
+  return decimals;
+}
+
+/**
+ * Reads a decimal amount from a JSON number or string without rounding,
+ * as `digits / 10^scale`. Numbers are read from their shortest string form,
+ * which is the literal the client sent.
+ */
+function parseDecimal(value) {
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    throw new UnitError(`Amount ${value} is not a number`);
+  }
+  const match = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(String(value).trim());
+  if (typeof value !== 'number' && typeof value !== 'string' || !match || (!match[2] && !match[3])) {
+    throw new UnitError(`Amount "${value}" is not a decimal number`);
+  }
+
+  const fraction = match[3] || '';
+  let digits = BigInt(`${match[2] || '0'}${fraction}`);
+  let scale = fraction.length - Number(match[4] || 0);
+  if (scale < 0) {
+    digits *= 10n ** BigInt(-scale);
+    scale = 0;
+  }
+  return { digits: match[1] === '-' ? -digits : digits, scale };
+}
+
+/**
+ * Converts an amount given in `fromUnit` into the smallest units of a token
+ * that counts in `toUnit` with `decimals` places. Fails when the units
+ * measure different things or when the amount is more precise than the
+ * token can hold.
+ */
+function toSmallestUnits(value, { fromUnit, toUnit, decimals }) {
+  const from = UNITS[normalizeUnit(fromUnit)];
+  const to = UNITS[normalizeUnit(toUnit)];
+  if (from.dimension !== to.dimension) {
+    throw new UnitError(`Cannot convert ${normalizeUnit(fromUnit)} (${from.dimension}) to ${normalizeUnit(toUnit)} (${to.dimension})`);
+  }
+
+  const { digits, scale } = parseDecimal(value);
+  const numerator = digits * from.factor[0] * to.factor[1] * (10n ** BigInt(decimals));
+  const denominator = (10n ** BigInt(scale)) * from.factor[1] * to.factor[0];
+  if (numerator % denominator !== 0n) {
+    throw new UnitError(`Amount ${value} ${normalizeUnit(fromUnit)} is more precise than ${decimals} decimal places of ${normalizeUnit(toUnit)}`, {
+      amount: value,
+      unit: normalizeUnit(fromUnit),
+      tokenUnit: normalizeUnit(toUnit),
+      decimals
+    });
+  }
+  return numerator / denominator;
+}
+
+function toBigInt(value) {
+  return typeof value === 'bigint' ? value : BigInt(value.toString());
+}
+
+function toLong(units) {
+  return Long.fromString(toBigInt(units).toString());
+}
+
+/**
+ * Formats smallest units (BigInt, Long or integer) as an exact decimal
+ * string of the token's unit, e.g. 1234n at 2 decimals is "12.34".
+ */
+function formatSmallestUnits(units, decimals) {
+  const value = toBigInt(units);
+  const negative = value < 0n;
+  const digits = (negative ? -value : value).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = decimals > 0 ? `.${digits.slice(digits.length - decimals)}` : '';
+  return `${negative ? '-' : ''}${whole}${fraction}`;
+}
+
+/**
+ * The same amount as a JSON number. Beyond 2^53 smallest units the number
+ * is rounded; responses that may hold such amounts also carry the string
+ * from formatSmallestUnits.
+ */
+function fromSmallestUnits(units, decimals) {
+  return Number(formatSmallestUnits(units, decimals));
+}
+
+/**
+ * Conversions for stored records (lots, batches, listings and the like)
+ * that carry their token's `unit` and `decimals`.
+ */
+function toUnits(record, amount) {
+  return toSmallestUnits(amount, { fromUnit: record.unit, toUnit: record.unit, decimals: record.decimals });
+}
+
+function fromUnits(record, units) {
+  return fromSmallestUnits(units, record.decimals);
+}
+
+module.exports = {
+  DEFAULT_UNIT,
+  DEFAULT_DECIMALS,
+  MAX_DECIMALS,
+  UNITS,
+  UnitError,
+  normalizeUnit,
+  validateDecimals,
+  toSmallestUnits,
+  formatSmallestUnits,
+  fromSmallestUnits,
+  toUnits,
+  fromUnits,
+  toBigInt,
+  toLong
+};
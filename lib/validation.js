@@ -0,0 +1,106 @@
+const { ApiError, sendError } = require('./errors');
+
+const ENTITY_ID = /^\d+\.\d+\.\d+$/;
+
+// Each type check returns a problem with the value, or nothing when it fits.
+const TYPES = {
+  string: (value) => (typeof value === 'string' && value.trim() !== '' ? null : 'must be a non-empty string'),
+  boolean: (value) => (typeof value === 'boolean' ? null : 'must be true or false'),
+  number: (value) => (typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number'),
+  integer: (value) => (Number.isInteger(value) ? null : 'must be a whole number'),
+  // Amounts are parsed exactly later on, so decimal strings are let through.
+  amount: (value) => ((typeof value === 'number' && Number.isFinite(value)) || (typeof value === 'string' && value.trim() !== '')
+    ? null
+    : 'must be a number or a decimal string'),
+  entityId: (value) => (typeof value === 'string' && ENTITY_ID.test(value) ? null : 'must be an ID of the form shard.realm.num'),
+  timestamp: (value) => (typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? null : 'must be an ISO 8601 date and time'),
+  object: (value) => (value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object'),
+  array: (value) => (Array.isArray(value) ? null : 'must be an array')
+};
+
+function checkValue(value, rule, path, problems) {
+  const types = [].concat(rule.type);
+  const typeProblems = types.map((type) => TYPES[type](value));
+  if (!typeProblems.includes(null)) {
+    problems.push({ field: path, error: `${path} ${typeProblems.join(' or ')}` });
+    return;
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    problems.push({ field: path, error: `${path} must be one of: ${rule.enum.join(', ')}` });
+  }
+  if (rule.items && Array.isArray(value)) {
+    value.forEach((item, index) => checkValue(item, rule.items, `${path}[${index}]`, problems));
+  }
+  if (rule.fields && types.includes('object') && value && typeof value === 'object' && !Array.isArray(value)) {
+    checkFields(value, rule, `${path}.`, problems);
+  }
+}
+
+// Empty strings count as left out, as they always have for these routes.
+function isGiven(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+function checkFields(body, schema, prefix, problems) {
+  const fields = Object.entries(schema.fields || {});
+  for (const [field, rule] of fields) {
+    if (rule.required && !isGiven(body[field])) {
+      problems.push({ field: `${prefix}${field}`, missing: true, error: `${prefix}${field} is required` });
+    }
+  }
+  for (const group of schema.oneOf || []) {
+    if (!group.some((field) => isGiven(body[field]))) {
+      const names = group.map((field) => `${prefix}${field}`).join(' or ');
+      problems.push({ field: names, missing: true, error: `${names} is required` });
+    }
+  }
+  for (const [field, rule] of fields) {
+    if (isGiven(body[field])) {
+      checkValue(body[field], rule, `${prefix}${field}`, problems);
+    }
+  }
+}
+
+function describeProblems(problems) {
+  const missing = problems.filter((problem) => problem.missing).map((problem) => problem.field);
+  const invalid = problems.filter((problem) => !problem.missing).map((problem) => problem.error);
+  return [
+    ...(missing.length > 0 ? [`Missing required parameters: ${missing.join(', ')}`] : []),
+    ...invalid
+  ].join('; ');
+}
+
+/**
+ * Checks a request body against a schema and lists what is wrong with it.
+ * A schema names its `fields`, each with a `type` (or list of types),
+ * `required`, `enum`, `items` for arrays and `fields` for nested objects;
+ * `oneOf` lists groups of fields of which at least one must be given.
+ * Fields the schema does not name are left alone.
+ */
+function validateBody(body, schema) {
+  const problems = [];
+  checkFields(body || {}, schema, '', problems);
+  return problems;
+}
+
+/**
+ * Express middleware that rejects a request whose body does not fit
+ * `schema` with a 400 VALIDATION_FAILED error listing every problem.
+ */
+function validates(schema) {
+  return (req, res, next) => {
+    const problems = validateBody(req.body, schema);
+    if (problems.length === 0) {
+      return next();
+    }
+    return sendError(res, new ApiError(describeProblems(problems), 400, 'VALIDATION_FAILED', {
+      fields: problems.map(({ field, error }) => ({ field, error }))
+    }));
+  };
+}
+
+module.exports = {
+  describeProblems,
+  validateBody,
+  validates
+};
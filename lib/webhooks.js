@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const { getWebhookRepository } = require('./store');
+const { onEvent, parseEventFilters, matchesEventFilters } = require('./history');
+
+const DEFAULT_MAX_ATTEMPTS = 6;
+const DEFAULT_RETRY_BASE_MS = 5000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const DELIVERY_TIMEOUT_MS = 5000;
+const DISPATCH_INTERVAL_MS = 1000;
+const DEFAULT_DELIVERY_PAGE_SIZE = 50;
+
+let dispatching = false;
+
+class WebhookError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'WebhookError';
+    this.statusCode = statusCode;
+  }
+}
+
+function maxAttempts() {
+  return Number(process.env.WEBHOOK_MAX_ATTEMPTS || DEFAULT_MAX_ATTEMPTS);
+}
+
+// Exponential backoff: the base delay after the first failure, doubling
+// after each one after that, capped at an hour.
+function retryDelay(attempt) {
+  const base = Number(process.env.WEBHOOK_RETRY_BASE_MS || DEFAULT_RETRY_BASE_MS);
+  return Math.min(base * (2 ** (attempt - 1)), MAX_RETRY_DELAY_MS);
+}
+
+// The secret is only returned when the subscription is created.
+function toWebhookView({ secret, ...webhook }) {
+  return webhook;
+}
+
+/**
+ * Signs `<timestamp>.<body>` with the subscription secret. Receivers should
+ * recompute it from the raw body and reject stale timestamps, which stops
+ * a captured delivery from being replayed later.
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function createWebhook({ url, description, tokenId, accountId, types, statuses, secret }) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new WebhookError('Webhook URL must be an absolute http or https URL', 400);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new WebhookError('Webhook URL must be an absolute http or https URL', 400);
+  }
+
+  return getWebhookRepository().saveWebhook({
+    webhookId: crypto.randomUUID(),
+    url: parsed.toString(),
+    description: description || null,
+    filters: parseEventFilters({ tokenId, accountId, type: types, status: statuses }),
+    secret: secret || crypto.randomBytes(32).toString('hex'),
+    createdAt: new Date().toISOString()
+  });
+}
+
+function listWebhooks() {
+  return getWebhookRepository().listWebhooks().map(toWebhookView);
+}
+
+function deleteWebhook(webhookId) {
+  const repository = getWebhookRepository();
+  const webhook = repository.getWebhook(webhookId);
+  if (!webhook) {
+    throw new WebhookError(`No webhook found with ID ${webhookId}`, 404);
+  }
+  repository.deleteWebhook(webhookId);
+  return toWebhookView(webhook);
+}
+
+function listDeliveries({ webhookId, status, limit = DEFAULT_DELIVERY_PAGE_SIZE }) {
+  return getWebhookRepository()
+    .findDeliveries((delivery) => (!webhookId || delivery.webhookId === webhookId) &&
+      (!status || delivery.status === status))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+}
+
+function enqueueDeliveries(event) {
+  const repository = getWebhookRepository();
+  const now = new Date().toISOString();
+  const webhooks = repository.listWebhooks()
+    .filter((webhook) => matchesEventFilters(event, webhook.filters));
+
+  for (const webhook of webhooks) {
+    repository.saveDelivery({
+      deliveryId: crypto.randomUUID(),
+      webhookId: webhook.webhookId,
+      eventId: event.eventId,
+      eventType: event.type,
+      event,
+      status: 'PENDING',
+      attempts: [],
+      nextAttemptAt: now,
+      createdAt: now
+    });
+  }
+  if (webhooks.length > 0) {
+    setImmediate(dispatchDueDeliveries);
+  }
+}
+
+async function attemptDelivery(delivery) {
+  const repository = getWebhookRepository();
+  const webhook = repository.getWebhook(delivery.webhookId);
+  if (!webhook) {
+    return repository.saveDelivery({ ...delivery, status: 'CANCELLED', nextAttemptAt: null });
+  }
+
+  const body = JSON.stringify({
+    deliveryId: delivery.deliveryId,
+    webhookId: webhook.webhookId,
+    event: delivery.event
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  const attempt = {
+    attempt: delivery.attempts.length + 1,
+    at: new Date(startedAt).toISOString(),
+    statusCode: null,
+    error: null,
+    durationMs: null
+  };
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-webhook-id': webhook.webhookId,
+        'x-webhook-delivery': delivery.deliveryId,
+        'x-webhook-event': delivery.eventType,
+        'x-webhook-signature': `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, body)}`
+      },
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+    attempt.statusCode = response.status;
+    if (!response.ok) {
+      attempt.error = `Receiver returned HTTP ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.message;
+  }
+  attempt.durationMs = Date.now() - startedAt;
+
+  const attempts = [...delivery.attempts, attempt];
+  if (!attempt.error) {
+    return repository.saveDelivery({ ...delivery, attempts, status: 'DELIVERED', nextAttemptAt: null, deliveredAt: attempt.at });
+  }
+  if (attempts.length >= maxAttempts()) {
+    return repository.saveDelivery({ ...delivery, attempts, status: 'FAILED', nextAttemptAt: null });
+  }
+  return repository.saveDelivery({
+    ...delivery,
+    attempts,
+    nextAttemptAt: new Date(Date.now() + retryDelay(attempts.length)).toISOString()
+  });
+}
+
+async function dispatchDueDeliveries() {
+  if (dispatching) {
+    return;
+  }
+  dispatching = true;
+  try {
+    const now = new Date().toISOString();
+    const due = getWebhookRepository()
+      .findDeliveries((delivery) => delivery.status === 'PENDING' && delivery.nextAttemptAt <= now);
+    await Promise.all(due.map((delivery) => attemptDelivery(delivery).catch((error) => {
+      console.error(`Webhook delivery ${delivery.deliveryId} could not be attempted: ${error.message}`);
+    })));
+  } finally {
+    dispatching = false;
+  }
+}
+
+/**
+ * Queues a delivery to every matching subscription for each recorded event
+ * and keeps attempting pending deliveries, including ones left over from a
+ * previous run, until they succeed or run out of attempts.
+ */
+function startWebhookDispatcher() {
+  onEvent(enqueueDeliveries);
+  setInterval(dispatchDueDeliveries, DISPATCH_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  WebhookError,
+  createWebhook,
+  listWebhooks,
+  deleteWebhook,
+  listDeliveries,
+  startWebhookDispatcher
+};
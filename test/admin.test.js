@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+
+test('administers tokens created with optional keys', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const { operator } = server;
+
+  const shop = await server.createAccount();
+  const created = await server.post('/api/tokens/create', {
+    productName: 'Saffron',
+    initialStock: 10,
+    keys: { freeze: true, kyc: true, pause: true }
+  });
+  assert.equal(created.status, 201);
+  const { tokenId } = created.body;
+  const associated = await server.post('/api/tokens/associate', { tokenId, ...shop });
+  assert.equal(associated.body.success, true);
+
+  const admin = (action, body = {}) => server.post(`/api/tokens/admin/${action}`, { tokenId, requesterAccountId: operator.accountId, ...body });
+  const sellToShop = () => server.post('/api/tokens/sell', {
+    tokenId,
+    amount: 1,
+    sellerAccountId: operator.accountId,
+    sellerPrivateKey: operator.privateKey,
+    buyerAccountId: shop.accountId
+  });
+
+  await t.test('only moves stock to accounts granted KYC', async () => {
+    const refused = await sellToShop();
+    assert.equal(refused.status, 409);
+    assert.equal(refused.body.code, 'ACCOUNT_KYC_NOT_GRANTED_FOR_TOKEN');
+
+    const granted = await admin('kyc/grant', { accountId: shop.accountId });
+    assert.equal(granted.status, 200);
+    assert.equal(granted.body.ownership.accountStatus[shop.accountId].kycGranted, true);
+    assert.equal((await sellToShop()).status, 200);
+  });
+
+  await t.test('stops a frozen account from receiving stock', async () => {
+    const frozen = await admin('freeze', { accountId: shop.accountId });
+    assert.equal(frozen.status, 200);
+    assert.equal(frozen.body.ownership.accountStatus[shop.accountId].frozen, true);
+    assert.equal((await sellToShop()).body.code, 'ACCOUNT_FROZEN_FOR_TOKEN');
+
+    assert.equal((await admin('unfreeze', { accountId: shop.accountId })).status, 200);
+    assert.equal((await sellToShop()).status, 200);
+  });
+
+  await t.test('stops every movement while paused', async () => {
+    assert.equal((await admin('pause')).status, 200);
+    let info = await server.get(`/api/tokens/info?tokenId=${tokenId}`);
+    assert.equal(info.body.paused, true);
+    assert.equal((await sellToShop()).body.code, 'TOKEN_IS_PAUSED');
+    assert.equal((await server.post('/api/tokens/mint', { tokenId, amount: 1 })).body.code, 'TOKEN_IS_PAUSED');
+
+    assert.equal((await admin('unpause')).status, 200);
+    info = await server.get(`/api/tokens/info?tokenId=${tokenId}`);
+    assert.equal(info.body.paused, false);
+    assert.equal((await sellToShop()).status, 200);
+    assert.equal((await server.mirrorBalances(tokenId))[shop.accountId], 300);
+  });
+
+  await t.test('keeps the ledger memo readable by the rebuild on update', async () => {
+    const updated = await admin('update', { productName: 'Red saffron', tokenMemo: 'Harvest 2026' });
+    assert.equal(updated.status, 200);
+    const info = await server.get(`/api/tokens/info?tokenId=${tokenId}`);
+    assert.equal(info.body.memo, `Red saffron | Owner: ${operator.accountId}`);
+    assert.equal(info.body.metadata.tokenMemo, 'Harvest 2026');
+  });
+
+  await t.test('records each action in the token history', async () => {
+    const history = await server.get(`/api/tokens/history?tokenId=${tokenId}&type=ADMIN`);
+    assert.deepEqual(history.body.events.map((event) => event.details.action).reverse(),
+      ['grant-kyc', 'freeze', 'unfreeze', 'pause', 'unpause', 'update']);
+  });
+});
+
+test('refuses actions the token has no key for', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const shop = await server.createAccount();
+  const created = await server.post('/api/tokens/create', { productName: 'Cumin', initialStock: 10 });
+  const { tokenId } = created.body;
+
+  const frozen = await server.post('/api/tokens/admin/freeze', {
+    tokenId,
+    accountId: shop.accountId,
+    requesterAccountId: server.operator.accountId
+  });
+  assert.equal(frozen.status, 409);
+  assert.equal(frozen.body.code, 'TOKEN_HAS_NO_FREEZE_KEY');
+
+  const paused = await server.post('/api/tokens/admin/pause', { tokenId, requesterAccountId: server.operator.accountId });
+  assert.equal(paused.body.code, 'TOKEN_HAS_NO_PAUSE_KEY');
+});
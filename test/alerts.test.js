@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer, waitFor } = require('./helpers/server');
+
+test('raises stock alerts once per shortfall', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const { operator } = server;
+
+  const shop = await server.createAccount();
+  const created = await server.post('/api/tokens/create', { productName: 'Flour', initialStock: 10 });
+  const { tokenId } = created.body;
+  await server.post('/api/tokens/associate', { tokenId, ...shop });
+
+  // Stock checks run after the response, so each step waits for its alerts.
+  const alertsAfter = async (step, expected) => {
+    const response = await step();
+    assert.ok(response.status < 300, JSON.stringify(response.body));
+    return waitFor(async () => {
+      const { body } = await server.get(`/api/alerts?tokenId=${tokenId}`);
+      const seen = body.alerts
+        .map((alert) => `${alert.accountId || 'token'} ${alert.level} ${alert.status}`)
+        .sort();
+      return JSON.stringify(seen) === JSON.stringify([...expected].sort()) && body.alerts;
+    });
+  };
+  const burn = (amount) => () => server.post('/api/tokens/burn', { tokenId, amount });
+
+  await t.test('checks the levels as soon as they are set', async () => {
+    await alertsAfter(() => server.post('/api/tokens/metadata', {
+      tokenId,
+      metadata: { stockLevels: { token: { minimumStock: 4, reorderLevel: 6 }, accounts: { [shop.accountId]: { minimumStock: 1 } } } }
+    }), [`${shop.accountId} LOW_STOCK OPEN`]);
+
+    const invalid = await server.post('/api/tokens/metadata', {
+      tokenId,
+      metadata: { stockLevels: { token: { minimumStock: 6, reorderLevel: 4 } } }
+    });
+    assert.equal(invalid.status, 400);
+  });
+
+  let reorder;
+
+  await t.test('raises an alert when stock reaches a level', async () => {
+    const alerts = await alertsAfter(burn(5), [`${shop.accountId} LOW_STOCK OPEN`, 'token REORDER OPEN']);
+    reorder = alerts.find((alert) => alert.level === 'REORDER');
+    assert.equal(reorder.stock, 5);
+    assert.equal(reorder.threshold, 6);
+  });
+
+  await t.test('does not repeat an alert while stock stays low', async () => {
+    await alertsAfter(burn(0.5), [`${shop.accountId} LOW_STOCK OPEN`, 'token REORDER OPEN']);
+    await alertsAfter(burn(0.5), [`${shop.accountId} LOW_STOCK OPEN`, 'token REORDER OPEN', 'token LOW_STOCK OPEN']);
+  });
+
+  await t.test('acknowledges an alert until stock recovers', async () => {
+    const acknowledged = await server.post('/api/alerts/acknowledge', { alertId: reorder.alertId, accountId: operator.accountId });
+    assert.equal(acknowledged.status, 200);
+    assert.equal(acknowledged.body.alert.status, 'ACKNOWLEDGED');
+    assert.equal(acknowledged.body.alert.acknowledgedBy, operator.accountId);
+
+    await alertsAfter(() => server.post('/api/tokens/sell', {
+      tokenId,
+      amount: 2,
+      sellerAccountId: operator.accountId,
+      sellerPrivateKey: operator.privateKey,
+      buyerAccountId: shop.accountId
+    }), [`${shop.accountId} LOW_STOCK RESOLVED`, 'token REORDER ACKNOWLEDGED', 'token LOW_STOCK OPEN']);
+
+    await alertsAfter(() => server.post('/api/tokens/mint', { tokenId, amount: 5 }),
+      [`${shop.accountId} LOW_STOCK RESOLVED`, 'token REORDER RESOLVED', 'token LOW_STOCK RESOLVED']);
+
+    const resolved = await server.post('/api/alerts/acknowledge', { alertId: reorder.alertId, accountId: operator.accountId });
+    assert.equal(resolved.status, 409);
+  });
+
+  await t.test('raises a new alert when stock falls again', async () => {
+    await alertsAfter(burn(4), [
+      `${shop.accountId} LOW_STOCK RESOLVED`, 'token REORDER RESOLVED', 'token LOW_STOCK RESOLVED', 'token REORDER OPEN'
+    ]);
+    const open = await server.get(`/api/alerts?tokenId=${tokenId}&status=OPEN`);
+    assert.equal(open.body.alertCount, 1);
+    assert.equal((await server.get('/api/alerts?status=GONE')).status, 400);
+  });
+});
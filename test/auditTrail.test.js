@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer, waitFor } = require('./helpers/server');
+
+// Publication runs after the response, so tests wait for every entry of a
+// token to settle.
+function settledTrail(server, tokenId, count) {
+  return waitFor(async () => {
+    const { body } = await server.get(`/api/tokens/audit?tokenId=${tokenId}`);
+    return body.entries.length === count && body.entries.every((entry) => entry.status !== 'PENDING') && body;
+  });
+}
+
+test('publishes stock events to the audit topic and verifies them', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const { operator } = server;
+
+  const buyer = await server.createAccount();
+  const created = await server.post('/api/tokens/create', { productName: 'Quince', initialStock: 10 });
+  const { tokenId } = created.body;
+  await server.post('/api/tokens/associate', { tokenId, ...buyer });
+  await server.post('/api/tokens/mint', { tokenId, amount: 5 });
+  await server.post('/api/tokens/sell', {
+    tokenId,
+    amount: 2,
+    sellerAccountId: operator.accountId,
+    sellerPrivateKey: operator.privateKey,
+    buyerAccountId: buyer.accountId
+  });
+  await server.post('/api/tokens/metadata', { tokenId, metadata: { description: 'Orchard quinces' } });
+
+  await t.test('keeps the sequence number and running hash of each message', async () => {
+    const trail = await settledTrail(server, tokenId, 4);
+    assert.equal(trail.enabled, true);
+    assert.equal(trail.published, 4);
+    // Associating spends no stock and is not audited.
+    assert.deepEqual(trail.entries.map((entry) => entry.type), ['CREATE', 'MINT', 'SELL', 'METADATA']);
+    const [first] = trail.entries;
+    assert.match(first.topicId, /^0\.0\.\d+$/);
+    assert.ok(trail.entries.every((entry) => entry.topicId === first.topicId && entry.runningHash));
+    const sequenceNumbers = trail.entries.map((entry) => entry.sequenceNumber);
+    assert.deepEqual(sequenceNumbers, [...sequenceNumbers].sort((a, b) => a - b));
+    assert.equal(new Set(sequenceNumbers).size, 4);
+  });
+
+  await t.test('proves the history and metadata against the topic', async () => {
+    const verified = await server.get(`/api/tokens/audit/verify?tokenId=${tokenId}`);
+    assert.equal(verified.status, 200);
+    assert.equal(verified.body.verified, true);
+    assert.deepEqual(verified.body.problems, []);
+    assert.equal(verified.body.checkedEvents, 4);
+    assert.equal(verified.body.topicMessages, 4);
+    assert.equal(verified.body.metadata.verified, true);
+    assert.equal(verified.body.metadata.publishedHash, verified.body.metadata.currentHash);
+
+    assert.equal((await server.get('/api/tokens/audit/verify?tokenId=0.0.999999')).status, 404);
+  });
+});
+
+test('reports events that could not be published', async (t) => {
+  // No audit transaction fits under this maximum fee.
+  const server = await startServer({ MAX_TRANSACTION_FEES_HBAR: JSON.stringify({ audit: 0.000001 }) });
+  t.after(() => server.stop());
+
+  const created = await server.post('/api/tokens/create', { productName: 'Medlar', initialStock: 10 });
+  const { tokenId } = created.body;
+  const trail = await settledTrail(server, tokenId, 1);
+  assert.equal(trail.entries[0].status, 'FAILED');
+  assert.equal(trail.entries[0].error.code, 'INSUFFICIENT_TX_FEE');
+
+  const verified = await server.get(`/api/tokens/audit/verify?tokenId=${tokenId}`);
+  assert.equal(verified.body.verified, false);
+  assert.deepEqual(verified.body.problems.map((problem) => problem.problem), ['NOT_PUBLISHED']);
+});
+
+test('leaves the topic alone when the audit trail is off', async (t) => {
+  const server = await startServer({ AUDIT_TRAIL: 'off' });
+  t.after(() => server.stop());
+
+  const created = await server.post('/api/tokens/create', { productName: 'Sloe', initialStock: 10 });
+  const trail = await server.get(`/api/tokens/audit?tokenId=${created.body.tokenId}`);
+  assert.equal(trail.body.enabled, false);
+  assert.deepEqual(trail.body.entries, []);
+
+  const verified = await server.get(`/api/tokens/audit/verify?tokenId=${created.body.tokenId}`);
+  assert.equal(verified.body.verified, false);
+  assert.equal(verified.body.predatingTrail, 1);
+  assert.match(verified.body.message, /Nothing has been published/);
+});
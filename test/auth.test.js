@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { startServer } = require('./helpers/server');
+
+const JWT_SECRET = 'test-jwt-secret';
+const ADMIN_KEY = 'test-admin-key';
+
+function signJwt(claims, secret = JWT_SECRET) {
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+}
+
+function bearer(accountId, claims = {}) {
+  return { Authorization: `Bearer ${signJwt({ sub: accountId, exp: Math.floor(Date.now() / 1000) + 600, ...claims })}` };
+}
+
+test('authenticates callers and checks their token roles', async (t) => {
+  // AUTH_MODE is left unset: configured credentials turn authentication on.
+  const server = await startServer({
+    AUTH_MODE: '',
+    AUTH_JWT_SECRET: JWT_SECRET,
+    AUTH_API_KEYS: JSON.stringify({ [ADMIN_KEY]: { accountId: '0.0.2', admin: true } })
+  });
+  t.after(() => server.stop());
+  const asAdmin = { 'X-API-Key': ADMIN_KEY };
+
+  const newAccount = async () => (await server.post('/api/simulator/accounts', {}, asAdmin)).body;
+  const [producer, shop] = await Promise.all([newAccount(), newAccount()]);
+  const asProducer = bearer(producer.accountId);
+  const asShop = bearer(shop.accountId);
+
+  const created = await server.post('/api/tokens/create', {
+    productName: 'Quinoa',
+    initialStock: 10,
+    creatorAccountId: producer.accountId,
+    creatorPrivateKey: producer.privateKey
+  }, asProducer);
+  assert.equal(created.status, 201);
+  const { tokenId } = created.body;
+  const mint = (headers, body = {}) => server.post('/api/tokens/mint', { tokenId, amount: 1, ...body }, headers);
+
+  await t.test('rejects requests without valid credentials', async () => {
+    const anonymous = await mint({});
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.code, 'UNAUTHENTICATED');
+    assert.equal(anonymous.headers.get('www-authenticate'), 'Bearer');
+
+    assert.equal((await mint({ 'X-API-Key': 'guess' })).status, 401);
+    assert.equal((await mint({ Authorization: `Bearer ${signJwt({ sub: producer.accountId, exp: 4102444800 }, 'wrong')}` })).status, 401);
+    assert.equal((await mint(bearer(producer.accountId, { exp: Math.floor(Date.now() / 1000) - 3600 }))).status, 401);
+  });
+
+  await t.test('lets the owner act and denies other accounts', async () => {
+    assert.equal((await mint(asProducer)).status, 200);
+
+    const denied = await mint(asShop);
+    assert.equal(denied.status, 403);
+    assert.equal(denied.body.code, 'FORBIDDEN');
+    assert.match(denied.body.error, /needs one of the roles OWNER, STOCK_MANAGER/);
+
+    const impersonating = await mint(asShop, { accountId: producer.accountId });
+    assert.equal(impersonating.status, 403);
+    assert.match(impersonating.body.error, /does not match the authenticated account/);
+
+    const owned = await server.get(`/api/tokens/owned?accountId=${producer.accountId}`, asShop);
+    assert.equal(owned.status, 403);
+  });
+
+  await t.test('follows roles as they are granted and revoked', async () => {
+    const change = (action, role) => server.post(`/api/tokens/roles/${action}`, { tokenId, accountId: shop.accountId, role }, asProducer);
+
+    assert.equal((await change('grant', 'STOCK_MANAGER')).status, 200);
+    assert.equal((await mint(asShop)).status, 200);
+    const listed = await server.get('/api/tokens/all', asShop);
+    assert.deepEqual(Object.keys(listed.body.tokens), [tokenId]);
+
+    assert.equal((await change('revoke', 'STOCK_MANAGER')).status, 200);
+    assert.equal((await mint(asShop)).status, 403);
+    assert.equal(Object.keys((await server.get('/api/tokens/all', asShop)).body.tokens).length, 0);
+
+    const byShop = await server.post('/api/tokens/roles/grant', { tokenId, accountId: shop.accountId, role: 'AUDITOR' }, asShop);
+    assert.equal(byShop.status, 403);
+  });
+
+  await t.test('lets admin callers do anything', async () => {
+    assert.equal((await mint(asAdmin)).status, 200);
+    assert.equal((await mint(bearer(shop.accountId, { admin: true }))).status, 200);
+  });
+
+  await t.test('records denied requests in the token history', async () => {
+    const history = await server.get(`/api/tokens/history?tokenId=${tokenId}&type=ACCESS_DENIED`, asProducer);
+    assert.equal(history.status, 200);
+    assert.ok(history.body.events.length >= 3);
+    assert.ok(history.body.events.every((event) => event.status === 'FAILED'));
+    assert.ok(history.body.events.some((event) => event.actorAccountId === shop.accountId && event.details.action === 'mint'));
+  });
+});
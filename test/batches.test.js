@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+
+test('production batches', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const [producer, shop, cafe] = await Promise.all([
+    server.createAccount(),
+    server.createAccount(),
+    server.createAccount()
+  ]);
+
+  const holdings = async (tokenId) => {
+    const { body } = await server.get(`/api/batches?tokenId=${tokenId}`);
+    return Object.fromEntries(body.batches.map((batch) => [batch.batchNumber, batch.holdings]));
+  };
+
+  const created = await server.post('/api/tokens/create', {
+    productName: 'Pear',
+    initialStock: 20,
+    creatorAccountId: producer.accountId,
+    creatorPrivateKey: producer.privateKey,
+    keys: { wipe: true },
+    batchNumber: 'P-1',
+    productionDate: '2026-01-01',
+    expiryDate: '2099-06-01'
+  });
+  assert.equal(created.status, 201);
+  const { tokenId } = created.body;
+  for (const account of [shop, cafe]) {
+    const associated = await server.post('/api/tokens/associate', { tokenId, ...account });
+    assert.equal(associated.body.success, true);
+  }
+
+  await t.test('records initial stock as the first batch', async () => {
+    assert.equal(created.body.batch.batchNumber, 'P-1');
+    assert.equal(created.body.batch.expiryDate, '2099-06-01T00:00:00.000Z');
+    assert.deepEqual(await holdings(tokenId), { 'P-1': { [producer.accountId]: 20 } });
+  });
+
+  await t.test('records minted stock as a new batch', async () => {
+    const minted = await server.post('/api/tokens/mint', {
+      tokenId,
+      amount: 10,
+      batchNumber: 'P-2',
+      productionDate: '2026-03-01'
+    });
+    assert.equal(minted.status, 200);
+    assert.equal(minted.body.batch.batchNumber, 'P-2');
+    assert.deepEqual(minted.body.batch.holdings, { [producer.accountId]: 10 });
+  });
+
+  await t.test('refuses an expiry before production', async () => {
+    const refused = await server.post('/api/tokens/mint', {
+      tokenId,
+      amount: 1,
+      productionDate: '2026-03-01',
+      expiryDate: '2026-02-01'
+    });
+    assert.equal(refused.status, 400);
+  });
+
+  await t.test('distributes the oldest batch first', async () => {
+    const distributed = await server.post('/api/tokens/distribute', {
+      tokenId,
+      senderAccountId: producer.accountId,
+      senderPrivateKey: producer.privateKey,
+      recipients: [
+        { accountId: shop.accountId, amount: 15 },
+        { accountId: cafe.accountId, amount: 7 }
+      ]
+    });
+    assert.equal(distributed.body.success, true);
+    assert.deepEqual(await holdings(tokenId), {
+      'P-1': { [shop.accountId]: 15, [cafe.accountId]: 5 },
+      'P-2': { [producer.accountId]: 8, [cafe.accountId]: 2 }
+    });
+  });
+
+  await t.test('follows stock through escrow, a sale and a refund', async () => {
+    const listed = await server.post('/api/market/listings/create', {
+      tokenId,
+      sellerAccountId: producer.accountId,
+      sellerPrivateKey: producer.privateKey,
+      quantity: 6,
+      pricePerUnitHbar: 1
+    });
+    assert.equal(listed.status, 201);
+    const { listingId, escrowAccountId } = listed.body.listing;
+    assert.deepEqual(listed.body.listing.batches.batches.map((draw) => [draw.batchNumber, draw.amount]), [['P-2', 6]]);
+    assert.deepEqual((await holdings(tokenId))['P-2'], {
+      [producer.accountId]: 2,
+      [cafe.accountId]: 2,
+      [escrowAccountId]: 6
+    });
+
+    const ordered = await server.post('/api/market/orders/create', {
+      tokenId,
+      buyerAccountId: cafe.accountId,
+      buyerPrivateKey: cafe.privateKey,
+      quantity: 4,
+      maxPricePerUnitHbar: 1
+    });
+    assert.equal(ordered.body.order.status, 'FILLED');
+    assert.deepEqual(ordered.body.fills[0].batches.batches.map((draw) => [draw.batchNumber, draw.amount]), [['P-2', 4]]);
+
+    const cancelled = await server.post('/api/market/listings/cancel', { listingId, sellerAccountId: producer.accountId });
+    assert.equal(cancelled.body.listing.status, 'CANCELLED');
+    assert.deepEqual((await holdings(tokenId))['P-2'], { [producer.accountId]: 4, [cafe.accountId]: 6 });
+  });
+
+  await t.test('takes wiped stock out of the holder\'s batches', async () => {
+    const wiped = await server.post('/api/tokens/admin/wipe', {
+      tokenId,
+      accountId: cafe.accountId,
+      amount: 3,
+      requesterAccountId: producer.accountId
+    });
+    assert.equal(wiped.body.success, true);
+    assert.deepEqual(wiped.body.batches.map((draw) => [draw.batchNumber, draw.amount]), [['P-1', 3]]);
+
+    const { body } = await server.get(`/api/batches?tokenId=${tokenId}`);
+    const first = body.batches.find((batch) => batch.batchNumber === 'P-1');
+    assert.deepEqual(first.holdings, { [shop.accountId]: 15, [cafe.accountId]: 2 });
+    assert.deepEqual(first.movements.map((movement) => movement.type), ['MINTED', 'HANDOVER', 'DISTRIBUTION', 'DISTRIBUTION', 'WIPE']);
+  });
+
+  await t.test('keeps batch holdings in step with the ledger', async () => {
+    const ledger = await server.mirrorBalances(tokenId);
+    const batched = {};
+    for (const byAccount of Object.values(await holdings(tokenId))) {
+      for (const [account, amount] of Object.entries(byAccount)) {
+        batched[account] = (batched[account] || 0) + amount * 100;
+      }
+    }
+    for (const [account, units] of Object.entries(batched)) {
+      assert.equal(ledger[account], units, `account ${account}`);
+    }
+  });
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+
+test('charges the platform commission on sales', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const [farmer, buyer, platform] = await Promise.all([
+    server.createAccount(),
+    server.createAccount(),
+    server.createAccount()
+  ]);
+  const created = await server.post('/api/tokens/create', {
+    productName: 'Barley',
+    initialStock: 20,
+    creatorAccountId: farmer.accountId,
+    creatorPrivateKey: farmer.privateKey,
+    customFees: [
+      { type: 'FRACTIONAL', percent: 10, collectorAccountId: platform.accountId },
+      { type: 'HBAR', amountHbar: 0.5, collectorAccountId: platform.accountId }
+    ]
+  });
+  assert.equal(created.status, 201);
+  const { tokenId } = created.body;
+  await server.post('/api/tokens/associate', { tokenId, ...buyer });
+  const sale = {
+    tokenId,
+    amount: 10,
+    sellerAccountId: farmer.accountId,
+    sellerPrivateKey: farmer.privateKey,
+    buyerAccountId: buyer.accountId
+  };
+
+  await t.test('sets the fees on the token', async () => {
+    const info = await server.get(`/api/tokens/info?tokenId=${tokenId}`);
+    // Ledger token info lists fixed fees before fractional ones.
+    assert.deepEqual(info.body.customFees, [
+      { type: 'HBAR', collectorAccountId: platform.accountId, amountHbar: 0.5 },
+      {
+        type: 'FRACTIONAL',
+        collectorAccountId: platform.accountId,
+        numerator: 1,
+        denominator: 10,
+        percent: 10,
+        minimum: 0,
+        maximum: null,
+        unit: 'KG',
+        netOfTransfers: false
+      }
+    ]);
+  });
+
+  await t.test('shows the breakdown before the sale is signed', async () => {
+    const prepared = await server.post('/api/tokens/sell', { ...sale, sellerPrivateKey: undefined, mode: 'prepare' });
+    assert.equal(prepared.status, 200);
+    assert.equal(prepared.body.fees.sellerSends, 10);
+    assert.equal(prepared.body.fees.buyerReceives, 9);
+    assert.equal(prepared.body.fees.sellerFeesHbar, 0.5);
+    assert.deepEqual(prepared.body.fees.charges, [
+      { collectorAccountId: platform.accountId, payerAccountIds: [buyer.accountId], amount: 1, unit: 'KG' },
+      { collectorAccountId: platform.accountId, payerAccountIds: [farmer.accountId], amountHbar: 0.5 }
+    ]);
+    assert.match(prepared.body.prepared.summary.description, /the buyer receives 9 KG/);
+  });
+
+  await t.test('reports the fees charged by the sale', async () => {
+    const sold = await server.post('/api/tokens/sell', sale);
+    assert.equal(sold.status, 200);
+    assert.equal(sold.body.feesCharged.buyerReceives, 9);
+    assert.equal(sold.body.feesCharged.charges.length, 2);
+
+    const balances = await server.mirrorBalances(tokenId);
+    assert.equal(balances[farmer.accountId], 1000);
+    assert.equal(balances[buyer.accountId], 900);
+    assert.equal(balances[platform.accountId], 100);
+  });
+
+  await t.test('refuses invalid fee definitions', async () => {
+    const invalid = (customFees) => server.post('/api/tokens/create', { productName: 'Rye', initialStock: 1, customFees });
+    assert.equal((await invalid([{ type: 'FRACTIONAL', percent: 100 }])).status, 400);
+    assert.equal((await invalid([{ type: 'ROYALTY', amount: 1 }])).status, 400);
+    assert.equal((await invalid([{ type: 'HBAR', amountHbar: 1, collectorAccountId: 'platform' }])).status, 400);
+  });
+});
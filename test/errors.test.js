@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ReceiptStatusError, Status, TransactionId, AccountId } = require('@hashgraph/sdk');
+
+const { ApiError, toApiError } = require('../lib/errors');
+const { startServer } = require('./helpers/server');
+
+const receiptError = (status) => new ReceiptStatusError({
+  status,
+  transactionId: TransactionId.generate(AccountId.fromString('0.0.2')),
+  transactionReceipt: null
+});
+
+test('toApiError maps ledger statuses to codes and HTTP statuses', () => {
+  const insufficient = toApiError(receiptError(Status.InsufficientTokenBalance));
+  assert.equal(insufficient.statusCode, 409);
+  assert.equal(insufficient.code, 'INSUFFICIENT_TOKEN_BALANCE');
+  assert.equal(insufficient.details.hederaStatus, 'INSUFFICIENT_TOKEN_BALANCE');
+  assert.match(insufficient.details.transactionId, /^0\.0\.2@/);
+
+  assert.equal(toApiError(receiptError(Status.InvalidSignature)).statusCode, 403);
+  assert.equal(toApiError(receiptError(Status.InvalidTokenId)).statusCode, 404);
+  assert.equal(toApiError(receiptError(Status.Busy)).statusCode, 503);
+
+  const unlisted = toApiError(receiptError(Status.InvalidRenewalPeriod));
+  assert.equal(unlisted.statusCode, 422);
+  assert.equal(unlisted.code, 'LEDGER_REJECTED');
+  assert.equal(unlisted.details.hederaStatus, 'INVALID_RENEWAL_PERIOD');
+});
+
+test('toApiError keeps the service\'s own errors and hides the rest behind a 500', () => {
+  const timeout = Object.assign(new Error('no node answered'), { name: 'MaxAttemptsOrTimeoutError' });
+  assert.equal(toApiError(timeout).code, 'LEDGER_UNAVAILABLE');
+  assert.equal(toApiError(timeout).statusCode, 503);
+
+  const own = Object.assign(new Error('Lot L1 already exists'), { statusCode: 409, details: { lotId: 'L1' } });
+  assert.deepEqual({ ...toApiError(own) }, { name: 'ApiError', statusCode: 409, code: 'CONFLICT', details: { lotId: 'L1' } });
+
+  const apiError = new ApiError('Gone', 410);
+  assert.equal(toApiError(apiError), apiError);
+
+  const bug = toApiError(new TypeError(''), 'Failed to sell stock');
+  assert.equal(bug.statusCode, 500);
+  assert.equal(bug.code, 'INTERNAL_ERROR');
+  assert.equal(bug.message, 'Failed to sell stock');
+});
+
+test('every route answers errors in the same envelope', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const { operator } = server;
+
+  const stranger = await server.createAccount();
+  const created = await server.post('/api/tokens/create', { productName: 'Sorghum', initialStock: 5 });
+  const { tokenId } = created.body;
+  const sale = {
+    tokenId,
+    amount: 1,
+    sellerAccountId: operator.accountId,
+    sellerPrivateKey: operator.privateKey,
+    buyerAccountId: stranger.accountId
+  };
+
+  await t.test('for bodies that fail their schema', async () => {
+    const invalid = await server.post('/api/tokens/sell', { tokenId, amount: 'some', buyerAccountId: 7 });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.success, false);
+    assert.equal(invalid.body.code, 'VALIDATION_FAILED');
+    assert.match(invalid.body.error, /Missing required parameters: sellerAccountId/);
+    assert.ok(invalid.body.fields.some((field) => field.field === 'buyerAccountId'));
+
+    const response = await fetch(`${server.baseUrl}/api/tokens/mint`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: '{"tokenId":'
+    });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).code, 'INVALID_JSON');
+  });
+
+  await t.test('for ledger rejections', async () => {
+    const unassociated = await server.post('/api/tokens/sell', sale);
+    assert.equal(unassociated.status, 409);
+    assert.equal(unassociated.body.code, 'TOKEN_NOT_ASSOCIATED_TO_ACCOUNT');
+    assert.equal(unassociated.body.hederaStatus, 'TOKEN_NOT_ASSOCIATED_TO_ACCOUNT');
+
+    const unknown = await server.get('/api/tokens/info?tokenId=0.0.999999');
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.code, 'INVALID_TOKEN_ID');
+  });
+
+  await t.test('for the service\'s own checks', async () => {
+    await server.post('/api/tokens/associate', { tokenId, ...stranger });
+    const short = await server.post('/api/tokens/sell', { ...sale, amount: 50 });
+    assert.equal(short.status, 409);
+    assert.equal(short.body.code, 'INSUFFICIENT_TOKEN_BALANCE');
+    assert.equal(short.body.sellerLiveBalance, 5);
+
+    const missing = await server.get('/api/tokens/info');
+    assert.deepEqual(missing.body, { success: false, error: 'Token ID is required as a query parameter', code: 'INVALID_REQUEST' });
+  });
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+const { startServer, waitFor } = require('./helpers/server');
+
+// Reads Server-Sent Events from `response` until `count` events have come in.
+async function readEvents(response, count) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const events = [];
+  let buffer = '';
+  while (events.length < count) {
+    const { value, done } = await reader.read();
+    if (done) {
+      break;
+    }
+    buffer += decoder.decode(value, { stream: true });
+    const messages = buffer.split('\n\n');
+    buffer = messages.pop();
+    for (const message of messages) {
+      const data = message.split('\n').find((line) => line.startsWith('data: '));
+      if (data) {
+        events.push(JSON.parse(data.slice('data: '.length)));
+      }
+    }
+  }
+  return events;
+}
+
+// A webhook receiver that answers each delivery with the next of `statuses`
+// (200 once they run out) and keeps what it was sent.
+function startReceiver(statuses = []) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(statuses.shift() || 200).end();
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}/hooks`,
+      received,
+      close: () => new Promise((done) => server.close(done))
+    }));
+  });
+}
+
+test('streams matching events as they are recorded', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const [watched, other] = await Promise.all([
+    server.post('/api/tokens/create', { productName: 'Oats', initialStock: 5 }),
+    server.post('/api/tokens/create', { productName: 'Millet', initialStock: 5 })
+  ]);
+  const tokenId = watched.body.tokenId;
+
+  const controller = new AbortController();
+  t.after(() => controller.abort());
+  const stream = await fetch(`${server.baseUrl}/api/events/stream?tokenId=${tokenId}&type=MINT,BURN`, { signal: controller.signal });
+  assert.equal(stream.status, 200);
+  assert.match(stream.headers.get('content-type'), /^text\/event-stream/);
+
+  await server.post('/api/tokens/mint', { tokenId: other.body.tokenId, amount: 1 });
+  await server.post('/api/tokens/mint', { tokenId, amount: 2 });
+  await server.post('/api/tokens/burn', { tokenId, amount: 1 });
+
+  const events = await readEvents(stream, 2);
+  assert.deepEqual(events.map((event) => [event.type, event.tokenId, event.amount]), [['MINT', tokenId, 2], ['BURN', tokenId, 1]]);
+
+  const badFilter = await server.get('/api/events/stream?type=GIFT');
+  assert.equal(badFilter.status, 400);
+});
+
+test('delivers signed webhooks and retries failed deliveries', async (t) => {
+  const server = await startServer({ WEBHOOK_RETRY_BASE_MS: '100' });
+  t.after(() => server.stop());
+  const receiver = await startReceiver([500]);
+  t.after(() => receiver.close());
+
+  const secret = 'shared-secret';
+  const created = await server.post('/api/webhooks/create', { url: receiver.url, secret, types: ['MINT'] });
+  assert.equal(created.status, 201);
+  const { webhookId } = created.body.webhook;
+  const listed = await server.get('/api/webhooks');
+  assert.equal(listed.body.webhooks[0].secret, undefined);
+
+  const token = await server.post('/api/tokens/create', { productName: 'Spelt', initialStock: 5 });
+  await server.post('/api/tokens/mint', { tokenId: token.body.tokenId, amount: 3 });
+
+  const [delivery] = await waitFor(async () => {
+    const { body } = await server.get(`/api/webhooks/deliveries?webhookId=${webhookId}&status=DELIVERED`);
+    return body.deliveries.length > 0 && body.deliveries;
+  });
+  assert.equal(delivery.eventType, 'MINT');
+  assert.deepEqual(delivery.attempts.map((attempt) => attempt.statusCode), [500, 200]);
+
+  // Both attempts carried the same payload, each signed over its own timestamp.
+  assert.equal(receiver.received.length, 2);
+  for (const { headers, body } of receiver.received) {
+    assert.equal(headers['x-webhook-id'], webhookId);
+    assert.equal(headers['x-webhook-event'], 'MINT');
+    const [, timestamp, signature] = headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    assert.equal(signature, expected);
+    const payload = JSON.parse(body);
+    assert.equal(payload.deliveryId, delivery.deliveryId);
+    assert.equal(payload.event.tokenId, token.body.tokenId);
+    assert.equal(payload.event.amount, 3);
+  }
+
+  const deleted = await server.post('/api/webhooks/delete', { webhookId });
+  assert.equal(deleted.status, 200);
+  assert.equal((await server.get('/api/webhooks')).body.webhookCount, 0);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+
+test('checks operator funds before spending HBAR', async (t) => {
+  // The simulated operator starts with 10000 HBAR and a create is assumed
+  // to cost 10 until one has been paid for, so only one create fits.
+  const server = await startServer({
+    OPERATOR_BALANCE_FLOOR_HBAR: '9985',
+    MAX_TRANSACTION_FEES_HBAR: JSON.stringify({ burn: 0.001 })
+  });
+  t.after(() => server.stop());
+
+  const created = await server.post('/api/tokens/create', { productName: 'Fonio', initialStock: 10 });
+  assert.equal(created.status, 201);
+  const { tokenId } = created.body;
+
+  await t.test('estimates what operations will cost', async () => {
+    const estimate = await server.get('/api/fees/estimate?operations=create,mint');
+    assert.equal(estimate.status, 200);
+    assert.equal(estimate.body.balanceFloorHbar, 9985);
+    assert.equal(estimate.body.aboveFloor, false);
+    assert.deepEqual(estimate.body.operations.map((entry) => [entry.operation, entry.basis, entry.sampleSize]), [
+      ['create', 'RECORDED', 1],
+      ['mint', 'DEFAULT', 0]
+    ]);
+    assert.equal((await server.get('/api/fees/estimate?operations=gift')).status, 400);
+  });
+
+  await t.test('refuses a request that would take the balance below the floor', async () => {
+    const before = (await server.get('/api/fees/report')).body.totals;
+    const refused = await server.post('/api/tokens/create', { productName: 'Teff', initialStock: 10 });
+    assert.equal(refused.status, 503);
+    assert.equal(refused.body.code, 'OPERATOR_BALANCE_BELOW_FLOOR');
+    assert.equal(refused.body.feeEstimate.estimatedFeeHbar, 10);
+    assert.deepEqual((await server.get('/api/fees/report')).body.totals, before);
+
+    // Cheaper operations still fit above the floor.
+    assert.equal((await server.post('/api/tokens/mint', { tokenId, amount: 1 })).status, 200);
+  });
+
+  await t.test('refuses an operation expected to cost more than its maximum fee', async () => {
+    const refused = await server.post('/api/tokens/burn', { tokenId, amount: 1 });
+    assert.equal(refused.status, 409);
+    assert.equal(refused.body.code, 'FEE_ESTIMATE_EXCEEDS_MAXIMUM');
+  });
+
+  await t.test('reports the fees paid by token and operation', async () => {
+    const report = await server.get(`/api/fees/report?tokenId=${tokenId}`);
+    assert.equal(report.status, 200);
+    const byOperation = Object.fromEntries(report.body.byOperation.map((entry) => [entry.operation, entry.feeHbar]));
+    assert.equal(byOperation.create, 10);
+    assert.equal(byOperation.mint, 0.01);
+    assert.equal(byOperation.burn, undefined);
+    assert.ok(report.body.entries.every((entry) => entry.tokenId === tokenId && entry.feeKnown));
+
+    const mints = await server.get('/api/fees/report?operation=mint');
+    assert.equal(mints.body.totals.transactions, 1);
+    assert.equal((await server.get('/api/fees/report?operation=gift')).status, 400);
+  });
+});
+
+test('refuses to start with invalid fee settings', async () => {
+  await assert.rejects(
+    startServer({ MAX_TRANSACTION_FEES_HBAR: JSON.stringify({ gift: 1 }) }),
+    /names unknown operations: gift/
+  );
+});
@@ -0,0 +1,132 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { PrivateKey } = require('@hashgraph/sdk');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const START_TIMEOUT_MS = 20000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Polls `check` until it returns something truthy, for work the service
+// finishes after it has answered.
+async function waitFor(check, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error(`Timed out after ${timeoutMs}ms`);
+}
+
+/**
+ * Starts the API on the simulator backend with its mirror stand-in, on a
+ * free port and an empty data directory, with authentication off so tests
+ * can act as any account. The operator's key is returned so tests can sign
+ * for the treasury. Resolves once the operator profile is ready.
+ */
+async function startServer(env = {}) {
+  const port = await freePort();
+  const operator = { accountId: '0.0.2', privateKey: PrivateKey.generateED25519().toStringDer() };
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stock-token-test-'));
+  const child = spawn(process.execPath, ['create-token.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      LEDGER_BACKEND: 'simulator',
+      AUTH_MODE: 'off',
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      MY_ACCOUNT_ID: operator.accountId,
+      MY_PRIVATE_KEY: operator.privateKey,
+      MIRROR_NODE_URL: 'standin',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  const mirrorUrl = await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      reject(new Error(`Server did not start within ${START_TIMEOUT_MS}ms:\n${output}`));
+    }, START_TIMEOUT_MS);
+    const onOutput = (chunk) => {
+      output += chunk;
+      if (/Rebuilt token state from ledger/.test(output)) {
+        clearTimeout(timer);
+        const mirror = output.match(/Mirror node reads: (\S+)/);
+        resolve(mirror ? mirror[1] : null);
+      }
+    };
+    child.stdout.on('data', onOutput);
+    child.stderr.on('data', onOutput);
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+  }).catch((error) => {
+    child.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    throw error;
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  async function request(method, urlPath, body, headers = {}) {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: body === undefined ? headers : { 'content-type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  }
+
+  return {
+    baseUrl,
+    mirrorUrl,
+    operator,
+    request,
+    get: (urlPath, headers) => request('GET', urlPath, undefined, headers),
+    post: (urlPath, body, headers) => request('POST', urlPath, body, headers),
+
+    async createAccount(initialBalanceHbar = 100) {
+      const { status, body } = await request('POST', '/api/simulator/accounts', { initialBalanceHbar });
+      if (status !== 200 && status !== 201) {
+        throw new Error(`Could not create a simulator account: ${JSON.stringify(body)}`);
+      }
+      return { accountId: body.accountId, privateKey: body.privateKey };
+    },
+
+    // Balances straight from the mirror stand-in, in smallest units.
+    async mirrorBalances(tokenId) {
+      const response = await fetch(`${mirrorUrl}/api/v1/tokens/${tokenId}/balances`);
+      const { balances } = await response.json();
+      return Object.fromEntries(balances.map((entry) => [entry.account, entry.balance]));
+    },
+
+    async stop() {
+      if (child.exitCode === null) {
+        const exited = new Promise((resolve) => child.once('exit', resolve));
+        child.kill();
+        await exited;
+      }
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = { startServer, waitFor };
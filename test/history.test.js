@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+
+// Creating and minting also run as jobs, which record JOB events of their own.
+const OPERATIONS = 'CREATE,ASSOCIATE,MINT,BURN,SELL,METADATA';
+
+test('records every operation as a typed event', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const { operator } = server;
+
+  const [buyer, stranger] = await Promise.all([server.createAccount(), server.createAccount()]);
+  const created = await server.post('/api/tokens/create', { productName: 'Lentil', initialStock: 10 });
+  const { tokenId } = created.body;
+  await server.post('/api/tokens/associate', { tokenId, ...buyer });
+  await server.post('/api/tokens/mint', { tokenId, amount: 5 });
+  await server.post('/api/tokens/burn', { tokenId, amount: 2 });
+  await server.post('/api/tokens/metadata', { tokenId, metadata: { description: 'Red lentils' } });
+  const sale = {
+    tokenId,
+    amount: 3,
+    sellerAccountId: operator.accountId,
+    sellerPrivateKey: operator.privateKey,
+    buyerAccountId: buyer.accountId
+  };
+  const sold = await server.post('/api/tokens/sell', sale);
+  assert.equal(sold.status, 200);
+  // The stranger never associated the token, so the ledger refuses this one.
+  const failed = await server.post('/api/tokens/sell', { ...sale, amount: 1, buyerAccountId: stranger.accountId });
+  assert.equal(failed.body.code, 'TOKEN_NOT_ASSOCIATED_TO_ACCOUNT');
+
+  await t.test('lists a token\'s events newest first', async () => {
+    const history = await server.get(`/api/tokens/history?tokenId=${tokenId}&type=${OPERATIONS}`);
+    assert.equal(history.status, 200);
+    assert.deepEqual(history.body.events.map((event) => `${event.type}:${event.status}`).reverse(), [
+      'CREATE:SUCCESS', 'ASSOCIATE:SUCCESS', 'MINT:SUCCESS', 'BURN:SUCCESS', 'METADATA:SUCCESS', 'SELL:SUCCESS', 'SELL:FAILED'
+    ]);
+
+    const [failedSale, sale] = history.body.events;
+    assert.equal(sale.actorAccountId, operator.accountId);
+    assert.deepEqual(sale.counterparties, [
+      { accountId: operator.accountId, role: 'seller' },
+      { accountId: buyer.accountId, role: 'buyer' }
+    ]);
+    assert.equal(sale.amount, 3);
+    assert.equal(sale.unit, 'KG');
+    assert.equal(sale.transactionId, sold.body.transactionId);
+    assert.ok(Date.parse(sale.timestamp));
+    assert.ok(failedSale.error);
+  });
+
+  await t.test('filters by type, status and time', async () => {
+    const supply = await server.get(`/api/tokens/history?tokenId=${tokenId}&type=mint,burn`);
+    assert.deepEqual(supply.body.events.map((event) => event.type), ['BURN', 'MINT']);
+    assert.deepEqual(supply.body.events.map((event) => event.amount), [2, 5]);
+
+    const failures = await server.get(`/api/tokens/history?tokenId=${tokenId}&status=FAILED`);
+    assert.equal(failures.body.total, 1);
+
+    const later = await server.get(`/api/tokens/history?tokenId=${tokenId}&since=${new Date(Date.now() + 60000).toISOString()}`);
+    assert.equal(later.body.total, 0);
+
+    const unknownType = await server.get(`/api/tokens/history?tokenId=${tokenId}&type=GIFT`);
+    assert.equal(unknownType.status, 400);
+  });
+
+  await t.test('pages through events', async () => {
+    const first = await server.get(`/api/tokens/history?tokenId=${tokenId}&type=${OPERATIONS}&limit=3`);
+    assert.equal(first.body.total, 7);
+    assert.equal(first.body.events.length, 3);
+    assert.equal(first.body.nextOffset, 3);
+
+    const last = await server.get(`/api/tokens/history?tokenId=${tokenId}&type=${OPERATIONS}&limit=3&offset=6`);
+    assert.equal(last.body.events.length, 1);
+    assert.equal(last.body.events[0].type, 'CREATE');
+    assert.equal(last.body.nextOffset, null);
+
+    assert.equal((await server.get(`/api/tokens/history?tokenId=${tokenId}&limit=0`)).status, 400);
+  });
+
+  await t.test('lists the events an account took part in', async () => {
+    const history = await server.get(`/api/accounts/history?accountId=${buyer.accountId}`);
+    assert.equal(history.status, 200);
+    assert.deepEqual(history.body.events.map((event) => `${event.type}:${event.status}`), ['SELL:SUCCESS', 'ASSOCIATE:SUCCESS']);
+
+    const strangers = await server.get(`/api/accounts/history?accountId=${stranger.accountId}`);
+    assert.deepEqual(strangers.body.events.map((event) => `${event.type}:${event.status}`), ['SELL:FAILED']);
+
+    assert.equal((await server.get('/api/accounts/history')).status, 400);
+    assert.equal((await server.get('/api/tokens/history')).status, 400);
+  });
+});
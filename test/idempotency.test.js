@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+
+test('idempotency keys', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const owner = await server.createAccount();
+  const created = await server.post('/api/tokens/create', {
+    productName: 'Apple',
+    initialStock: 10,
+    creatorAccountId: owner.accountId,
+    creatorPrivateKey: owner.privateKey
+  });
+  assert.equal(created.status, 201);
+  const { tokenId } = created.body;
+
+  const supply = async () => (await server.get(`/api/tokens/info?tokenId=${tokenId}`)).body.totalSupply;
+
+  await t.test('replays the first response for the same key and body', async () => {
+    const first = await server.post('/api/tokens/mint', { tokenId, amount: 1 }, { 'Idempotency-Key': 'mint-1' });
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('idempotent-replayed'), null);
+
+    const again = await server.post('/api/tokens/mint', { tokenId, amount: 1 }, { 'Idempotency-Key': 'mint-1' });
+    assert.equal(again.status, 200);
+    assert.equal(again.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(again.body, first.body);
+    assert.equal(await supply(), 11);
+  });
+
+  await t.test('treats a reordered body as the same request', async () => {
+    const replayed = await server.post('/api/tokens/mint', { amount: 1, tokenId }, { 'Idempotency-Key': 'mint-1' });
+    assert.equal(replayed.headers.get('idempotent-replayed'), 'true');
+    assert.equal(await supply(), 11);
+  });
+
+  await t.test('refuses the same key with a different body', async () => {
+    const changed = await server.post('/api/tokens/mint', { tokenId, amount: 2 }, { 'Idempotency-Key': 'mint-1' });
+    assert.equal(changed.status, 422);
+    assert.equal(changed.body.code, 'UNPROCESSABLE');
+    assert.equal(await supply(), 11);
+  });
+
+  await t.test('runs a concurrent duplicate only once', async () => {
+    const [a, b] = await Promise.all([
+      server.post('/api/tokens/mint', { tokenId, amount: 1 }, { 'Idempotency-Key': 'mint-2' }),
+      server.post('/api/tokens/mint', { tokenId, amount: 1 }, { 'Idempotency-Key': 'mint-2' })
+    ]);
+    const statuses = [a.status, b.status].sort();
+    assert.ok(statuses[0] === 200 && [200, 409].includes(statuses[1]), `unexpected statuses ${statuses}`);
+    assert.equal(await supply(), 12);
+  });
+
+  await t.test('runs requests without a key every time', async () => {
+    await server.post('/api/tokens/mint', { tokenId, amount: 1 });
+    await server.post('/api/tokens/mint', { tokenId, amount: 1 });
+    assert.equal(await supply(), 14);
+  });
+});
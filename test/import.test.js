@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+
+test('imports products in bulk', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const postCsv = async (csv) => {
+    const response = await fetch(`${server.baseUrl}/api/tokens/import`, {
+      method: 'POST',
+      headers: { 'content-type': 'text/csv' },
+      body: csv
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  const tokenCount = async () => Object.keys((await server.get('/api/tokens/all')).body.tokens).length;
+
+  await t.test('creates a token for each CSV row', async () => {
+    const imported = await postCsv([
+      'productName,initialStock,unit,metadata.origin',
+      'Chickpea,25,KG,"Puno, Peru"',
+      'Eggs,120,PIECE,Cusco'
+    ].join('\r\n'));
+    assert.equal(imported.status, 201);
+    assert.equal(imported.body.imported, 2);
+    assert.deepEqual(imported.body.results.map((result) => [result.row, result.success, result.initialStock, result.unit]), [
+      [1, true, 25, 'KG'],
+      [2, true, 120, 'PIECE']
+    ]);
+
+    const info = await server.get(`/api/tokens/info?tokenId=${imported.body.results[0].tokenId}`);
+    assert.equal(info.body.totalSupply, 25);
+    assert.equal(info.body.metadata.origin, 'Puno, Peru');
+  });
+
+  await t.test('accepts the products as JSON', async () => {
+    const imported = await server.post('/api/tokens/import', { products: [{ productName: 'Amaranth', initialStock: 3 }] });
+    assert.equal(imported.status, 201);
+    assert.equal(imported.body.results[0].productName, 'Amaranth');
+  });
+
+  await t.test('imports nothing when any row is invalid', async () => {
+    const before = await tokenCount();
+    const refused = await postCsv('productName,initialStock\nMaca,5\n,5\nYacon,lots\nOca\n');
+    assert.equal(refused.status, 400);
+    assert.equal(refused.body.code, 'VALIDATION_FAILED');
+    assert.deepEqual(refused.body.rows.map((row) => row.row), [2, 3, 4]);
+    assert.match(refused.body.rows[2].error, /has 1 fields but the header has 2/);
+    assert.equal(await tokenCount(), before);
+
+    const unknownColumn = await postCsv('productName,colour\nMaca,red\n');
+    assert.equal(unknownColumn.status, 400);
+    assert.match(unknownColumn.body.error, /Unknown CSV columns: colour/);
+  });
+});
+
+test('distributes stock to many recipients in as few transfers as fit', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const { operator } = server;
+
+  const created = await server.post('/api/tokens/create', { productName: 'Potato', initialStock: 100 });
+  const { tokenId } = created.body;
+  const recipients = [];
+  for (let i = 0; i < 12; i += 1) {
+    const account = await server.createAccount();
+    await server.post('/api/tokens/associate', { tokenId, ...account });
+    recipients.push({ accountId: account.accountId, amount: i + 1 });
+  }
+  const distribution = {
+    tokenId,
+    senderAccountId: operator.accountId,
+    senderPrivateKey: operator.privateKey
+  };
+
+  await t.test('splits the recipients across transfers', async () => {
+    // A transfer list holds ten account amounts: the sender and nine recipients.
+    const distributed = await server.post('/api/tokens/distribute', { ...distribution, recipients });
+    assert.equal(distributed.status, 200);
+    assert.equal(distributed.body.recipientCount, 12);
+    assert.equal(distributed.body.totalAmount, 78);
+    assert.deepEqual(distributed.body.transfers.map((transfer) => [transfer.success, transfer.recipients.length]), [[true, 9], [true, 3]]);
+
+    const balances = await server.mirrorBalances(tokenId);
+    assert.equal(balances[operator.accountId], 2200);
+    assert.equal(balances[recipients[11].accountId], 1200);
+  });
+
+  await t.test('checks the sender balance and prepares a transfer per chunk', async () => {
+    const prepared = await server.post('/api/tokens/distribute', { ...distribution, senderPrivateKey: undefined, recipients, mode: 'prepare' });
+    assert.equal(prepared.status, 409);
+    assert.equal(prepared.body.code, 'INSUFFICIENT_TOKEN_BALANCE');
+
+    const small = recipients.map(({ accountId }) => ({ accountId, amount: 1 }));
+    const fits = await server.post('/api/tokens/distribute', { ...distribution, senderPrivateKey: undefined, recipients: small, mode: 'prepare' });
+    assert.equal(fits.status, 200);
+    assert.equal(fits.body.prepared.length, 2);
+  });
+
+  await t.test('refuses recipients that have not associated the token', async () => {
+    const stranger = await server.createAccount();
+    const refused = await server.post('/api/tokens/distribute', {
+      ...distribution,
+      recipients: [{ accountId: stranger.accountId, amount: 1 }]
+    });
+    assert.equal(refused.status, 409);
+    assert.deepEqual(refused.body.unassociatedAccountIds, [stranger.accountId]);
+  });
+});
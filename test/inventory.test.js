@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+
+test('reconciles cached balances with the ledger', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const { operator } = server;
+
+  const [buyer, stranger] = await Promise.all([server.createAccount(), server.createAccount()]);
+  const created = await server.post('/api/tokens/create', { productName: 'Kale', initialStock: 10 });
+  const { tokenId } = created.body;
+  await server.post('/api/tokens/associate', { tokenId, ...buyer });
+  const sale = {
+    tokenId,
+    amount: 2,
+    sellerAccountId: operator.accountId,
+    sellerPrivateKey: operator.privateKey,
+    buyerAccountId: buyer.accountId
+  };
+  await server.post('/api/tokens/sell', sale);
+  await server.post('/api/tokens/burn', { tokenId, amount: 1 });
+  const reconcile = (body = {}) => server.post('/api/inventory/reconcile', { tokenId, ...body });
+
+  await t.test('finds a token in sync after ordinary operations', async () => {
+    const report = await reconcile();
+    assert.equal(report.status, 200);
+    assert.equal(report.body.tokens[0].status, 'IN_SYNC');
+    assert.deepEqual(report.body.summary, { tokens: 1, inSync: 1, drifted: 0, repaired: 0, incomplete: 0, unavailable: 0 });
+  });
+
+  await t.test('reports drift and repairs it when asked', async () => {
+    // The refused sale leaves a cached entry for an account the ledger
+    // never associated with the token.
+    const refused = await server.post('/api/tokens/sell', { ...sale, buyerAccountId: stranger.accountId });
+    assert.equal(refused.body.code, 'TOKEN_NOT_ASSOCIATED_TO_ACCOUNT');
+
+    const drifted = await reconcile();
+    const [check] = drifted.body.tokens;
+    assert.equal(check.status, 'DRIFTED');
+    assert.deepEqual(check.balances, [{ accountId: stranger.accountId, cached: 0, ledger: null, difference: 0, associated: false }]);
+    assert.equal(check.repaired, false);
+
+    const repaired = await reconcile({ repair: true, requesterAccountId: operator.accountId });
+    assert.equal(repaired.body.summary.repaired, 1);
+    assert.equal(repaired.body.tokens[0].repaired, true);
+
+    const info = await server.get(`/api/tokens/info?tokenId=${tokenId}`);
+    assert.equal(stranger.accountId in info.body.balances, false);
+    assert.equal((await reconcile()).body.tokens[0].status, 'IN_SYNC');
+
+    const history = await server.get(`/api/tokens/history?tokenId=${tokenId}&type=RECONCILE`);
+    assert.equal(history.body.events.length, 1);
+    assert.equal(history.body.events[0].details.reconciliationId, repaired.body.reconciliationId);
+  });
+
+  await t.test('keeps the reports', async () => {
+    const listed = await server.get(`/api/inventory/reconciliations?tokenId=${tokenId}`);
+    assert.equal(listed.body.count, 4);
+    assert.deepEqual(listed.body.reconciliations.map((report) => report.repair), [false, true, false, false]);
+
+    const missing = await server.get('/api/inventory/reconciliations?reconciliationId=nope');
+    assert.equal(missing.status, 404);
+    assert.equal((await server.post('/api/inventory/reconcile', { tokenId: '0.0.999999' })).status, 404);
+  });
+});
+
+test('compares inventory snapshots between two points in time', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const { operator } = server;
+
+  const buyer = await server.createAccount();
+  const created = await server.post('/api/tokens/create', { productName: 'Leek', initialStock: 10 });
+  const { tokenId } = created.body;
+  await server.post('/api/tokens/associate', { tokenId, ...buyer });
+
+  const september = await server.post('/api/inventory/snapshots', { label: 'September' });
+  assert.equal(september.status, 201);
+  assert.deepEqual(september.body.snapshot.tokens[tokenId].balances, { [operator.accountId]: 10 });
+
+  await server.post('/api/tokens/sell', {
+    tokenId,
+    amount: 4,
+    sellerAccountId: operator.accountId,
+    sellerPrivateKey: operator.privateKey,
+    buyerAccountId: buyer.accountId
+  });
+  await server.post('/api/tokens/mint', { tokenId, amount: 5 });
+  const october = await server.post('/api/inventory/snapshots', { label: 'October' });
+  const from = september.body.snapshot.snapshotId;
+  const to = october.body.snapshot.snapshotId;
+
+  await t.test('reports the change in supply and holdings', async () => {
+    const compared = await server.get(`/api/inventory/snapshots/compare?fromSnapshotId=${from}&toSnapshotId=${to}`);
+    assert.equal(compared.status, 200);
+    assert.equal(compared.body.from.label, 'September');
+    const [token] = compared.body.tokens;
+    assert.deepEqual(token.totalSupply, { before: 10, after: 15, change: 5 });
+    assert.deepEqual(token.accounts, [
+      { accountId: operator.accountId, before: 10, after: 11, change: 1 },
+      { accountId: buyer.accountId, before: null, after: 4, change: 4 }
+    ]);
+
+    const forBuyer = await server.get(`/api/inventory/snapshots/compare?fromSnapshotId=${from}&toSnapshotId=${to}&accountId=${buyer.accountId}`);
+    assert.deepEqual(forBuyer.body.tokens[0].accounts.map((account) => account.accountId), [buyer.accountId]);
+  });
+
+  await t.test('fetches a snapshot for one account', async () => {
+    const fetched = await server.get(`/api/inventory/snapshots?snapshotId=${to}&accountId=${buyer.accountId}`);
+    assert.deepEqual(fetched.body.snapshot.tokens[tokenId].balances, { [buyer.accountId]: 4 });
+
+    const listed = await server.get('/api/inventory/snapshots');
+    assert.deepEqual(listed.body.snapshots.map((snapshot) => snapshot.label), ['October', 'September']);
+    assert.equal((await server.get(`/api/inventory/snapshots/compare?fromSnapshotId=${from}`)).status, 400);
+  });
+});
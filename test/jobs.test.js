@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer, waitFor } = require('./helpers/server');
+
+test('runs multi-step work as jobs that can be re-driven', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const [farmer, other] = await Promise.all([server.createAccount(), server.createAccount()]);
+  const product = { productName: 'Cassava', initialStock: 10, creatorAccountId: farmer.accountId };
+
+  let failed;
+
+  await t.test('stops at a step the ledger refuses for good', async () => {
+    // A key that is not the farmer's cannot sign the association.
+    const created = await server.post('/api/tokens/create', { ...product, creatorPrivateKey: other.privateKey });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.tokensTransferred, false);
+    failed = created.body.job;
+    assert.equal(failed.status, 'FAILED');
+    assert.deepEqual(failed.steps.map((step) => `${step.name}:${step.status}`), [
+      'create:SUCCEEDED', 'associate:FAILED', 'grant-kyc:PENDING', 'transfer:PENDING'
+    ]);
+    // A refused signature is not worth retrying on its own.
+    assert.equal(failed.steps[1].attempts, 1);
+    assert.equal(failed.steps[1].error.code, 'INVALID_SIGNATURE');
+    assert.equal(failed.nextAttemptAt, null);
+
+    const stuck = await server.get('/api/jobs?stuck=true');
+    assert.deepEqual(stuck.body.jobs.map((job) => job.jobId), [failed.jobId]);
+  });
+
+  await t.test('re-drives a failed job from its first unfinished step', async () => {
+    const retried = await server.post('/api/jobs/retry', { jobId: failed.jobId, privateKey: farmer.privateKey });
+    assert.equal(retried.status, 200);
+    const { job } = retried.body;
+    assert.equal(job.status, 'SUCCEEDED');
+    // The token was created once; only the remaining steps ran again.
+    assert.equal(job.steps[0].transactionId, failed.steps[0].transactionId);
+    assert.ok(job.steps.every((step) => step.status === 'SUCCEEDED'));
+
+    const balances = await server.mirrorBalances(job.tokenId);
+    assert.equal(balances[farmer.accountId], 1000);
+    assert.equal((await server.get('/api/jobs?stuck=true')).body.count, 0);
+
+    const again = await server.post('/api/jobs/retry', { jobId: failed.jobId });
+    assert.equal(again.status, 409);
+    assert.equal((await server.post('/api/jobs/retry', { jobId: 'no-such-job' })).status, 404);
+  });
+
+  await t.test('answers at once when asked to respond asynchronously', async () => {
+    const accepted = await server.post('/api/tokens/create', { ...product, creatorPrivateKey: farmer.privateKey }, { Prefer: 'respond-async' });
+    assert.equal(accepted.status, 202);
+    assert.equal(accepted.headers.get('preference-applied'), 'respond-async');
+    const location = accepted.headers.get('location');
+    assert.equal(location, `/api/jobs/status?jobId=${accepted.body.job.jobId}`);
+
+    const job = await waitFor(async () => {
+      const { body } = await server.get(location);
+      return body.job.status === 'SUCCEEDED' && body.job;
+    });
+    assert.equal((await server.mirrorBalances(job.tokenId))[farmer.accountId], 1000);
+
+    const events = await server.get(`/api/tokens/history?tokenId=${job.tokenId}&type=JOB`);
+    const jobEvents = events.body.events.filter((event) => event.details.jobId === job.jobId);
+    assert.deepEqual(jobEvents.map((event) => event.details.step || event.details.jobStatus).reverse(), [
+      'create', 'associate', 'grant-kyc', 'transfer', 'SUCCEEDED'
+    ]);
+  });
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+
+test('traces lots through sales', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const [producer, buyer] = await Promise.all([server.createAccount(), server.createAccount()]);
+  const created = await server.post('/api/tokens/create', {
+    productName: 'Coffee',
+    initialStock: 10,
+    creatorAccountId: producer.accountId,
+    creatorPrivateKey: producer.privateKey
+  });
+  assert.equal(created.status, 201);
+  const { tokenId } = created.body;
+  await server.post('/api/tokens/associate', { tokenId, ...buyer });
+
+  const createLot = (lotNumber, quantity, details = {}) => server.post('/api/lots/create', {
+    stockTokenId: tokenId,
+    requesterAccountId: producer.accountId,
+    lotNumber,
+    quantity,
+    ...details
+  });
+  const sell = (amount, lots) => server.post('/api/tokens/sell', {
+    tokenId,
+    amount,
+    sellerAccountId: producer.accountId,
+    sellerPrivateKey: producer.privateKey,
+    buyerAccountId: buyer.accountId,
+    lots
+  });
+
+  let highland;
+  let valley;
+
+  await t.test('mints a serial per lot for stock the holder has', async () => {
+    const first = await createLot('H-01', 6, { origin: 'Huila', harvestDate: '2026-03-01', certificates: ['organic'] });
+    assert.equal(first.status, 201);
+    highland = first.body.lot;
+    assert.equal(highland.holdings[producer.accountId], 6);
+    assert.equal(highland.serialNumber, 1);
+
+    const second = await createLot('V-02', 4);
+    valley = second.body.lot;
+    assert.equal(valley.collectionTokenId, highland.collectionTokenId);
+    assert.equal(valley.serialNumber, 2);
+
+    const overAllocated = await createLot('X-03', 0.01);
+    assert.equal(overAllocated.status, 400);
+    const duplicate = await createLot('H-01', 1);
+    assert.equal(duplicate.status, 409);
+  });
+
+  await t.test('moves lot holdings with the stock sold from them', async () => {
+    const sold = await sell(5, [{ lotId: highland.lotId, amount: 3 }, { lotId: valley.lotId, amount: 2 }]);
+    assert.equal(sold.status, 200);
+    assert.deepEqual(sold.body.lots.map((draw) => [draw.lotNumber, draw.amount]), [['H-01', 3], ['V-02', 2]]);
+
+    const traced = await server.get(`/api/lots/trace?lotId=${highland.lotId}`);
+    assert.equal(traced.status, 200);
+    assert.deepEqual(traced.body.lot.holdings, { [producer.accountId]: 3, [buyer.accountId]: 3 });
+    assert.equal(traced.body.lot.origin, 'Huila');
+    const sale = traced.body.lot.movements.find((movement) => movement.type === 'SALE');
+    assert.equal(sale.transactionId, sold.body.transactionId);
+    assert.equal(sale.toAccountId, buyer.accountId);
+    assert.equal(traced.body.verification.verified, true);
+    assert.equal(traced.body.product.productName, 'Coffee');
+
+    const held = await server.get(`/api/lots?holderAccountId=${buyer.accountId}`);
+    assert.equal(held.body.lotCount, 2);
+  });
+
+  await t.test('refuses draws that do not match the sale', async () => {
+    const short = await sell(2, [{ lotId: highland.lotId, amount: 1 }]);
+    assert.equal(short.status, 400);
+    const overdrawn = await sell(4, [{ lotId: highland.lotId, amount: 4 }]);
+    assert.equal(overdrawn.status, 400);
+    const unknown = await sell(1, [{ lotId: `${highland.collectionTokenId}/99`, amount: 1 }]);
+    assert.equal(unknown.status, 404);
+    assert.equal((await server.mirrorBalances(tokenId))[buyer.accountId], 500);
+  });
+
+  await t.test('needs a lot ID to trace', async () => {
+    assert.equal((await server.get('/api/lots/trace')).status, 400);
+    assert.equal((await server.get(`/api/lots/trace?lotId=${highland.collectionTokenId}/99`)).status, 404);
+  });
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+
+test('marketplace escrow', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const [seller, buyer] = await Promise.all([server.createAccount(), server.createAccount()]);
+
+  const created = await server.post('/api/tokens/create', {
+    productName: 'Apple',
+    initialStock: 100,
+    creatorAccountId: seller.accountId,
+    creatorPrivateKey: seller.privateKey
+  });
+  assert.equal(created.status, 201);
+  const { tokenId } = created.body;
+  await server.post('/api/tokens/associate', { tokenId, ...buyer });
+
+  let listing;
+  let escrowAccountId;
+
+  await t.test('moves listed stock into a dedicated escrow account', async () => {
+    const listed = await server.post('/api/market/listings/create', {
+      tokenId,
+      sellerAccountId: seller.accountId,
+      sellerPrivateKey: seller.privateKey,
+      quantity: 10,
+      pricePerUnitHbar: 2
+    });
+    assert.equal(listed.status, 201);
+    listing = listed.body.listing;
+    escrowAccountId = listing.escrowAccountId;
+    assert.equal(listing.status, 'OPEN');
+    assert.ok(escrowAccountId);
+    assert.notEqual(escrowAccountId, seller.accountId);
+    assert.notEqual(escrowAccountId, server.operator.accountId);
+
+    const balances = await server.mirrorBalances(tokenId);
+    assert.equal(balances[escrowAccountId], 1000);
+    assert.equal(balances[seller.accountId], 9000);
+  });
+
+  await t.test('reuses the escrow account for later listings', async () => {
+    const listed = await server.post('/api/market/listings/create', {
+      tokenId,
+      sellerAccountId: seller.accountId,
+      sellerPrivateKey: seller.privateKey,
+      quantity: 1,
+      pricePerUnitHbar: 3
+    });
+    assert.equal(listed.body.listing.escrowAccountId, escrowAccountId);
+    assert.equal((await server.mirrorBalances(tokenId))[escrowAccountId], 1100);
+  });
+
+  await t.test('fills a crossing order from escrow at the listed price', async () => {
+    const ordered = await server.post('/api/market/orders/create', {
+      tokenId,
+      buyerAccountId: buyer.accountId,
+      buyerPrivateKey: buyer.privateKey,
+      quantity: 4,
+      maxPricePerUnitHbar: 2.5
+    });
+    assert.equal(ordered.status, 201);
+    assert.equal(ordered.body.order.status, 'FILLED');
+    assert.equal(ordered.body.fills.length, 1);
+    assert.equal(ordered.body.fills[0].listingId, listing.listingId);
+    assert.equal(ordered.body.fills[0].pricePerUnitHbar, 2);
+
+    const balances = await server.mirrorBalances(tokenId);
+    assert.equal(balances[buyer.accountId], 400);
+    assert.equal(balances[escrowAccountId], 700);
+  });
+
+  await t.test('returns unsold stock to the seller on cancel', async () => {
+    const cancelled = await server.post('/api/market/listings/cancel', {
+      listingId: listing.listingId,
+      sellerAccountId: seller.accountId
+    });
+    assert.equal(cancelled.body.listing.status, 'CANCELLED');
+
+    const balances = await server.mirrorBalances(tokenId);
+    assert.equal(balances[escrowAccountId], 100);
+    assert.equal(balances[seller.accountId], 9500);
+  });
+
+  await t.test('burns only what the treasury keeps after listing', async () => {
+    const ownStock = await server.post('/api/tokens/create', { productName: 'Pear', initialStock: 10 });
+    assert.equal(ownStock.status, 201);
+    const pearId = ownStock.body.tokenId;
+
+    const listed = await server.post('/api/market/listings/create', {
+      tokenId: pearId,
+      sellerAccountId: server.operator.accountId,
+      sellerPrivateKey: server.operator.privateKey,
+      quantity: 6,
+      pricePerUnitHbar: 1
+    });
+    assert.equal(listed.status, 201);
+    assert.equal(listed.body.listing.escrowAccountId, escrowAccountId);
+
+    const burned = await server.post('/api/tokens/burn', { tokenId: pearId, amount: 5 });
+    assert.equal(burned.status, 409);
+    assert.equal(burned.body.code, 'INSUFFICIENT_TOKEN_BALANCE');
+    assert.equal(burned.body.availableStock, 4);
+
+    const rest = await server.post('/api/tokens/burn', { tokenId: pearId, amount: 4 });
+    assert.equal(rest.status, 200);
+    const balances = await server.mirrorBalances(pearId);
+    assert.equal(balances[server.operator.accountId], 0);
+    assert.equal(balances[escrowAccountId], 600);
+  });
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+
+test('keeps typed, versioned metadata anchored on the ledger', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const { operator } = server;
+
+  const created = await server.post('/api/tokens/create', {
+    productName: 'Apricot',
+    initialStock: 10,
+    keys: { pause: true },
+    metadata: { productType: 'PRODUCE', origin: { country: 'AM', region: 'Ararat' } }
+  });
+  assert.equal(created.status, 201);
+  const { tokenId } = created.body;
+  const update = (metadata) => server.post('/api/tokens/metadata', { tokenId, accountId: operator.accountId, metadata });
+  const anchor = async () => (await server.get(`/api/tokens/metadata/anchor?tokenId=${tokenId}`)).body;
+
+  await t.test('publishes the schemas by product type', async () => {
+    const { body } = await server.get('/api/tokens/metadata/schemas');
+    const produce = body.schemas.find((schema) => schema.productType === 'PRODUCE');
+    assert.deepEqual(produce.fields.grade, { type: 'string', required: false, enum: ['EXTRA', 'I', 'II'] });
+    assert.equal(produce.fields.origin.required, true);
+  });
+
+  await t.test('anchors the first version when the token is created', async () => {
+    const check = await anchor();
+    assert.equal(check.matches, true);
+    assert.equal(check.currentVersion, 1);
+    assert.match(check.anchoredValue, /^sha256:[0-9a-f]{64}$/);
+  });
+
+  await t.test('checks updates against the product type\'s schema', async () => {
+    const badGrade = await update({ grade: 'Z' });
+    assert.equal(badGrade.status, 400);
+    assert.equal(badGrade.body.code, 'VALIDATION_FAILED');
+    assert.deepEqual(badGrade.body.fields.map((field) => field.field), ['metadata.grade']);
+
+    const badType = await update({ productType: 'GADGET' });
+    assert.equal(badType.status, 400);
+    assert.match(badType.body.error, /productType must be one of/);
+
+    const noOrigin = await server.post('/api/tokens/create', { productName: 'Plum', initialStock: 1, metadata: { productType: 'MEAT' } });
+    assert.equal(noOrigin.status, 400);
+
+    const versions = await server.get(`/api/tokens/metadata/versions?tokenId=${tokenId}`);
+    assert.equal(versions.body.currentVersion, 1);
+  });
+
+  await t.test('keeps every version with its author', async () => {
+    const updated = await update({ grade: 'EXTRA', certifications: [{ name: 'Organic', issuer: 'EcoCert' }] });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.version, 2);
+    assert.equal(updated.body.anchor.status, 'ANCHORED');
+
+    const second = await server.get(`/api/tokens/metadata/versions?tokenId=${tokenId}&version=2`);
+    assert.equal(second.body.authorAccountId, operator.accountId);
+    assert.equal(second.body.metadata.grade, 'EXTRA');
+    const first = await server.get(`/api/tokens/metadata/versions?tokenId=${tokenId}&version=1`);
+    assert.equal(first.body.metadata.grade, undefined);
+    assert.equal((await server.get(`/api/tokens/metadata/versions?tokenId=${tokenId}&version=9`)).status, 404);
+
+    const diff = await server.get(`/api/tokens/metadata/diff?tokenId=${tokenId}`);
+    assert.equal(diff.body.from, 1);
+    assert.equal(diff.body.to, 2);
+    assert.deepEqual(diff.body.changes.filter((change) => change.field !== 'updatedAt').map(({ field, change }) => `${field}:${change}`), [
+      'certifications:ADDED',
+      'grade:ADDED'
+    ]);
+
+    const check = await anchor();
+    assert.equal(check.matches, true);
+    assert.equal(check.anchoredValue, updated.body.anchor.value);
+  });
+
+  await t.test('skips the anchor while the token is paused and catches up after', async () => {
+    await server.post('/api/tokens/admin/pause', { tokenId, requesterAccountId: operator.accountId });
+    const updated = await update({ grade: 'I' });
+    assert.equal(updated.body.anchor.status, 'SKIPPED');
+
+    const stale = await anchor();
+    assert.equal(stale.matches, false);
+    assert.equal(stale.anchoredVersion, 2);
+    assert.equal(stale.currentVersion, updated.body.version);
+    assert.equal((await server.post('/api/tokens/metadata/anchor', { tokenId, accountId: operator.accountId })).status, 409);
+
+    await server.post('/api/tokens/admin/unpause', { tokenId, requesterAccountId: operator.accountId });
+    const anchored = await server.post('/api/tokens/metadata/anchor', { tokenId, accountId: operator.accountId });
+    assert.equal(anchored.status, 200);
+    assert.equal((await anchor()).matches, true);
+  });
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+
+// Holdings of a token as the service reports them and as the ledger has
+// them, for a producer who handed some stock on to a shop and a cafe.
+async function setUpHoldings(server) {
+  const [producer, shop, cafe] = await Promise.all([
+    server.createAccount(),
+    server.createAccount(),
+    server.createAccount()
+  ]);
+  const created = await server.post('/api/tokens/create', {
+    productName: 'Walnut',
+    initialStock: 30,
+    decimals: 2,
+    creatorAccountId: producer.accountId,
+    creatorPrivateKey: producer.privateKey
+  });
+  assert.equal(created.status, 201);
+  const { tokenId } = created.body;
+  for (const account of [shop, cafe]) {
+    const associated = await server.post('/api/tokens/associate', { tokenId, ...account });
+    assert.equal(associated.body.success, true);
+  }
+  const distributed = await server.post('/api/tokens/distribute', {
+    tokenId,
+    senderAccountId: producer.accountId,
+    senderPrivateKey: producer.privateKey,
+    recipients: [
+      { accountId: shop.accountId, amount: 10.5 },
+      { accountId: cafe.accountId, amount: 4.25 }
+    ]
+  });
+  assert.equal(distributed.body.success, true);
+  return { tokenId, producer, shop, cafe };
+}
+
+test('reads from the mirror node', async (t) => {
+  // One holder per page, so every read has to follow the next links.
+  const server = await startServer({ MIRROR_PAGE_SIZE: '1' });
+  t.after(() => server.stop());
+  assert.ok(server.mirrorUrl);
+
+  const { tokenId, producer, shop, cafe } = await setUpHoldings(server);
+
+  await t.test('lists the tokens an account holds', async () => {
+    const owned = await server.get(`/api/tokens/owned?accountId=${shop.accountId}`);
+    assert.equal(owned.status, 200);
+    assert.equal(owned.body.tokenCount, 1);
+    assert.equal(owned.body.tokens[tokenId].tokenName, 'Walnut Stock Token');
+    assert.equal(owned.body.tokens[tokenId].currentStock, 10.5);
+    assert.equal(owned.body.tokens[tokenId].ownership.ownerAccountId, producer.accountId);
+  });
+
+  await t.test('refreshes cached balances of every holder', async () => {
+    const info = await server.get(`/api/tokens/info?tokenId=${tokenId}`);
+    assert.equal(info.status, 200);
+    assert.equal(info.body.balances[producer.accountId], 15.25);
+    assert.equal(info.body.balances[shop.accountId], 10.5);
+    assert.equal(info.body.balances[cafe.accountId], 4.25);
+
+    const ledger = await server.mirrorBalances(tokenId);
+    assert.equal(ledger[producer.accountId], 1525);
+    assert.equal(ledger[shop.accountId], 1050);
+    assert.equal(ledger[cafe.accountId], 425);
+  });
+
+  await t.test('needs an account to list tokens for', async () => {
+    const missing = await server.get('/api/tokens/owned');
+    assert.equal(missing.status, 400);
+  });
+});
+
+test('falls back to consensus nodes when the mirror node is unreachable', async (t) => {
+  const server = await startServer({ MIRROR_NODE_URL: 'http://127.0.0.1:9' });
+  t.after(() => server.stop());
+
+  const { tokenId, producer, cafe } = await setUpHoldings(server);
+
+  const owned = await server.get(`/api/tokens/owned?accountId=${cafe.accountId}`);
+  assert.equal(owned.status, 200);
+  assert.equal(owned.body.tokens[tokenId].currentStock, 4.25);
+
+  const info = await server.get(`/api/tokens/info?tokenId=${tokenId}`);
+  assert.equal(info.status, 200);
+  assert.equal(info.body.balances[producer.accountId], 15.25);
+  assert.equal(info.body.balances[cafe.accountId], 4.25);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PrivateKey, Transaction } = require('@hashgraph/sdk');
+
+const { startServer } = require('./helpers/server');
+
+async function signPrepared(prepared, privateKey) {
+  const transaction = Transaction.fromBytes(Buffer.from(prepared.transactionBytes, 'base64'));
+  await transaction.sign(PrivateKey.fromStringDer(privateKey));
+  return Buffer.from(transaction.toBytes()).toString('base64');
+}
+
+async function prepareAssociation(server, tokenId, account) {
+  const response = await server.post('/api/tokens/associate', { tokenId, accountId: account.accountId, mode: 'prepare' });
+  assert.equal(response.status, 200);
+  return response.body.prepared;
+}
+
+test('submits prepared transactions only as they were prepared', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const [shop, cafe] = await Promise.all([server.createAccount(), server.createAccount()]);
+  const created = await server.post('/api/tokens/create', { productName: 'Barley', initialStock: 10 });
+  assert.equal(created.status, 201);
+  const { tokenId } = created.body;
+
+  const forShop = await prepareAssociation(server, tokenId, shop);
+  const forCafe = await prepareAssociation(server, tokenId, cafe);
+  assert.equal(forShop.status, 'PREPARED');
+  assert.deepEqual(forShop.summary.requiredSigners, [shop.accountId]);
+
+  await t.test('refuses bytes of another prepared transaction', async () => {
+    const swapped = await server.post('/api/transactions/submit', {
+      preparationId: forShop.preparationId,
+      signedTransactionBytes: await signPrepared(forCafe, cafe.privateKey)
+    });
+    assert.equal(swapped.status, 400);
+    assert.equal(swapped.body.code, 'INVALID_REQUEST');
+    assert.match(swapped.body.error, /does not match the prepared transaction/);
+  });
+
+  await t.test('executes the signed transaction once', async () => {
+    const signedTransactionBytes = await signPrepared(forShop, shop.privateKey);
+    const submitted = await server.post('/api/transactions/submit', { preparationId: forShop.preparationId, signedTransactionBytes });
+    assert.equal(submitted.status, 200);
+    assert.equal(submitted.body.kind, 'associate');
+    assert.equal(submitted.body.transactionId, forShop.transactionId);
+
+    const again = await server.post('/api/transactions/submit', { preparationId: forShop.preparationId, signedTransactionBytes });
+    assert.equal(again.status, 409);
+
+    const stored = await server.get(`/api/transactions/prepared?preparationId=${forShop.preparationId}`);
+    assert.equal(stored.body.prepared.status, 'SUBMITTED');
+  });
+
+  await t.test('does not know other preparation IDs', async () => {
+    const unknown = await server.post('/api/transactions/submit', {
+      preparationId: '00000000-0000-4000-8000-000000000000',
+      signedTransactionBytes: await signPrepared(forCafe, cafe.privateKey)
+    });
+    assert.equal(unknown.status, 404);
+  });
+});
+
+test('refuses prepared transactions after they expire', async (t) => {
+  const server = await startServer({ PREPARED_VALID_SECONDS: '1' });
+  t.after(() => server.stop());
+
+  const shop = await server.createAccount();
+  const created = await server.post('/api/tokens/create', { productName: 'Rye', initialStock: 10 });
+  const prepared = await prepareAssociation(server, created.body.tokenId, shop);
+  assert.ok(Date.parse(prepared.expiresAt) - Date.parse(prepared.createdAt) <= 1000);
+
+  await new Promise((resolve) => setTimeout(resolve, Math.max(Date.parse(prepared.expiresAt) - Date.now(), 0) + 100));
+  const late = await server.post('/api/transactions/submit', {
+    preparationId: prepared.preparationId,
+    signedTransactionBytes: await signPrepared(prepared, shop.privateKey)
+  });
+  assert.equal(late.status, 410);
+  assert.equal(late.body.code, 'GONE');
+
+  const stored = await server.get(`/api/transactions/prepared?preparationId=${prepared.preparationId}`);
+  assert.equal(stored.body.prepared.status, 'EXPIRED');
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+
+test('runs each request under the operator profile of its token', async (t) => {
+  // Both profiles are simulated; "eu" stands in for mainnet.
+  const server = await startServer({ OPERATOR_PROFILES: JSON.stringify({ eu: { network: 'mainnet' } }) });
+  t.after(() => server.stop());
+  const asEu = { 'X-Operator-Profile': 'eu' };
+
+  const created = await server.post('/api/tokens/create', { productName: 'Olives', initialStock: 10 }, asEu);
+  assert.equal(created.status, 201);
+  assert.equal(created.headers.get('x-operator-profile'), 'eu');
+  const { tokenId } = created.body;
+
+  await t.test('picks the token\'s profile when none is named', async () => {
+    const minted = await server.post('/api/tokens/mint', { tokenId, amount: 1 });
+    assert.equal(minted.status, 200);
+    assert.equal(minted.headers.get('x-operator-profile'), 'eu');
+
+    const ownership = await server.get(`/api/tokens/ownership?tokenId=${tokenId}`);
+    assert.equal(ownership.body.ownership.network, 'mainnet');
+    assert.equal(ownership.body.ownership.operatorProfile, 'eu');
+  });
+
+  await t.test('refuses a profile on another network than the token', async () => {
+    const refused = await server.post('/api/tokens/mint', { tokenId, amount: 1 }, { 'X-Operator-Profile': 'default' });
+    assert.equal(refused.status, 409);
+    assert.match(refused.body.error, /belongs to the mainnet network/);
+  });
+
+  await t.test('refuses profiles that are not configured', async () => {
+    const unknown = await server.get(`/api/tokens/info?tokenId=${tokenId}`, { 'X-Operator-Profile': 'apac' });
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.body.error, /Configured profiles: default, eu/);
+  });
+
+  await t.test('uses the default profile for new tokens', async () => {
+    const local = await server.post('/api/tokens/create', { productName: 'Capers', initialStock: 1 });
+    assert.equal(local.headers.get('x-operator-profile'), 'default');
+    assert.notEqual(local.body.tokenId, tokenId);
+  });
+});
+
+test('refuses to start with an invalid profile', async () => {
+  await assert.rejects(
+    startServer({ OPERATOR_PROFILES: JSON.stringify({ eu: { network: 'moonnet' } }) }),
+    /unknown network "moonnet"/
+  );
+});
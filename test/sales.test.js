@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+
+test('sells stock for HBAR in one transfer', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const [seller, buyer, stranger] = await Promise.all([
+    server.createAccount(),
+    server.createAccount(10),
+    server.createAccount()
+  ]);
+  const created = await server.post('/api/tokens/create', {
+    productName: 'Hazelnut',
+    initialStock: 20,
+    creatorAccountId: seller.accountId,
+    creatorPrivateKey: seller.privateKey
+  });
+  assert.equal(created.status, 201);
+  const { tokenId } = created.body;
+  const sale = {
+    tokenId,
+    sellerAccountId: seller.accountId,
+    sellerPrivateKey: seller.privateKey,
+    buyerAccountId: buyer.accountId,
+    buyerPrivateKey: buyer.privateKey
+  };
+
+  await t.test('moves the stock and the payment together', async () => {
+    const sold = await server.post('/api/tokens/sell', { ...sale, amount: 4, pricePerKgHbar: 2 });
+    assert.equal(sold.status, 200);
+    assert.equal(sold.body.pricePerKgHbar, 2);
+    assert.equal(sold.body.totalPriceHbar, 8);
+    assert.ok(sold.body.transactionId);
+
+    const balances = await server.mirrorBalances(tokenId);
+    assert.equal(balances[seller.accountId], 1600);
+    assert.equal(balances[buyer.accountId], 400);
+
+    const history = await server.get(`/api/tokens/history?tokenId=${tokenId}&type=SELL`);
+    assert.equal(history.body.events.length, 1);
+    assert.equal(history.body.events[0].transactionId, sold.body.transactionId);
+    assert.equal(history.body.events[0].details.totalPriceHbar, 8);
+  });
+
+  await t.test('refuses a sale the buyer cannot pay for', async () => {
+    const refused = await server.post('/api/tokens/sell', { ...sale, amount: 4, pricePerKgHbar: 2 });
+    assert.equal(refused.status, 409);
+    assert.equal(refused.body.code, 'INSUFFICIENT_ACCOUNT_BALANCE');
+    // The 8 HBAR of the first sale left the buyer's account.
+    assert.equal(refused.body.buyerLiveBalanceHbar, 2);
+    assert.equal((await server.mirrorBalances(tokenId))[buyer.accountId], 400);
+  });
+
+  await t.test('moves neither side when the payment is not authorised', async () => {
+    const failed = await server.post('/api/tokens/sell', { ...sale, buyerPrivateKey: stranger.privateKey, amount: 1, pricePerKgHbar: 1 });
+    assert.equal(failed.status, 403);
+    assert.equal(failed.body.code, 'INVALID_SIGNATURE');
+
+    const balances = await server.mirrorBalances(tokenId);
+    assert.equal(balances[seller.accountId], 1600);
+    assert.equal(balances[buyer.accountId], 400);
+    // The buyer still has the 2 HBAR left after the first sale.
+    const paid = await server.post('/api/tokens/sell', { ...sale, amount: 1, pricePerKgHbar: 2 });
+    assert.equal(paid.status, 200);
+  });
+
+  await t.test('needs the buyer key to pay', async () => {
+    const refused = await server.post('/api/tokens/sell', { ...sale, buyerPrivateKey: undefined, amount: 1, pricePerKgHbar: 1 });
+    assert.equal(refused.status, 400);
+  });
+});
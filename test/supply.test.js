@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+
+test('caps minting at a finite maximum supply', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const created = await server.post('/api/tokens/create', { productName: 'Certified cocoa', initialStock: 8, maxStock: 10 });
+  assert.equal(created.status, 201);
+  const { tokenId } = created.body;
+
+  let info = await server.get(`/api/tokens/info?tokenId=${tokenId}`);
+  assert.equal(info.body.supplyType, 'FINITE');
+  assert.equal(info.body.totalSupply, 8);
+  assert.equal(info.body.maxSupply, 10);
+
+  const refused = await server.post('/api/tokens/mint', { tokenId, amount: 2.5 });
+  assert.equal(refused.status, 409);
+  assert.equal(refused.body.success, false);
+  assert.equal(refused.body.code, 'MAX_SUPPLY_EXCEEDED');
+  assert.equal(refused.body.requestedStock, 2.5);
+  assert.equal(refused.body.currentSupply, 8);
+  assert.equal(refused.body.maxSupply, 10);
+  assert.equal(refused.body.remainingSupply, 2);
+  assert.equal(refused.body.remainingSupplyKg, 2);
+
+  const minted = await server.post('/api/tokens/mint', { tokenId, amount: 2 });
+  assert.equal(minted.status, 200);
+  info = await server.get(`/api/tokens/info?tokenId=${tokenId}`);
+  assert.equal(info.body.totalSupply, 10);
+
+  const full = await server.post('/api/tokens/mint', { tokenId, amount: 0.01 });
+  assert.equal(full.body.code, 'MAX_SUPPLY_EXCEEDED');
+  assert.equal(full.body.remainingSupply, 0);
+
+  // Refused mints are turned away before anything reaches the ledger.
+  const mints = await server.get(`/api/tokens/history?tokenId=${tokenId}&type=MINT`);
+  assert.deepEqual(mints.body.events.map((event) => event.status), ['SUCCESS']);
+});
+
+test('leaves tokens without a maximum uncapped', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const created = await server.post('/api/tokens/create', { productName: 'Cocoa', initialStock: 8 });
+  const info = await server.get(`/api/tokens/info?tokenId=${created.body.tokenId}`);
+  assert.equal(info.body.supplyType, 'INFINITE');
+  assert.equal(info.body.maxSupply, null);
+
+  const minted = await server.post('/api/tokens/mint', { tokenId: created.body.tokenId, amount: 1000 });
+  assert.equal(minted.status, 200);
+});
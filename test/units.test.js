@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  UnitError,
+  normalizeUnit,
+  validateDecimals,
+  toSmallestUnits,
+  formatSmallestUnits,
+  fromSmallestUnits,
+  toUnits,
+  fromUnits
+} = require('../lib/units');
+const { startServer } = require('./helpers/server');
+
+test('normalizeUnit accepts aliases and any case', () => {
+  assert.equal(normalizeUnit('kilogram'), 'KG');
+  assert.equal(normalizeUnit(' litre '), 'L');
+  assert.equal(normalizeUnit('pcs'), 'PIECE');
+  assert.throws(() => normalizeUnit('furlong'), UnitError);
+});
+
+test('validateDecimals only allows 0 to 8 places', () => {
+  assert.equal(validateDecimals(0), 0);
+  assert.equal(validateDecimals(8), 8);
+  assert.throws(() => validateDecimals(9), UnitError);
+  assert.throws(() => validateDecimals(1.5), UnitError);
+});
+
+test('toSmallestUnits scales amounts exactly', () => {
+  const kg = { fromUnit: 'KG', toUnit: 'KG', decimals: 2 };
+  assert.equal(toSmallestUnits(12.34, kg), 1234n);
+  assert.equal(toSmallestUnits('0.1', kg), 10n);
+  assert.equal(toSmallestUnits('1e3', kg), 100000n);
+  // 0.1 + 0.2 is not 0.3 in floating point, but the literal is read as given.
+  assert.equal(toSmallestUnits(0.3, kg), 30n);
+});
+
+test('toSmallestUnits converts between units of the same dimension', () => {
+  assert.equal(toSmallestUnits(1500, { fromUnit: 'G', toUnit: 'KG', decimals: 3 }), 1500n);
+  assert.equal(toSmallestUnits(2, { fromUnit: 'TONNE', toUnit: 'KG', decimals: 0 }), 2000n);
+  assert.equal(toSmallestUnits(1, { fromUnit: 'LB', toUnit: 'G', decimals: 8 }), 45359237000n);
+  assert.equal(toSmallestUnits(2, { fromUnit: 'DOZEN', toUnit: 'PIECE', decimals: 0 }), 24n);
+});
+
+test('toSmallestUnits refuses other dimensions and excess precision', () => {
+  assert.throws(() => toSmallestUnits(1, { fromUnit: 'KG', toUnit: 'L', decimals: 2 }), /Cannot convert KG \(mass\) to L \(volume\)/);
+  assert.throws(() => toSmallestUnits(1.234, { fromUnit: 'KG', toUnit: 'KG', decimals: 2 }), /more precise than 2 decimal places/);
+  assert.throws(() => toSmallestUnits(1, { fromUnit: 'LB', toUnit: 'KG', decimals: 2 }), UnitError);
+  assert.throws(() => toSmallestUnits('ten', { fromUnit: 'KG', toUnit: 'KG', decimals: 2 }), /not a decimal number/);
+  assert.throws(() => toSmallestUnits(Infinity, { fromUnit: 'KG', toUnit: 'KG', decimals: 2 }), UnitError);
+});
+
+test('fromSmallestUnits places the decimal point', () => {
+  assert.equal(fromSmallestUnits(1234n, 2), 12.34);
+  assert.equal(fromSmallestUnits('5', 3), 0.005);
+  assert.equal(fromSmallestUnits(-250n, 2), -2.5);
+  assert.equal(fromSmallestUnits(7n, 0), 7);
+});
+
+test('formatSmallestUnits keeps every digit', () => {
+  assert.equal(formatSmallestUnits(1234n, 2), '12.34');
+  assert.equal(formatSmallestUnits(-5n, 3), '-0.005');
+  assert.equal(formatSmallestUnits(12345678912345678n, 8), '123456789.12345678');
+  assert.equal(formatSmallestUnits(9007199254740993n, 0), '9007199254740993');
+  assert.equal(fromSmallestUnits(9007199254740993n, 0), 9007199254740992);
+});
+
+test('toUnits and fromUnits round-trip a stored record', () => {
+  const record = { unit: 'L', decimals: 3 };
+  const units = toUnits(record, '2.125');
+  assert.equal(units, 2125n);
+  assert.equal(fromUnits(record, units), 2.125);
+});
+
+test('routes count stock in the token\'s own unit', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const created = await server.post('/api/tokens/create', {
+    productName: 'Olive oil',
+    initialStock: 2,
+    unit: 'litre',
+    decimals: 3
+  });
+  assert.equal(created.status, 201);
+  const { tokenId } = created.body;
+
+  const minted = await server.post('/api/tokens/mint', { tokenId, amount: 500, unit: 'ML' });
+  assert.equal(minted.status, 200);
+  assert.equal(minted.body.unit, 'L');
+  assert.equal(minted.body.addedStock, 0.5);
+
+  const tooPrecise = await server.post('/api/tokens/mint', { tokenId, amount: '0.0001' });
+  assert.equal(tooPrecise.status, 400);
+  const wrongDimension = await server.post('/api/tokens/mint', { tokenId, amount: 1, unit: 'KG' });
+  assert.equal(wrongDimension.status, 400);
+
+  const info = await server.get(`/api/tokens/info?tokenId=${tokenId}`);
+  assert.equal(info.body.totalSupply, 2.5);
+  assert.equal((await server.mirrorBalances(tokenId))[server.operator.accountId], 2500);
+});
+
+test('routes report amounts beyond 2^53 smallest units exactly', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const created = await server.post('/api/tokens/create', {
+    productName: 'Rice',
+    initialStock: '90071992.54740993',
+    decimals: 8
+  });
+  assert.equal(created.status, 201);
+  const { tokenId } = created.body;
+  assert.equal(created.body.balancesExact[server.operator.accountId], '90071992.54740993');
+
+  const info = await server.get(`/api/tokens/info?tokenId=${tokenId}`);
+  assert.equal(info.body.totalSupplyExact, '90071992.54740993');
+  assert.equal(info.body.balancesExact[server.operator.accountId], '90071992.54740993');
+});